@@ -10,6 +10,7 @@ import { RuntimePerformanceBenchmark } from './suites/runtime-performance.js';
 import { SSRPerformanceBenchmark } from './suites/ssr-performance.js';
 import { HydrationSpeedBenchmark } from './suites/hydration-speed.js';
 import { UpdatePerformanceBenchmark } from './suites/update-performance.js';
+import { PatchFlagsBenchmark } from './suites/patch-flags.js';
 import { ReportGenerator } from './utils/report-generator.js';
 import config from '../benchmark.config.js';
 
@@ -98,7 +99,8 @@ class BenchmarkRunner {
             'runtime': RuntimePerformanceBenchmark,
             'ssr': SSRPerformanceBenchmark,
             'hydration': HydrationSpeedBenchmark,
-            'update': UpdatePerformanceBenchmark
+            'update': UpdatePerformanceBenchmark,
+            'patch': PatchFlagsBenchmark
         };
 
         const BenchmarkClass = benchmarks[suiteName];
@@ -115,7 +117,7 @@ class BenchmarkRunner {
      */
     getSuitesToRun() {
         if (this.options.suites === 'all') {
-            return ['startup', 'bundle', 'memory', 'runtime', 'ssr', 'hydration', 'update'];
+            return ['startup', 'bundle', 'memory', 'runtime', 'ssr', 'hydration', 'update', 'patch'];
         }
 
         if (Array.isArray(this.options.suites)) {
@@ -138,7 +140,8 @@ class BenchmarkRunner {
             'runtime': RuntimePerformanceBenchmark,
             'ssr': SSRPerformanceBenchmark,
             'hydration': HydrationSpeedBenchmark,
-            'update': UpdatePerformanceBenchmark
+            'update': UpdatePerformanceBenchmark,
+            'patch': PatchFlagsBenchmark
         };
 
         const BenchmarkClass = benchmarks[suiteName];
@@ -204,6 +207,7 @@ Available Suites:
   ssr                    Server-side rendering performance
   hydration              Client-side hydration speed
   update                 Reactive update performance
+  patch                  Compiled patch flags vs full vdom diff
     `);
         process.exit(0);
     }
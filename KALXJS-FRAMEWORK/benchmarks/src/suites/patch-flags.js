@@ -0,0 +1,161 @@
+/**
+ * Patch Flags Benchmark
+ * Compares updating compiled vnodes (patch flags + blocks) against
+ * diffing the same tree without compiler hints
+ */
+
+import { MetricsCollector } from '../utils/metrics-collector.js';
+import config from '../../benchmark.config.js';
+
+export class PatchFlagsBenchmark {
+    constructor() {
+        this.collector = new MetricsCollector();
+    }
+
+    /**
+     * Run patch flags benchmark
+     */
+    async run(framework = 'kalxjs') {
+        console.log(`\n🚩 Running Patch Flags Benchmark for ${framework}...`);
+
+        const results = {
+            name: `Patch Flags - ${framework}`,
+            framework,
+            metrics: {},
+            targets: { speedup: 1 } // Optimized updates must beat the full diff
+        };
+
+        if (framework !== 'kalxjs') {
+            results.error = 'Patch flags are specific to the KALXJS runtime';
+            results.passed = false;
+            return results;
+        }
+
+        try {
+            const runtime = await this.loadRuntime();
+
+            for (const size of [config.dataSizes.small, config.dataSizes.medium]) {
+                const full = this.measureUpdates(runtime, size, false);
+                const optimized = this.measureUpdates(runtime, size, true);
+
+                results.metrics[size] = {
+                    full,
+                    optimized,
+                    speedup: parseFloat((full.mean / optimized.mean).toFixed(2))
+                };
+            }
+
+            results.passed = Object.values(results.metrics)
+                .every(metric => metric.speedup > results.targets.speedup);
+
+        } catch (error) {
+            console.error(`Error in patch flags benchmark: ${error.message}`);
+            results.error = error.message;
+            results.passed = false;
+        }
+
+        return results;
+    }
+
+    /**
+     * Load the vdom runtime, with jsdom providing the DOM when run from Node
+     */
+    async loadRuntime() {
+        if (typeof document === 'undefined') {
+            const { JSDOM } = await import('jsdom');
+            globalThis.document = new JSDOM('<!DOCTYPE html><body></body>').window.document;
+        }
+
+        const { h, openBlock, createBlock, createElement, updateElement } =
+            await import('../../../packages/core/src/vdom/vdom.js');
+        const { PatchFlags } = await import('../../../packages/core/src/vdom/patch-flags.js');
+
+        return { h, openBlock, createBlock, createElement, updateElement, PatchFlags };
+    }
+
+    /**
+     * Measure re-rendering a table where one cell per row changes
+     * @param {Object} runtime - vdom runtime
+     * @param {number} rows - Number of rows
+     * @param {boolean} optimized - Render with patch flags and a block, like compiled templates
+     */
+    measureUpdates(runtime, rows, optimized) {
+        const label = `${optimized ? 'optimized' : 'full'}_${rows}`;
+        console.log(`  → Measuring ${optimized ? 'optimized' : 'full'} updates (${rows} rows)...`);
+
+        const render = (count) => this.renderTable(runtime, rows, count, optimized);
+
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+
+        let vnode = render(0);
+        container.appendChild(runtime.createElement(vnode));
+
+        const iterations = config.warmupIterations + config.iterations;
+        for (let i = 1; i <= iterations; i++) {
+            const next = render(i);
+
+            const start = performance.now();
+            runtime.updateElement(container.firstChild, vnode, next);
+            const duration = performance.now() - start;
+
+            if (i > config.warmupIterations) {
+                this.collector.recordMetric(label, duration);
+            }
+            vnode = next;
+        }
+
+        container.remove();
+        return this.collector.getStats(label);
+    }
+
+    /**
+     * Render the table the way the compiler would (static cells hoisted out,
+     * dynamic cells flagged) or the way a hand-written render function would
+     */
+    renderTable(runtime, rows, count, optimized) {
+        const { h, openBlock, createBlock, PatchFlags } = runtime;
+
+        const staticCell = () => optimized
+            ? this.hoisted || (this.hoisted = h('td', { class: 'label' }, ['Row'], PatchFlags.HOISTED))
+            : h('td', { class: 'label' }, ['Row']);
+
+        // Flagged cells created from here on are collected into the table's block
+        if (optimized) {
+            openBlock();
+        }
+
+        const children = [];
+        for (let i = 0; i < rows; i++) {
+            const value = `${i}:${count}`;
+            children.push(h('tr', { class: 'row' }, [
+                staticCell(),
+                optimized
+                    ? h('td', {}, [value], PatchFlags.TEXT)
+                    : h('td', {}, [value])
+            ]));
+        }
+
+        return optimized
+            ? createBlock('table', {}, children)
+            : h('table', {}, children);
+    }
+
+    /**
+     * Get results summary
+     */
+    getSummary() {
+        return this.collector.getAllStats();
+    }
+}
+
+/**
+ * Run benchmark if called directly
+ */
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const benchmark = new PatchFlagsBenchmark();
+    const results = await benchmark.run('kalxjs');
+    console.log('\n✅ Results:', JSON.stringify(results, null, 2));
+}
+
+export default PatchFlagsBenchmark;
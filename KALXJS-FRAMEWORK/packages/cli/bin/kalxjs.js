@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 const { program } = require('commander');
-const { create, component, serve, build, generate } = require('../src/commands');
+const { create, component, serve, build, generate, typecheck } = require('../src/commands');
 const path = require('path');
 const fs = require('fs');
 
@@ -126,4 +126,19 @@ program
         }
     });
 
+// Type check command
+program
+    .command('typecheck')
+    .description('Type-check .klx components, including their templates')
+    .option('-d, --declaration', 'Emit a .klx.d.ts file for every component')
+    .option('-r, --root <dir>', 'Directory to search for .klx files when there is no tsconfig.json', 'src')
+    .action(async (options) => {
+        try {
+            await typecheck(options);
+        } catch (err) {
+            console.error('Error:', err.message);
+            process.exit(1);
+        }
+    });
+
 program.parse(process.argv);
\ No newline at end of file
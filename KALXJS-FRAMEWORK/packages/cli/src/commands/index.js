@@ -3,11 +3,13 @@ const serve = require('./serve');
 const { build } = require('./build');
 const component = require('./component');
 const generate = require('./generate');
+const typecheck = require('./typecheck');
 
 module.exports = {
     create,
     serve,
     component,
     build,
-    generate
+    generate,
+    typecheck
 };
\ No newline at end of file
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import ESM modules dynamically for compatibility
+let chalk;
+
+async function initializeESModules() {
+    if (!chalk) {
+        chalk = await import('chalk').then(m => m.default);
+    }
+}
+
+/**
+ * Load the type checker of @kalxjs/compiler, which needs the project's typescript
+ * @returns {Promise<Object|null>} - null when typescript isn't installed
+ */
+async function loadChecker() {
+    try {
+        return await import('@kalxjs/compiler/typescript');
+    } catch (err) {
+        if (err.code === 'ERR_MODULE_NOT_FOUND' && /typescript/.test(err.message)) {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Find the .klx files below a directory
+ * @param {string} dir - Directory to search
+ * @returns {string[]} - Absolute file paths
+ */
+function findKlxFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return entry.name === 'node_modules' || entry.name.startsWith('.') ? [] : findKlxFiles(file);
+        }
+        return entry.name.endsWith('.klx') ? [file] : [];
+    });
+}
+
+/**
+ * Format a diagnostic as `file:line:column - error TS1234: message`
+ */
+function formatDiagnostic(diagnostic, projectRoot) {
+    const location = diagnostic.file
+        ? chalk.cyan(path.relative(projectRoot, diagnostic.file)) +
+            (diagnostic.line ? ':' + chalk.yellow(diagnostic.line) + ':' + chalk.yellow(diagnostic.column) : '') + ' - '
+        : '';
+    const category = diagnostic.category === 'error' ? chalk.red('error') : chalk.yellow(diagnostic.category);
+    const code = diagnostic.code ? chalk.gray(` TS${diagnostic.code}`) : '';
+
+    return `${location}${category}${code}: ${diagnostic.message}`;
+}
+
+/**
+ * Type-check the .klx components of a project, including their templates
+ * @param {Object} options - Command options
+ * @param {boolean} [options.declaration] - Write a .klx.d.ts next to every component
+ * @param {string} [options.root] - Directory searched for .klx files when there is no tsconfig.json
+ */
+async function typecheck(options = {}) {
+    await initializeESModules();
+
+    options = {
+        declaration: false,
+        root: 'src',
+        ...options
+    };
+
+    const checker = await loadChecker();
+    if (!checker) {
+        console.error(chalk.red('Type checking needs TypeScript. Install it with:'));
+        console.error(chalk.cyan('  npm install -D typescript'));
+        process.exit(1);
+    }
+
+    const projectRoot = process.cwd();
+    const config = checker.readProjectConfig(projectRoot);
+
+    // Without a tsconfig.json, only the components themselves are checked
+    let fileNames = config.fileNames;
+    if (!config.configFile) {
+        fileNames = findKlxFiles(path.resolve(projectRoot, options.root));
+    }
+
+    if (!fileNames.some(file => file.endsWith('.klx'))) {
+        console.log(chalk.yellow('No .klx files found to check.'));
+        return;
+    }
+
+    const { diagnostics, declarations } = checker.checkKlxFiles(fileNames, {
+        compilerOptions: config.compilerOptions,
+        declaration: options.declaration
+    });
+    const allDiagnostics = [...config.diagnostics, ...diagnostics];
+
+    allDiagnostics.forEach(diagnostic => {
+        console.log(formatDiagnostic(diagnostic, projectRoot));
+    });
+
+    declarations.forEach(({ fileName, text }) => {
+        fs.mkdirSync(path.dirname(fileName), { recursive: true });
+        fs.writeFileSync(fileName, text);
+    });
+    if (declarations.length) {
+        console.log(chalk.green(`Wrote ${declarations.length} declaration file(s).`));
+    }
+
+    const errorCount = allDiagnostics.filter(diagnostic => diagnostic.category === 'error').length;
+    if (errorCount) {
+        console.log(chalk.red(`\nFound ${errorCount} error(s).`));
+        process.exit(1);
+    }
+
+    console.log(chalk.green(`Checked ${fileNames.filter(file => file.endsWith('.klx')).length} component(s), no errors.`));
+}
+
+module.exports = typecheck;
@@ -10,6 +10,8 @@ import { writeFile, ensureDir, readFile, fileExists } from '../utils/file-system
 
 /**
  * Generate route
+ * In projects with file-system routes, where the compiler plugin builds the
+ * routes from the pages directory, this creates the page of the route instead
  */
 export async function generateRoute(name, options = {}) {
     const {
@@ -19,10 +21,23 @@ export async function generateRoute(name, options = {}) {
         addGuard = false,
         viewsDirectory = 'src/views',
         routerFile = 'src/router/routes.js',
+        pagesDirectory = 'src/pages',
     } = options;
 
     const results = [];
 
+    // Generate page component
+    const pagesPath = path.join(process.cwd(), pagesDirectory);
+    if (await fileExists(pagesPath)) {
+        const pageFilePath = path.join(pagesPath, `${toPageFile(routePath)}.klx`);
+        await ensureDir(path.dirname(pageFilePath));
+        await writeFile(pageFilePath, generateViewComponent(name));
+
+        console.log(`✓ Created page: ${pageFilePath}`);
+        results.push({ type: 'page', path: pageFilePath });
+        return results;
+    }
+
     // Generate view component
     if (createView) {
         const viewPath = path.join(process.cwd(), viewsDirectory);
@@ -90,6 +105,18 @@ export default {
 `;
 }
 
+/**
+ * Turn a route path into the path of its page, /users/:id into users/[id]
+ */
+function toPageFile(routePath) {
+    const segments = routePath
+        .split('/')
+        .filter(Boolean)
+        .map(segment => segment.replace(/^:(\w+)(\(.*\))?([*+])$/, '[...$1]').replace(/^:(\w+)(\(.*\))?\??$/, '[$1]'));
+
+    return segments.length ? segments.join('/') : 'index';
+}
+
 /**
  * Update router file with new route
  */
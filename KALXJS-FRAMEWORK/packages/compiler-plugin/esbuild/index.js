@@ -8,12 +8,14 @@
  * - TypeScript support
  * - CSS handling
  * - Source maps
+ * - Custom blocks through block transformers (`customBlocks` option)
  * - Watch mode support
  *
  * @module @kalxjs/esbuild-plugin
  */
 
 import { compileKLXFile } from '../src/compile-klx.js';
+import { toInlineSourceMap } from '../../compiler/src/source-map.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -60,9 +62,9 @@ export default function kalxjsPlugin(options = {}) {
 
                     console.log('[esbuild-plugin] Compilation successful');
 
-                    // Return compiled code
+                    // Return compiled code, esbuild picks up inline source maps from loaded files
                     return {
-                        contents: result.code,
+                        contents: result.map ? `${result.code}${toInlineSourceMap(result.map)}\n` : result.code,
                         loader: 'js',
                         resolveDir: path.dirname(args.path),
                         watchFiles: [args.path]
@@ -9,11 +9,14 @@
  * - TypeScript support
  * - CSS preprocessing
  * - Source maps
+ * - Custom blocks through block transformers (`customBlocks` option)
+ * - File-system routes of the pages (`pages` option) as `virtual:kalxjs-pages`
  *
  * @module @kalxjs/rollup-plugin
  */
 
 import { compileKLXFile } from '../src/compile-klx.js';
+import { PAGES_MODULE_ID, RESOLVED_PAGES_MODULE_ID, scanPages, createPageRoutes, generatePagesModule } from '../src/pages.js';
 import { createFilter } from '@rollup/pluginutils';
 import path from 'path';
 
@@ -27,15 +30,37 @@ export default function kalxjsPlugin(options = {}) {
         include = /\.klx$/,
         exclude,
         sourceMap = true,
+        pages = 'src/pages',
         ...compilerOptions
     } = options;
 
     const filter = createFilter(include, exclude);
     const compiledCache = new Map();
+    const pagesDir = path.resolve(pages);
 
     return {
         name: 'rollup-plugin-kalxjs',
 
+        /**
+         * Resolve the routes of the pages
+         */
+        resolveId(id) {
+            if (id === PAGES_MODULE_ID) {
+                return RESOLVED_PAGES_MODULE_ID;
+            }
+            return null;
+        },
+
+        /**
+         * Generate the routes of the pages, again in watch mode when a page is added or removed
+         */
+        load(id) {
+            if (id !== RESOLVED_PAGES_MODULE_ID) return null;
+
+            this.addWatchFile(pagesDir);
+            return generatePagesModule(createPageRoutes(scanPages(pagesDir)), pagesDir);
+        },
+
         /**
          * Transform .klx files
          */
@@ -5,16 +5,33 @@
  * @module @kalxjs/compiler-plugin/compile-klx
  */
 
-import { parse } from '@kalxjs/compiler';
+import { existsSync, readFileSync } from 'fs';
+import { parse } from '../../compiler/src/parser.js';
+import { compileTemplate } from '../../compiler/src/compiler.js';
+import { SourceMapBuilder, createBlockMap, chainSourceMaps, toInlineSourceMap } from '../../compiler/src/source-map.js';
 import { processScriptSetup, compileMacros } from '../../compiler/src/script-setup/index.js';
 import { compileTypeScript, isTypeScript } from '../../compiler/src/typescript/index.js';
-import { processCSSModule, isCSSModule, generateCSSModuleExports } from '../../compiler/src/css/modules.js';
+import { processCSSModule, isCSSModule, getCSSModuleName } from '../../compiler/src/css/modules.js';
 import { processWithPreprocessor, detectPreprocessor } from '../../compiler/src/css/preprocessors.js';
+import { compileStyle, generateCssVarsCode } from '../../compiler/src/css/scoped.js';
+import { transformCustomBlocks } from '../../compiler/src/custom-blocks.js';
+
+// Lets <script setup> read the types it imports from other files
+const typeFileSystem = {
+    fileExists: (file) => existsSync(file),
+    readFile: (file) => readFileSync(file, 'utf-8')
+};
 
 /**
  * Compile .klx file to JavaScript
+ * With `sourceMap`, the result has a V3 map from the generated module back to
+ * the .klx file, through the TypeScript and script setup transforms, and the
+ * injected styles carry an inline map through their preprocessor.
+ * Custom blocks (`<i18n>`, `<docs>`, ...) go through the transformers given in
+ * `customBlocks` or registered with registerBlockTransformer().
  * @param {string} source - Source code
  * @param {object} options - Compilation options
+ * @param {object} [options.customBlocks] - Custom block transformers by block type
  * @returns {Promise<object>} - Compiled result
  */
 export async function compileKLXFile(source, options = {}) {
@@ -22,23 +39,43 @@ export async function compileKLXFile(source, options = {}) {
         filename = 'anonymous.klx',
         sourceMap = false,
         hotReload = false,
-        isProduction = false
+        isProduction = false,
+        customBlocks
     } = options;
 
     console.log('[compile-klx] Compiling file:', filename);
 
     try {
         // Parse .klx file
-        const descriptor = parseKLXFile(source);
+        const descriptor = parse(source, { filename });
+        descriptor.errors.forEach(error => console.warn(`[compile-klx] ${error}`));
+
+        // Maps a block that is used as-is back to its place in the .klx file
+        const blockMap = (block, content = block.content) => sourceMap
+            ? createBlockMap(content, { filename, source, start: block.loc.start })
+            : null;
 
         // Process script
-        let scriptCode = '';
+        let script = null;
         let scriptSetupResult = null;
 
         if (descriptor.scriptSetup) {
-            // Handle <script setup>
-            scriptSetupResult = processScriptSetup(descriptor.scriptSetup.content, { filename });
-            scriptCode = compileMacros(scriptSetupResult);
+            // Handle <script setup>, type-based macros can import their types
+            const { content, attrs } = descriptor.scriptSetup;
+            scriptSetupResult = processScriptSetup(content, { filename, sourceMap, fs: typeFileSystem });
+            const macros = compileMacros(scriptSetupResult, { sourceMap });
+            script = sourceMap
+                ? { code: macros.code, map: chainSourceMaps(macros.map, blockMap(descriptor.scriptSetup)) }
+                : { code: macros, map: null };
+
+            // Type annotations stay in the setup code until TypeScript removes them
+            if (isTypeScript(content, attrs)) {
+                const tsResult = compileTypeScript(script.code, { filename, sourceMap });
+                script = {
+                    code: tsResult.code,
+                    map: sourceMap ? chainSourceMaps(tsResult.map, script.map) : null
+                };
+            }
         } else if (descriptor.script) {
             // Handle regular <script>
             const { content, attrs } = descriptor.script;
@@ -46,26 +83,39 @@ export async function compileKLXFile(source, options = {}) {
             // Check for TypeScript
             if (isTypeScript(content, attrs)) {
                 const tsResult = compileTypeScript(content, { filename, sourceMap });
-                scriptCode = tsResult.code;
+                script = {
+                    code: tsResult.code,
+                    map: sourceMap ? chainSourceMaps(tsResult.map, blockMap(descriptor.script)) : null
+                };
             } else {
-                scriptCode = content;
+                script = { code: content, map: blockMap(descriptor.script) };
             }
         }
 
-        // Process template
-        let templateCode = '';
+        // Elements of the template carry the scope attribute of scoped styles
+        const id = hashString(filename);
+        const scopeId = descriptor.styles.some(style => style.scoped) ? `data-v-${id}` : null;
+
+        // Compile template, its AST locations already point into the .klx file
+        let template = null;
         if (descriptor.template) {
-            // TODO: Use actual template compiler
-            templateCode = `function render() { return ${JSON.stringify(descriptor.template.content)}; }`;
+            // <script setup> bindings are read directly instead of through `this`
+            const bindingMetadata = scriptSetupResult ? scriptSetupResult.bindings : undefined;
+            // <template mode="dom"> updates the DOM directly instead of returning vnodes
+            const mode = descriptor.template.attrs.mode;
+            template = compileTemplate(descriptor.template.ast, { filename, sourceMap, scopeId, bindingMetadata, mode }, source);
+            template.errors.forEach(error => console.warn(`[compile-klx] ${error}`));
         }
 
         // Process styles
-        let stylesCode = '';
+        const styles = new SourceMapBuilder(filename);
         const cssModules = {};
+        const cssVars = [];
 
         for (let i = 0; i < descriptor.styles.length; i++) {
             const style = descriptor.styles[i];
             let css = style.content;
+            let map = null;
 
             // Handle preprocessors
             const preprocessor = detectPreprocessor(style.attrs);
@@ -76,40 +126,63 @@ export async function compileKLXFile(source, options = {}) {
                     sourceMap
                 });
                 css = result.css;
+                map = sourceMap ? chainSourceMaps(result.map, blockMap(style)) : null;
             }
 
             // Handle CSS modules
             if (isCSSModule(style.attrs)) {
                 const moduleResult = processCSSModule(css, { filename });
                 css = moduleResult.css;
-                cssModules[`style${i}`] = moduleResult.exports;
+                cssModules[getCSSModuleName(style.attrs)] = moduleResult.exports;
             }
 
-            // Handle scoped styles
-            if (style.scoped) {
-                const scopeId = generateScopeId(filename);
-                css = scopeStyles(css, scopeId);
-            }
+            // Scope selectors and keyframes, and turn v-bind() into custom properties
+            const compiled = compileStyle(css, { id, scoped: style.scoped, filename });
+            compiled.errors.forEach(error => console.warn(`[compile-klx] ${error}`));
+            css = compiled.code;
+            compiled.cssVars
+                .filter(cssVar => !cssVars.some(existing => existing.name === cssVar.name))
+                .forEach(cssVar => cssVars.push(cssVar));
 
-            stylesCode += css;
+            // Module and scope rewrites stay on the same lines, so plain CSS maps line by line
+            styles.append(`${css}\n`, map || blockMap(style, css));
         }
 
+        // Custom blocks are modules whose default export receives the component options
+        const blocks = (await transformCustomBlocks(descriptor, { filename, customBlocks })).map(result => ({
+            ...result,
+            map: sourceMap && result.map ? chainSourceMaps(result.map, blockMap(result.block)) : null
+        }));
+
         // Generate final component code
-        const code = generateFinalCode({
-            script: scriptCode,
-            template: templateCode,
-            styles: stylesCode,
+        const output = generateFinalCode({
+            script,
+            template,
+            styles,
             cssModules,
+            blocks,
+            scopeId,
+            cssVars,
+            bindingMetadata: scriptSetupResult ? scriptSetupResult.bindings : undefined,
             filename,
-            hotReload,
-            isProduction
+            id,
+            hotReload: hotReload && {
+                // v-bind() in styles reads the component's state like its script does,
+                // and custom blocks change the options the script defines
+                script: hashString((descriptor.scriptSetup || descriptor.script || { content: '' }).content +
+                    cssVars.map(cssVar => cssVar.expression).join() +
+                    blocks.map(block => block.block.content).join()),
+                template: hashString(descriptor.template ? descriptor.template.content : '')
+            },
+            isProduction,
+            sourceMap
         });
 
         console.log('[compile-klx] Compilation successful');
 
         return {
-            code,
-            map: sourceMap ? generateSourceMap(code, filename) : null,
+            code: output.code,
+            map: sourceMap ? output.toJSON() : null,
             dependencies: []
         };
 
@@ -120,147 +193,148 @@ export async function compileKLXFile(source, options = {}) {
 }
 
 /**
- * Parse .klx file into descriptor
- */
-function parseKLXFile(source) {
-    const descriptor = {
-        template: null,
-        script: null,
-        scriptSetup: null,
-        styles: []
-    };
-
-    // Parse template
-    const templateMatch = source.match(/<template>([\s\S]*?)<\/template>/);
-    if (templateMatch) {
-        descriptor.template = {
-            content: templateMatch[1].trim()
-        };
-    }
-
-    // Parse script setup
-    const scriptSetupMatch = source.match(/<script\s+setup([^>]*)>([\s\S]*?)<\/script>/);
-    if (scriptSetupMatch) {
-        descriptor.scriptSetup = {
-            content: scriptSetupMatch[2].trim(),
-            attrs: parseAttrs(scriptSetupMatch[1])
-        };
-    } else {
-        // Parse regular script
-        const scriptMatch = source.match(/<script([^>]*)>([\s\S]*?)<\/script>/);
-        if (scriptMatch) {
-            descriptor.script = {
-                content: scriptMatch[2].trim(),
-                attrs: parseAttrs(scriptMatch[1])
-            };
-        }
-    }
-
-    // Parse styles
-    const styleMatches = [...source.matchAll(/<style([^>]*)>([\s\S]*?)<\/style>/g)];
-    descriptor.styles = styleMatches.map(match => ({
-        content: match[2].trim(),
-        attrs: parseAttrs(match[1]),
-        scoped: match[1].includes('scoped'),
-        module: match[1].includes('module')
-    }));
-
-    return descriptor;
-}
-
-/**
- * Parse attributes from tag
+ * Hash a string to a short hex id
  */
-function parseAttrs(attrString) {
-    const attrs = {};
-    const regex = /(\w+)(?:="([^"]*)")?/g;
-    let match;
-
-    while ((match = regex.exec(attrString)) !== null) {
-        attrs[match[1]] = match[2] || true;
-    }
-
-    return attrs;
-}
-
-/**
- * Generate scope ID for scoped styles
- */
-function generateScopeId(filename) {
-    const hash = filename.split('').reduce((a, b) => {
+function hashString(str) {
+    const hash = str.split('').reduce((a, b) => {
         a = ((a << 5) - a) + b.charCodeAt(0);
         return a & a;
     }, 0);
-    return `data-v-${Math.abs(hash).toString(16)}`;
+    return Math.abs(hash).toString(16);
 }
 
 /**
- * Scope CSS with data attribute
+ * Check whether the script already imports a binding from @kalxjs/core
  */
-function scopeStyles(css, scopeId) {
-    return css.replace(/([^\r\n,{}]+)(,(?=[^}]*{)|\s*{)/g, (match, selector) => {
-        selector = selector.trim();
-        return `${selector}[${scopeId}]${match.slice(selector.length)}`;
-    });
+function importsFromCore(code, name) {
+    return new RegExp(`import\\s*{[^}]*\\b${name}\\b[^}]*}\\s*from\\s*['"]@kalxjs/core['"]`).test(code);
 }
 
 /**
  * Generate final component code
+ * Pieces are appended with their own source maps, so the module's map points
+ * into the .klx file. With hot reload, `hotReload` holds the hashes of the
+ * script and template, which tell the next version of the module whether to
+ * re-render, reload or leave its instances alone (style-only change).
  */
 function generateFinalCode(options) {
-    const { script, template, styles, cssModules, filename, hotReload, isProduction } = options;
+    const { script, template, styles, cssModules, blocks, scopeId, cssVars, bindingMetadata, filename, id, hotReload, isProduction, sourceMap } = options;
+    const hasCssModules = Object.keys(cssModules).length > 0;
+    const scriptCode = script ? script.code : '';
 
-    let code = '';
+    const output = new SourceMapBuilder(filename);
 
-    // Add imports
-    code += `import { defineComponent } from '@kalxjs/core';\n\n`;
+    // v-bind() in styles may call helpers too
+    const cssVarsHelpers = new Set();
+    const cssVarsCode = cssVars.length > 0 ? generateCssVarsCode(cssVars, { bindingMetadata, helpers: cssVarsHelpers }) : null;
 
-    // Add script code
-    if (script) {
-        code += `${script}\n\n`;
+    // Add imports for the helpers the render function calls
+    const imports = [];
+    const helpers = new Set(cssVarsHelpers);
+    if (template) {
+        ['h', ...(template.code.includes('createBlock(') ? ['openBlock', 'createBlock'] : []), ...template.helpers]
+            .forEach(helper => helpers.add(helper));
+    }
+    const coreHelpers = [...helpers].filter(helper => !importsFromCore(scriptCode, helper));
+    if (coreHelpers.length > 0) {
+        imports.push(`import { ${coreHelpers.join(', ')} } from '@kalxjs/core';`);
+    }
+    if (hotReload) {
+        imports.push(`import { hmrRuntime as __hmr } from '@kalxjs/core';`);
+    }
+    if (imports.length > 0) {
+        output.append(`${imports.join('\n')}\n\n`);
+    }
+
+    // Add script code, keeping hold of the default export to attach the render function
+    if (script && /^\s*export\s+default\s+/m.test(scriptCode)) {
+        output.append(scriptCode.replace(/^(\s*)export\s+default\s+/m, '$1const __component = '), script.map);
+        output.append('\n\n');
+    } else {
+        if (script) {
+            output.append(scriptCode, script.map);
+            output.append('\n\n');
+        }
+        output.append('const __component = {};\n\n');
     }
 
     // Add template
     if (template) {
-        code += `const render = ${template};\n\n`;
+        if (template.hoisted.length > 0) {
+            output.append(`${template.hoisted.join('\n')}\n\n`);
+        }
+        output.append('const render = ');
+        output.append(template.code, template.map);
+        output.append(';\n\n');
+
+        // defineComponent() returns a factory that keeps the options
+        output.append('const __options = __component.options || __component;\n');
+        output.append('if (!__options.render) __options.render = render;\n\n');
+    } else if (hotReload || scopeId || cssVarsCode || hasCssModules || blocks.some(block => block.name)) {
+        output.append('const __options = __component.options || __component;\n\n');
     }
 
-    // Add CSS modules exports
-    if (Object.keys(cssModules).length > 0) {
-        code += `const __cssModules = ${JSON.stringify(cssModules)};\n\n`;
+    // Scoped styles mark slot content, v-bind() styles set custom properties on the root
+    if (scopeId) {
+        output.append(`__options.__scopeId = '${scopeId}';\n`);
+    }
+    if (cssVarsCode) {
+        output.append(`__options.__cssVars = ${cssVarsCode};\n`);
+    }
+    // Class names of <style module> blocks, exposed as `$style` or the module's name
+    if (hasCssModules) {
+        output.append(`__options.__cssModules = ${JSON.stringify(cssModules)};\n`);
+    }
+    if (scopeId || cssVarsCode || hasCssModules) {
+        output.append('\n');
     }
 
-    // Inject styles (runtime)
-    if (styles && !isProduction) {
-        code += `if (typeof document !== 'undefined') {\n`;
-        code += `  const style = document.createElement('style');\n`;
-        code += `  style.textContent = ${JSON.stringify(styles)};\n`;
-        code += `  document.head.appendChild(style);\n`;
-        code += `}\n\n`;
+    // Add custom blocks, each may add to the component options
+    blocks.forEach(block => {
+        output.append(block.code.endsWith('\n') ? block.code : `${block.code}\n`, block.map);
+        if (block.name) {
+            output.append(`if (typeof ${block.name} === 'function') ${block.name}(__options);\n`);
+        }
+        output.append('\n');
+    });
+
+    // Inject styles (runtime), replacing those of a previous version of the module
+    if (styles.code && !isProduction) {
+        const css = sourceMap ? `${styles.code}${toInlineSourceMap(styles.toJSON(), { css: true })}\n` : styles.code;
+
+        output.append(`if (typeof document !== 'undefined') {\n`);
+        output.append(`  let style = document.querySelector('style[data-klx-id="${id}"]');\n`);
+        output.append(`  if (!style) {\n`);
+        output.append(`    style = document.createElement('style');\n`);
+        output.append(`    style.setAttribute('data-klx-id', '${id}');\n`);
+        output.append(`    document.head.appendChild(style);\n`);
+        output.append(`  }\n`);
+        output.append(`  style.textContent = ${JSON.stringify(css)};\n`);
+        output.append(`}\n\n`);
     }
 
-    // Add HMR code
+    // Add HMR code: the running version decides how to apply the next one.
+    // Styles were already swapped when the next version ran.
     if (hotReload) {
-        code += `if (import.meta.hot) {\n`;
-        code += `  import.meta.hot.accept();\n`;
-        code += `}\n\n`;
+        output.append(`if (import.meta.hot) {\n`);
+        output.append(`  __options.__hmrId = '${id}';\n`);
+        output.append(`  __options.__hmrHash = ${JSON.stringify(hotReload)};\n`);
+        output.append(`  __hmr.createRecord(__options.__hmrId, __options);\n`);
+        output.append(`  import.meta.hot.accept((mod) => {\n`);
+        output.append(`    if (!mod) return;\n`);
+        output.append(`    const updated = mod.default.options || mod.default;\n`);
+        output.append(`    if (updated.__hmrHash.script !== __options.__hmrHash.script) {\n`);
+        output.append(`      __hmr.reload(updated.__hmrId, updated);\n`);
+        output.append(`    } else if (updated.__hmrHash.template !== __options.__hmrHash.template) {\n`);
+        output.append(`      __hmr.rerender(updated.__hmrId, updated.render);\n`);
+        output.append(`    }\n`);
+        output.append(`  });\n`);
+        output.append(`}\n\n`);
     }
 
-    return code;
-}
+    output.append('export default __component;\n');
 
-/**
- * Generate source map
- */
-function generateSourceMap(code, filename) {
-    return {
-        version: 3,
-        file: filename,
-        sources: [filename],
-        sourcesContent: [code],
-        names: [],
-        mappings: ''
-    };
+    return output;
 }
 
-export default { compileKLXFile };
\ No newline at end of file
+export default { compileKLXFile };
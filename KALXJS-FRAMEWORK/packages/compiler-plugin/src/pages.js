@@ -0,0 +1,206 @@
+/**
+ * @kalxjs/compiler-plugin - File-system routes
+ * Builds the route table of the `.klx` pages under a directory, which the
+ * build tool plugins serve as the `virtual:kalxjs-pages` module
+ *
+ * @module @kalxjs/compiler-plugin/pages
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import path from 'path';
+
+// Id the app imports the route table from
+export const PAGES_MODULE_ID = 'virtual:kalxjs-pages';
+
+// Id of the virtual module, the \0 keeps other plugins away from it
+export const RESOLVED_PAGES_MODULE_ID = '\0' + PAGES_MODULE_ID;
+
+/**
+ * Lists the pages under a directory
+ * Files starting with _ are left out, but for _layout.klx
+ * @param {string} pagesDir - Absolute path of the pages directory
+ * @returns {string[]} Paths of the pages relative to the directory, with / separators
+ */
+export function scanPages(pagesDir) {
+    const files = [];
+
+    const walk = (dir) => {
+        for (const entry of readdirSync(path.join(pagesDir, dir), { withFileTypes: true })) {
+            const file = dir ? `${dir}/${entry.name}` : entry.name;
+
+            if (entry.isDirectory()) {
+                walk(file);
+            } else if (entry.name.endsWith('.klx') && (!entry.name.startsWith('_') || entry.name === '_layout.klx')) {
+                files.push(file);
+            }
+        }
+    };
+
+    if (existsSync(pagesDir)) {
+        walk('');
+    }
+
+    return files.sort();
+}
+
+/**
+ * Checks whether a file is a page, to regenerate the routes when one is added or removed
+ * @param {string} file - Absolute path of the file
+ * @param {string} pagesDir - Absolute path of the pages directory
+ * @returns {boolean} Whether the file is a .klx file under the pages directory
+ */
+export function isPageFile(file, pagesDir) {
+    const relative = path.relative(pagesDir, file);
+    return relative.endsWith('.klx') && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Builds the routes of the pages
+ * - `index.klx` is the route of its directory
+ * - `[id].klx` and `[id]/` match a param, `[...slug].klx` the rest of the path
+ * - `_layout.klx` renders the pages of its directory as child routes
+ * - `users.klx` is left out, with a warning, when `users/index.klx` is there too
+ * - A `(group)/` directory groups pages, with their own layout, without adding to the path
+ * @param {string[]} files - Paths of the pages relative to the pages directory, from scanPages()
+ * @returns {Object[]} Route records whose `file` is the page to render
+ */
+export function createPageRoutes(files) {
+    const root = createNode();
+
+    for (const file of files) {
+        const segments = file.replace(/\.klx$/, '').split('/');
+        const name = segments.pop();
+
+        let node = root;
+        for (const dir of segments) {
+            if (!node.dirs.has(dir)) {
+                node.dirs.set(dir, createNode());
+            }
+            node = node.dirs.get(dir);
+        }
+
+        if (name === '_layout') {
+            node.layout = file;
+        } else {
+            node.pages.push({ name, file });
+        }
+    }
+
+    return buildRoutes(root, [], [], true);
+}
+
+/**
+ * Generates the code of the virtual module exporting the routes
+ * @param {Object[]} routes - Routes from createPageRoutes()
+ * @param {string} pagesDir - Absolute path of the pages directory
+ * @returns {string} Module code
+ */
+export function generatePagesModule(routes, pagesDir) {
+    const imports = [];
+    const root = pagesDir.split(path.sep).join('/');
+
+    const generateRoutes = (routes, indent) => routes.map(route => {
+        const component = `Page${imports.length}`;
+        imports.push(`import ${component} from ${JSON.stringify(`${root}/${route.file}`)};`);
+
+        const properties = [`path: ${JSON.stringify(route.path)}`];
+        if (route.name) {
+            properties.push(`name: ${JSON.stringify(route.name)}`);
+        }
+        properties.push(`component: ${component}`);
+        if (route.children) {
+            properties.push(`children: [\n${generateRoutes(route.children, indent + '        ')}\n${indent}    ]`);
+        }
+
+        return `${indent}{\n${properties.map(property => `${indent}    ${property}`).join(',\n')}\n${indent}}`;
+    }).join(',\n');
+
+    const code = generateRoutes(routes, '    ');
+    return `${imports.join('\n')}\n\nexport default [\n${code}\n];\n`;
+}
+
+/**
+ * @private
+ */
+function createNode() {
+    return { layout: null, pages: [], dirs: new Map() };
+}
+
+/**
+ * Builds the routes of a directory, the ones of a layout are relative to it
+ * @private
+ */
+function buildRoutes(node, pathSegments, nameSegments, absolute) {
+    if (node.layout) {
+        return [{
+            path: joinPath(pathSegments, absolute),
+            file: node.layout,
+            children: buildChildRoutes(node, [], nameSegments, false)
+        }];
+    }
+
+    return buildChildRoutes(node, pathSegments, nameSegments, absolute);
+}
+
+/**
+ * @private
+ */
+function buildChildRoutes(node, pathSegments, nameSegments, absolute) {
+    const pages = node.pages.filter(({ name, file }) => {
+        // users.klx and users/index.klx would be routes of the same path, under the same name
+        const index = node.dirs.get(name)?.pages.find(page => page.name === 'index');
+        if (index) {
+            console.warn(`[pages] ${file} and ${index.file} are both the page of the same path, ${file} is left out`);
+        }
+        return !index;
+    });
+
+    const routes = pages.map(({ name, file }) => {
+        const pageNames = name === 'index' ? nameSegments : [...nameSegments, toNameSegment(name)];
+
+        return {
+            path: joinPath(name === 'index' ? pathSegments : [...pathSegments, toPathSegment(name)], absolute),
+            name: pageNames.join('-') || 'index',
+            file
+        };
+    });
+
+    node.dirs.forEach((child, dir) => {
+        // Groups don't add to the path nor the name
+        const isGroup = /^\(.+\)$/.test(dir);
+
+        routes.push(...buildRoutes(
+            child,
+            isGroup ? pathSegments : [...pathSegments, toPathSegment(dir)],
+            isGroup ? nameSegments : [...nameSegments, toNameSegment(dir)],
+            absolute
+        ));
+    });
+
+    return routes;
+}
+
+/**
+ * @private
+ */
+function joinPath(segments, absolute) {
+    const joined = segments.join('/');
+    return absolute ? '/' + joined : joined;
+}
+
+/**
+ * Turns [...slug] into a param matching the rest of the path and [id] into a param
+ * @private
+ */
+function toPathSegment(name) {
+    return name
+        .replace(/\[\.\.\.(\w+)\]/g, ':$1(.*)*')
+        .replace(/\[(\w+)\]/g, ':$1');
+}
+
+/**
+ * @private
+ */
+function toNameSegment(name) {
+    return name.replace(/\[(?:\.\.\.)?(\w+)\]/g, '$1');
+}
@@ -5,9 +5,9 @@
  * @module @kalxjs/compiler-plugin/vite
  */
 
-import { compileTemplate } from '@kalxjs/compiler';
+import { compileKLXFile } from '../src/compile-klx.js';
+import { PAGES_MODULE_ID, RESOLVED_PAGES_MODULE_ID, scanPages, createPageRoutes, generatePagesModule, isPageFile } from '../src/pages.js';
 import { createFilter } from '@rollup/pluginutils';
-import fs from 'fs';
 import path from 'path';
 
 /**
@@ -27,7 +27,11 @@ import path from 'path';
  *     kalxjs({
  *       include: '**\/*.klx',
  *       hmr: true,
- *       devtools: true
+ *       devtools: true,
+ *       // Transformers for custom blocks, see registerBlockTransformer()
+ *       customBlocks: { docs: () => null },
+ *       // Directory of the pages `virtual:kalxjs-pages` builds the routes of
+ *       pages: 'src/pages'
  *     })
  *   ]
  * });
@@ -40,15 +44,15 @@ export default function kalxjsPlugin(options = {}) {
         hmr = true,
         devtools = true,
         compiler = {},
-        ssr = false
+        customBlocks,
+        ssr = false,
+        pages = 'src/pages'
     } = options;
 
     const filter = createFilter(include, exclude);
     let config;
     let isProduction = false;
-
-    // Store component metadata for HMR
-    const componentMap = new Map();
+    let pagesDir;
 
     return {
         name: 'vite-plugin-kalxjs',
@@ -82,6 +86,25 @@ export default function kalxjsPlugin(options = {}) {
          */
         configResolved(resolvedConfig) {
             config = resolvedConfig;
+            pagesDir = path.resolve(config.root, pages);
+        },
+
+        /**
+         * Resolve the routes of the pages
+         */
+        resolveId(id) {
+            if (id === PAGES_MODULE_ID) {
+                return RESOLVED_PAGES_MODULE_ID;
+            }
+        },
+
+        /**
+         * Generate the routes of the pages
+         */
+        load(id) {
+            if (id === RESOLVED_PAGES_MODULE_ID) {
+                return generatePagesModule(createPageRoutes(scanPages(pagesDir)), pagesDir);
+            }
         },
 
         /**
@@ -97,17 +120,10 @@ export default function kalxjsPlugin(options = {}) {
                     sourceMap: !isProduction,
                     hmr: hmr && !isProduction,
                     ssr,
+                    customBlocks,
                     ...compiler
                 });
 
-                // Store component metadata for HMR
-                if (hmr && !isProduction) {
-                    componentMap.set(id, {
-                        code: compiled.code,
-                        timestamp: Date.now()
-                    });
-                }
-
                 return {
                     code: compiled.code,
                     map: compiled.map
@@ -122,41 +138,12 @@ export default function kalxjsPlugin(options = {}) {
 
         /**
          * Handle HMR updates
+         * Compiled .klx modules accept their own updates: the hmrRuntime of
+         * @kalxjs/core re-renders or reloads the live instances, and a
+         * style-only change just swaps the injected CSS.
          */
-        async handleHotUpdate({ file, server, modules }) {
+        handleHotUpdate({ file, modules }) {
             if (!filter(file)) return;
-
-            const metadata = componentMap.get(file);
-            if (!metadata) return;
-
-            // Read updated file
-            const code = await fs.promises.readFile(file, 'utf-8');
-
-            // Recompile
-            const compiled = await compileKLX(code, {
-                filename: file,
-                hmr: true,
-                ...compiler
-            });
-
-            // Update metadata
-            componentMap.set(file, {
-                code: compiled.code,
-                timestamp: Date.now()
-            });
-
-            // Send HMR update to client
-            server.ws.send({
-                type: 'custom',
-                event: 'kalxjs:update',
-                data: {
-                    file,
-                    timestamp: Date.now(),
-                    type: 'component-update'
-                }
-            });
-
-            // Return affected modules
             return modules;
         },
 
@@ -177,6 +164,19 @@ export default function kalxjsPlugin(options = {}) {
             server.ws.on('kalxjs:hmr', (data) => {
                 console.log('[KALXJS HMR]', data);
             });
+
+            // Regenerate the routes when a page is added or removed
+            const reloadPages = (file) => {
+                if (!isPageFile(file, pagesDir)) return;
+
+                const module = server.moduleGraph.getModuleById(RESOLVED_PAGES_MODULE_ID);
+                if (module) {
+                    server.moduleGraph.invalidateModule(module);
+                    server.ws.send({ type: 'full-reload' });
+                }
+            };
+            server.watcher.on('add', reloadPages);
+            server.watcher.on('unlink', reloadPages);
         },
 
         /**
@@ -197,197 +197,21 @@ export default function kalxjsPlugin(options = {}) {
 
 /**
  * Compile .klx single file component
+ * Uses the compiler shared with the other build tool plugins, so the module
+ * comes with a source map into the .klx file
  */
 async function compileKLX(source, options) {
-    const { filename, hmr, ssr, sourceMap } = options;
+    const { hmr, ssr, ...compilerOptions } = options;
 
-    // Parse SFC
-    const descriptor = parseSFC(source, filename);
-
-    // Compile template
-    const templateCode = descriptor.template
-        ? await compileTemplate(descriptor.template.content, options)
-        : null;
-
-    // Process script
-    const scriptCode = descriptor.script
-        ? processScript(descriptor.script.content, descriptor, options)
-        : '';
-
-    // Process styles
-    const stylesCode = descriptor.styles
-        ? processStyles(descriptor.styles, descriptor, options)
-        : '';
-
-    // Generate final code
-    const code = generateComponentCode({
-        template: templateCode,
-        script: scriptCode,
-        styles: stylesCode,
-        filename,
-        hmr,
+    const result = await compileKLXFile(source, {
+        ...compilerOptions,
+        hotReload: hmr,
         ssr
     });
 
     return {
-        code,
-        map: sourceMap ? generateSourceMap(code, filename) : null
-    };
-}
-
-/**
- * Parse Single File Component
- */
-function parseSFC(source, filename) {
-    const templateMatch = source.match(/<template>([\s\S]*?)<\/template>/);
-    const scriptMatch = source.match(/<script>([\s\S]*?)<\/script>/);
-    const styleMatches = [...source.matchAll(/<style([^>]*)>([\s\S]*?)<\/style>/g)];
-
-    return {
-        filename,
-        template: templateMatch ? {
-            content: templateMatch[1].trim(),
-            loc: { start: 0, end: templateMatch[0].length }
-        } : null,
-        script: scriptMatch ? {
-            content: scriptMatch[1].trim(),
-            loc: { start: 0, end: scriptMatch[0].length }
-        } : null,
-        styles: styleMatches.map(match => ({
-            content: match[2].trim(),
-            attrs: parseAttrs(match[1]),
-            scoped: match[1].includes('scoped'),
-            module: match[1].includes('module')
-        }))
-    };
-}
-
-/**
- * Parse attributes from tag
- */
-function parseAttrs(attrString) {
-    const attrs = {};
-    const regex = /(\w+)(?:="([^"]*)")?/g;
-    let match;
-
-    while ((match = regex.exec(attrString)) !== null) {
-        attrs[match[1]] = match[2] || true;
-    }
-
-    return attrs;
-}
-
-/**
- * Process script section
- */
-function processScript(script, descriptor, options) {
-    // Handle <script setup> in the future
-    return script;
-}
-
-/**
- * Process styles section
- */
-function processStyles(styles, descriptor, options) {
-    return styles.map((style, i) => {
-        let css = style.content;
-
-        // Add scoped attributes if needed
-        if (style.scoped) {
-            const scopeId = generateScopeId(descriptor.filename);
-            css = scopeStyles(css, scopeId);
-        }
-
-        return css;
-    }).join('\n');
-}
-
-/**
- * Generate scope ID for scoped styles
- */
-function generateScopeId(filename) {
-    const hash = filename.split('').reduce((a, b) => {
-        a = ((a << 5) - a) + b.charCodeAt(0);
-        return a & a;
-    }, 0);
-    return `data-v-${Math.abs(hash).toString(16)}`;
-}
-
-/**
- * Scope CSS with data attribute
- */
-function scopeStyles(css, scopeId) {
-    return css.replace(/([^\r\n,{}]+)(,(?=[^}]*{)|\s*{)/g, (match, selector) => {
-        selector = selector.trim();
-        return `${selector}[${scopeId}]${match.slice(selector.length)}`;
-    });
-}
-
-/**
- * Generate final component code
- */
-function generateComponentCode({ template, script, styles, filename, hmr, ssr }) {
-    const componentName = path.basename(filename, '.klx').replace(/[^a-zA-Z0-9]/g, '_');
-
-    let code = '';
-
-    // Import statements
-    code += `import { defineComponent } from '@kalxjs/core';\n\n`;
-
-    // Script content
-    if (script) {
-        code += `${script}\n\n`;
-    }
-
-    // Template function
-    if (template) {
-        code += `const render = ${template};\n\n`;
-    }
-
-    // Component definition
-    code += `const ${componentName} = defineComponent({\n`;
-    code += `  name: '${componentName}',\n`;
-    if (template) {
-        code += `  render,\n`;
-    }
-    code += `  ...options\n`;
-    code += `});\n\n`;
-
-    // Styles (injected at runtime)
-    if (styles) {
-        code += `if (typeof document !== 'undefined') {\n`;
-        code += `  const style = document.createElement('style');\n`;
-        code += `  style.textContent = ${JSON.stringify(styles)};\n`;
-        code += `  document.head.appendChild(style);\n`;
-        code += `}\n\n`;
-    }
-
-    // HMR code
-    if (hmr) {
-        code += `if (import.meta.hot) {\n`;
-        code += `  import.meta.hot.accept();\n`;
-        code += `  import.meta.hot.data = { component: ${componentName} };\n`;
-        code += `}\n\n`;
-    }
-
-    // Export
-    code += `export default ${componentName};\n`;
-
-    return code;
-}
-
-/**
- * Generate source map
- */
-function generateSourceMap(code, filename) {
-    // Simplified source map generation
-    return {
-        version: 3,
-        file: filename,
-        sources: [filename],
-        sourcesContent: [code],
-        names: [],
-        mappings: ''
+        code: result.code,
+        map: result.map
     };
 }
 
@@ -24,7 +24,7 @@ export default [
             nodeResolve(),
             terser()
         ],
-        external: ['@babel/core', '@babel/preset-env'],
+        external: ['@babel/core', '@babel/parser', '@babel/preset-env', /^@jridgewell\//],
         onwarn(warning, warn) {
             // Suppress circular dependency warnings
             if (warning.code === 'CIRCULAR_DEPENDENCY') return;
@@ -0,0 +1,21 @@
+// @kalxjs/compiler - Binding metadata
+// What <script setup> tells the template compiler about the names it declares,
+// so templates can read them directly instead of going through `this`.
+
+/**
+ * Kinds of names a template can read from <script setup>
+ */
+export const BindingTypes = {
+    // Declared prop, read from $props
+    PROPS: 'props',
+    // ref(), computed() and other refs: read and written through .value
+    SETUP_REF: 'setup-ref',
+    // const of unknown value, unwrapped in case it holds a ref
+    SETUP_MAYBE_REF: 'setup-maybe-ref',
+    // let or var, may be reassigned to anything
+    SETUP_LET: 'setup-let',
+    // reactive() and props objects, used as they are
+    SETUP_REACTIVE_CONST: 'setup-reactive-const',
+    // Functions, classes, literals and imports that never hold a ref
+    SETUP_CONST: 'setup-const'
+};
@@ -1,5 +1,7 @@
 // @kalxjs/compiler - Code generation for .klx files
 
+import { generateCssVarsCode } from './css/scoped.js';
+
 /**
  * Generates JavaScript code from compiled component
  * @param {Object} compiled - Compiled component
@@ -83,6 +85,17 @@ export function generateCode(compiled, options = {}) {
         if (!hasHImport) coreImports.add('h');
         if (!hasDefineComponentImport) coreImports.add('defineComponent');
 
+        // Compiled templates render their root as a block
+        if (template && template.code && template.code.includes('createBlock(')) {
+            coreImports.add('openBlock');
+            coreImports.add('createBlock');
+        }
+
+        // Runtime helpers used by expressions, v-for...
+        if (template && template.helpers) {
+            template.helpers.forEach(helper => coreImports.add(helper));
+        }
+
         // Process imports to remove duplicates and consolidate @kalxjs/core imports
         const processedImports = [];
         const nonCoreImports = [];
@@ -120,9 +133,27 @@ export function generateCode(compiled, options = {}) {
         // Add a newline after imports
         code += '\n';
 
+        // Static vnodes hoisted out of the render function are created once per module
+        if (template && template.hoisted && template.hoisted.length > 0) {
+            code += template.hoisted.join('\n') + '\n\n';
+        }
+
         // Add the component definition
         code += `export default defineComponent({\n`;
 
+        // Scoped styles match slot content by the component's scope id, and
+        // v-bind() in styles reads custom property values from the instance
+        if (style && style.scopeId) {
+            code += `  __scopeId: '${style.scopeId}',\n`;
+        }
+        if (style && style.cssVars && style.cssVars.length > 0) {
+            code += `  __cssVars: ${generateCssVarsCode(style.cssVars)},\n`;
+        }
+        // Class names of <style module> blocks, exposed as `$style` or the module's name
+        if (style && style.modules && Object.keys(style.modules).length > 0) {
+            code += `  __cssModules: ${JSON.stringify(style.modules)},\n`;
+        }
+
         // Add name if not present
         if (!scriptContent.includes('name:')) {
             const filename = options.filename || 'AnonymousComponent';
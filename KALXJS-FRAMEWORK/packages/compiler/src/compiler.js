@@ -1,8 +1,49 @@
 // @kalxjs/compiler - Compiler for .klx files
 
 import { parseTemplate } from './parser.js';
-import { parseTemplate as parseTemplateRobust } from './robust-parser.js';
-import { parseTemplate as parseTemplateSimple } from './simple-parser.js';
+import { CompilerError, ErrorCodes } from './errors.js';
+import {
+    createExpressionContext,
+    processExpression,
+    processHandler,
+    processParams,
+    isInlineHandler,
+    addIdentifiers,
+    removeIdentifiers
+} from './expression.js';
+import { parseVForExpression } from './directives/v-for.js';
+import { parseVSlot } from './directives/v-slot.js';
+import { generateVOnceCode } from './directives/v-once.js';
+import { generateVMemoCode } from './directives/v-memo.js';
+import { generateVHtmlCode } from './directives/v-html.js';
+import { generateVTextCode } from './directives/v-text.js';
+import { createMarker, resolveMarkers } from './source-map.js';
+import { generateDOMRenderFunction } from './dom/codegen.js';
+import { compileStyle } from './css/scoped.js';
+import { processCSSModule, isCSSModule, getCSSModuleName } from './css/modules.js';
+import {
+    PatchFlags,
+    analyzePatchFlags,
+    getDynamicPropNames,
+    isStaticNode
+} from './optimizer/patch-flags.js';
+
+// Fragment flags describe children lists, not the element itself
+const FRAGMENT_FLAGS = PatchFlags.STABLE_FRAGMENT | PatchFlags.KEYED_FRAGMENT | PatchFlags.UNKEYED_FRAGMENT;
+
+// Directives that decide whether and how often an element is rendered
+const STRUCTURAL_DIRECTIVES = ['v-if', 'v-else-if', 'v-else', 'v-for'];
+
+// Directives handled around the element rather than as props. v-cloak only
+// matters for markup shown before the app mounts, so it isn't rendered.
+const ELEMENT_DIRECTIVES = ['v-once', 'v-memo', 'v-pre', 'v-cloak'];
+
+// Names of the directives the compiler implements, every other `v-` attribute
+// is a custom directive resolved at runtime
+const BUILT_IN_DIRECTIVES = [
+    'if', 'else-if', 'else', 'for', 'once', 'memo', 'pre', 'cloak',
+    'bind', 'on', 'model', 'slot', 'html', 'text'
+];
 
 /**
  * Compiles a parsed KLX component AST
@@ -18,6 +59,11 @@ export function compile(ast, options = {}) {
         errors: [...(ast.errors || [])]
     };
 
+    // Elements of the template carry the attribute that scoped style selectors match
+    const styles = ast.styles || (ast.style ? [ast.style] : []);
+    const styleId = styles.length > 0 ? generateScopeId(options.filename) : null;
+    const scopeId = styles.some(style => style.scoped) ? `data-v-${styleId}` : null;
+
     // Compile template
     if (ast.template) {
         try {
@@ -34,24 +80,18 @@ export function compile(ast, options = {}) {
 }`
                 };
             } else {
-                // Parse and compile the actual template
-                // Try the simple parser first, then robust parser, then fall back to the original
-                let templateAst;
-                try {
-                    templateAst = parseTemplateSimple(ast.template.content);
-                    console.log('[compiler] Using simple template parser');
-                } catch (simpleError) {
-                    console.warn('[compiler] Simple template parser failed, trying robust parser:', simpleError);
-                    try {
-                        templateAst = parseTemplateRobust(ast.template.content);
-                        console.log('[compiler] Using robust template parser');
-                    } catch (error) {
-                        console.warn('[compiler] Robust template parser failed, falling back to original:', error);
-                        templateAst = parseTemplate(ast.template.content);
-                        console.log('[compiler] Using original template parser');
-                    }
+                // parse() already built the AST of the template block, with
+                // locations relative to the .klx file
+                let templateAst = ast.template.ast;
+                let source = ast.source;
+                if (!templateAst) {
+                    templateAst = parseTemplate(ast.template.content, { filename: options.filename });
+                    source = ast.template.content;
+                    result.errors.push(...templateAst.errors);
                 }
-                result.template = compileTemplate(templateAst, options);
+                const mode = options.mode || ast.template.attrs?.mode;
+                result.template = compileTemplate(templateAst, { ...options, scopeId, mode }, source);
+                result.errors.push(...result.template.errors);
             }
         } catch (error) {
             console.error(`[compiler] Template compilation error:`, error);
@@ -132,11 +172,33 @@ export default {
         };
     }
 
-    // Process style
-    if (ast.style) {
+    // Process styles, every block goes into one stylesheet
+    if (styles.length > 0) {
         try {
-            console.log(`[compiler] Processing style for ${options.filename || 'unknown'}`);
-            result.style = processStyle(ast.style.content, ast.style.scoped, options);
+            console.log(`[compiler] Processing ${styles.length} style block(s) for ${options.filename || 'unknown'}`);
+            const processed = styles.map(style => processStyle(style.content, style.scoped, {
+                ...options,
+                id: styleId,
+                module: isCSSModule(style.attrs) ? getCSSModuleName(style.attrs) : null
+            }));
+
+            result.style = {
+                code: processed.map(style => style.code).join('\n'),
+                scopeId,
+                cssVars: [],
+                modules: {},
+                errors: []
+            };
+            processed.forEach(style => {
+                (style.cssVars || [])
+                    .filter(cssVar => !result.style.cssVars.some(existing => existing.name === cssVar.name))
+                    .forEach(cssVar => result.style.cssVars.push(cssVar));
+                if (style.module) {
+                    result.style.modules[style.module.name] = style.module.exports;
+                }
+                result.style.errors.push(...(style.errors || []));
+            });
+            result.errors.push(...result.style.errors);
         } catch (error) {
             console.error(`[compiler] Style compilation error:`, error);
             result.errors.push(`Style compilation error: ${error.message}`);
@@ -147,55 +209,75 @@ export default {
 }
 
 /**
- * Compiles a template AST into a render function
- * @param {Object} ast - Template AST
- * @param {Object} options - Compilation options
- * @returns {Object} Compiled template
+ * Compiles a template into a render function
+ * @param {string|Object} template - Template source, or a template AST from parse()/parseTemplate()
+ * @param {Object} [options] - Compilation options
+ * @param {string} [options.filename] - File the template comes from
+ * @param {boolean} [options.sourceMap] - Also return a source map of the render function
+ * @param {string} [options.scopeId] - Scope attribute (`data-v-<id>`) added to every element, for scoped styles
+ * @param {Object} [options.bindingMetadata] - Names declared by <script setup> and their BindingTypes; the
+ *   render function then reads them from its `$props` and `$setup` arguments
+ * @param {string} [options.mode] - `'dom'` compiles to code updating the DOM directly instead of
+ *   returning vnodes, see dom/codegen.js. Templates using what it doesn't support yet stay on the virtual DOM.
+ * @param {string} [source] - Source the AST locations point into, for diagnostics and source maps
+ * @returns {Object} Compiled template ({ code, hoisted, helpers, errors, map, ast })
  */
-function compileTemplate(ast, options) {
+export function compileTemplate(template, options = {}, source) {
     try {
-        // Convert the template AST to a render function
-        let renderCode = generateRenderFunction(ast);
-
-        // Validate and fix the render function code
-        try {
-            // Check for incomplete expressions
-            if (renderCode.includes('{{') || renderCode.includes('}}')) {
-                console.warn('[compiler] Found unprocessed template expressions in render function');
-                renderCode = renderCode
-                    .replace(/{{/g, '')
-                    .replace(/}}/g, '');
-            }
-
-            // Check for unbalanced parentheses
-            const openParens = (renderCode.match(/\(/g) || []).length;
-            const closeParens = (renderCode.match(/\)/g) || []).length;
-            if (openParens !== closeParens) {
-                console.warn(`[compiler] Unbalanced parentheses in render function: ${openParens} open vs ${closeParens} close`);
+        let ast = template;
+        if (typeof template === 'string') {
+            ast = parseTemplate(template, { filename: options.filename });
+            source = template;
+        }
+        if (source == null && ast.loc) {
+            source = ast.loc.source;
+        }
 
-                // Try to fix by adding missing closing parentheses
-                if (openParens > closeParens) {
-                    renderCode = renderCode.replace(/;\n}$/, `${')'.repeat(openParens - closeParens)};\n}`);
-                }
-            }
+        const context = {
+            ...createExpressionContext({ source, filename: options.filename, bindingMetadata: options.bindingMetadata }),
+            // Static subtrees are hoisted out of the render function into this list
+            hoisted: [],
+            // Runtime helpers the render function calls
+            helpers: new Set(),
+            // v-if and v-for change which nodes exist between renders
+            hasStructuralDirectives: false,
+            // Slots taken in the instance's render cache by v-once and v-memo subtrees
+            cacheIndex: 0,
+            // Generating a v-once subtree, or the item of a v-for
+            inVOnce: false,
+            inVFor: false,
+            // Custom directives resolved by name, and the variable holding each
+            directives: new Map(),
+            // Source locations of the markers left in the code for the source map
+            marks: options.sourceMap ? [] : null,
+            scopeId: options.scopeId || null
+        };
 
-            // Check for unbalanced brackets
-            const openBrackets = (renderCode.match(/\[/g) || []).length;
-            const closeBrackets = (renderCode.match(/\]/g) || []).length;
-            if (openBrackets !== closeBrackets) {
-                console.warn(`[compiler] Unbalanced brackets in render function: ${openBrackets} open vs ${closeBrackets} close`);
+        // Convert the template AST to a render function
+        let renderCode = null;
+        if (options.mode === 'dom') {
+            renderCode = generateDOMRenderFunction(ast, context);
+        } else if (options.mode && options.mode !== 'vdom') {
+            console.warn(`[compiler] Unknown template mode "${options.mode}", compiling to the virtual DOM`);
+        }
+        if (renderCode == null) {
+            renderCode = generateRenderFunction(ast, context);
+        }
 
-                // Try to fix by adding missing closing brackets
-                if (openBrackets > closeBrackets) {
-                    renderCode = renderCode.replace(/;\n}$/, `${']'.repeat(openBrackets - closeBrackets)};\n}`);
-                }
-            }
-        } catch (validationError) {
-            console.error('[compiler] Error validating render function:', validationError);
+        let map = null;
+        if (context.marks) {
+            ({ code: renderCode, map } = resolveMarkers(renderCode, context.marks, {
+                filename: options.filename || 'template.html',
+                source
+            }));
         }
 
         return {
             code: renderCode,
+            hoisted: context.hoisted,
+            helpers: Array.from(context.helpers),
+            errors: typeof template === 'string' ? [...ast.errors, ...context.errors] : context.errors,
+            map,
             ast
         };
     } catch (error) {
@@ -206,64 +288,49 @@ function compileTemplate(ast, options) {
 
 /**
  * Generates a render function from a template AST
+ * The root element is a block, so updates only visit its dynamic descendants.
+ * Templates using v-if or v-for are diffed as a whole instead, since their
+ * dynamic nodes don't line up between renders.
  * @private
  * @param {Object} ast - Template AST
+ * @param {Object} context - Codegen context, collects hoisted declarations
  * @returns {string} Render function code
  */
-function generateRenderFunction(ast) {
+function generateRenderFunction(ast, context) {
     try {
-        // Start the render function
-        let code = 'function render() {\n';
+        // Start the render function, <script setup> state is passed in
+        let code = context.bindingMetadata ? 'function render($props, $setup) {\n' : 'function render() {\n';
+
+        const roots = (ast.children || []).filter(child =>
+            child.type !== 'Comment' && !(child.type === 'Text' && !child.content.trim())
+        );
 
         // Check if we have any children
-        if (!ast.children || ast.children.length === 0) {
+        if (roots.length === 0) {
             code += '  return h(\'div\', {}, [\'Empty template\']);\n}';
             return code;
         }
 
-        code += '  return h(';
-
-        // Generate code for the root element
-        code += generateElementCode(ast.children[0]);
-
-        // Close the render function
-        code += ');\n}';
-
-        // Validate the generated code
-        try {
-            // Check for incomplete expressions
-            if (code.includes('{{') || code.includes('}}')) {
-                console.warn('[compiler] Found unprocessed template expressions in render function');
-                code = code.replace(/{{/g, '');
-                code = code.replace(/}}/g, '');
-            }
-
-            // Check for unbalanced parentheses
-            const openParens = (code.match(/\(/g) || []).length;
-            const closeParens = (code.match(/\)/g) || []).length;
-            if (openParens !== closeParens) {
-                console.warn(`[compiler] Unbalanced parentheses in render function: ${openParens} open vs ${closeParens} close`);
-                // Try to fix by adding missing closing parentheses
-                if (openParens > closeParens) {
-                    code = code.replace(/;\n}$/, `${')'.repeat(openParens - closeParens)};\n}`);
-                }
-            }
+        const root = roots[0];
+        if (roots.length === 1 && root.type === 'Element' && !isStructural(root) && !isCached(root)) {
+            const rootMark = mark(context, root.loc);
+            const rootCode = generateElementCode(root, context);
+            code += context.hasStructuralDirectives
+                ? `  return ${rootMark}${wrapDirectives(`h(${rootCode})`, root, context)};\n}`
+                : `  return (openBlock(), ${rootMark}${wrapDirectives(`createBlock(${rootCode})`, root, context)});\n}`;
+            return declareRenderLocals(code, context);
+        }
 
-            // Check for unbalanced brackets
-            const openBrackets = (code.match(/\[/g) || []).length;
-            const closeBrackets = (code.match(/\]/g) || []).length;
-            if (openBrackets !== closeBrackets) {
-                console.warn(`[compiler] Unbalanced brackets in render function: ${openBrackets} open vs ${closeBrackets} close`);
-                // Try to fix by adding missing closing brackets
-                if (openBrackets > closeBrackets) {
-                    code = code.replace(/;\n}$/, `${']'.repeat(openBrackets - closeBrackets)};\n}`);
-                }
-            }
-        } catch (validationError) {
-            console.error('[compiler] Error validating render function:', validationError);
+        const items = generateChildrenCode(roots, context, false);
+        if (items.length === 1 && !items[0].startsWith('...')) {
+            code += `  return ${items[0]};\n}`;
+        } else {
+            // The renderer mounts a single root, so sibling roots share a wrapper
+            console.warn('[compiler] Template has more than one root node, wrapping them in a <div>');
+            code += `  return h('div', {}, [${items.join(', ')}]);\n}`;
         }
 
-        return code;
+        return declareRenderLocals(code, context);
     } catch (error) {
         console.error(`[compiler] Error in generateRenderFunction:`, error);
 
@@ -280,130 +347,833 @@ function generateRenderFunction(ast) {
 }
 
 /**
- * Generates code for an element node
+ * Declares at the top of a render function the component as `_ctx` if a
+ * nested function reads from it, the custom directives it resolves by name,
+ * and the render cache if the template uses v-once or v-memo. The cache
+ * lives on the component instance, so it outlives the render.
  * @private
- * @param {Object} node - Element node
- * @returns {string} Element code
+ * @param {string} code - Render function code
+ * @param {Object} context - Codegen context
+ * @returns {string} Render function code
  */
-function generateElementCode(node) {
-    if (!node) return 'null';
+function declareRenderLocals(code, context) {
+    const locals = Array.from(context.directives, ([name, id]) => `  const ${id} = resolveDirective(${JSON.stringify(name)});\n`);
+    if (context.usesContext) {
+        locals.unshift('  const _ctx = this;\n');
+    }
+    if (context.cacheIndex > 0) {
+        locals.push('  const _cache = this._renderCache || (this._renderCache = []);\n');
+    }
+    if (locals.length === 0) {
+        return code;
+    }
+    const bodyStart = code.indexOf('\n') + 1;
+    return `${code.slice(0, bodyStart)}${locals.join('')}${code.slice(bodyStart)}`;
+}
 
-    try {
-        if (node.type === 'Text') {
-            // Trim whitespace and check if the content is just whitespace
-            const trimmed = node.content.trim();
-            if (!trimmed) {
-                return '""'; // Return empty string for whitespace-only nodes
-            }
+/**
+ * Generates the entries of a children array
+ * Adjacent text and interpolations become one string, v-if chains become a
+ * conditional and v-for becomes a spread list
+ * @private
+ * @param {Array} children - Child nodes
+ * @param {Object} context - Codegen context
+ * @param {boolean} [hoist=true] - Whether static elements may be hoisted
+ * @returns {string[]} Code of each entry
+ */
+function generateChildrenCode(children, context, hoist = true) {
+    const items = [];
 
-            // Check for template expressions in text nodes
-            if (node.content.includes('{{') && node.content.includes('}}')) {
-                // Extract the expression
-                const expressionMatch = /{{([^}]+)}}/g.exec(node.content);
-                if (expressionMatch && expressionMatch[1]) {
-                    const expression = expressionMatch[1].trim();
-                    return `this.${expression}`;
-                }
-            }
+    for (let i = 0; i < children.length; i++) {
+        const child = children[i];
 
-            return JSON.stringify(node.content);
+        if (child.type === 'Text' || child.type === 'Expression') {
+            const parts = [];
+            while (i < children.length && (children[i].type === 'Text' || children[i].type === 'Expression')) {
+                parts.push(children[i++]);
+            }
+            i--;
+            items.push(generateTextCode(parts, context));
+            continue;
         }
 
-        if (node.type === 'Expression') {
-            // Handle expressions safely
-            return `this.${node.content}`;
+        if (child.type !== 'Element') {
+            continue;
         }
 
-        if (node.type === 'Element') {
-            // Handle component names (capitalized tags)
-            const isComponent = node.tag.charAt(0) === node.tag.charAt(0).toUpperCase();
-            let tagCode = isComponent ? node.tag : `'${node.tag}'`;
-
-            let code = `${tagCode}, `;
-
-            // Generate attributes
-            code += '{ ';
-            for (const [key, value] of Object.entries(node.attrs || {})) {
-                // Convert hyphenated attributes to camelCase or quoted property names
-                const propKey = key.includes('-') ? `'${key}'` : key;
-
-                if (key.startsWith('@') || (key.startsWith('on') && typeof value === 'string')) {
-                    // Event handler
-                    const eventName = key.startsWith('@') ? key.slice(1) : key.slice(2);
-                    code += `${key.startsWith('@') ? `'on${eventName.charAt(0).toUpperCase() + eventName.slice(1)}'` : propKey}: this.${value}, `;
-                } else if (key.startsWith(':') || key.startsWith('v-bind:')) {
-                    // Dynamic binding
-                    const bindName = key.startsWith(':') ? key.slice(1) : key.slice(7);
-                    code += `${bindName}: this.${value}, `;
-                } else if (key.startsWith('v-')) {
-                    // Handle directives (simplified)
-                    if (key === 'v-if') {
-                        // We're not actually implementing v-if here, just showing how it might be handled
-                        code += `// v-if="${value}" would be processed here, `;
-                    } else if (key === 'v-for') {
-                        // We're not actually implementing v-for here, just showing how it might be handled
-                        code += `// v-for="${value}" would be processed here, `;
-                    } else if (key === 'v-model') {
-                        // Basic v-model implementation
-                        code += `value: this.${value}, onInput: (e) => { this.${value} = e.target.value; }, `;
-                    } else {
-                        code += `// ${key}="${value}" directive not implemented, `;
+        try {
+            if (hasAttr(child, 'v-pre')) {
+                // Directives of a v-pre element are plain attributes
+                items.push(generateNodeCode(child, context, hoist));
+            } else if (hasAttr(child, 'v-if')) {
+                const branches = [child];
+
+                // v-else-if / v-else siblings, only whitespace and comments may sit in between
+                for (let j = i + 1; j < children.length; j++) {
+                    const next = children[j];
+                    if (next.type === 'Comment' || (next.type === 'Text' && !next.content.trim())) {
+                        continue;
                     }
-                } else if (typeof value === 'string' && value.startsWith('this.')) {
-                    // Dynamic attribute already referencing this
-                    code += `${propKey}: ${value}, `;
-                } else if (typeof value === 'boolean') {
-                    // Boolean attribute
-                    code += `${propKey}: ${value}, `;
-                } else {
-                    // Static attribute
-                    code += `${propKey}: ${JSON.stringify(value)}, `;
-                }
-            }
-            code += '}, ';
-
-            // Generate children
-            if (node.children && node.children.length) {
-                code += '[';
-                for (let i = 0; i < node.children.length; i++) {
-                    const child = node.children[i];
-                    try {
-                        // For element children, we need to use h() function
-                        if (child.type === 'Element') {
-                            code += `h(${generateElementCode(child)})`;
-                        } else {
-                            code += generateElementCode(child);
-                        }
-
-                        // Add comma only if not the last child
-                        if (i < node.children.length - 1) {
-                            code += ', ';
-                        }
-                    } catch (childError) {
-                        console.error(`[compiler] Error generating code for child:`, child, childError);
-                        code += `h('div', { style: 'color: red;' }, ['Error: ${childError.message}'])`;
-
-                        // Add comma only if not the last child
-                        if (i < node.children.length - 1) {
-                            code += ', ';
-                        }
+                    if (next.type !== 'Element' || !(hasAttr(next, 'v-else-if') || hasAttr(next, 'v-else'))) {
+                        break;
                     }
+                    branches.push(next);
+                    i = j;
+                    if (hasAttr(next, 'v-else')) break;
                 }
-                code += ']';
+
+                items.push(generateIfCode(branches, context));
+            } else if (hasAttr(child, 'v-else-if') || hasAttr(child, 'v-else')) {
+                context.errors.push(new CompilerError(ErrorCodes.X_V_ELSE_NO_ADJACENT_IF, child.loc, {
+                    source: context.source,
+                    filename: context.filename
+                }));
             } else {
-                code += '[]';
+                items.push(generateNodeCode(child, context, hoist));
             }
+        } catch (childError) {
+            console.error(`[compiler] Error generating code for child:`, child, childError);
+            items.push(`h('div', { style: 'color: red;' }, [${JSON.stringify(`Error: ${childError.message}`)}])`);
+        }
+    }
 
-            return code;
+    return items;
+}
+
+/**
+ * Generates one text child from adjacent text and interpolation nodes:
+ * `Hi {{ name }}!` -> `"Hi " + toDisplayString(this.name) + "!"`
+ * @private
+ * @param {Array} parts - Text and Expression nodes
+ * @param {Object} context - Codegen context
+ * @returns {string} String expression
+ */
+export function generateTextCode(parts, context) {
+    return parts.map(part => {
+        if (part.type === 'Text') {
+            return `${mark(context, part.loc)}${JSON.stringify(part.content)}`;
         }
+        context.helpers.add('toDisplayString');
+        return `${mark(context, part.loc)}toDisplayString(${processExpression(part.content, context, part.loc)})`;
+    }).join(' + ');
+}
 
+/**
+ * Generates code for an element child: a vnode, a hoisted vnode, or a spread
+ * list for v-for and <template>
+ * @private
+ * @param {Object} node - Element node
+ * @param {Object} context - Codegen context
+ * @param {boolean} [hoist=true] - Whether a static element may be hoisted
+ * @returns {string} Child code
+ */
+function generateNodeCode(node, context, hoist = true) {
+    if (hasAttr(node, 'v-pre')) {
+        return `${mark(context, node.loc)}${hoist ? hoistStaticElement(node, context) : `h(${generateElementCode(node, context)})`}`;
+    }
+
+    if (hasAttr(node, 'v-for')) {
+        return generateForCode(node, context);
+    }
+
+    // <template> only groups its children
+    if (node.tag === 'template') {
+        if (isCached(node)) {
+            console.warn(`[compiler] ${getCacheDirective(node)} is not supported on <template>, put it on an element`);
+        }
+        return `...[${generateChildrenCode(node.children || [], context, hoist).join(', ')}]`;
+    }
+
+    if (isCached(node) && !context.inVOnce) {
+        return generateCachedCode(node, context);
+    }
+
+    if (hoist && isStaticNode(node)) {
+        return `${mark(context, node.loc)}${hoistStaticElement(node, context)}`;
+    }
+
+    return `${mark(context, node.loc)}${generateVNodeCode(node, context)}`;
+}
+
+/**
+ * Generates a v-if / v-else-if / v-else chain as a conditional expression
+ * @private
+ * @param {Array} branches - Element nodes of the chain, in order
+ * @param {Object} context - Codegen context
+ * @returns {string} Child code
+ */
+function generateIfCode(branches, context) {
+    context.hasStructuralDirectives = true;
+
+    // <template> and v-for branches render several nodes, so every branch becomes a list
+    const asList = branches.some(node => node.tag === 'template' || hasAttr(node, 'v-for'));
+
+    let code = asList ? '[]' : 'null';
+    for (let i = branches.length - 1; i >= 0; i--) {
+        const node = branches[i];
+        const condition = hasAttr(node, 'v-else') ? null : getAttr(node, hasAttr(node, 'v-if') ? 'v-if' : 'v-else-if');
+
+        let branch;
+        if (node.tag === 'template' && !hasAttr(node, 'v-for')) {
+            branch = `[${generateChildrenCode(node.children || [], context).join(', ')}]`;
+        } else {
+            branch = generateNodeCode(node, context);
+            if (branch.startsWith('...')) {
+                branch = branch.slice(3);
+            } else if (asList) {
+                branch = `[${branch}]`;
+            }
+        }
+
+        code = condition
+            ? `(${mark(context, condition.loc)}${processExpression(String(condition.value), context, condition.loc)}) ? ${branch} : ${code}`
+            : branch;
+    }
+
+    return asList ? `...(${code})` : `(${code})`;
+}
+
+/**
+ * Generates a v-for element as a spread of renderList():
+ * `<li v-for="(item, i) in items">` -> `...renderList(this.items, (item, i) => h('li', ...))`
+ * @private
+ * @param {Object} node - Element node with v-for
+ * @param {Object} context - Codegen context
+ * @returns {string} Child code
+ */
+function generateForCode(node, context) {
+    context.hasStructuralDirectives = true;
+
+    const { value, loc } = getAttr(node, 'v-for');
+    const parsed = typeof value === 'string' ? parseVForExpression(value) : null;
+    if (!parsed || !parsed.value) {
+        context.errors.push(new CompilerError(ErrorCodes.X_V_FOR_MALFORMED_EXPRESSION, loc, {
+            source: context.source,
+            filename: context.filename
+        }));
+        return 'null';
+    }
+
+    const params = processParams([parsed.value, parsed.key, parsed.index].filter(Boolean).join(', '), context, loc);
+    if (!params) {
         return 'null';
+    }
+    const source = processExpression(parsed.source, context, loc);
+
+    context.helpers.add('renderList');
+
+    // The aliases shadow component state inside the item
+    addIdentifiers(context, params.identifiers);
+    const inVFor = context.inVFor;
+    context.inVFor = true;
+    let item;
+    if (node.tag === 'template') {
+        item = `[${generateChildrenCode(node.children || [], context).join(', ')}]`;
+    } else if (isCached(node) && !context.inVOnce) {
+        item = generateCachedItemCode(node, context);
+    } else {
+        item = `${mark(context, node.loc)}${generateVNodeCode(node, context)}`;
+    }
+    context.inVFor = inVFor;
+    removeIdentifiers(context, params.identifiers);
+
+    return `...${mark(context, loc)}renderList(${source}, (${params.code}) => ${item})`;
+}
+
+/**
+ * Generates an element with v-once or v-memo, rendered through the
+ * instance's render cache:
+ * `<p v-once>` -> `renderOnce(() => h('p', ...), _cache, 0)`
+ * `<p v-memo="[a]">` -> `withMemo([this.a], () => (openBlock(), createBlock('p', ...)), _cache, 1)`
+ * @private
+ * @param {Object} node - Element node
+ * @param {Object} context - Codegen context
+ * @returns {string} Child code
+ */
+function generateCachedCode(node, context) {
+    const nodeMark = mark(context, node.loc);
+
+    // One cache slot can't hold a vnode for every item
+    if (context.inVFor) {
+        console.warn(`[compiler] ${getCacheDirective(node)} inside v-for is only supported on the element with v-for, ignoring it`);
+        return `${nodeMark}${generateVNodeCode(node, context)}`;
+    }
+
+    if (hasAttr(node, 'v-once')) {
+        const index = context.cacheIndex++;
+        context.helpers.add('renderOnce');
+        context.inVOnce = true;
+        const code = generateVNodeCode(node, context);
+        context.inVOnce = false;
+        return `${nodeMark}${generateVOnceCode(code, index)}`;
+    }
+
+    const memo = generateMemoCode(node, context);
+    if (!memo) {
+        return `${nodeMark}${generateVNodeCode(node, context)}`;
+    }
+    const index = context.cacheIndex++;
+    context.helpers.add('withMemo');
+    return `${nodeMark}${generateVMemoCode(memo, generateMemoBlockCode(node, context), '_cache', index)}`;
+}
+
+/**
+ * Generates the item of a v-for element with v-once or v-memo. Each list
+ * has a cache slot holding the last vnode of every item by key, v-once
+ * being a v-memo without dependencies.
+ * @private
+ * @param {Object} node - Element node with v-for
+ * @param {Object} context - Codegen context
+ * @returns {string} Item code
+ */
+function generateCachedItemCode(node, context) {
+    const keyName = hasAttr(node, ':key') ? ':key' : hasAttr(node, 'v-bind:key') ? 'v-bind:key' : null;
+    const memo = hasAttr(node, 'v-once') ? '[]' : generateMemoCode(node, context);
+    if (!keyName || !memo) {
+        if (!keyName) {
+            console.warn(`[compiler] ${getCacheDirective(node)} on a v-for element needs a :key to find the cached item, ignoring it`);
+        }
+        return `${mark(context, node.loc)}${generateVNodeCode(node, context)}`;
+    }
+
+    const { value, loc } = getAttr(node, keyName);
+    const key = processExpression(String(value), context, loc);
+    const index = context.cacheIndex++;
+    context.helpers.add('withMemo');
+    const cache = `_cache[${index}] || (_cache[${index}] = new Map())`;
+    return `${mark(context, node.loc)}${generateVMemoCode(memo, generateMemoBlockCode(node, context), cache, key)}`;
+}
+
+/**
+ * Generates the dependencies array of v-memo, reporting a missing one
+ * @private
+ * @returns {string|null} Array expression
+ */
+function generateMemoCode(node, context) {
+    const { value, loc } = getAttr(node, 'v-memo');
+    if (typeof value !== 'string' || !value.trim()) {
+        context.errors.push(new CompilerError(ErrorCodes.X_V_MEMO_NO_EXPRESSION, loc, {
+            source: context.source,
+            filename: context.filename
+        }));
+        return null;
+    }
+    return `${mark(context, loc)}${processExpression(value, context, loc)}`;
+}
+
+/**
+ * Generates a v-memo element as a block of its own, so a cached render
+ * brings its dynamic descendants along. Subtrees with v-if or v-for are
+ * diffed as a whole instead, like templates.
+ * @private
+ */
+function generateMemoBlockCode(node, context) {
+    const hasStructuralDirectives = context.hasStructuralDirectives;
+    context.hasStructuralDirectives = false;
+    const code = generateElementCode(node, context);
+    const isBlock = !context.hasStructuralDirectives;
+    context.hasStructuralDirectives = context.hasStructuralDirectives || hasStructuralDirectives;
+
+    return isBlock
+        ? `(openBlock(), ${wrapDirectives(`createBlock(${code})`, node, context)})`
+        : wrapDirectives(`h(${code})`, node, context);
+}
+
+/**
+ * Generates the vnode of an element, with its custom directives
+ * @private
+ * @param {Object} node - Element node
+ * @param {Object} context - Codegen context
+ * @returns {string} Vnode code
+ */
+function generateVNodeCode(node, context) {
+    return wrapDirectives(`h(${generateElementCode(node, context)})`, node, context);
+}
+
+/**
+ * Applies the custom directives of an element to its vnode:
+ * `<input v-focus v-tooltip:top.lazy="msg">` ->
+ * `withDirectives(h('input', ...), [[_directive_focus], [_directive_tooltip, this.msg, "top", { lazy: true }]])`
+ * @private
+ * @param {string} vnodeCode - Code creating the vnode
+ * @param {Object} node - Element node
+ * @param {Object} context - Codegen context
+ * @returns {string} Vnode code
+ */
+function wrapDirectives(vnodeCode, node, context) {
+    const directives = [];
+
+    for (const key of Object.keys(node.attrs || {})) {
+        const directive = parseDirectiveAttr(key);
+        if (!directive) {
+            continue;
+        }
+
+        const { value, loc } = getAttr(node, key);
+        const args = [
+            resolveDirectiveCode(directive.name, context),
+            typeof value === 'string' && value.trim() ? processExpression(value, context, loc) : 'undefined',
+            directive.dynamicArg != null
+                ? processExpression(directive.dynamicArg, context, loc)
+                : directive.arg != null ? JSON.stringify(directive.arg) : 'undefined',
+            directive.modifiers.length > 0
+                ? `{ ${directive.modifiers.map(modifier => `${/^[A-Za-z_$][\w$]*$/.test(modifier) ? modifier : `'${modifier}'`}: true`).join(', ')} }`
+                : 'undefined'
+        ];
+        while (args[args.length - 1] === 'undefined') {
+            args.pop();
+        }
+        directives.push(`${mark(context, loc)}[${args.join(', ')}]`);
+    }
+
+    if (directives.length === 0) {
+        return vnodeCode;
+    }
+    context.helpers.add('withDirectives');
+    return `withDirectives(${vnodeCode}, [${directives.join(', ')}])`;
+}
+
+/**
+ * Parses a custom directive attribute, `v-name:arg.modifier` or
+ * `v-name:[expression]`
+ * @private
+ * @param {string} key - Attribute name
+ * @returns {Object|null} `{ name, arg, dynamicArg, modifiers }`, or null if it isn't a custom directive
+ */
+export function parseDirectiveAttr(key) {
+    const match = /^v-([a-z][\w-]*)(?::(\[[^\]]+\]|[^.]+))?((?:\.[\w-]+)*)$/i.exec(key);
+    if (!match || BUILT_IN_DIRECTIVES.includes(match[1])) {
+        return null;
+    }
+
+    const [, name, arg, modifiers] = match;
+    const isDynamic = arg != null && arg.startsWith('[');
+    return {
+        name,
+        arg: isDynamic ? null : arg,
+        dynamicArg: isDynamic ? arg.slice(1, -1) : null,
+        modifiers: modifiers ? modifiers.slice(1).split('.') : []
+    };
+}
+
+/**
+ * Generates the reference to a directive: the runtime's vShow, a
+ * `vName` variable of <script setup>, or a variable holding
+ * `resolveDirective('name')`
+ * @private
+ */
+function resolveDirectiveCode(name, context) {
+    if (name === 'show') {
+        context.helpers.add('vShow');
+        return 'vShow';
+    }
+
+    const camelized = name.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    const setupName = `v${camelized.charAt(0).toUpperCase()}${camelized.slice(1)}`;
+    if (context.bindingMetadata && setupName in context.bindingMetadata) {
+        return processExpression(setupName, context);
+    }
+
+    if (!context.directives.has(name)) {
+        context.helpers.add('resolveDirective');
+        context.directives.set(name, `_directive_${name.replace(/-/g, '_')}`);
+    }
+    return context.directives.get(name);
+}
+
+/**
+ * Generates the slots object of a component whose children use v-slot:
+ * `<template #item="{ id }">` -> `{ item: ({ id }) => [...] }`
+ * @private
+ * @param {Object} node - Component element node
+ * @param {Object} context - Codegen context
+ * @returns {string|null} Slots object code, or null if no child declares a slot
+ */
+function generateSlotsCode(node, context) {
+    const children = node.children || [];
+    const ownSlot = findSlotAttr(node);
+    const slots = [];
+
+    if (ownSlot) {
+        slots.push(generateSlotFunction(ownSlot, children, context));
+    } else {
+        const defaultChildren = [];
+        for (const child of children) {
+            const slot = child.type === 'Element' && child.tag === 'template' ? findSlotAttr(child) : null;
+            if (slot) {
+                slots.push(generateSlotFunction(slot, child.children || [], context));
+            } else {
+                defaultChildren.push(child);
+            }
+        }
+
+        if (slots.length === 0) {
+            return null;
+        }
+
+        if (hasRenderedChildren(defaultChildren)) {
+            slots.push(generateSlotFunction({ name: 'default', value: true }, defaultChildren, context));
+        }
+    }
+
+    return `{ ${slots.join(', ')} }`;
+}
+
+/**
+ * Generates one entry of a slots object, with the slot props as parameters
+ * @private
+ * @param {Object} slot - Slot attribute ({ name, value, loc })
+ * @param {Array} children - Slot content
+ * @param {Object} context - Codegen context
+ * @returns {string} Object entry code
+ */
+function generateSlotFunction(slot, children, context) {
+    // `#[name]` picks the slot name at runtime
+    const key = slot.name.startsWith('[') && slot.name.endsWith(']')
+        ? `[${processExpression(slot.name.slice(1, -1), context, slot.loc)}]`
+        : `'${slot.name}'`;
+
+    const params = typeof slot.value === 'string' && slot.value.trim()
+        ? processParams(slot.value, context, slot.loc)
+        : { code: '', identifiers: [] };
+    if (!params) {
+        return `${key}: () => []`;
+    }
+
+    addIdentifiers(context, params.identifiers);
+    const body = generateChildrenCode(children, context);
+    removeIdentifiers(context, params.identifiers);
+
+    return `${mark(context, slot.loc)}${key}: (${params.code}) => [${body.join(', ')}]`;
+}
+
+/**
+ * Checks if a tag names a component (capitalized) rather than an element
+ * @private
+ */
+export function isComponentTag(tag) {
+    return tag.charAt(0) === tag.charAt(0).toUpperCase();
+}
+
+/**
+ * Generates the props object code of an element
+ * @private
+ * @param {Object} node - Element node
+ * @param {Object} context - Codegen context
+ * @param {string} [scopeId] - Scope attribute to add
+ * @param {Array<string>} [cachedHandlers] - Collects the names of the listeners kept in the
+ *   render cache; listeners are only cached when it is given
+ * @returns {string} Props object code
+ */
+export function generatePropsCode(node, context, scopeId, cachedHandlers) {
+    let code = '{ ';
+
+    for (const [key, value] of Object.entries(node.attrs || {})) {
+        // Convert hyphenated attributes to quoted property names
+        const propKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+        const loc = getAttr(node, key).loc;
+
+        if (STRUCTURAL_DIRECTIVES.includes(key) || ELEMENT_DIRECTIVES.includes(key) || isSlotAttr(key)) {
+            // Handled by the parent's children codegen
+            continue;
+        }
+
+        code += mark(context, loc);
+
+        if (key.startsWith('@') || key.startsWith('v-on:') || (key.startsWith('on') && typeof value === 'string')) {
+            // Event handler, `@[event]` names the event at runtime
+            const eventName = key.startsWith('@') ? key.slice(1) : key.startsWith('v-on:') ? key.slice(5) : null;
+            const handlerName = eventName ? `on${eventName.charAt(0).toUpperCase() + eventName.slice(1)}` : key;
+            let handlerKey = eventName ? `'${handlerName}'` : propKey;
+            if (eventName && isDynamicArg(eventName)) {
+                context.helpers.add('toHandlerKey');
+                handlerKey = `[toHandlerKey(${processExpression(eventName.slice(1, -1), context, loc)})]`;
+            }
+            code += `${handlerKey}: ${generateHandlerCode(handlerName, typeof value === 'string' ? value : '', context, loc, cachedHandlers)}, `;
+        } else if (key.startsWith(':') || key.startsWith('v-bind:')) {
+            // Dynamic binding, `:[name]` names the prop at runtime
+            const bindName = key.startsWith(':') ? key.slice(1) : key.slice(7);
+            const bindKey = isDynamicArg(bindName)
+                ? `[${processExpression(bindName.slice(1, -1), context, loc)}]`
+                : /^[A-Za-z_$][\w$]*$/.test(bindName) ? bindName : `'${bindName}'`;
+            code += `${bindKey}: ${processExpression(typeof value === 'string' ? value : bindName, context, loc)}, `;
+        } else if (isComponentTag(node.tag) && /^v-model([:.]|$)/.test(key)) {
+            // `v-model:name.modifier` binds the name prop and its update:name event
+            const [arg, ...modifiers] = key.slice('v-model'.length).replace(/^:/, '').split('.');
+            const name = arg || 'modelValue';
+            const quote = (prop) => /^[A-Za-z_$][\w$]*$/.test(prop) ? prop : `'${prop}'`;
+            code += `${quote(name)}: ${processExpression(value, context, loc)}, `;
+            code += `'onUpdate:${name}': ${generateHandlerCode(`onUpdate:${name}`, `${value} = $event`, context, loc, cachedHandlers)}, `;
+            if (modifiers.length > 0) {
+                const modifiersKey = name === 'modelValue' ? 'modelModifiers' : `${name}Modifiers`;
+                code += `${quote(modifiersKey)}: { ${modifiers.map(modifier => `${quote(modifier)}: true`).join(', ')} }, `;
+            }
+        } else if (key === 'v-model') {
+            // Two-way binding on the value and input event
+            const model = processExpression(value, context, loc);
+            code += `value: ${model}, onInput: ${generateHandlerCode('onInput', `${value} = $event.target.value`, context, loc, cachedHandlers)}, `;
+        } else if (key === 'v-html' || key === 'v-text') {
+            // Content of the element, which generateElementCode() leaves without children
+            if (typeof value !== 'string' || !value.trim()) {
+                context.errors.push(new CompilerError(
+                    key === 'v-html' ? ErrorCodes.X_V_HTML_NO_EXPRESSION : ErrorCodes.X_V_TEXT_NO_EXPRESSION,
+                    loc,
+                    { source: context.source, filename: context.filename }
+                ));
+            } else if (key === 'v-html') {
+                code += `${generateVHtmlCode(processExpression(value, context, loc))}, `;
+            } else {
+                context.helpers.add('toDisplayString');
+                code += `${generateVTextCode(processExpression(value, context, loc))}, `;
+            }
+        } else if (key.startsWith('v-')) {
+            // Custom directives wrap the vnode, see wrapDirectives()
+            if (!parseDirectiveAttr(key)) {
+                console.warn(`[compiler] Directive ${key} is not supported, ignoring it`);
+            }
+        } else if (typeof value === 'string' && value.startsWith('this.')) {
+            // Dynamic attribute already referencing this
+            code += `${propKey}: ${value}, `;
+        } else if (typeof value === 'boolean') {
+            // Boolean attribute
+            code += `${propKey}: ${value}, `;
+        } else {
+            // Static attribute
+            code += `${propKey}: ${JSON.stringify(value)}, `;
+        }
+    }
+
+    if (scopeId) {
+        code += `'${scopeId}': '', `;
+    }
+
+    return `${code}}`;
+}
+
+/**
+ * Generates a listener. Inline handlers are kept in the render cache, so the
+ * element gets the same function on every render and doesn't patch it:
+ * `@click="count++"` -> `_cache[0] || (_cache[0] = ($event) => { this.count++ })`
+ * Method paths are stable already, and handlers that may read v-for or slot
+ * variables are created on each render.
+ * @private
+ * @param {string} name - Prop name of the listener
+ * @param {string} handler - Handler source
+ * @param {Object} context - Codegen context
+ * @param {Object} loc - Location of the handler
+ * @param {Array<string>} [cachedHandlers] - Collects the name when the listener is cached
+ * @returns {string} Listener code
+ */
+function generateHandlerCode(name, handler, context, loc, cachedHandlers) {
+    const code = processHandler(handler, context, loc);
+    if (!cachedHandlers || typeof context.cacheIndex !== 'number' || !isInlineHandler(handler) ||
+        Object.keys(context.identifiers).length > 0) {
+        return code;
+    }
+
+    cachedHandlers.push(name);
+    const index = context.cacheIndex++;
+    return `_cache[${index}] || (_cache[${index}] = ${code})`;
+}
+
+/**
+ * Checks if a directive argument is an `[expression]` evaluated at runtime
+ * @private
+ */
+function isDynamicArg(arg) {
+    return arg.length > 2 && arg.startsWith('[') && arg.endsWith(']');
+}
+
+/**
+ * Generates code for an element node
+ * @private
+ * @param {Object} node - Element node
+ * @param {Object} [context] - Codegen context; static children are only hoisted when given
+ * @returns {string} Element code (the arguments of h())
+ */
+function generateElementCode(node, context) {
+    if (!node) return 'null';
+
+    // Hoisted static elements are generated without a context, they have no expressions
+    context = context || { ...createExpressionContext(), helpers: new Set() };
+    const hoist = Boolean(context.hoisted);
+
+    if (hasAttr(node, 'v-pre')) {
+        return generatePreElementCode(node, context);
+    }
+
+    try {
+        // Handle component names (capitalized tags)
+        const isComponent = isComponentTag(node.tag);
+        const tagCode = isComponent ? node.tag : `'${node.tag}'`;
+
+        const cachedHandlers = [];
+        let code = `${tagCode}, ${generatePropsCode(node, context, isComponent ? null : context.scopeId, cachedHandlers)}, `;
+
+        // Components with v-slot content get slot functions instead of children
+        const slotsCode = isComponent ? generateSlotsCode(node, context) : null;
+        const contentDirective = ['v-html', 'v-text'].find(name => hasAttr(node, name));
+        if (slotsCode) {
+            code += slotsCode;
+        } else if (contentDirective) {
+            if (hasRenderedChildren(node.children || [])) {
+                context.errors.push(new CompilerError(
+                    contentDirective === 'v-html' ? ErrorCodes.X_V_HTML_WITH_CHILDREN : ErrorCodes.X_V_TEXT_WITH_CHILDREN,
+                    getAttr(node, contentDirective).loc,
+                    { source: context.source, filename: context.filename }
+                ));
+            }
+            code += '[]';
+        } else {
+            code += `[${generateChildrenCode(node.children || [], context, hoist).join(', ')}]`;
+        }
+
+        // Tell the runtime which parts of this element can change, cached listeners never do
+        let patchFlag = isComponent ? PatchFlags.FULL_PROPS : analyzePatchFlags(node) & ~FRAGMENT_FLAGS;
+        const dynamicProps = getDynamicPropNames(node).filter(name => !cachedHandlers.includes(name));
+        if (dynamicProps.length === 0) {
+            patchFlag &= ~PatchFlags.PROPS;
+        }
+        if (patchFlag) {
+            code += `, ${patchFlag}`;
+            if (patchFlag & PatchFlags.PROPS) {
+                code += `, ${JSON.stringify(dynamicProps)}`;
+            }
+        }
+
+        return code;
     } catch (error) {
         console.error(`[compiler] Error in generateElementCode for node:`, node, error);
-        return `'div', { style: 'color: red;' }, ['Error generating element: ${error.message}']`;
+        return `'div', { style: 'color: red;' }, [${JSON.stringify(`Error generating element: ${error.message}`)}]`;
     }
 }
 
+/**
+ * Leaves a marker for the source map at this point of the generated code
+ * @private
+ * @param {Object} context - Codegen context
+ * @param {Object} loc - Source location the code at the marker comes from
+ * @returns {string} Marker, or '' when no source map is generated
+ */
+export function mark(context, loc) {
+    if (!context.marks || !loc) return '';
+    context.marks.push(loc);
+    return createMarker(context.marks.length - 1);
+}
+
+/**
+ * Checks whether an element carries v-if, v-else-if, v-else or v-for
+ * @private
+ */
+function isStructural(node) {
+    return STRUCTURAL_DIRECTIVES.some(name => hasAttr(node, name));
+}
+
+/**
+ * Checks whether an element carries v-once or v-memo
+ * @private
+ */
+function isCached(node) {
+    return hasAttr(node, 'v-once') || hasAttr(node, 'v-memo');
+}
+
+/**
+ * @private
+ */
+function getCacheDirective(node) {
+    return hasAttr(node, 'v-once') ? 'v-once' : 'v-memo';
+}
+
+/**
+ * Checks whether children render anything besides comments and whitespace
+ * @private
+ */
+export function hasRenderedChildren(children) {
+    return children.some(child =>
+        child.type !== 'Comment' && !(child.type === 'Text' && !child.content.trim())
+    );
+}
+
+/**
+ * @private
+ */
+export function hasAttr(node, name) {
+    return Boolean(node.attrs) && Object.prototype.hasOwnProperty.call(node.attrs, name);
+}
+
+/**
+ * Returns an attribute's value with the location of the value, for diagnostics
+ * @private
+ */
+export function getAttr(node, name) {
+    const entry = (node.attrsList || []).find(attr => attr.name === name);
+    return {
+        value: node.attrs[name],
+        loc: entry ? (entry.valueLoc || entry.loc) : node.loc
+    };
+}
+
+/**
+ * @private
+ */
+export function isSlotAttr(key) {
+    return key === 'v-slot' || key.startsWith('v-slot:') || key.startsWith('#');
+}
+
+/**
+ * Finds the v-slot / #name attribute of an element
+ * @private
+ * @returns {Object|null} { name, value, loc }
+ */
+function findSlotAttr(node) {
+    const key = Object.keys(node.attrs || {}).find(isSlotAttr);
+    if (!key) return null;
+
+    return { name: parseVSlot(key).name, ...getAttr(node, key) };
+}
+
+/**
+ * Hoists a static element out of the render function, so it is created once
+ * and skipped by the patcher
+ * @private
+ * @param {Object} node - Static element node
+ * @param {Object} context - Codegen context
+ * @returns {string} Identifier of the hoisted vnode
+ */
+function hoistStaticElement(node, context) {
+    const id = `_hoisted_${context.hoisted.length + 1}`;
+    const staticContext = { ...createExpressionContext(), helpers: new Set(), scopeId: context.scopeId };
+    context.hoisted.push(`const ${id} = h(${generateElementCode(node, staticContext)}, ${PatchFlags.HOISTED});`);
+    return id;
+}
+
+/**
+ * Generates a v-pre element as written: attributes, directives included, are
+ * static and `{{ }}` is text. Components aren't resolved either.
+ * @private
+ * @param {Object} node - Element node with v-pre, or inside one
+ * @param {Object} context - Codegen context
+ * @returns {string} Element code (the arguments of h())
+ */
+function generatePreElementCode(node, context) {
+    let props = '{ ';
+    for (const [key, value] of Object.entries(node.attrs || {})) {
+        if (key !== 'v-pre') {
+            const propKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+            props += `${propKey}: ${JSON.stringify(value)}, `;
+        }
+    }
+    if (context.scopeId) {
+        props += `'${context.scopeId}': '', `;
+    }
+
+    const children = (node.children || [])
+        .filter(child => child.type === 'Text' || child.type === 'Element')
+        .map(child => child.type === 'Text' ? JSON.stringify(child.content) : `h(${generatePreElementCode(child, context)})`);
+
+    return `'${node.tag}', ${props}}, [${children.join(', ')}]`;
+}
+
 /**
  * Processes the script section
  * @private
@@ -446,31 +1216,37 @@ function processScriptSetup(scriptSetup, options) {
 }
 
 /**
- * Processes the style section
+ * Processes a style block
  * @private
  * @param {string} style - Style content
  * @param {boolean} scoped - Whether the style is scoped
- * @param {Object} options - Compilation options
- * @returns {Object} Processed style
+ * @param {Object} options - Compilation options, `id` being the component's style id
+ *   and `module` the name of a CSS module block
+ * @returns {Object} Processed style ({ code, scopeId, cssVars, module, errors })
  */
 function processStyle(style, scoped, options) {
     try {
-        if (!scoped) {
-            return { code: style };
+        // Class names of a CSS module are made unique before scoping
+        let css = style;
+        let module = null;
+        if (options.module) {
+            const { css: moduleCss, exports } = processCSSModule(style, { filename: options.filename });
+            css = moduleCss;
+            module = { name: options.module, exports };
         }
 
-        // For scoped styles, we would add a unique attribute to all selectors
-        // and to the component's root element
-        const scopeId = `data-v-${generateScopeId(options.filename)}`;
-
-        // Simple scoped CSS implementation (a real one would use a CSS parser)
-        const scopedStyle = style.replace(/([^{]*){/g, (match, selector) => {
-            return `${selector}[${scopeId}] {`;
+        const { code, cssVars, errors } = compileStyle(css, {
+            id: options.id,
+            scoped,
+            filename: options.filename
         });
 
         return {
-            code: scopedStyle,
-            scopeId
+            code,
+            scopeId: scoped ? `data-v-${options.id}` : null,
+            cssVars,
+            module,
+            errors
         };
     } catch (error) {
         console.error(`[compiler] Error in processStyle:`, error);
@@ -145,14 +145,22 @@ export function generateCSSModuleExports(classMap) {
 }
 
 /**
- * Check if CSS should be treated as a module
+ * Check if CSS should be treated as a module, `<style module>` or `<style module="name">`
  */
 export function isCSSModule(attrs = {}) {
-    return attrs.module === true || attrs.module === '';
+    return attrs.module === true || typeof attrs.module === 'string';
+}
+
+/**
+ * Name a CSS module is exposed under on the component, `$style` unless given
+ */
+export function getCSSModuleName(attrs = {}) {
+    return typeof attrs.module === 'string' && attrs.module ? attrs.module : '$style';
 }
 
 export default {
     processCSSModule,
     generateCSSModuleExports,
-    isCSSModule
+    isCSSModule,
+    getCSSModuleName
 };
\ No newline at end of file
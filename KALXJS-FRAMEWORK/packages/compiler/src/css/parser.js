@@ -0,0 +1,292 @@
+// @kalxjs/compiler - CSS parser
+// Parses a stylesheet into rules, at-rules, declarations and comments. Every
+// node keeps the offsets of its parts, so transforms can edit the original
+// text in place and leave formatting, comments and line numbers untouched.
+
+import { CompilerError, ErrorCodes } from '../errors.js';
+
+/**
+ * Parses CSS into an AST
+ *
+ * Nodes:
+ * - { type: 'Rule', selector, children, loc }
+ * - { type: 'AtRule', name, params, children, loc }, children is null for statements like @import
+ * - { type: 'Declaration', prop, value, important, loc }
+ * - { type: 'Comment', value, loc }
+ * `selector`, `params` and `value` are { value, start, end } with offsets into the CSS.
+ *
+ * @param {string} css - CSS source
+ * @param {Object} [options]
+ * @param {string} [options.filename] - File the CSS comes from, for diagnostics
+ * @returns {{ ast: Object, errors: Array<CompilerError> }} Stylesheet node and parse errors
+ */
+export function parseCSS(css, options = {}) {
+    const parser = new CSSParser(css, options);
+    const children = parser.parseBlock(true);
+
+    return {
+        ast: { type: 'Stylesheet', children, loc: parser.loc(0, css.length) },
+        errors: parser.errors
+    };
+}
+
+/**
+ * Walks every node of a CSS AST, depth first
+ * @param {Object} node - Stylesheet or node with children
+ * @param {Function} visit - Called with (node, parents); return false to skip the node's children
+ * @param {Array<Object>} [parents] - Ancestors of the node
+ */
+export function walkCSS(node, visit, parents = []) {
+    (node.children || []).forEach(child => {
+        if (visit(child, parents) !== false && child.children) {
+            walkCSS(child, visit, [...parents, child]);
+        }
+    });
+}
+
+/**
+ * Scans CSS text, skipping over strings, comments and parentheses
+ * @private
+ */
+class CSSParser {
+    constructor(css, options) {
+        this.css = css;
+        this.pos = 0;
+        this.filename = options.filename || null;
+        this.errors = [];
+
+        this.lineStarts = [0];
+        for (let i = 0; i < css.length; i++) {
+            if (css[i] === '\n') this.lineStarts.push(i + 1);
+        }
+    }
+
+    /**
+     * Parses declarations, rules and at-rules up to the closing brace of the
+     * current block (or the end of the stylesheet)
+     */
+    parseBlock(topLevel = false) {
+        const children = [];
+
+        while (true) {
+            this.skipWhitespace();
+            if (this.pos >= this.css.length) {
+                break;
+            }
+
+            const char = this.css[this.pos];
+            if (char === '}') {
+                if (topLevel) {
+                    this.error(ErrorCodes.X_CSS_UNEXPECTED_CLOSING_BRACE, this.pos, this.pos + 1);
+                    this.pos++;
+                    continue;
+                }
+                break;
+            }
+
+            if (this.css.startsWith('/*', this.pos)) {
+                children.push(this.parseComment());
+            } else if (char === ';') {
+                this.pos++;
+            } else if (char === '@') {
+                children.push(this.parseAtRule());
+            } else {
+                const node = this.parseRuleOrDeclaration();
+                if (node) children.push(node);
+            }
+        }
+
+        return children;
+    }
+
+    parseComment() {
+        const start = this.pos;
+        const end = this.css.indexOf('*/', start + 2);
+        if (end === -1) {
+            this.error(ErrorCodes.X_CSS_UNCLOSED_COMMENT, start, this.css.length);
+            this.pos = this.css.length;
+        } else {
+            this.pos = end + 2;
+        }
+
+        return {
+            type: 'Comment',
+            value: this.css.slice(start + 2, end === -1 ? this.css.length : end),
+            loc: this.loc(start, this.pos)
+        };
+    }
+
+    parseAtRule() {
+        const start = this.pos;
+        this.pos++;
+        const nameMatch = /^-?[\w-]+/.exec(this.css.slice(this.pos));
+        const name = nameMatch ? nameMatch[0] : '';
+        this.pos += name.length;
+
+        const params = this.readPrelude();
+        const node = { type: 'AtRule', name, params, children: null, loc: null };
+
+        if (this.css[this.pos] === '{') {
+            node.children = this.parseBody(start);
+        } else if (this.css[this.pos] === ';') {
+            this.pos++;
+        }
+
+        node.loc = this.loc(start, this.pos);
+        return node;
+    }
+
+    parseRuleOrDeclaration() {
+        const start = this.pos;
+        const prelude = this.readPrelude();
+
+        if (this.css[this.pos] === '{') {
+            return {
+                type: 'Rule',
+                selector: prelude,
+                children: this.parseBody(start),
+                loc: this.loc(start, this.pos)
+            };
+        }
+
+        // A declaration ends at ';', or at the '}' of its block
+        if (this.css[this.pos] === ';') {
+            this.pos++;
+        }
+
+        const colon = prelude.value.indexOf(':');
+        if (colon === -1) {
+            if (prelude.value.trim()) {
+                this.error(ErrorCodes.X_CSS_INVALID_DECLARATION, prelude.start, prelude.end);
+            }
+            return null;
+        }
+
+        let valueStart = prelude.start + colon + 1;
+        while (/\s/.test(this.css[valueStart] || '') && valueStart < prelude.end) valueStart++;
+        const value = this.css.slice(valueStart, prelude.end);
+        const important = /!\s*important\s*$/i.test(value);
+
+        return {
+            type: 'Declaration',
+            prop: prelude.value.slice(0, colon).trim(),
+            value: { value, start: valueStart, end: prelude.end },
+            important,
+            loc: this.loc(start, this.pos)
+        };
+    }
+
+    /**
+     * Parses a `{ ... }` body, the current character being the opening brace
+     */
+    parseBody(start) {
+        this.pos++;
+        const children = this.parseBlock();
+
+        if (this.css[this.pos] === '}') {
+            this.pos++;
+        } else {
+            this.error(ErrorCodes.X_CSS_UNCLOSED_BLOCK, start, this.css.length);
+        }
+        return children;
+    }
+
+    /**
+     * Reads up to the next top-level '{', ';' or '}', trimmed
+     */
+    readPrelude() {
+        let start = this.pos;
+        let depth = 0;
+
+        while (this.pos < this.css.length) {
+            const char = this.css[this.pos];
+
+            if (char === '"' || char === '\'') {
+                this.skipString(char);
+                continue;
+            }
+            if (this.css.startsWith('/*', this.pos)) {
+                const end = this.css.indexOf('*/', this.pos + 2);
+                if (end === -1) {
+                    this.error(ErrorCodes.X_CSS_UNCLOSED_COMMENT, this.pos, this.css.length);
+                    this.pos = this.css.length;
+                    break;
+                }
+                this.pos = end + 2;
+                continue;
+            }
+            if (char === '\\') {
+                this.pos += 2;
+                continue;
+            }
+
+            if (char === '(' || char === '[') {
+                depth++;
+            } else if ((char === ')' || char === ']') && depth > 0) {
+                depth--;
+            } else if (depth === 0 && (char === '{' || char === ';' || char === '}')) {
+                break;
+            }
+            this.pos++;
+        }
+
+        let end = this.pos;
+        while (start < end && /\s/.test(this.css[start])) start++;
+        while (end > start && /\s/.test(this.css[end - 1])) end--;
+
+        return { value: this.css.slice(start, end), start, end };
+    }
+
+    skipString(quote) {
+        const start = this.pos;
+        this.pos++;
+
+        while (this.pos < this.css.length) {
+            const char = this.css[this.pos];
+            if (char === '\\') {
+                this.pos += 2;
+            } else if (char === quote) {
+                this.pos++;
+                return;
+            } else if (char === '\n') {
+                break;
+            } else {
+                this.pos++;
+            }
+        }
+
+        this.error(ErrorCodes.X_CSS_UNCLOSED_STRING, start, this.pos);
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.css.length && /\s/.test(this.css[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    position(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { offset, line: low + 1, column: offset - this.lineStarts[low] + 1 };
+    }
+
+    loc(start, end) {
+        return {
+            start: this.position(start),
+            end: this.position(end),
+            source: this.css.slice(start, end)
+        };
+    }
+
+    error(code, start, end) {
+        this.errors.push(new CompilerError(code, this.loc(start, end), {
+            source: this.css,
+            filename: this.filename
+        }));
+    }
+}
@@ -0,0 +1,328 @@
+/**
+ * @kalxjs/compiler - Scoped styles
+ * Compiles the <style> blocks of a .klx file:
+ *
+ * - scoped selectors get the component's `[data-v-<id>]` attribute on their
+ *   last compound, before any pseudo-element
+ * - `:deep(.x)` scopes what comes before it and leaves `.x` unscoped
+ * - `:slotted(.x)` matches slot content with `[data-v-<id>-s]`
+ * - `:global(.x)` leaves the whole selector unscoped
+ * - scoped `@keyframes` are renamed, with the `animation` declarations using them
+ * - `v-bind(expr)` becomes a custom property the component sets on its root element
+ *
+ * The CSS is edited in place, so comments, formatting and line numbers are kept.
+ *
+ * @module @kalxjs/compiler/css/scoped
+ */
+
+import { parseCSS, walkCSS } from './parser.js';
+import { createExpressionContext, processExpression } from '../expression.js';
+
+// Rules inside these at-rules don't match elements
+const UNSCOPED_AT_RULES = /^(-\w+-)?(keyframes|font-face|page|counter-style|property|font-feature-values)$/;
+const KEYFRAMES_AT_RULE = /^(-\w+-)?keyframes$/;
+const ANIMATION_PROPS = /^(-\w+-)?animation(-name)?$/;
+
+// Pseudo-elements written with a single colon for historical reasons
+const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+
+const V_BIND_RE = /v-bind\(\s*(?:'([^']*)'|"([^"]*)"|([^)]*?))\s*\)/g;
+
+/**
+ * Compiles a style block
+ * @param {string} css - CSS source, after any preprocessor
+ * @param {Object} options
+ * @param {string} options.id - Component id, the scope attribute is `data-v-<id>`
+ * @param {boolean} [options.scoped=false] - Scope the selectors to the component
+ * @param {string} [options.filename] - File the style comes from, for diagnostics
+ * @returns {{ code: string, cssVars: Array<{ name: string, expression: string }>, errors: Array }}
+ *   Compiled CSS, the v-bind() custom properties and parse errors
+ */
+export function compileStyle(css, options) {
+    const { id, scoped = false, filename } = options;
+    const { ast, errors } = parseCSS(css, { filename });
+    const attr = `data-v-${id}`;
+    const edits = [];
+    const cssVars = [];
+
+    // Keyframes may be used before they are declared
+    const keyframes = new Map();
+    if (scoped) {
+        walkCSS(ast, node => {
+            if (node.type === 'AtRule' && KEYFRAMES_AT_RULE.test(node.name) && node.params.value) {
+                keyframes.set(node.params.value, `${node.params.value}-${id}`);
+            }
+        });
+    }
+
+    walkCSS(ast, (node, parents) => {
+        if (node.type === 'Rule') {
+            const unscoped = parents.some(parent =>
+                parent.type === 'Rule' || (parent.type === 'AtRule' && UNSCOPED_AT_RULES.test(parent.name)));
+            if (scoped && !unscoped) {
+                edits.push({ ...node.selector, text: scopeSelector(node.selector.value, attr) });
+            }
+        } else if (node.type === 'AtRule') {
+            if (keyframes.has(node.params.value) && KEYFRAMES_AT_RULE.test(node.name)) {
+                edits.push({ ...node.params, text: keyframes.get(node.params.value) });
+            }
+        } else if (node.type === 'Declaration') {
+            let value = node.value.value;
+
+            if (keyframes.size > 0 && ANIMATION_PROPS.test(node.prop)) {
+                value = value.replace(/[\w-]+/g, name => keyframes.get(name) || name);
+            }
+
+            value = value.replace(V_BIND_RE, (match, single, double, bare) => {
+                const expression = (single ?? double ?? bare).trim();
+                const name = `--${id}-${expression.replace(/[^\w-]/g, '_')}`;
+                if (!cssVars.some(cssVar => cssVar.name === name)) {
+                    cssVars.push({ name, expression });
+                }
+                return `var(${name})`;
+            });
+
+            if (value !== node.value.value) {
+                edits.push({ ...node.value, text: value });
+            }
+        }
+    });
+
+    return { code: applyEdits(css, edits), cssVars, errors };
+}
+
+/**
+ * Generates the `__cssVars` component option: a function of the instance
+ * returning the values of the v-bind() custom properties
+ * @param {Array<{ name: string, expression: string }>} cssVars - Custom properties from compileStyle()
+ * @param {Object} [options]
+ * @param {Object} [options.bindingMetadata] - <script setup> bindings, read like the template reads them
+ * @param {Set<string>} [options.helpers] - Receives the runtime helpers the code calls
+ * @returns {string} Function code
+ */
+export function generateCssVarsCode(cssVars, options = {}) {
+    const context = { ...createExpressionContext({ bindingMetadata: options.bindingMetadata }), helpers: options.helpers };
+    const entries = cssVars.map(({ name, expression }) =>
+        `${JSON.stringify(name)}: ${processExpression(expression, context)}`);
+    const params = options.bindingMetadata ? '$props, $setup' : '';
+    const locals = context.usesContext ? 'const _ctx = this; ' : '';
+    return `function (${params}) { ${locals}return { ${entries.join(', ')} }; }`;
+}
+
+/**
+ * Adds a scope attribute to every selector of a selector list
+ * @param {string} selector - Selector list
+ * @param {string} attr - Attribute name, e.g. `data-v-1a2b3c`
+ * @returns {string} Scoped selector list
+ */
+export function scopeSelector(selector, attr) {
+    return splitTopLevel(selector, ',')
+        .map(part => {
+            const leading = /^\s*/.exec(part)[0];
+            const trailing = /\s*$/.exec(part.slice(leading.length))[0];
+            const complex = part.slice(leading.length, part.length - trailing.length);
+            return leading + scopeComplexSelector(complex, attr) + trailing;
+        })
+        .join(',');
+}
+
+/**
+ * Scopes one complex selector (compounds joined by combinators)
+ * @private
+ */
+function scopeComplexSelector(selector, attr) {
+    const items = parseComplexSelector(selector);
+    const compounds = items.filter(item => item.type === 'compound');
+
+    // :global() opts the whole selector out
+    if (compounds.some(compound => compound.parts.some(part => part.name === 'global'))) {
+        compounds.forEach(compound => {
+            compound.parts = compound.parts.map(part => part.name === 'global' ? { text: part.argument } : part);
+        });
+        return stringify(items);
+    }
+
+    // Everything after :deep() is left to match inside child components
+    const deepIndex = items.findIndex(item =>
+        item.type === 'compound' && item.parts.some(part => part.name === 'deep'));
+    if (deepIndex !== -1) {
+        const compound = items[deepIndex];
+        const partIndex = compound.parts.findIndex(part => part.name === 'deep');
+        const deep = compound.parts[partIndex];
+        const before = compound.parts.slice(0, partIndex);
+        const after = compound.parts.slice(partIndex + 1);
+
+        if (before.length > 0) {
+            compound.parts = [...insertAttribute(before, attr), { text: ` ${deep.argument}` }, ...after];
+        } else {
+            const previous = items.slice(0, deepIndex).reverse().find(item => item.type === 'compound');
+            if (previous) {
+                previous.parts = insertAttribute(previous.parts, attr);
+                compound.parts = [{ text: deep.argument }, ...after];
+            } else {
+                compound.parts = [{ text: `[${attr}] ${deep.argument}` }, ...after];
+            }
+        }
+        return stringify(items);
+    }
+
+    // :slotted() matches the slot content the parent passed in
+    const slotted = compounds.find(compound => compound.parts.some(part => part.name === 'slotted'));
+    if (slotted) {
+        slotted.parts = slotted.parts.map(part => part.name === 'slotted'
+            ? { text: scopeSelector(part.argument, `${attr}-s`) }
+            : part);
+        return stringify(items);
+    }
+
+    const last = compounds[compounds.length - 1];
+    if (last) {
+        last.parts = insertAttribute(last.parts, attr);
+    }
+    return stringify(items);
+}
+
+/**
+ * Inserts the attribute selector before the pseudo-elements of a compound
+ * @private
+ */
+function insertAttribute(parts, attr) {
+    const index = parts.findIndex(part => part.pseudoElement);
+    const at = index === -1 ? parts.length : index;
+    return [...parts.slice(0, at), { text: `[${attr}]` }, ...parts.slice(at)];
+}
+
+/**
+ * Splits a complex selector into compounds and the combinators between them.
+ * Compounds are lists of simple selectors; pseudo-classes and pseudo-elements
+ * keep their name and argument.
+ * @private
+ */
+function parseComplexSelector(selector) {
+    const items = [];
+    let i = 0;
+
+    while (i < selector.length) {
+        // Combinators, with the whitespace and comments around them
+        const combinator = /^(\s|\/\*[\s\S]*?\*\/)*([>+~](\s|\/\*[\s\S]*?\*\/)*)?/.exec(selector.slice(i))[0];
+        if (combinator) {
+            items.push({ type: 'combinator', text: combinator });
+            i += combinator.length;
+            continue;
+        }
+
+        const parts = [];
+        while (i < selector.length && !/[\s>+~]/.test(selector[i]) && !selector.startsWith('/*', i)) {
+            const start = i;
+            if (selector[i] === ':') {
+                const pseudoElement = selector[i + 1] === ':';
+                i += pseudoElement ? 2 : 1;
+                const name = /^-?[\w-]*/.exec(selector.slice(i))[0];
+                i += name.length;
+
+                let argument = null;
+                if (selector[i] === '(') {
+                    const end = findClosing(selector, i);
+                    argument = selector.slice(i + 1, end).trim();
+                    i = end + 1;
+                }
+                parts.push({
+                    text: selector.slice(start, i),
+                    name: pseudoElement ? null : name,
+                    argument,
+                    pseudoElement: pseudoElement || LEGACY_PSEUDO_ELEMENTS.includes(name)
+                });
+            } else if (selector[i] === '[') {
+                i = findClosing(selector, i) + 1;
+                parts.push({ text: selector.slice(start, i) });
+            } else {
+                // Type, class, id, universal or nesting selector, with escapes
+                i++;
+                while (i < selector.length && !/[\s>+~:[.#]/.test(selector[i]) && !selector.startsWith('/*', i)) {
+                    i += selector[i] === '\\' ? 2 : 1;
+                }
+                parts.push({ text: selector.slice(start, i) });
+            }
+        }
+        items.push({ type: 'compound', parts });
+    }
+
+    return items;
+}
+
+/**
+ * Finds the bracket closing the one at `start`, skipping strings and nested brackets
+ * @private
+ */
+function findClosing(text, start) {
+    const open = text[start];
+    const close = open === '(' ? ')' : ']';
+    let depth = 0;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '"' || char === '\'') {
+            const end = text.indexOf(char, i + 1);
+            i = end === -1 ? text.length : end;
+        } else if (char === open) {
+            depth++;
+        } else if (char === close && --depth === 0) {
+            return i;
+        }
+    }
+    return text.length - 1;
+}
+
+/**
+ * Splits on a separator outside strings, brackets and comments
+ * @private
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '"' || char === '\'') {
+            const end = text.indexOf(char, i + 1);
+            i = end === -1 ? text.length : end;
+        } else if (text.startsWith('/*', i)) {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else if (char === '(' || char === '[') {
+            depth++;
+        } else if (char === ')' || char === ']') {
+            depth--;
+        } else if (char === separator && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+
+    return parts;
+}
+
+/**
+ * @private
+ */
+function stringify(items) {
+    return items.map(item => item.type === 'combinator'
+        ? item.text
+        : item.parts.map(part => part.text).join('')).join('');
+}
+
+/**
+ * Applies non-overlapping { start, end, text } replacements to a string
+ * @private
+ */
+function applyEdits(text, edits) {
+    return edits
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+}
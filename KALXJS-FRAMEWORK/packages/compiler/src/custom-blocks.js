@@ -0,0 +1,90 @@
+// @kalxjs/compiler - Custom blocks of .klx files
+
+// Transformers registered by packages, by block type (`i18n`, `docs`, ...)
+const registeredTransformers = new Map();
+
+/**
+ * Registers the transformer of a custom block type for every compilation.
+ * A transformer is called with the block and `{ filename, descriptor, index }`
+ * and returns, or resolves to, the code of a module (or `{ code, map }`).
+ * The module's default export, if any, is called with the component options
+ * when the component module runs. Returning null leaves the block out.
+ *
+ * @param {string} type - Tag name of the block
+ * @param {Function} transformer - Block transformer
+ */
+export function registerBlockTransformer(type, transformer) {
+    if (typeof transformer !== 'function') {
+        throw new Error(`The transformer of <${type}> blocks must be a function`);
+    }
+    registeredTransformers.set(type, transformer);
+}
+
+/**
+ * Removes the transformer of a custom block type
+ * @param {string} type - Tag name of the block
+ */
+export function unregisterBlockTransformer(type) {
+    registeredTransformers.delete(type);
+}
+
+/**
+ * Finds the transformer of a block type, those given to a compilation win
+ * over registered ones
+ * @param {string} type - Tag name of the block
+ * @param {Object} [transformers] - Transformers by block type
+ * @returns {Function|null} Transformer
+ */
+export function getBlockTransformer(type, transformers = {}) {
+    if (Object.prototype.hasOwnProperty.call(transformers, type)) {
+        return transformers[type] || null;
+    }
+    return registeredTransformers.get(type) || null;
+}
+
+/**
+ * Transforms the custom blocks of a descriptor. Blocks without a transformer
+ * are left out of the component, like `<docs>` usually is.
+ *
+ * @param {Object} descriptor - Descriptor from parse()
+ * @param {Object} [options]
+ * @param {string} [options.filename] - File the descriptor comes from
+ * @param {Object} [options.customBlocks] - Transformers by block type
+ * @returns {Promise<Object[]>} { block, code, map, name } for each transformed
+ *   block; `name` is the const that holds the default export, or null
+ */
+export async function transformCustomBlocks(descriptor, options = {}) {
+    const { filename = descriptor.filename, customBlocks } = options;
+    const results = [];
+
+    for (let index = 0; index < descriptor.customBlocks.length; index++) {
+        const block = descriptor.customBlocks[index];
+        const transformer = getBlockTransformer(block.type, customBlocks);
+        if (!transformer) {
+            continue;
+        }
+
+        let result;
+        try {
+            result = await transformer(block, { filename, descriptor, index });
+        } catch (error) {
+            throw new Error(`Failed to transform the <${block.type}> block of ${filename}: ${error.message}`);
+        }
+        if (result == null) {
+            continue;
+        }
+
+        const { code, map = null } = typeof result === 'string' ? { code: result } : result;
+
+        // The default export is kept in a const that the component module calls
+        const name = /^\s*export\s+default\s+/m.test(code) ? `__block${results.length}` : null;
+        results.push({
+            block,
+            code: name ? code.replace(/^(\s*)export\s+default\s+/m, `$1const ${name} = `) : code,
+            map,
+            name
+        });
+    }
+
+    return results;
+}
@@ -2,6 +2,18 @@
  * Directives - Export all template directives
  */
 
+import { compileVModel } from './v-model.js';
+import { compileVIf, createVIfHelper } from './v-if.js';
+import { compileVFor, createVForHelper } from './v-for.js';
+import { compileVShow, createVShowHelper } from './v-show.js';
+import { compileVSlot, createSlotHelper } from './v-slot.js';
+import { compileVOnce } from './v-once.js';
+import { compileVMemo } from './v-memo.js';
+import { compileVHtml } from './v-html.js';
+import { compileVText } from './v-text.js';
+import { compileVPre } from './v-pre.js';
+import { compileVCloak } from './v-cloak.js';
+
 export {
     compileVModel,
     generateVModelCode
@@ -37,6 +49,18 @@ export {
     normalizeSlots
 } from './v-slot.js';
 
+export { compileVOnce, generateVOnceCode } from './v-once.js';
+
+export { compileVMemo, generateVMemoCode } from './v-memo.js';
+
+export { compileVHtml, generateVHtmlCode } from './v-html.js';
+
+export { compileVText, generateVTextCode } from './v-text.js';
+
+export { compileVPre } from './v-pre.js';
+
+export { compileVCloak } from './v-cloak.js';
+
 /**
  * Registry of all directives
  */
@@ -47,7 +71,13 @@ export const directiveRegistry = {
     'v-else': compileVIf,
     'v-for': compileVFor,
     'v-show': compileVShow,
-    'v-slot': compileVSlot
+    'v-slot': compileVSlot,
+    'v-once': compileVOnce,
+    'v-memo': compileVMemo,
+    'v-html': compileVHtml,
+    'v-text': compileVText,
+    'v-pre': compileVPre,
+    'v-cloak': compileVCloak
 };
 
 /**
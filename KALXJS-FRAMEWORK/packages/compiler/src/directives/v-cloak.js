@@ -0,0 +1,18 @@
+/**
+ * v-cloak Directive - Hide markup until the app mounts
+ * Stays on elements of the page until the app mounts over them, with a rule like
+ * `[v-cloak] { display: none; }` hiding uncompiled `{{ }}` meanwhile.
+ * Compiled templates don't render it.
+ */
+
+/**
+ * Compiles v-cloak directive
+ * @param {Object} node - AST node
+ * @returns {Object} Compiled directive
+ */
+export function compileVCloak(node) {
+    return {
+        type: 'cloak',
+        node
+    };
+}
@@ -0,0 +1,31 @@
+/**
+ * v-html Directive - Set the inner HTML of an element
+ * The content isn't sanitized, only use it with trusted HTML
+ */
+
+/**
+ * Compiles v-html directive
+ * @param {Object} node - AST node
+ * @param {string} html - HTML expression
+ * @returns {Object|null} Compiled directive, null without expression
+ */
+export function compileVHtml(node, html) {
+    if (typeof html !== 'string' || !html.trim()) {
+        return null;
+    }
+
+    return {
+        type: 'html',
+        html,
+        node
+    };
+}
+
+/**
+ * Generates runtime code for v-html
+ * @param {string} html - HTML expression code
+ * @returns {string} Prop code
+ */
+export function generateVHtmlCode(html) {
+    return `innerHTML: ${html}`;
+}
@@ -0,0 +1,34 @@
+/**
+ * v-memo Directive - Re-render an element only when its dependencies change
+ * `v-memo="[a, b]"` reuses the last vnode while a and b stay the same
+ */
+
+/**
+ * Compiles v-memo directive
+ * @param {Object} node - AST node
+ * @param {string} dependencies - Array expression of the dependencies
+ * @returns {Object|null} Compiled directive, null without dependencies
+ */
+export function compileVMemo(node, dependencies) {
+    if (typeof dependencies !== 'string' || !dependencies.trim()) {
+        return null;
+    }
+
+    return {
+        type: 'memo',
+        dependencies,
+        node
+    };
+}
+
+/**
+ * Generates runtime code for v-memo
+ * @param {string} dependencies - Dependencies array code
+ * @param {string} vnodeCode - Code creating the element's vnode
+ * @param {string} cacheCode - Render cache, or the cache of a v-for list
+ * @param {string|number} index - Slot of the element in the cache, the item key in a list
+ * @returns {string} withMemo() call
+ */
+export function generateVMemoCode(dependencies, vnodeCode, cacheCode, index) {
+    return `withMemo(${dependencies}, () => ${vnodeCode}, ${cacheCode}, ${index})`;
+}
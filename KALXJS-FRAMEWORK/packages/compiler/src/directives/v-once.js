@@ -0,0 +1,26 @@
+/**
+ * v-once Directive - Render an element and its children once
+ * Later renders reuse the first vnode, which the patcher skips
+ */
+
+/**
+ * Compiles v-once directive
+ * @param {Object} node - AST node
+ * @returns {Object} Compiled directive
+ */
+export function compileVOnce(node) {
+    return {
+        type: 'once',
+        node
+    };
+}
+
+/**
+ * Generates runtime code for v-once
+ * @param {string} vnodeCode - Code creating the element's vnode
+ * @param {number} index - Slot of the element in the render cache
+ * @returns {string} renderOnce() call
+ */
+export function generateVOnceCode(vnodeCode, index) {
+    return `renderOnce(() => ${vnodeCode}, _cache, ${index})`;
+}
@@ -0,0 +1,16 @@
+/**
+ * v-pre Directive - Skip compilation of an element and its children
+ * Attributes are kept as written and `{{ }}` renders as text
+ */
+
+/**
+ * Compiles v-pre directive
+ * @param {Object} node - AST node
+ * @returns {Object} Compiled directive
+ */
+export function compileVPre(node) {
+    return {
+        type: 'pre',
+        node
+    };
+}
@@ -0,0 +1,30 @@
+/**
+ * v-text Directive - Set the text content of an element
+ */
+
+/**
+ * Compiles v-text directive
+ * @param {Object} node - AST node
+ * @param {string} text - Text expression
+ * @returns {Object|null} Compiled directive, null without expression
+ */
+export function compileVText(node, text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return null;
+    }
+
+    return {
+        type: 'text',
+        text,
+        node
+    };
+}
+
+/**
+ * Generates runtime code for v-text, displayed like an interpolation
+ * @param {string} text - Text expression code
+ * @returns {string} Prop code
+ */
+export function generateVTextCode(text) {
+    return `textContent: toDisplayString(${text})`;
+}
@@ -0,0 +1,577 @@
+// @kalxjs/compiler - Direct DOM code generation for <template mode="dom">
+
+import { CompilerError, ErrorCodes } from '../errors.js';
+import {
+    processExpression,
+    processHandler,
+    processParams,
+    addIdentifiers,
+    removeIdentifiers
+} from '../expression.js';
+import { parseVForExpression } from '../directives/v-for.js';
+import { VOID_TAGS } from '../parser.js';
+import {
+    generatePropsCode,
+    generateTextCode,
+    parseDirectiveAttr,
+    isComponentTag,
+    hasRenderedChildren,
+    hasAttr,
+    getAttr,
+    isSlotAttr,
+    mark
+} from '../compiler.js';
+
+/**
+ * Direct DOM output of templates
+ *
+ * Instead of returning vnodes that are diffed on every update, the render
+ * function clones the static HTML of the template and binds each dynamic
+ * part to an effect of its own:
+ *
+ *   <p class="a">Hi {{ name }}</p>
+ *   ->
+ *   const _template_1 = createDOMTemplate("<p class=\"a\"> </p>");
+ *   function render() {
+ *     return renderDOM(() => {
+ *       const _n1 = _template_1();
+ *       const _n2 = _n1.firstChild;
+ *       renderEffect(() => setDOMText(_n2, "Hi " + toDisplayString(this.name)));
+ *       return _n1;
+ *     });
+ *   }
+ *
+ * v-if branches and v-for items are blocks cloned from templates of their
+ * own and inserted before a comment anchor. Components are mounted before an
+ * anchor too, through the virtual DOM renderer.
+ *
+ * @module @kalxjs/compiler/dom/codegen
+ */
+
+const STRUCTURAL_DIRECTIVES = ['v-if', 'v-else-if', 'v-else', 'v-for'];
+
+const KEY_ATTRS = ['key', ':key', 'v-bind:key'];
+
+/**
+ * Generates a direct DOM render function from a template AST. Templates
+ * using what DOM mode doesn't support yet are left to the virtual DOM
+ * codegen, with a warning.
+ * @param {Object} ast - Template AST
+ * @param {Object} context - Codegen context of compileTemplate()
+ * @returns {string|null} Render function code, or null to compile to the virtual DOM
+ */
+export function generateDOMRenderFunction(ast, context) {
+    const roots = (ast.children || []).filter(child =>
+        child.type !== 'Comment' && !(child.type === 'Text' && !child.content.trim())
+    );
+
+    const unsupported = findUnsupportedRoot(roots) || findUnsupportedNode(roots, null);
+    if (unsupported) {
+        console.warn(`[compiler] DOM mode doesn't support ${unsupported}, compiling ${context.filename || 'the template'} to the virtual DOM instead`);
+        return null;
+    }
+
+    let root = roots[0];
+    if (roots.length > 1) {
+        // The renderer mounts a single root, so sibling roots share a wrapper
+        console.warn('[compiler] Template has more than one root node, wrapping them in a <div>');
+        root = { type: 'Element', tag: 'div', attrs: {}, attrsList: [], children: roots, loc: ast.loc };
+    }
+
+    // Numbers of the node references and hoisted templates
+    context.refCount = 0;
+    context.templateCount = 0;
+
+    context.helpers.add('renderDOM');
+    const head = context.bindingMetadata ? 'function render($props, $setup) {\n' : 'function render() {\n';
+    const body = `  return ${mark(context, root.loc)}renderDOM(${generateBlockFunction([root], '', context, '  ')});\n}`;
+    // Functions in the template read from the component through _ctx
+    return context.usesContext ? `${head}  const _ctx = this;\n${body}` : head + body;
+}
+
+/**
+ * Checks whether the root of a template can be rendered by DOM mode
+ * @private
+ * @returns {string|null} What isn't supported
+ */
+function findUnsupportedRoot(roots) {
+    if (roots.length === 0) {
+        return 'an empty template';
+    }
+    if (roots.length > 1) {
+        return null;
+    }
+
+    const root = roots[0];
+    if (root.type !== 'Element') {
+        return 'a text root';
+    }
+    if (isComponentTag(root.tag)) {
+        return 'a component as root';
+    }
+    if (STRUCTURAL_DIRECTIVES.some(name => hasAttr(root, name))) {
+        return 'v-if or v-for on the root element';
+    }
+    return null;
+}
+
+/**
+ * Finds the first feature DOM mode doesn't support in a list of nodes
+ * @private
+ * @param {Array} nodes - Nodes
+ * @param {Object|null} parent - Element the nodes are children of
+ * @returns {string|null} What isn't supported
+ */
+function findUnsupportedNode(nodes, parent) {
+    for (const node of nodes) {
+        if (node.type !== 'Element' || hasAttr(node, 'v-pre')) {
+            continue;
+        }
+
+        if (node.tag === 'slot' || node.tag === 'component') {
+            return `<${node.tag}>`;
+        }
+        if (node.tag === 'template' && !STRUCTURAL_DIRECTIVES.some(name => hasAttr(node, name))) {
+            return '<template> without v-if or v-for';
+        }
+        // The HTML parser would move the row into a <tbody>
+        if (node.tag === 'tr' && parent && parent.tag === 'table') {
+            return '<tr> directly inside <table>';
+        }
+
+        for (const key of Object.keys(node.attrs || {})) {
+            const directive = parseDirectiveAttr(key);
+            if (directive && directive.name !== 'show') {
+                return `custom directives (${key})`;
+            }
+            if (key === 'v-once' || key === 'v-memo' || key === 'ref' || key === ':ref' || key === 'v-bind:ref') {
+                return key;
+            }
+            if (isSlotAttr(key)) {
+                return 'v-slot';
+            }
+        }
+
+        if (isComponentTag(node.tag) && hasRenderedChildren(node.children || [])) {
+            return 'slot content';
+        }
+
+        // Blocks are tracked by their top-level nodes, which can't be rendered before an anchor themselves
+        const structural = STRUCTURAL_DIRECTIVES.filter(name => hasAttr(node, name));
+        if (structural.length > 0) {
+            const top = node.tag === 'template' ? node.children || [] : [node];
+            const nested = structural.length > 1 || top.some(child => child.type === 'Element' && (
+                isComponentTag(child.tag) ||
+                (child !== node && STRUCTURAL_DIRECTIVES.some(name => hasAttr(child, name)))
+            ));
+            if (nested) {
+                return 'a component, v-if or v-for directly inside v-if or v-for';
+            }
+        }
+
+        const unsupported = findUnsupportedNode(node.children || [], node);
+        if (unsupported) {
+            return unsupported;
+        }
+    }
+    return null;
+}
+
+/**
+ * Generates a function building a block: it clones the block's template,
+ * looks up its dynamic nodes and binds them
+ * @private
+ * @param {Array} nodes - Top-level nodes of the block
+ * @param {string} params - Parameters of the function, the aliases of v-for
+ * @param {Object} context - Codegen context
+ * @param {string} indent - Indentation of the line the function starts on
+ * @returns {string} Function code
+ */
+function generateBlockFunction(nodes, params, context, indent) {
+    const top = trimWhitespace(nodes.filter(node => node.type !== 'Comment'));
+    const root = { id: `_n${++context.refCount}` };
+    const block = { refs: [], lines: [], indent: `${indent}  ` };
+
+    // A template of one node clones to that node, of several to a fragment
+    const nodeInfo = countNodes(top) === 1 ? () => root : index => ({ parent: root, index });
+    const template = hoistTemplate(generateChildrenHTML(top, nodeInfo, block, context) || '<!---->', context);
+
+    if (block.refs.length === 0 && block.lines.length === 0) {
+        return `(${params}) => ${template}()`;
+    }
+
+    // Every node is looked up before anchors get content, which shifts the indices
+    const body = [`const ${root.id} = ${template}();`, ...block.refs, ...block.lines, `return ${root.id};`];
+    return `(${params}) => {\n${body.map(line => `${block.indent}${line}`).join('\n')}\n${indent}}`;
+}
+
+/**
+ * Generates the HTML of a list of children, and the code binding their
+ * dynamic parts into the block
+ * @private
+ * @param {Array} children - Child nodes
+ * @param {Function} nodeInfo - Returns the reference of the child DOM node at an index
+ * @param {Object} block - Block being generated
+ * @param {Object} context - Codegen context
+ * @returns {string} HTML
+ */
+function generateChildrenHTML(children, nodeInfo, block, context) {
+    children = children.filter(child => child.type !== 'Comment');
+    let html = '';
+    let index = 0;
+
+    for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+
+        // Adjacent text and interpolations parse back as one text node
+        if (child.type === 'Text' || child.type === 'Expression') {
+            const parts = [];
+            while (i < children.length && (children[i].type === 'Text' || children[i].type === 'Expression')) {
+                parts.push(children[i++]);
+            }
+            i--;
+
+            if (parts.every(part => part.type === 'Text')) {
+                const text = parts.map(part => part.content).join('');
+                if (text) {
+                    html += escapeHTML(text);
+                    index++;
+                }
+            } else {
+                // A placeholder creates the text node, its effect sets the text
+                const ref = getRef(nodeInfo(index++), block, context);
+                context.helpers.add('renderEffect');
+                context.helpers.add('setDOMText');
+                block.lines.push(`renderEffect(() => setDOMText(${ref}, ${generateTextCode(parts, context)}));`);
+                html += ' ';
+            }
+            continue;
+        }
+
+        if (child.type !== 'Element') {
+            continue;
+        }
+
+        if (hasAttr(child, 'v-pre')) {
+            html += generatePreHTML(child, context);
+            index++;
+        } else if (hasAttr(child, 'v-if')) {
+            const branches = [child];
+
+            // v-else-if / v-else siblings, only whitespace may sit in between
+            for (let j = i + 1; j < children.length; j++) {
+                const next = children[j];
+                if (next.type === 'Text' && !next.content.trim()) {
+                    continue;
+                }
+                if (next.type !== 'Element' || !(hasAttr(next, 'v-else-if') || hasAttr(next, 'v-else'))) {
+                    break;
+                }
+                branches.push(next);
+                i = j;
+                if (hasAttr(next, 'v-else')) break;
+            }
+
+            const anchor = getRef(nodeInfo(index++), block, context);
+            block.lines.push(generateIfCode(branches, anchor, context, block.indent));
+            html += '<!---->';
+        } else if (hasAttr(child, 'v-else-if') || hasAttr(child, 'v-else')) {
+            context.errors.push(new CompilerError(ErrorCodes.X_V_ELSE_NO_ADJACENT_IF, child.loc, {
+                source: context.source,
+                filename: context.filename
+            }));
+        } else if (hasAttr(child, 'v-for')) {
+            const anchor = getRef(nodeInfo(index++), block, context);
+            const code = generateForCode(child, anchor, context, block.indent);
+            if (code) {
+                block.lines.push(code);
+            }
+            html += '<!---->';
+        } else if (isComponentTag(child.tag)) {
+            const anchor = getRef(nodeInfo(index++), block, context);
+            context.helpers.add('createDOMComponent');
+            block.lines.push(`${mark(context, child.loc)}createDOMComponent(${anchor}, ${child.tag}, () => (${generatePropsCode(child, context, null)}));`);
+            html += '<!---->';
+        } else {
+            html += generateElementHTML(child, nodeInfo(index++), block, context);
+        }
+    }
+
+    return html;
+}
+
+/**
+ * Generates the HTML of an element, binding its dynamic attributes and
+ * directives into the block
+ * @private
+ * @param {Object} node - Element node
+ * @param {Object} info - Reference of its DOM node
+ * @param {Object} block - Block being generated
+ * @param {Object} context - Codegen context
+ * @returns {string} HTML
+ */
+function generateElementHTML(node, info, block, context) {
+    let html = `<${node.tag}`;
+
+    for (const [key, value] of Object.entries(node.attrs || {})) {
+        const loc = getAttr(node, key).loc;
+
+        if (STRUCTURAL_DIRECTIVES.includes(key) || KEY_ATTRS.includes(key) || key === 'v-cloak') {
+            // Handled by the parent's codegen, or only matter before the app mounts
+            continue;
+        }
+
+        if (key.startsWith('@') || key.startsWith('v-on:') || (key.startsWith('on') && typeof value === 'string')) {
+            const eventName = key.startsWith('@') ? key.slice(1) : key.startsWith('v-on:') ? key.slice(5) : null;
+            const handlerKey = eventName ? `on${eventName.charAt(0).toUpperCase() + eventName.slice(1)}` : key;
+            bindProp(info, handlerKey, processHandler(typeof value === 'string' ? value : '', context, loc), block, context, loc);
+        } else if (key.startsWith(':') || key.startsWith('v-bind:')) {
+            const bindName = key.startsWith(':') ? key.slice(1) : key.slice(7);
+            bindProp(info, bindName, processExpression(typeof value === 'string' ? value : bindName, context, loc), block, context, loc);
+        } else if (key === 'v-model') {
+            bindProp(info, 'value', processExpression(value, context, loc), block, context, loc);
+            bindProp(info, 'onInput', processHandler(`${value} = $event.target.value`, context, loc), block, context, loc);
+        } else if (key === 'v-show') {
+            context.helpers.add('renderEffect');
+            context.helpers.add('setDOMShow');
+            block.lines.push(`${mark(context, loc)}renderEffect(() => setDOMShow(${getRef(info, block, context)}, ${processExpression(String(value), context, loc)}));`);
+        } else if (key === 'v-html' || key === 'v-text') {
+            if (typeof value !== 'string' || !value.trim()) {
+                context.errors.push(new CompilerError(
+                    key === 'v-html' ? ErrorCodes.X_V_HTML_NO_EXPRESSION : ErrorCodes.X_V_TEXT_NO_EXPRESSION,
+                    loc,
+                    { source: context.source, filename: context.filename }
+                ));
+            } else if (key === 'v-html') {
+                bindProp(info, 'innerHTML', processExpression(value, context, loc), block, context, loc);
+            } else {
+                context.helpers.add('toDisplayString');
+                bindProp(info, 'textContent', `toDisplayString(${processExpression(value, context, loc)})`, block, context, loc);
+            }
+        } else if (key.startsWith('v-')) {
+            console.warn(`[compiler] Directive ${key} is not supported, ignoring it`);
+        } else if (typeof value === 'string' && value.startsWith('this.')) {
+            // Dynamic attribute already referencing this
+            bindProp(info, key, value, block, context, loc);
+        } else if (value === true) {
+            html += ` ${key}`;
+        } else if (value !== false) {
+            html += ` ${key}="${escapeHTML(String(value), true)}"`;
+        }
+    }
+
+    if (context.scopeId) {
+        html += ` ${context.scopeId}`;
+    }
+    html += '>';
+
+    if (VOID_TAGS.has(node.tag)) {
+        return html;
+    }
+
+    // v-html and v-text replace the children
+    const contentDirective = ['v-html', 'v-text'].find(name => hasAttr(node, name));
+    if (contentDirective) {
+        if (hasRenderedChildren(node.children || [])) {
+            context.errors.push(new CompilerError(
+                contentDirective === 'v-html' ? ErrorCodes.X_V_HTML_WITH_CHILDREN : ErrorCodes.X_V_TEXT_WITH_CHILDREN,
+                getAttr(node, contentDirective).loc,
+                { source: context.source, filename: context.filename }
+            ));
+        }
+    } else {
+        html += generateChildrenHTML(node.children || [], index => ({ parent: info, index }), block, context);
+    }
+
+    return `${html}</${node.tag}>`;
+}
+
+/**
+ * Generates a v-if / v-else-if / v-else chain:
+ * `createDOMIf(_n2, () => (this.ok) ? 0 : 1, [() => _template_2(), () => _template_3()])`
+ * @private
+ * @param {Array} branches - Element nodes of the chain, in order
+ * @param {string} anchor - Reference of the anchor
+ * @param {Object} context - Codegen context
+ * @param {string} indent - Indentation of the line
+ * @returns {string} Code
+ */
+function generateIfCode(branches, anchor, context, indent) {
+    context.helpers.add('createDOMIf');
+
+    let branch = '-1';
+    for (let i = branches.length - 1; i >= 0; i--) {
+        const node = branches[i];
+        const condition = hasAttr(node, 'v-else') ? null : getAttr(node, hasAttr(node, 'v-if') ? 'v-if' : 'v-else-if');
+        branch = condition
+            ? `(${mark(context, condition.loc)}${processExpression(String(condition.value), context, condition.loc)}) ? ${i} : ${branch}`
+            : String(i);
+    }
+
+    const blocks = branches.map(node =>
+        `${indent}  ${generateBlockFunction(getBlockNodes(node), '', context, `${indent}  `)}`
+    );
+    return `createDOMIf(${anchor}, () => ${branch}, [\n${blocks.join(',\n')}\n${indent}]);`;
+}
+
+/**
+ * Generates a v-for element:
+ * `createDOMFor(_n2, () => this.items, (item) => {...}, (item) => item.id)`
+ * @private
+ * @param {Object} node - Element node with v-for
+ * @param {string} anchor - Reference of the anchor
+ * @param {Object} context - Codegen context
+ * @param {string} indent - Indentation of the line
+ * @returns {string|null} Code, or null for a malformed v-for
+ */
+function generateForCode(node, anchor, context, indent) {
+    const { value, loc } = getAttr(node, 'v-for');
+    const parsed = typeof value === 'string' ? parseVForExpression(value) : null;
+    if (!parsed || !parsed.value) {
+        context.errors.push(new CompilerError(ErrorCodes.X_V_FOR_MALFORMED_EXPRESSION, loc, {
+            source: context.source,
+            filename: context.filename
+        }));
+        return null;
+    }
+
+    const params = processParams([parsed.value, parsed.key, parsed.index].filter(Boolean).join(', '), context, loc);
+    if (!params) {
+        return null;
+    }
+    const source = processExpression(parsed.source, context, loc);
+
+    context.helpers.add('createDOMFor');
+
+    // The aliases shadow component state inside the item
+    addIdentifiers(context, params.identifiers);
+    const item = generateBlockFunction(getBlockNodes(node), params.code, context, indent);
+    const keyName = KEY_ATTRS.slice(1).find(name => hasAttr(node, name));
+    const key = keyName
+        ? `, (${params.code}) => ${processExpression(String(node.attrs[keyName]), context, getAttr(node, keyName).loc)}`
+        : '';
+    removeIdentifiers(context, params.identifiers);
+
+    return `${mark(context, loc)}createDOMFor(${anchor}, () => ${source}, ${item}${key});`;
+}
+
+/**
+ * Returns the nodes a v-if branch or v-for item renders: the children of a
+ * <template>, or the element without its v-if / v-for
+ * @private
+ */
+function getBlockNodes(node) {
+    if (node.tag === 'template') {
+        return node.children || [];
+    }
+    const attrs = { ...node.attrs };
+    STRUCTURAL_DIRECTIVES.forEach(name => delete attrs[name]);
+    return [{ ...node, attrs }];
+}
+
+/**
+ * Generates a v-pre element as written, attributes and `{{ }}` included
+ * @private
+ */
+function generatePreHTML(node, context) {
+    let html = `<${node.tag}`;
+    for (const [key, value] of Object.entries(node.attrs || {})) {
+        if (key !== 'v-pre') {
+            html += value === true ? ` ${key}` : ` ${key}="${escapeHTML(String(value), true)}"`;
+        }
+    }
+    if (context.scopeId) {
+        html += ` ${context.scopeId}`;
+    }
+    html += '>';
+
+    if (VOID_TAGS.has(node.tag)) {
+        return html;
+    }
+    for (const child of node.children || []) {
+        if (child.type === 'Text') {
+            html += escapeHTML(child.content);
+        } else if (child.type === 'Element') {
+            html += generatePreHTML(child, context);
+        }
+    }
+    return `${html}</${node.tag}>`;
+}
+
+/**
+ * Binds a prop of an element to an effect setting it
+ * @private
+ */
+function bindProp(info, key, valueCode, block, context, loc) {
+    context.helpers.add('renderEffect');
+    context.helpers.add('setDOMProp');
+    block.lines.push(`${mark(context, loc)}renderEffect(() => setDOMProp(${getRef(info, block, context)}, ${JSON.stringify(key)}, ${valueCode}));`);
+}
+
+/**
+ * Returns the variable referencing a DOM node of the block, declaring it
+ * and its ancestors' on first use
+ * @private
+ * @param {Object} info - `{ parent, index }`, or `{ id }` once declared
+ * @param {Object} block - Block being generated
+ * @param {Object} context - Codegen context
+ * @returns {string} Variable name
+ */
+function getRef(info, block, context) {
+    if (!info.id) {
+        const parent = getRef(info.parent, block, context);
+        info.id = `_n${++context.refCount}`;
+        block.refs.push(`const ${info.id} = ${parent}.${info.index === 0 ? 'firstChild' : `childNodes[${info.index}]`};`);
+    }
+    return info.id;
+}
+
+/**
+ * Hoists the HTML of a block out of the render function, it is parsed once
+ * @private
+ * @returns {string} Identifier of the clone function
+ */
+function hoistTemplate(html, context) {
+    const id = `_template_${++context.templateCount}`;
+    context.helpers.add('createDOMTemplate');
+    context.hoisted.push(`const ${id} = createDOMTemplate(${JSON.stringify(html)});`);
+    return id;
+}
+
+/**
+ * Counts the DOM nodes top-level nodes of a block parse back to
+ * @private
+ */
+function countNodes(nodes) {
+    let count = 0;
+    let inText = false;
+    for (const node of nodes) {
+        const isText = node.type === 'Text' || node.type === 'Expression';
+        if (!isText || !inText) {
+            count++;
+        }
+        inText = isText;
+    }
+    return count;
+}
+
+/**
+ * Drops the whitespace around the top-level nodes of a block
+ * @private
+ */
+function trimWhitespace(nodes) {
+    const isBlank = node => node.type === 'Text' && !node.content.trim();
+    let start = 0;
+    let end = nodes.length;
+    while (start < end && isBlank(nodes[start])) start++;
+    while (end > start && isBlank(nodes[end - 1])) end--;
+    return nodes.slice(start, end);
+}
+
+/**
+ * @private
+ */
+function escapeHTML(text, inAttribute = false) {
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return inAttribute ? escaped.replace(/"/g, '&quot;') : escaped;
+}
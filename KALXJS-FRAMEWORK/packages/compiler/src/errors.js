@@ -0,0 +1,196 @@
+// @kalxjs/compiler - Compiler diagnostics
+
+/**
+ * Diagnostic codes reported by the template parser and compiler. Codes for HTML syntax
+ * errors use the names from the HTML specification's parse errors.
+ */
+export const ErrorCodes = {
+    // HTML syntax errors
+    ABRUPT_CLOSING_OF_EMPTY_COMMENT: 'abrupt-closing-of-empty-comment',
+    CDATA_IN_HTML_CONTENT: 'cdata-in-html-content',
+    DUPLICATE_ATTRIBUTE: 'duplicate-attribute',
+    END_TAG_WITH_ATTRIBUTES: 'end-tag-with-attributes',
+    END_TAG_WITH_TRAILING_SOLIDUS: 'end-tag-with-trailing-solidus',
+    EOF_BEFORE_TAG_NAME: 'eof-before-tag-name',
+    EOF_IN_CDATA: 'eof-in-cdata',
+    EOF_IN_COMMENT: 'eof-in-comment',
+    EOF_IN_TAG: 'eof-in-tag',
+    INCORRECTLY_CLOSED_COMMENT: 'incorrectly-closed-comment',
+    INCORRECTLY_OPENED_COMMENT: 'incorrectly-opened-comment',
+    INVALID_FIRST_CHARACTER_OF_TAG_NAME: 'invalid-first-character-of-tag-name',
+    MISSING_ATTRIBUTE_VALUE: 'missing-attribute-value',
+    MISSING_END_TAG_NAME: 'missing-end-tag-name',
+    MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE: 'missing-semicolon-after-character-reference',
+    MISSING_WHITESPACE_BETWEEN_ATTRIBUTES: 'missing-whitespace-between-attributes',
+    NESTED_COMMENT: 'nested-comment',
+    NULL_CHARACTER_REFERENCE: 'null-character-reference',
+    CHARACTER_REFERENCE_OUTSIDE_UNICODE_RANGE: 'character-reference-outside-unicode-range',
+    SURROGATE_CHARACTER_REFERENCE: 'surrogate-character-reference',
+    UNEXPECTED_CHARACTER_IN_ATTRIBUTE_NAME: 'unexpected-character-in-attribute-name',
+    UNEXPECTED_CHARACTER_IN_UNQUOTED_ATTRIBUTE_VALUE: 'unexpected-character-in-unquoted-attribute-value',
+    UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME: 'unexpected-equals-sign-before-attribute-name',
+    UNEXPECTED_QUESTION_MARK_INSTEAD_OF_TAG_NAME: 'unexpected-question-mark-instead-of-tag-name',
+    UNEXPECTED_SOLIDUS_IN_TAG: 'unexpected-solidus-in-tag',
+
+    // Template errors
+    X_INVALID_END_TAG: 'invalid-end-tag',
+    X_MISSING_END_TAG: 'missing-end-tag',
+    X_MISSING_INTERPOLATION_END: 'missing-interpolation-end',
+    X_INVALID_EXPRESSION: 'invalid-expression',
+    X_V_ELSE_NO_ADJACENT_IF: 'v-else-no-adjacent-if',
+    X_V_FOR_MALFORMED_EXPRESSION: 'v-for-malformed-expression',
+    X_V_HTML_NO_EXPRESSION: 'v-html-no-expression',
+    X_V_HTML_WITH_CHILDREN: 'v-html-with-children',
+    X_V_TEXT_NO_EXPRESSION: 'v-text-no-expression',
+    X_V_TEXT_WITH_CHILDREN: 'v-text-with-children',
+    X_V_MEMO_NO_EXPRESSION: 'v-memo-no-expression',
+
+    // Single-file component errors
+    X_DUPLICATE_BLOCK: 'duplicate-block',
+
+    // Style errors
+    X_CSS_UNCLOSED_BLOCK: 'css-unclosed-block',
+    X_CSS_UNCLOSED_COMMENT: 'css-unclosed-comment',
+    X_CSS_UNCLOSED_STRING: 'css-unclosed-string',
+    X_CSS_UNEXPECTED_CLOSING_BRACE: 'css-unexpected-closing-brace',
+    X_CSS_INVALID_DECLARATION: 'css-invalid-declaration'
+};
+
+const errorMessages = {
+    [ErrorCodes.ABRUPT_CLOSING_OF_EMPTY_COMMENT]: 'Illegal comment.',
+    [ErrorCodes.CDATA_IN_HTML_CONTENT]: 'CDATA section is allowed only in XML context (inside <svg> or <math>).',
+    [ErrorCodes.DUPLICATE_ATTRIBUTE]: 'Duplicate attribute.',
+    [ErrorCodes.END_TAG_WITH_ATTRIBUTES]: 'End tag cannot have attributes.',
+    [ErrorCodes.END_TAG_WITH_TRAILING_SOLIDUS]: 'Illegal \'/\' in end tag.',
+    [ErrorCodes.EOF_BEFORE_TAG_NAME]: 'Unexpected EOF in tag.',
+    [ErrorCodes.EOF_IN_CDATA]: 'Unexpected EOF in CDATA section.',
+    [ErrorCodes.EOF_IN_COMMENT]: 'Unexpected EOF in comment.',
+    [ErrorCodes.EOF_IN_TAG]: 'Unexpected EOF in tag.',
+    [ErrorCodes.INCORRECTLY_CLOSED_COMMENT]: 'Incorrectly closed comment.',
+    [ErrorCodes.INCORRECTLY_OPENED_COMMENT]: 'Incorrectly opened comment.',
+    [ErrorCodes.INVALID_FIRST_CHARACTER_OF_TAG_NAME]: 'Illegal tag name. Use \'&lt;\' to print \'<\'.',
+    [ErrorCodes.MISSING_ATTRIBUTE_VALUE]: 'Attribute value was expected.',
+    [ErrorCodes.MISSING_END_TAG_NAME]: 'End tag name was expected.',
+    [ErrorCodes.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE]: 'Semicolon was expected.',
+    [ErrorCodes.MISSING_WHITESPACE_BETWEEN_ATTRIBUTES]: 'Whitespace was expected.',
+    [ErrorCodes.NESTED_COMMENT]: 'Unexpected \'<!--\' in comment.',
+    [ErrorCodes.NULL_CHARACTER_REFERENCE]: 'Illegal numeric character reference: null character.',
+    [ErrorCodes.CHARACTER_REFERENCE_OUTSIDE_UNICODE_RANGE]: 'Illegal numeric character reference: too big.',
+    [ErrorCodes.SURROGATE_CHARACTER_REFERENCE]: 'Illegal numeric character reference: invalid character.',
+    [ErrorCodes.UNEXPECTED_CHARACTER_IN_ATTRIBUTE_NAME]: 'Attribute name cannot contain U+0022 ("), U+0027 (\'), and U+003C (<).',
+    [ErrorCodes.UNEXPECTED_CHARACTER_IN_UNQUOTED_ATTRIBUTE_VALUE]: 'Unquoted attribute value cannot contain U+0022 ("), U+0027 (\'), U+003C (<), U+003D (=), and U+0060 (`).',
+    [ErrorCodes.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME]: 'Attribute name cannot start with \'=\'.',
+    [ErrorCodes.UNEXPECTED_QUESTION_MARK_INSTEAD_OF_TAG_NAME]: '\'<?\' is allowed only in XML context.',
+    [ErrorCodes.UNEXPECTED_SOLIDUS_IN_TAG]: 'Illegal \'/\' in tags.',
+    [ErrorCodes.X_INVALID_END_TAG]: 'Invalid end tag.',
+    [ErrorCodes.X_MISSING_END_TAG]: 'Element is missing end tag.',
+    [ErrorCodes.X_MISSING_INTERPOLATION_END]: 'Interpolation end sign was not found.',
+    [ErrorCodes.X_INVALID_EXPRESSION]: 'Error parsing JavaScript expression.',
+    [ErrorCodes.X_V_ELSE_NO_ADJACENT_IF]: 'v-else/v-else-if has no adjacent v-if or v-else-if.',
+    [ErrorCodes.X_V_FOR_MALFORMED_EXPRESSION]: 'v-for has invalid expression.',
+    [ErrorCodes.X_V_HTML_NO_EXPRESSION]: 'v-html is missing expression.',
+    [ErrorCodes.X_V_HTML_WITH_CHILDREN]: 'v-html will override element children.',
+    [ErrorCodes.X_V_TEXT_NO_EXPRESSION]: 'v-text is missing expression.',
+    [ErrorCodes.X_V_TEXT_WITH_CHILDREN]: 'v-text will override element children.',
+    [ErrorCodes.X_V_MEMO_NO_EXPRESSION]: 'v-memo is missing expression, it expects an array of dependencies.',
+    [ErrorCodes.X_DUPLICATE_BLOCK]: 'Single file component can contain only one block of this type.',
+    [ErrorCodes.X_CSS_UNCLOSED_BLOCK]: 'Unclosed block, \'}\' was expected.',
+    [ErrorCodes.X_CSS_UNCLOSED_COMMENT]: 'Unclosed comment.',
+    [ErrorCodes.X_CSS_UNCLOSED_STRING]: 'Unclosed string.',
+    [ErrorCodes.X_CSS_UNEXPECTED_CLOSING_BRACE]: 'Unexpected \'}\'.',
+    [ErrorCodes.X_CSS_INVALID_DECLARATION]: 'Declaration is missing \':\'.'
+};
+
+/**
+ * A diagnostic with its source location and a code frame pointing at it
+ */
+export class CompilerError extends SyntaxError {
+    /**
+     * @param {string} code - One of ErrorCodes
+     * @param {Object} loc - Source location ({ start, end, source })
+     * @param {Object} [options]
+     * @param {string} [options.source] - Full source, used to build the code frame
+     * @param {string} [options.filename] - File the source came from
+     * @param {string} [options.message] - Overrides the default message for the code
+     */
+    constructor(code, loc, options = {}) {
+        super(options.message || errorMessages[code] || code);
+        this.name = 'CompilerError';
+        this.code = code;
+        this.loc = loc;
+        this.filename = options.filename || null;
+        this.frame = options.source != null && loc
+            ? generateCodeFrame(options.source, loc.start.offset, loc.end.offset)
+            : '';
+    }
+
+    /**
+     * Formats the diagnostic as `file:line:column message` followed by the code frame
+     * @returns {string}
+     */
+    toString() {
+        const position = this.loc ? `${this.loc.start.line}:${this.loc.start.column}` : '';
+        const where = [this.filename, position].filter(Boolean).join(':');
+        return `${where ? `${where} ` : ''}${this.message}${this.frame ? `\n${this.frame}` : ''}`;
+    }
+}
+
+/**
+ * Renders the lines around a source range with the range underlined
+ * @param {string} source - Source text
+ * @param {number} [start=0] - Start offset
+ * @param {number} [end=source.length] - End offset
+ * @returns {string} Code frame
+ */
+export function generateCodeFrame(source, start = 0, end = source.length) {
+    const RANGE = 2;
+    const lines = source.split(/\r?\n/);
+    const newlineLengths = source.match(/\r?\n/g) || [];
+
+    // Clamp the range and keep at least one character underlined
+    start = Math.max(0, Math.min(start, source.length));
+    end = Math.max(start, Math.min(end, source.length));
+
+    const frame = [];
+    let count = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineLength = lines[i].length;
+        const newlineLength = (newlineLengths[i] && newlineLengths[i].length) || 0;
+        count += lineLength + newlineLength;
+
+        if (count <= start && i < lines.length - 1) {
+            continue;
+        }
+
+        for (let j = i - RANGE; j <= i + RANGE || end > count; j++) {
+            if (j < 0 || j >= lines.length) {
+                if (j >= lines.length) break;
+                continue;
+            }
+
+            const lineNumber = j + 1;
+            frame.push(`${lineNumber}${' '.repeat(Math.max(3 - String(lineNumber).length, 0))}|  ${lines[j]}`);
+
+            const currentLength = lines[j].length;
+            const currentNewline = (newlineLengths[j] && newlineLengths[j].length) || 0;
+
+            if (j === i) {
+                // First line of the range
+                const pad = start - (count - (lineLength + newlineLength));
+                const length = Math.max(1, end > count ? lineLength - pad : Math.min(end - start, lineLength - pad));
+                frame.push(`   |  ${' '.repeat(pad)}${'^'.repeat(length)}`);
+            } else if (j > i) {
+                // Following lines of a multi-line range
+                if (end > count) {
+                    const length = Math.max(Math.min(end - count, currentLength), 1);
+                    frame.push(`   |  ${'^'.repeat(length)}`);
+                }
+                count += currentLength + currentNewline;
+            }
+        }
+        break;
+    }
+
+    return frame.join('\n');
+}
@@ -0,0 +1,514 @@
+// @kalxjs/compiler - Template expression transform
+
+import { parse as babelParse, parseExpression } from '@babel/parser';
+import { CompilerError, ErrorCodes } from './errors.js';
+import { BindingTypes } from './bindings.js';
+
+/**
+ * Globals that template expressions may use without going through the component
+ */
+const GLOBALS_ALLOWED = new Set([
+    'Infinity', 'undefined', 'NaN', 'isFinite', 'isNaN', 'parseFloat', 'parseInt',
+    'decodeURI', 'decodeURIComponent', 'encodeURI', 'encodeURIComponent',
+    'Math', 'Number', 'Date', 'Array', 'Object', 'Boolean', 'String', 'RegExp',
+    'Map', 'Set', 'JSON', 'Intl', 'BigInt', 'Symbol', 'Error', 'console', 'arguments'
+]);
+
+// A handler that only names a method: `increment`, `form.submit`, `handlers[name]`
+const MEMBER_PATH_RE = /^[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*|\[[^\]]+\])*$/;
+
+// AST keys that never hold child nodes
+const SKIPPED_KEYS = new Set(['type', 'start', 'end', 'loc', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+/**
+ * Creates the state shared by the expressions of one template
+ * @param {Object} [options]
+ * @param {string} [options.source] - Full source, used for code frames
+ * @param {string} [options.filename] - File the template came from
+ * @param {Object} [options.bindingMetadata] - BindingTypes of the names declared by <script setup>
+ * @returns {Object} Transform context
+ */
+export function createExpressionContext(options = {}) {
+    return {
+        source: options.source,
+        filename: options.filename,
+        bindingMetadata: options.bindingMetadata || null,
+        // Names declared by the template itself (v-for aliases, slot props),
+        // counted so nested scopes can shadow each other
+        identifiers: Object.create(null),
+        // Set once a function that has its own `this` reads from the component,
+        // through the `_ctx` the render function then declares
+        usesContext: false,
+        errors: []
+    };
+}
+
+/**
+ * Adds template-local names to the context until removeIdentifiers is called
+ * @param {Object} context - Transform context
+ * @param {string[]} names - Local names
+ */
+export function addIdentifiers(context, names) {
+    for (const name of names) {
+        context.identifiers[name] = (context.identifiers[name] || 0) + 1;
+    }
+}
+
+/**
+ * Removes names added with addIdentifiers
+ * @param {Object} context - Transform context
+ * @param {string[]} names - Local names
+ */
+export function removeIdentifiers(context, names) {
+    for (const name of names) {
+        if (--context.identifiers[name] <= 0) {
+            delete context.identifiers[name];
+        }
+    }
+}
+
+/**
+ * Rewrites a template expression so free identifiers read from the component
+ * (`a + b` -> `this.a + this.b`). Template locals, globals, property keys and
+ * names bound inside the expression are left alone. Inside a `function` or a
+ * class, where `this` is something else, they read from `_ctx` instead.
+ * With binding metadata, <script setup> names are read from the render
+ * function's `$props` and `$setup` arguments instead, refs through `.value`.
+ * @param {string} expression - Expression source
+ * @param {Object} context - Transform context
+ * @param {Object} [loc] - Location of the expression, for diagnostics
+ * @returns {string} Transformed expression
+ */
+export function processExpression(expression, context, loc) {
+    const source = expression.trim();
+    if (!source) {
+        return 'undefined';
+    }
+
+    let ast;
+    try {
+        ast = parseExpression(source);
+    } catch (error) {
+        reportError(context, error, loc);
+        return 'undefined';
+    }
+
+    return rewriteIdentifiers(source, ast, context);
+}
+
+/**
+ * Compiles the value of an `@event` binding into a listener
+ * - method paths are passed as they are: `save` -> `this.save`
+ * - function expressions are kept: `(e) => save(e)` -> `(e) => this.save(e)`
+ * - anything else runs as statements with `$event` in scope:
+ *   `count++` -> `($event) => { this.count++ }`
+ * @param {string} handler - Handler source
+ * @param {Object} context - Transform context
+ * @param {Object} [loc] - Location of the handler, for diagnostics
+ * @returns {string} Listener expression
+ */
+export function processHandler(handler, context, loc) {
+    const source = handler.trim();
+    if (!source) {
+        return '() => {}';
+    }
+
+    if (MEMBER_PATH_RE.test(source)) {
+        return processExpression(source, context, loc);
+    }
+
+    let ast;
+    try {
+        ast = parseExpression(source);
+    } catch (error) {
+        ast = null;
+    }
+    if (ast && (ast.type === 'ArrowFunctionExpression' || ast.type === 'FunctionExpression')) {
+        return rewriteIdentifiers(source, ast, context);
+    }
+
+    try {
+        ast = babelParse(source, { sourceType: 'script', allowReturnOutsideFunction: true }).program;
+    } catch (error) {
+        reportError(context, error, loc);
+        return '() => {}';
+    }
+
+    addIdentifiers(context, ['$event']);
+    const body = rewriteIdentifiers(source, ast, context);
+    removeIdentifiers(context, ['$event']);
+
+    return `($event) => { ${body} }`;
+}
+
+/**
+ * Checks if an `@event` binding is an inline handler, which processHandler()
+ * compiles into a new function, rather than a method path
+ * @param {string} handler - Handler source
+ * @returns {boolean} Whether the handler is inline
+ */
+export function isInlineHandler(handler) {
+    return !MEMBER_PATH_RE.test(handler.trim());
+}
+
+/**
+ * Compiles a function parameter list (`item, index`, `{ id, name }`) and
+ * returns it with the names it declares
+ * @param {string} params - Parameter list source
+ * @param {Object} context - Transform context
+ * @param {Object} [loc] - Location of the parameters, for diagnostics
+ * @returns {{ code: string, identifiers: string[] }|null} null if the list doesn't parse
+ */
+export function processParams(params, context, loc) {
+    const source = `(${params.trim()}) => {}`;
+
+    let ast;
+    try {
+        ast = parseExpression(source);
+    } catch (error) {
+        reportError(context, error, loc);
+        return null;
+    }
+
+    // Default values are expressions of the enclosing scope
+    const code = rewriteIdentifiers(source, ast, context);
+    const identifiers = [];
+    for (const param of ast.params) {
+        collectPatternNames(param, identifiers);
+    }
+
+    return { code: code.slice(1, code.lastIndexOf(') => {}')), identifiers };
+}
+
+/**
+ * Lists the free identifiers of a template expression, the names a compiled
+ * template reads from the component, with their offsets in the expression
+ * @param {string} expression - Expression source
+ * @param {Object} context - Transform context
+ * @param {Object} [options]
+ * @param {boolean} [options.statements=false] - Parse as statements, like the body of a handler
+ * @returns {Array<{ name: string, start: number, end: number, shorthand: boolean, isWrite: boolean, inFunction: boolean }>|null}
+ * null if the expression doesn't parse
+ */
+export function findFreeIdentifiers(expression, context, options = {}) {
+    let ast;
+    try {
+        ast = options.statements
+            ? babelParse(expression, { sourceType: 'script', allowReturnOutsideFunction: true }).program
+            : parseExpression(expression);
+    } catch (error) {
+        return null;
+    }
+    return collectFreeIdentifiers(ast, context);
+}
+
+/**
+ * Pushes a parse failure as a diagnostic
+ * @private
+ */
+function reportError(context, error, loc) {
+    context.errors.push(new CompilerError(ErrorCodes.X_INVALID_EXPRESSION, loc || null, {
+        source: context.source,
+        filename: context.filename,
+        message: `Error parsing JavaScript expression: ${error.message}`
+    }));
+}
+
+/**
+ * Prefixes the free identifiers of a parsed expression with `this.`
+ * @private
+ * @param {string} source - Source the AST was parsed from
+ * @param {Object} ast - Babel AST
+ * @param {Object} context - Transform context
+ * @returns {string} Rewritten source
+ */
+function rewriteIdentifiers(source, ast, context) {
+    const replacements = collectFreeIdentifiers(ast, context).map(({ name, start, end, shorthand, isWrite, inFunction }) => {
+        const code = prefixIdentifier(name, context, isWrite, inFunction);
+        // `{ a }` is short for `{ a: a }`, so the key must stay
+        return { start, end, code: shorthand ? `${name}: ${code}` : code };
+    });
+
+    // Apply from the end so earlier offsets stay valid
+    let result = source;
+    replacements
+        .sort((a, b) => b.start - a.start)
+        .forEach(({ start, end, code }) => {
+            result = result.slice(0, start) + code + result.slice(end);
+        });
+
+    return result;
+}
+
+/**
+ * Finds the identifiers of a parsed expression that aren't template locals,
+ * globals, property keys or names bound inside the expression
+ * @private
+ * @param {Object} ast - Babel AST
+ * @param {Object} context - Transform context
+ * @returns {Object[]} Identifiers, in source order
+ */
+function collectFreeIdentifiers(ast, context) {
+    const identifiers = [];
+    // Functions and class bodies entered that bind their own `this`
+    let functionDepth = 0;
+
+    const isLocal = (name, scope) =>
+        scope.has(name) || name in context.identifiers || GLOBALS_ALLOWED.has(name);
+
+    const visit = (node, parent, scope) => {
+        if (!node || typeof node.type !== 'string') return;
+
+        switch (node.type) {
+            case 'Identifier':
+                if (!isLocal(node.name, scope)) {
+                    identifiers.push({
+                        name: node.name,
+                        start: node.start,
+                        end: node.end,
+                        shorthand: Boolean(parent && parent.type === 'ObjectProperty' && parent.shorthand),
+                        isWrite: Boolean(parent) &&
+                            ((parent.type === 'AssignmentExpression' && parent.left === node) ||
+                            (parent.type === 'UpdateExpression' && parent.argument === node)),
+                        inFunction: functionDepth > 0
+                    });
+                }
+                return;
+
+            case 'MemberExpression':
+            case 'OptionalMemberExpression':
+                visit(node.object, node, scope);
+                if (node.computed) visit(node.property, node, scope);
+                return;
+
+            case 'ObjectProperty':
+                if (node.computed) visit(node.key, node, scope);
+                visit(node.value, node, scope);
+                return;
+
+            case 'ObjectMethod':
+            case 'ClassMethod':
+            case 'ClassPrivateMethod':
+            case 'ArrowFunctionExpression':
+            case 'FunctionExpression':
+            case 'FunctionDeclaration': {
+                if (node.computed) visit(node.key, node, scope);
+
+                const names = [];
+                if (node.id && node.type === 'FunctionExpression') names.push(node.id.name);
+                node.params.forEach(param => collectPatternNames(param, names));
+                const inner = new Set([...scope, ...names]);
+
+                // Arrow functions keep the `this` they are created with
+                const bindsThis = node.type !== 'ArrowFunctionExpression';
+                if (bindsThis) functionDepth++;
+                node.params.forEach(param => visitPatternDefaults(param, inner));
+                visitBlock(node.body, inner);
+                if (bindsThis) functionDepth--;
+                return;
+            }
+
+            case 'ClassDeclaration':
+            case 'ClassExpression': {
+                visit(node.superClass, node, scope);
+                // A class expression's name is only bound inside its body
+                const inner = node.id ? new Set([...scope, node.id.name]) : scope;
+                node.body.body.forEach(member => visit(member, node.body, inner));
+                return;
+            }
+
+            case 'ClassProperty':
+            case 'ClassPrivateProperty':
+                if (node.computed) visit(node.key, node, scope);
+                // Field initializers run with the instance as `this`
+                functionDepth++;
+                visit(node.value, node, scope);
+                functionDepth--;
+                return;
+
+            case 'StaticBlock':
+                functionDepth++;
+                visitBlock({ type: 'BlockStatement', body: node.body }, scope);
+                functionDepth--;
+                return;
+
+            case 'PrivateName':
+                return;
+
+            case 'BlockStatement':
+            case 'Program':
+                visitBlock(node, scope);
+                return;
+
+            case 'CatchClause': {
+                const names = [];
+                if (node.param) collectPatternNames(node.param, names);
+                visitBlock(node.body, new Set([...scope, ...names]));
+                return;
+            }
+
+            case 'ForStatement':
+            case 'ForInStatement':
+            case 'ForOfStatement': {
+                // `for (const item of list)` declares item for the loop only
+                const head = node.type === 'ForStatement' ? node.init : node.left;
+                const names = [];
+                if (head && head.type === 'VariableDeclaration') {
+                    head.declarations.forEach(declarator => collectPatternNames(declarator.id, names));
+                }
+                const inner = names.length ? new Set([...scope, ...names]) : scope;
+                ['init', 'test', 'update', 'left', 'right', 'body'].forEach(key => visit(node[key], node, inner));
+                return;
+            }
+
+            case 'VariableDeclarator':
+                visitPatternDefaults(node.id, scope);
+                visit(node.init, node, scope);
+                return;
+
+            case 'AssignmentPattern':
+                visit(node.right, node, scope);
+                return;
+
+            case 'LabeledStatement':
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                visit(node.body, node, scope);
+                return;
+
+            case 'MetaProperty':
+                return;
+        }
+
+        for (const key of Object.keys(node)) {
+            if (SKIPPED_KEYS.has(key)) continue;
+
+            const value = node[key];
+            if (Array.isArray(value)) {
+                value.forEach(child => visit(child, node, scope));
+            } else if (value && typeof value.type === 'string') {
+                visit(value, node, scope);
+            }
+        }
+    };
+
+    // Declarations are hoisted to the top of their block
+    const visitBlock = (block, scope) => {
+        if (block.type !== 'BlockStatement' && block.type !== 'Program') {
+            visit(block, null, scope);
+            return;
+        }
+
+        const names = [];
+        for (const statement of block.body) {
+            if (statement.type === 'VariableDeclaration') {
+                statement.declarations.forEach(declarator => collectPatternNames(declarator.id, names));
+            } else if ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') && statement.id) {
+                names.push(statement.id.name);
+            }
+        }
+
+        const inner = names.length ? new Set([...scope, ...names]) : scope;
+        block.body.forEach(statement => visit(statement, block, inner));
+    };
+
+    // Patterns bind names; only their default values and computed keys are expressions
+    const visitPatternDefaults = (pattern, scope) => {
+        if (!pattern) return;
+
+        switch (pattern.type) {
+            case 'AssignmentPattern':
+                visitPatternDefaults(pattern.left, scope);
+                visit(pattern.right, pattern, scope);
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(property => {
+                    if (property.type === 'RestElement') return;
+                    if (property.computed) visit(property.key, property, scope);
+                    visitPatternDefaults(property.value, scope);
+                });
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(element => visitPatternDefaults(element, scope));
+                break;
+            case 'RestElement':
+                visitPatternDefaults(pattern.argument, scope);
+                break;
+        }
+    };
+
+    visit(ast, null, new Set());
+
+    return identifiers.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Code reading (or assigning) a name from the component
+ * @private
+ * @param {string} name - Identifier
+ * @param {Object} context - Transform context
+ * @param {boolean} isWrite - The identifier is assigned to
+ * @param {boolean} inFunction - The identifier is inside a function with its own `this`
+ * @returns {string} Access code
+ */
+function prefixIdentifier(name, context, isWrite, inFunction) {
+    const type = context.bindingMetadata ? context.bindingMetadata[name] : undefined;
+
+    switch (type) {
+        case BindingTypes.PROPS:
+            return `$props.${name}`;
+        case BindingTypes.SETUP_REF:
+            return `$setup.${name}.value`;
+        case BindingTypes.SETUP_MAYBE_REF:
+            // A const can only be assigned through the ref it holds
+            if (isWrite) return `$setup.${name}.value`;
+            break;
+        case BindingTypes.SETUP_LET:
+            if (isWrite) return `$setup.${name}`;
+            break;
+        case BindingTypes.SETUP_REACTIVE_CONST:
+        case BindingTypes.SETUP_CONST:
+            return `$setup.${name}`;
+        default:
+            if (inFunction) {
+                context.usesContext = true;
+                return `_ctx.${name}`;
+            }
+            return `this.${name}`;
+    }
+
+    if (context.helpers) {
+        context.helpers.add('unref');
+    }
+    return `unref($setup.${name})`;
+}
+
+/**
+ * Collects the names bound by a parameter or declaration pattern
+ * @private
+ * @param {Object} pattern - Babel pattern node
+ * @param {string[]} names - Receives the names
+ */
+function collectPatternNames(pattern, names) {
+    if (!pattern) return;
+
+    switch (pattern.type) {
+        case 'Identifier':
+            names.push(pattern.name);
+            break;
+        case 'AssignmentPattern':
+            collectPatternNames(pattern.left, names);
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach(property =>
+                collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names)
+            );
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => collectPatternNames(element, names));
+            break;
+        case 'RestElement':
+            collectPatternNames(pattern.argument, names);
+            break;
+    }
+}
@@ -1,9 +1,6 @@
 // @kalxjs/compiler - Main entry point
 
 import { parse } from './parser.js';
-import { parse as parseImproved } from './improved-parser.js';
-import { parse as parseRobust } from './robust-parser.js';
-import { parse as parseSimple } from './simple-parser.js';
 import { compile } from './compiler.js';
 import { generateCode } from './codegen.js';
 
@@ -14,29 +11,8 @@ import { generateCode } from './codegen.js';
  * @returns {Object} Compilation result with JavaScript code
  */
 export function compileKLX(source, options = {}) {
-    // Parse the .klx file into an AST
-    // Try the simple parser first, then robust parser, then improved parser, then fall back to the original
-    let ast;
-    try {
-        ast = parseSimple(source);
-        console.log('[compiler] Using simple parser');
-    } catch (simpleError) {
-        console.warn('[compiler] Simple parser failed, trying robust parser:', simpleError);
-        try {
-            ast = parseRobust(source);
-            console.log('[compiler] Using robust parser');
-        } catch (error) {
-            console.warn('[compiler] Robust parser failed, trying improved parser:', error);
-            try {
-                ast = parseImproved(source);
-                console.log('[compiler] Using improved parser');
-            } catch (improvedError) {
-                console.warn('[compiler] Improved parser failed, falling back to original parser:', improvedError);
-                ast = parse(source);
-                console.log('[compiler] Using original parser');
-            }
-        }
-    }
+    // Parse the .klx file into its blocks, syntax errors are collected in ast.errors
+    const ast = parse(source, { filename: options.filename });
 
     // Compile the AST
     const compiled = compile(ast, options);
@@ -53,9 +29,12 @@ export function compileKLX(source, options = {}) {
 }
 
 // Export individual modules
-export { parse } from './parser.js';
-export { compile } from './compiler.js';
+export { parse, parseTemplate } from './parser.js';
+export { ErrorCodes, CompilerError, generateCodeFrame } from './errors.js';
+export { compile, compileTemplate } from './compiler.js';
+export { SourceMapBuilder, createBlockMap, chainSourceMaps, toInlineSourceMap } from './source-map.js';
 export { generateCode } from './codegen.js';
+export { registerBlockTransformer, unregisterBlockTransformer, getBlockTransformer, transformCustomBlocks } from './custom-blocks.js';
 // Use the fixed version of the plugin
 export { default as vitePlugin } from './vite-plugin-klx-fixed.js';
 
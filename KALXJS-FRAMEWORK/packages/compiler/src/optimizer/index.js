@@ -19,7 +19,9 @@ export {
     analyzePatchFlags,
     addPatchFlags,
     describePatchFlags,
-    generatePatchCode
+    generatePatchCode,
+    getDynamicPropNames,
+    isStaticNode
 } from './patch-flags.js';
 
 // Tree shaking
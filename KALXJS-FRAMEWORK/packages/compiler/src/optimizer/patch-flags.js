@@ -58,7 +58,7 @@ export const PatchFlags = {
  * @returns {number} - Combined patch flags
  */
 export function analyzePatchFlags(node) {
-    if (!node || node.type !== 'element') {
+    if (!isElement(node) || isPreElement(node)) {
         return 0;
     }
 
@@ -67,6 +67,9 @@ export function analyzePatchFlags(node) {
     // Check for dynamic text
     if (hasDynamicText(node)) {
         flags |= PatchFlags.TEXT;
+    } else if (hasMixedDynamicChildren(node)) {
+        // Dynamic text next to elements isn't a vnode of its own, so diff the children
+        flags |= PatchFlags.NEED_PATCH;
     }
 
     // Check for dynamic class
@@ -79,8 +82,10 @@ export function analyzePatchFlags(node) {
         flags |= PatchFlags.STYLE;
     }
 
-    // Check for dynamic props
-    if (hasDynamicProps(node)) {
+    // Check for dynamic props, all props are diffed when a name is only known at runtime
+    if (hasDynamicKeys(node)) {
+        flags |= PatchFlags.FULL_PROPS;
+    } else if (hasDynamicProps(node)) {
         flags |= PatchFlags.PROPS;
     }
 
@@ -108,24 +113,93 @@ export function analyzePatchFlags(node) {
     return flags;
 }
 
+/**
+ * Check if node is an element (optimizer AST or template parser AST)
+ */
+function isElement(node) {
+    return !!node && (node.type === 'element' || node.type === 'Element');
+}
+
+/**
+ * Check if node is an element with v-pre
+ */
+function isPreElement(node) {
+    return !!node.attrs && Object.prototype.hasOwnProperty.call(node.attrs, 'v-pre');
+}
+
+/**
+ * Check if node is dynamic text: an interpolation, or text containing {{ }}
+ */
+function isDynamicTextNode(node) {
+    if (!node) return false;
+
+    if (node.type === 'interpolation' || node.type === 'expression' || node.type === 'Expression') {
+        return true;
+    }
+    return node.type === 'Text' && /{{[\s\S]*}}/.test(node.content || '');
+}
+
+/**
+ * Get the props of a node as a list of { name, dynamic }
+ * Template parser nodes keep them in an `attrs` object (`:class`, `@click`, `v-model`...)
+ */
+function getNodeProps(node) {
+    if (Array.isArray(node.props)) return node.props;
+    if (!node.attrs) return [];
+
+    const props = [];
+    for (const key of Object.keys(node.attrs)) {
+        if (key.startsWith(':') || key.startsWith('v-bind:')) {
+            props.push({ name: key.slice(key.indexOf(':') + 1), dynamic: true });
+        } else if (key === 'v-model') {
+            props.push({ name: 'value', dynamic: true }, { name: 'onInput', dynamic: true });
+        } else if (key === 'v-html' || key === 'v-text') {
+            // The content of the element is set as a prop
+            const value = node.attrs[key];
+            if (typeof value === 'string' && value.trim()) {
+                props.push({ name: key === 'v-html' ? 'innerHTML' : 'textContent', dynamic: true });
+            }
+        } else if (key === 'v-cloak') {
+            // Not rendered
+            continue;
+        } else if (key.startsWith('@') || key.startsWith('v-on:')) {
+            const eventName = key.slice(key.startsWith('@') ? 1 : 5);
+            props.push({ name: `on${eventName.charAt(0).toUpperCase()}${eventName.slice(1)}`, dynamic: true });
+        } else if (key.startsWith('v-')) {
+            props.push({ name: key, directive: true });
+        } else {
+            const value = node.attrs[key];
+            props.push({ name: key, dynamic: typeof value === 'string' && value.startsWith('this.') });
+        }
+    }
+    return props;
+}
+
 /**
  * Check if node has dynamic text content
  */
 function hasDynamicText(node) {
-    if (node.children && node.children.length === 1) {
-        const child = node.children[0];
-        return child.type === 'interpolation' || child.type === 'expression';
-    }
-    return false;
+    if (!node.children || node.children.length === 0) return false;
+
+    // Only text children: the element's text content is patched as a whole
+    return node.children.every(child => child.type === 'text' || child.type === 'Text' || isDynamicTextNode(child)) &&
+        node.children.some(isDynamicTextNode);
+}
+
+/**
+ * Check if node has dynamic text children next to element children
+ */
+function hasMixedDynamicChildren(node) {
+    if (!node.children) return false;
+
+    return node.children.some(isDynamicTextNode) && node.children.some(isElement);
 }
 
 /**
  * Check if node has dynamic class binding
  */
 function hasDynamicClass(node) {
-    if (!node.props) return false;
-
-    return node.props.some(prop =>
+    return getNodeProps(node).some(prop =>
         prop.name === 'class' && (prop.dynamic || prop.expression)
     );
 }
@@ -134,9 +208,7 @@ function hasDynamicClass(node) {
  * Check if node has dynamic style binding
  */
 function hasDynamicStyle(node) {
-    if (!node.props) return false;
-
-    return node.props.some(prop =>
+    return getNodeProps(node).some(prop =>
         prop.name === 'style' && (prop.dynamic || prop.expression)
     );
 }
@@ -145,26 +217,73 @@ function hasDynamicStyle(node) {
  * Check if node has dynamic props
  */
 function hasDynamicProps(node) {
-    if (!node.props) return false;
+    return getDynamicPropNames(node).length > 0;
+}
 
-    return node.props.some(prop =>
-        prop.name !== 'class' &&
-        prop.name !== 'style' &&
-        (prop.dynamic || prop.expression)
-    );
+/**
+ * Check if node has props named by an expression (`:[name]`, `@[event]`)
+ */
+function hasDynamicKeys(node) {
+    return Object.keys(node.attrs || {}).some(key => /^(?::|@|v-bind:|v-on:)\[.+\]$/.test(key));
 }
 
 /**
  * Check if node has event listeners
  */
 function hasEventListeners(node) {
-    if (!node.props) return false;
-
-    return node.props.some(prop =>
+    return getNodeProps(node).some(prop =>
         prop.name.startsWith('@') || prop.name.startsWith('on')
     );
 }
 
+/**
+ * Get the names of the dynamic props (excluding class and style) of a node,
+ * which the runtime diffs when the PROPS flag is set
+ *
+ * @param {object} node - AST node
+ * @returns {Array<string>} - Prop names
+ */
+export function getDynamicPropNames(node) {
+    if (!isElement(node)) return [];
+
+    return getNodeProps(node)
+        .filter(prop =>
+            prop.name !== 'class' &&
+            prop.name !== 'style' &&
+            (prop.dynamic || prop.expression)
+        )
+        .map(prop => prop.name);
+}
+
+/**
+ * Check if a node and its whole subtree are static, so it can be hoisted
+ * out of the render function and skipped by the patcher
+ *
+ * @param {object} node - AST node
+ * @returns {boolean} - Whether the node is static
+ */
+export function isStaticNode(node) {
+    if (!node) return false;
+
+    if (node.type === 'text' || node.type === 'Text') {
+        return !isDynamicTextNode(node);
+    }
+
+    if (!isElement(node)) return false;
+
+    // Nothing under v-pre is compiled, `{{ }}` included
+    if (isPreElement(node)) return true;
+
+    // Components may render anything
+    if (node.tag.charAt(0) === node.tag.charAt(0).toUpperCase()) return false;
+
+    if (node.directives && node.directives.length > 0) return false;
+
+    if (getNodeProps(node).some(prop => prop.dynamic || prop.expression || prop.directive)) return false;
+
+    return (node.children || []).every(isStaticNode);
+}
+
 /**
  * Check if node has dynamic slots
  */
@@ -181,7 +300,7 @@ function hasKeyedChildren(node) {
     if (!node.children || node.children.length === 0) return false;
 
     return node.children.some(child =>
-        child.type === 'element' && child.key != null
+        isElement(child) && child.key != null
     );
 }
 
@@ -192,7 +311,7 @@ function hasUnkeyedChildren(node) {
     if (!node.children || node.children.length === 0) return false;
 
     return node.children.every(child =>
-        child.type === 'element' && child.key == null
+        isElement(child) && child.key == null
     );
 }
 
@@ -217,7 +336,7 @@ export function addPatchFlags(ast) {
         if (!node) return node;
 
         // Add patch flags to element nodes
-        if (node.type === 'element') {
+        if (isElement(node)) {
             node.patchFlag = analyzePatchFlags(node);
         }
 
@@ -300,4 +419,4 @@ export function generatePatchCode(flags) {
     return checks.join(';\n');
 }
 
-export default { PatchFlags, analyzePatchFlags, addPatchFlags, describePatchFlags };
\ No newline at end of file
+export default { PatchFlags, analyzePatchFlags, addPatchFlags, describePatchFlags, getDynamicPropNames, isStaticNode };
\ No newline at end of file
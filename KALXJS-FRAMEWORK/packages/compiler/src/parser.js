@@ -1,487 +1,634 @@
-// @kalxjs/compiler - Robust parser for .klx files
+// @kalxjs/compiler - Parser for .klx files and templates
+
+import { Tokenizer, QuoteType } from './tokenizer.js';
+import { ErrorCodes, CompilerError } from './errors.js';
+
+// Elements that never have children or an end tag
+export const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is text up to their end tag
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes']);
+
+// Like raw text, but character references and interpolations are recognized
+const RCDATA_TAGS = new Set(['textarea', 'title']);
+
+// Elements whose end tag may be omitted, mapped to the start tags that close them
+const CLOSED_BY = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    option: ['option', 'optgroup'],
+    optgroup: ['optgroup'],
+    tr: ['tr', 'tbody', 'tfoot'],
+    td: ['td', 'th', 'tr', 'tbody', 'tfoot'],
+    th: ['td', 'th', 'tr', 'tbody', 'tfoot'],
+    thead: ['tbody', 'tfoot'],
+    tbody: ['tbody', 'tfoot'],
+    rt: ['rt', 'rp'],
+    rp: ['rt', 'rp'],
+    p: [
+        'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl',
+        'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3',
+        'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu', 'nav', 'ol',
+        'p', 'pre', 'section', 'table', 'ul'
+    ]
+};
+
+// Elements whose content is parsed as XML, where CDATA sections are allowed
+const FOREIGN_TAGS = new Set(['svg', 'math']);
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+    copy: '©', reg: '®', trade: '™', hellip: '…',
+    mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    bull: '•', middot: '·', times: '×', divide: '÷',
+    minus: '−', plusmn: '±', deg: '°', para: '¶',
+    sect: '§', cent: '¢', pound: '£', yen: '¥',
+    euro: '€', shy: '­', ensp: ' ', emsp: ' ',
+    thinsp: ' ', zwnj: '‌', zwj: '‍', larr: '←',
+    uarr: '↑', rarr: '→', darr: '↓', harr: '↔',
+    hearts: '♥', check: '✓', star: '☆', frac12: '½',
+    frac14: '¼', frac34: '¾', iexcl: '¡', iquest: '¿'
+};
 
 /**
- * Parses a KLX file into an AST
+ * Parses a .klx single-file component into its blocks. The <template>
+ * block is parsed into a template AST as part of the same pass.
+ *
  * @param {string} source - Source code of the .klx file
- * @returns {Object} AST with template, script, and style sections
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.filename] - File name used in diagnostics
+ * @returns {Object} Descriptor with template, script, scriptSetup, style(s), customBlocks and errors
  */
-export function parse(source) {
-    console.log('[robust-parser] Parsing KLX file');
-
-    // Parse the template, script, and style sections
-    const templateMatch = /<template>([\s\S]*?)<\/template>/.exec(source);
-    const scriptMatch = /<script>([\s\S]*?)<\/script>/.exec(source);
-    const styleMatch = /<style(?:\s+scoped)?>([\s\S]*?)<\/style>/.exec(source);
-
-    // Check if template section exists
-    const template = templateMatch ? {
-        content: templateMatch[1],
-        start: templateMatch.index,
-        end: templateMatch.index + templateMatch[0].length,
-        isDefault: false
-    } : null;
-
-    if (template) {
-        console.log(`Template section found with length: ${template.content.length}`);
-    } else {
-        console.warn('No template section found');
-    }
-
-    // Check if script section exists
-    const script = scriptMatch ? {
-        content: scriptMatch[1],
-        start: scriptMatch.index,
-        end: scriptMatch.index + scriptMatch[0].length
-    } : null;
-
-    if (script) {
-        console.log(`Script section found with length: ${script.content.length}`);
-    } else {
-        console.warn('No script section found');
-    }
-
-    // Check if style section exists
-    const style = styleMatch ? {
-        content: styleMatch[1],
-        start: styleMatch.index,
-        end: styleMatch.index + styleMatch[0].length,
-        scoped: styleMatch[0].includes('scoped')
-    } : null;
-
-    if (style) {
-        console.log(`Style section found with length: ${style.content.length}`);
-    }
-
-    return {
-        template,
-        script,
-        style,
-        errors: []
+export function parse(source, options = {}) {
+    const parser = new TemplateParser(source, { ...options, sfc: true });
+    const root = parser.parse();
+
+    const descriptor = {
+        filename: options.filename || null,
+        source,
+        template: null,
+        script: null,
+        scriptSetup: null,
+        style: null,
+        styles: [],
+        customBlocks: [],
+        errors: parser.errors
     };
-}
 
-/**
- * Parses a template string into an AST
- * @param {string} template - Template HTML content
- * @returns {Object} Template AST
- */
-export function parseTemplate(template) {
-    console.log('[robust-parser] Parsing template');
+    for (const node of root.children) {
+        if (node.type !== 'Element') {
+            continue;
+        }
 
-    // Set a maximum time for the entire parsing process (10 seconds)
-    const startTime = Date.now();
-    const MAX_TOTAL_TIME = 10000; // 10 seconds
+        const block = parser.createBlock(node);
 
-    try {
-        // Create the root AST node
-        const ast = {
-            type: 'Template',
-            children: []
-        };
+        switch (node.tag) {
+            case 'template':
+                if (descriptor.template) {
+                    parser.error(ErrorCodes.X_DUPLICATE_BLOCK, node.loc.start.offset, node.loc.end.offset);
+                    break;
+                }
+                block.isDefault = false;
+                // Templates in another language (e.g. pug) are left to a preprocessor
+                if (!block.lang || block.lang === 'html') {
+                    block.ast = {
+                        type: 'Template',
+                        children: node.children,
+                        loc: block.loc,
+                        errors: []
+                    };
+                }
+                descriptor.template = block;
+                break;
 
-        // Check if we've already exceeded the time limit
-        if ((Date.now() - startTime) > MAX_TOTAL_TIME) {
-            throw new Error('Template parsing timeout before tokenization');
-        }
+            case 'script': {
+                const isSetup = block.attrs.setup != null && block.attrs.setup !== false;
+                const key = isSetup ? 'scriptSetup' : 'script';
+                if (descriptor[key]) {
+                    parser.error(ErrorCodes.X_DUPLICATE_BLOCK, node.loc.start.offset, node.loc.end.offset);
+                    break;
+                }
+                block.setup = isSetup;
+                descriptor[key] = block;
+                break;
+            }
 
-        // Parse the template content
-        const tokens = tokenizeHTML(template.trim());
+            case 'style':
+                block.scoped = !!block.attrs.scoped;
+                block.module = block.attrs.module || false;
+                descriptor.styles.push(block);
+                break;
 
-        // Check if we've exceeded the time limit after tokenization
-        if ((Date.now() - startTime) > MAX_TOTAL_TIME) {
-            throw new Error('Template parsing timeout after tokenization');
+            default:
+                descriptor.customBlocks.push(block);
         }
+    }
 
-        const rootElement = buildAST(tokens);
+    descriptor.style = descriptor.styles[0] || null;
 
-        if (rootElement) {
-            ast.children.push(rootElement);
-        } else {
-            console.warn('[robust-parser] No root element found in template');
-            // Create a fallback div
-            ast.children.push({
-                type: 'Element',
-                tag: 'div',
-                attrs: {},
-                children: [{ type: 'Text', content: 'Failed to parse template' }]
-            });
-        }
+    return descriptor;
+}
 
-        console.log('[robust-parser] Template parsing complete in', (Date.now() - startTime), 'ms');
-        return ast;
-    } catch (error) {
-        console.error('[robust-parser] Error parsing template:', error);
-        // Return a minimal AST with an error message
-        return {
-            type: 'Template',
-            children: [{
-                type: 'Element',
-                tag: 'div',
-                attrs: { style: 'color: red; border: 1px solid red; padding: 10px;' },
-                children: [{ type: 'Text', content: `Template parsing error: ${error.message}` }]
-            }]
-        };
-    }
+/**
+ * Parses a template string into an AST. Every node carries its source
+ * location, and syntax errors are collected as diagnostics instead of
+ * aborting the parse.
+ *
+ * @param {string} template - Template HTML content
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.filename] - File name used in diagnostics
+ * @param {boolean} [options.comments=false] - Keep comment nodes
+ * @param {string} [options.whitespace='condense'] - 'condense' or 'preserve'
+ * @param {string[]} [options.delimiters] - Interpolation delimiters, defaults to ['{{', '}}']
+ * @param {Function} [options.onError] - Called with each diagnostic
+ * @returns {Object} Template AST ({ type: 'Template', children, loc, errors })
+ */
+export function parseTemplate(template, options = {}) {
+    const parser = new TemplateParser(template, options);
+    return parser.parse();
 }
 
 /**
- * Tokenizes HTML into a stream of tokens
+ * Builds the AST from the tokenizer's callbacks
  * @private
- * @param {string} html - HTML string
- * @returns {Array} Array of tokens
  */
-function tokenizeHTML(html) {
-    console.log('[robust-parser] Starting tokenization of HTML');
-    console.log('[robust-parser] HTML length:', html.length);
+class TemplateParser {
+    constructor(source, options) {
+        this.source = source;
+        this.options = options;
+        this.errors = [];
+        this.stack = [];
+        this.root = null;
+        this.currentElement = null;
+        this.currentAttr = null;
+        // Offsets of the content between start and end tag, for SFC blocks
+        this.contentRanges = new Map();
+        this.lineStarts = computeLineStarts(source);
+
+        this.tokenizer = new Tokenizer({
+            ontext: (start, end) => this.onText(start, end),
+            oninterpolation: (start, end, innerStart, innerEnd) => this.onInterpolation(start, end, innerStart, innerEnd),
+            onopentagname: (start, end) => this.onOpenTagName(start, end),
+            onattribname: (start, end) => this.onAttribName(start, end),
+            onattribdata: (start, end) => this.onAttribData(start, end),
+            onattribend: (quote, end) => this.onAttribEnd(quote, end),
+            onopentagend: (end) => this.onOpenTagEnd(end, false),
+            onselfclosingtag: (end) => this.onOpenTagEnd(end, true),
+            onclosetag: (nameStart, nameEnd, start, end) => this.onCloseTag(nameStart, nameEnd, start, end),
+            oncomment: (start, end, outerStart, outerEnd) => this.onComment(start, end, outerStart, outerEnd),
+            oncdata: (start, end, outerStart, outerEnd) => this.onCDATA(start, end, outerStart, outerEnd),
+            onerror: (code, index) => this.error(code, index),
+            onend: () => this.onEnd()
+        }, { delimiters: options.delimiters });
+    }
 
-    const tokens = [];
-    let currentPosition = 0;
+    parse() {
+        this.root = {
+            type: 'Template',
+            children: [],
+            loc: this.getLoc(0, this.source.length),
+            errors: this.errors
+        };
 
-    // Set a maximum time for tokenization (5 seconds)
-    const startTime = Date.now();
-    const MAX_TIME = 5000; // 5 seconds
+        this.tokenizer.tokenize(this.source);
+        condenseWhitespace(this.root.children, this.options);
 
-    // Helper function to check if we're at the end of the input
-    const isEOF = () => currentPosition >= html.length;
+        return this.root;
+    }
 
-    // Helper function to check if we've exceeded the maximum time
-    const isTimeExceeded = () => (Date.now() - startTime) > MAX_TIME;
+    get parent() {
+        return this.stack.length ? this.stack[this.stack.length - 1] : this.root;
+    }
 
-    // Helper function to peek ahead without consuming
-    const peek = (n = 1) => currentPosition + n < html.length ? html[currentPosition + n] : null;
+    onText(start, end) {
+        const parent = this.parent;
+        let content = this.source.slice(start, end);
 
-    // Helper function to consume the next character
-    const consume = () => html[currentPosition++];
+        // Raw text is taken verbatim, everything else has character references decoded
+        if (!isRawTextElement(parent)) {
+            content = decodeEntities(content, start, (code, index) => this.error(code, index));
+        }
 
-    // Helper function to consume characters while a condition is true
-    const consumeWhile = (condition) => {
-        let result = '';
-        let iterations = 0;
-        const MAX_ITERATIONS = 10000; // Safety limit
+        // Text split around an invalid '<' is joined back together
+        const last = parent.children[parent.children.length - 1];
+        if (last && last.type === 'Text' && last.loc.end.offset === start) {
+            last.content += content;
+            last.loc = this.getLoc(last.loc.start.offset, end);
+            return;
+        }
+
+        parent.children.push({
+            type: 'Text',
+            content,
+            loc: this.getLoc(start, end)
+        });
+    }
 
-        while (!isEOF() && condition(peek(0)) && iterations < MAX_ITERATIONS && !isTimeExceeded()) {
-            result += consume();
-            iterations++;
+    onInterpolation(start, end, innerStart, innerEnd) {
+        // Top-level text between SFC blocks is ignored
+        if (this.options.sfc && this.stack.length === 0) {
+            return;
         }
 
-        if (iterations >= MAX_ITERATIONS) {
-            console.warn('[robust-parser] Reached maximum iterations in consumeWhile');
+        // Nothing is compiled under v-pre, `{{ }}` stays text
+        if (this.stack.some(element => Object.prototype.hasOwnProperty.call(element.attrs, 'v-pre'))) {
+            this.onText(start, end);
+            return;
         }
 
-        return result;
-    };
+        this.parent.children.push({
+            type: 'Expression',
+            content: this.source.slice(innerStart, innerEnd).trim(),
+            loc: this.getLoc(start, end)
+        });
+    }
 
-    // Process the HTML string
-    let mainLoopIterations = 0;
-    const MAX_MAIN_ITERATIONS = 10000; // Safety limit
-
-    while (!isEOF() && mainLoopIterations < MAX_MAIN_ITERATIONS && !isTimeExceeded()) {
-        mainLoopIterations++;
-        // Check for opening tag
-        if (html[currentPosition] === '<') {
-            // Check if it's a comment
-            if (peek() === '!' && peek(1) === '-' && peek(2) === '-') {
-                // Skip the opening <!--
-                currentPosition += 4;
-
-                // Find the end of the comment
-                let commentContent = '';
-                while (!isEOF() && !(html[currentPosition] === '-' && peek() === '-' && peek(1) === '>')) {
-                    commentContent += consume();
-                }
+    onOpenTagName(start, end) {
+        const tag = this.source.slice(start, end);
 
-                // Skip the closing -->
-                if (!isEOF()) {
-                    currentPosition += 3;
-                }
+        // An open element whose end tag may be omitted is closed by this one
+        const parent = this.stack[this.stack.length - 1];
+        if (parent) {
+            const closedBy = CLOSED_BY[parent.tag.toLowerCase()];
+            if (closedBy && closedBy.includes(tag.toLowerCase())) {
+                this.closeElement(parent, start - 1, start - 1);
+            }
+        }
 
-                // Add comment token
-                tokens.push({
-                    type: 'Comment',
-                    content: commentContent
-                });
+        this.currentElement = {
+            type: 'Element',
+            tag,
+            attrs: {},
+            attrsList: [],
+            children: [],
+            // Completed when the element is closed
+            loc: this.getLoc(start - 1, end)
+        };
+    }
 
-                continue;
-            }
+    onAttribName(start, end) {
+        this.currentAttr = {
+            name: this.source.slice(start, end),
+            value: true,
+            loc: this.getLoc(start, end)
+        };
+    }
 
-            // Check if it's a closing tag
-            if (peek() === '/') {
-                // Skip the opening </
-                currentPosition += 2;
+    onAttribData(start, end) {
+        this.currentAttr.value = decodeEntities(
+            this.source.slice(start, end),
+            start,
+            (code, index) => this.error(code, index)
+        );
+        this.currentAttr.valueLoc = this.getLoc(start, end);
+    }
 
-                // Get the tag name
-                const tagName = consumeWhile(c => c !== '>');
+    onAttribEnd(quote, end) {
+        const attr = this.currentAttr;
+        const element = this.currentElement;
+        this.currentAttr = null;
 
-                // Skip the closing >
-                if (!isEOF()) {
-                    currentPosition++;
-                }
+        if (!attr || !element) {
+            return;
+        }
 
-                // Add closing tag token
-                tokens.push({
-                    type: 'CloseTag',
-                    name: tagName.trim()
-                });
+        if (quote !== QuoteType.NoValue) {
+            attr.loc = this.getLoc(attr.loc.start.offset, end);
+        }
 
-                continue;
-            }
+        if (Object.prototype.hasOwnProperty.call(element.attrs, attr.name)) {
+            // Like browsers, the first occurrence wins
+            this.error(ErrorCodes.DUPLICATE_ATTRIBUTE, attr.loc.start.offset, attr.loc.end.offset);
+            return;
+        }
 
-            // It's an opening tag
-            // Skip the opening <
-            currentPosition++;
+        element.attrs[attr.name] = attr.value;
+        element.attrsList.push(attr);
+    }
 
-            // Get the tag name
-            const tagName = consumeWhile(c => c !== ' ' && c !== '>' && c !== '/');
+    onOpenTagEnd(end, selfClosing) {
+        const element = this.currentElement;
+        this.currentElement = null;
 
-            // Parse attributes
-            const attrs = {};
+        if (!element) {
+            return;
+        }
 
-            // Skip whitespace
-            consumeWhile(c => c === ' ' || c === '\\n' || c === '\\t' || c === '\\r');
+        const start = element.loc.start.offset;
+        element.loc = this.getLoc(start, end);
+        this.parent.children.push(element);
 
-            // Parse attributes until we reach the end of the tag
-            while (!isEOF() && peek() !== '>' && peek() !== '/') {
-                // Get attribute name
-                const attrName = consumeWhile(c => c !== '=' && c !== ' ' && c !== '>' && c !== '/');
+        const tag = element.tag.toLowerCase();
+
+        if (selfClosing || VOID_TAGS.has(tag)) {
+            if (selfClosing) {
+                element.selfClosing = true;
+            }
+            this.contentRanges.set(element, { start: end, end });
+            return;
+        }
 
-                // Skip whitespace
-                consumeWhile(c => c === ' ' || c === '\\n' || c === '\\t' || c === '\\r');
+        this.stack.push(element);
+        this.contentRanges.set(element, { start: end, end: null });
 
-                // Check if there's a value
-                if (peek() === '=') {
-                    // Skip the =
-                    consume();
+        // Every SFC block except an HTML template is raw text
+        if (this.options.sfc && this.stack.length === 1) {
+            const lang = element.attrs.lang;
+            if (tag !== 'template' || (typeof lang === 'string' && lang !== 'html')) {
+                element.isRawText = true;
+                this.tokenizer.enterRawText(element.tag);
+            }
+            return;
+        }
 
-                    // Skip whitespace
-                    consumeWhile(c => c === ' ' || c === '\\n' || c === '\\t' || c === '\\r');
+        if (RAW_TEXT_TAGS.has(tag)) {
+            element.isRawText = true;
+            this.tokenizer.enterRawText(element.tag);
+        } else if (RCDATA_TAGS.has(tag)) {
+            this.tokenizer.enterRawText(element.tag, true);
+        }
+    }
 
-                    // Check if the value is quoted
-                    let attrValue;
-                    if (peek() === '"' || peek() === "'") {
-                        const quote = consume();
-                        attrValue = consumeWhile(c => c !== quote);
+    onCloseTag(nameStart, nameEnd, start, end) {
+        const tag = this.source.slice(nameStart, nameEnd);
 
-                        // Skip the closing quote
-                        if (!isEOF()) {
-                            consume();
-                        }
-                    } else {
-                        // Unquoted value
-                        attrValue = consumeWhile(c => c !== ' ' && c !== '>' && c !== '/');
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            if (isSameTag(this.stack[i].tag, tag)) {
+                // Elements left open inside are closed here
+                for (let j = this.stack.length - 1; j > i; j--) {
+                    const unclosed = this.stack[j];
+                    if (!CLOSED_BY[unclosed.tag.toLowerCase()]) {
+                        this.error(ErrorCodes.X_MISSING_END_TAG, unclosed.loc.start.offset, unclosed.loc.end.offset);
                     }
-
-                    // Add the attribute
-                    attrs[attrName.trim()] = attrValue;
-                } else {
-                    // Boolean attribute
-                    attrs[attrName.trim()] = true;
+                    this.closeElement(unclosed, start, start);
                 }
-
-                // Skip whitespace
-                consumeWhile(c => c === ' ' || c === '\\n' || c === '\\t' || c === '\\r');
+                this.closeElement(this.stack[i], start, end);
+                return;
             }
+        }
 
-            // Check if it's a self-closing tag
-            const selfClosing = peek() === '/';
-            if (selfClosing) {
-                // Skip the /
-                consume();
-            }
+        this.error(ErrorCodes.X_INVALID_END_TAG, start, end);
+    }
 
-            // Skip the closing >
-            if (!isEOF()) {
-                consume();
-            }
+    onComment(start, end, outerStart, outerEnd) {
+        if (!this.options.comments || (this.options.sfc && this.stack.length === 0)) {
+            return;
+        }
 
-            // Add opening tag token
-            tokens.push({
-                type: 'OpenTag',
-                name: tagName.trim(),
-                attrs,
-                selfClosing
-            });
+        this.parent.children.push({
+            type: 'Comment',
+            content: this.source.slice(start, end),
+            loc: this.getLoc(outerStart, outerEnd)
+        });
+    }
 
-            continue;
+    onCDATA(start, end, outerStart, outerEnd) {
+        if (!this.stack.some(element => FOREIGN_TAGS.has(element.tag.toLowerCase()))) {
+            this.error(ErrorCodes.CDATA_IN_HTML_CONTENT, outerStart, outerEnd);
+            return;
         }
 
-        // Check for template expressions {{ ... }}
-        if (html[currentPosition] === '{' && peek() === '{') {
-            // Skip the opening {{
-            currentPosition += 2;
+        this.parent.children.push({
+            type: 'Text',
+            content: this.source.slice(start, end),
+            loc: this.getLoc(outerStart, outerEnd)
+        });
+    }
 
-            // Get the expression content
-            let expressionContent = '';
-            while (!isEOF() && !(html[currentPosition] === '}' && peek() === '}')) {
-                expressionContent += consume();
-            }
+    onEnd() {
+        const length = this.source.length;
 
-            // Skip the closing }}
-            if (!isEOF()) {
-                currentPosition += 2;
+        while (this.stack.length) {
+            const element = this.stack[this.stack.length - 1];
+            if (!CLOSED_BY[element.tag.toLowerCase()]) {
+                this.error(ErrorCodes.X_MISSING_END_TAG, element.loc.start.offset, element.loc.end.offset);
             }
-
-            // Add expression token
-            tokens.push({
-                type: 'Expression',
-                content: expressionContent.trim()
-            });
-
-            continue;
+            this.closeElement(element, length, length);
         }
+    }
 
-        // It's text content
-        let textContent = '';
-        while (!isEOF() && html[currentPosition] !== '<' && !(html[currentPosition] === '{' && peek() === '{')) {
-            textContent += consume();
+    /**
+     * Pops an element (and anything above it) off the stack
+     * @param {Object} element - Element to close
+     * @param {number} contentEnd - Offset where its content ends
+     * @param {number} end - Offset where the element ends, after its end tag if any
+     */
+    closeElement(element, contentEnd, end) {
+        const index = this.stack.lastIndexOf(element);
+        if (index === -1) {
+            return;
         }
+        this.stack.length = index;
 
-        // Add text token if not empty
-        if (textContent.trim()) {
-            tokens.push({
-                type: 'Text',
-                content: textContent
-            });
-        }
+        element.loc = this.getLoc(element.loc.start.offset, end);
+        this.contentRanges.get(element).end = contentEnd;
     }
 
-    // Check if we hit any limits
-    if (mainLoopIterations >= MAX_MAIN_ITERATIONS) {
-        console.warn('[robust-parser] Reached maximum main loop iterations');
+    /**
+     * Builds the descriptor block of a top-level SFC element
+     * @param {Object} node - Block element
+     * @returns {Object} Block
+     */
+    createBlock(node) {
+        const range = this.contentRanges.get(node);
+        const attrs = { ...node.attrs };
+
+        return {
+            type: node.tag,
+            content: this.source.slice(range.start, range.end),
+            attrs,
+            lang: typeof attrs.lang === 'string' ? attrs.lang : undefined,
+            start: node.loc.start.offset,
+            end: node.loc.end.offset,
+            loc: this.getLoc(range.start, range.end)
+        };
     }
 
-    if (isTimeExceeded()) {
-        console.warn('[robust-parser] Tokenization exceeded maximum time limit');
+    /**
+     * Records a diagnostic
+     * @param {string} code - One of ErrorCodes
+     * @param {number} start - Start offset
+     * @param {number} [end] - End offset, defaults to start
+     */
+    error(code, start, end = start) {
+        const error = new CompilerError(code, this.getLoc(start, end), {
+            source: this.source,
+            filename: this.options.filename
+        });
+
+        this.errors.push(error);
+        if (typeof this.options.onError === 'function') {
+            this.options.onError(error);
+        }
+    }
+
+    getPosition(offset) {
+        // Binary search for the line containing the offset
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return {
+            offset,
+            line: low + 1,
+            column: offset - this.lineStarts[low] + 1
+        };
     }
 
-    console.log('[robust-parser] Tokenization complete, generated', tokens.length, 'tokens');
-    return tokens;
+    getLoc(start, end) {
+        return {
+            start: this.getPosition(start),
+            end: this.getPosition(end),
+            source: this.source.slice(start, end)
+        };
+    }
 }
 
 /**
- * Builds an AST from a stream of tokens
+ * Offsets at which each line starts
  * @private
- * @param {Array} tokens - Array of tokens
- * @returns {Object} Root element node
  */
-function buildAST(tokens) {
-    console.log('[robust-parser] Building AST from', tokens.length, 'tokens');
-
-    // Create a stack to keep track of the current element
-    const stack = [];
-    let currentElement = null;
-    let rootElement = null;
-
-    // Set a maximum time for AST building (5 seconds)
-    const startTime = Date.now();
-    const MAX_TIME = 5000; // 5 seconds
-
-    // Process each token
-    let tokenIndex = 0;
-    const MAX_TOKENS = 10000; // Safety limit
-
-    for (const token of tokens) {
-        // Check if we've exceeded limits
-        if (tokenIndex >= MAX_TOKENS || (Date.now() - startTime) > MAX_TIME) {
-            console.warn('[robust-parser] Reached limit while building AST');
-            break;
+function computeLineStarts(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') {
+            starts.push(i + 1);
         }
+    }
+    return starts;
+}
 
-        tokenIndex++;
-        switch (token.type) {
-            case 'OpenTag':
-                // Create a new element node
-                const element = {
-                    type: 'Element',
-                    tag: token.name,
-                    attrs: token.attrs,
-                    children: []
-                };
-
-                // If this is a self-closing tag, don't push to the stack
-                if (!token.selfClosing) {
-                    stack.push(element);
-                }
+/**
+ * Compares tag names, case-insensitively for HTML elements
+ * @private
+ */
+function isSameTag(a, b) {
+    return a === b || (a.toLowerCase() === b.toLowerCase() && a === a.toLowerCase());
+}
 
-                // If we have a current element, add this as a child
-                if (currentElement) {
-                    currentElement.children.push(element);
-                } else {
-                    // This is the root element
-                    rootElement = element;
-                }
+/**
+ * @private
+ */
+function isRawTextElement(node) {
+    return node.type === 'Element' && !!node.isRawText;
+}
 
-                // Update the current element if not self-closing
-                if (!token.selfClosing) {
-                    currentElement = element;
-                }
-                break;
+/**
+ * Decodes named and numeric character references
+ * @private
+ * @param {string} text - Raw text
+ * @param {number} offset - Offset of the text in the source, for diagnostics
+ * @param {Function} onError - Called with (code, offset)
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text, offset, onError) {
+    if (!text.includes('&')) {
+        return text;
+    }
 
-            case 'CloseTag':
-                // Pop the current element from the stack
-                stack.pop();
+    return text.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*))(;?)/g, (match, dec, hex, name, semi, index) => {
+        if (name) {
+            // Named references are only decoded when complete and known
+            return semi && NAMED_ENTITIES[name] ? NAMED_ENTITIES[name] : match;
+        }
 
-                // Update the current element to the parent
-                currentElement = stack.length > 0 ? stack[stack.length - 1] : null;
-                break;
+        if (!semi) {
+            onError(ErrorCodes.MISSING_SEMICOLON_AFTER_CHARACTER_REFERENCE, offset + index + match.length);
+        }
 
-            case 'Text':
-                // Add text node to the current element
-                if (currentElement) {
-                    currentElement.children.push({
-                        type: 'Text',
-                        content: token.content
-                    });
-                }
-                break;
+        const codePoint = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+        if (codePoint === 0) {
+            onError(ErrorCodes.NULL_CHARACTER_REFERENCE, offset + index);
+            return '�';
+        }
+        if (codePoint > 0x10ffff) {
+            onError(ErrorCodes.CHARACTER_REFERENCE_OUTSIDE_UNICODE_RANGE, offset + index);
+            return '�';
+        }
+        if (codePoint >= 0xd800 && codePoint <= 0xdfff) {
+            onError(ErrorCodes.SURROGATE_CHARACTER_REFERENCE, offset + index);
+            return '�';
+        }
+        return String.fromCodePoint(codePoint);
+    });
+}
 
-            case 'Expression':
-                // Add expression node to the current element
-                if (currentElement) {
-                    currentElement.children.push({
-                        type: 'Expression',
-                        content: token.content
-                    });
+/**
+ * Drops insignificant whitespace, the way browsers would render it:
+ * whitespace-only text between elements on different lines is removed,
+ * other whitespace runs collapse to one space. <pre> and raw text are kept.
+ * @private
+ */
+function condenseWhitespace(children, options, inPre = false) {
+    const preserve = options.whitespace === 'preserve';
+    const keepComments = !!options.comments;
+
+    for (let i = 0; i < children.length; i++) {
+        const node = children[i];
+
+        if (node.type === 'Element') {
+            const isPre = inPre || node.tag.toLowerCase() === 'pre';
+            if (node.tag.toLowerCase() === 'pre') {
+                // A newline right after <pre> is not part of its content
+                const first = node.children[0];
+                if (first && first.type === 'Text' && first.content.startsWith('\n')) {
+                    first.content = first.content.slice(1);
+                    if (!first.content) {
+                        node.children.shift();
+                    }
                 }
-                break;
-
-            case 'Comment':
-                // Ignore comments for now
-                break;
+            }
+            if (!node.isRawText) {
+                condenseWhitespace(node.children, options, isPre);
+            }
         }
     }
 
-    // Check if we hit any limits
-    if (tokenIndex >= MAX_TOKENS) {
-        console.warn('[robust-parser] Processed maximum number of tokens');
+    if (inPre || preserve) {
+        return;
     }
 
-    if ((Date.now() - startTime) > MAX_TIME) {
-        console.warn('[robust-parser] AST building exceeded maximum time limit');
-    }
+    for (let i = 0; i < children.length; i++) {
+        const node = children[i];
+        if (node.type !== 'Text') {
+            continue;
+        }
 
-    console.log('[robust-parser] AST building complete');
-    return rootElement;
-}
+        if (!/[^\t\r\n\f ]/.test(node.content)) {
+            const prev = children[i - 1];
+            const next = children[i + 1];
 
-/**
- * Parses HTML attributes string into an attributes object
- * @private
- * @param {string} attrsString - HTML attributes string
- * @returns {Object} Attributes object
- */
-function parseAttributes(attrsString) {
-    const attrs = {};
-
-    // Match attributes with or without values
-    const attrRegex = /([a-zA-Z0-9_:-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\s>]*))?)?/g;
-    let match;
-
-    while ((match = attrRegex.exec(attrsString))) {
-        const name = match[1];
-        // Value can be in quotes or without quotes
-        const value = match[2] || match[3] || match[4] || true;
-        attrs[name] = value;
+            if (!prev || !next ||
+                prev.type === 'Comment' || next.type === 'Comment' ||
+                (prev.type === 'Element' && next.type === 'Element' && /[\r\n]/.test(node.content))) {
+                children[i] = null;
+            } else {
+                node.content = ' ';
+            }
+        } else {
+            node.content = node.content.replace(/[\t\r\n\f ]+/g, ' ');
+        }
     }
 
-    return attrs;
-}
\ No newline at end of file
+    // Compact in place so parents keep their children array
+    let write = 0;
+    for (let read = 0; read < children.length; read++) {
+        const node = children[read];
+        if (node && (keepComments || node.type !== 'Comment')) {
+            children[write++] = node;
+        }
+    }
+    children.length = write;
+}
@@ -3,9 +3,13 @@
  * Implements Vue 3-style <script setup> syntax with compiler macros
  *
  * Features:
- * - defineProps() macro
+ * - defineProps() macro, with withDefaults() for type-declared props
  * - defineEmits() macro
+ * - Type-based declarations, resolved from local and imported types
  * - defineExpose() macro
+ * - defineModel() macro, for named v-models with modifiers
+ * - defineSlots() and defineOptions() macros
+ * - Binding metadata for the template compiler
  * - Auto import helpers
  * - Top-level await support
  *
@@ -14,27 +18,64 @@
 
 import * as babelParser from '@babel/parser';
 import * as babelTypes from '@babel/types';
-import traverse from '@babel/traverse';
-import generate from '@babel/generator';
+import babelTraverse from '@babel/traverse';
+import babelGenerate from '@babel/generator';
+import { SourceMapBuilder } from '../source-map.js';
+import { BindingTypes } from '../bindings.js';
+import { createTypeScope, resolveTypeElements, resolveEmitNames, unionRuntimeTypes } from './resolve-type.js';
+
+// Node's ESM loader hands out the CommonJS exports object of these packages
+const traverse = babelTraverse.default || babelTraverse;
+const generate = babelGenerate.default || babelGenerate;
+
+const MACROS = new Set([
+    'defineProps', 'defineEmits', 'defineExpose', 'defineModel', 'defineSlots', 'defineOptions', 'withDefaults'
+]);
+
+// Result key each macro fills, to catch repeated calls
+const MACRO_RESULT_KEYS = {
+    withDefaults: 'props',
+    defineProps: 'props',
+    defineEmits: 'emits',
+    defineExpose: 'expose',
+    defineSlots: 'slots',
+    defineOptions: 'options'
+};
+
+// @kalxjs/core functions whose result is a ref or a reactive object
+const REF_FUNCTIONS = new Set(['ref', 'shallowRef', 'computed', 'customRef', 'toRef', 'writableComputed', 'useModel']);
+const REACTIVE_FUNCTIONS = new Set(['reactive', 'shallowReactive']);
+
+// Options that have their own macro
+const RESERVED_OPTIONS = new Set(['props', 'emits', 'expose', 'slots']);
 
 /**
  * Process <script setup> block
+ * Macro calls are replaced by what they stand for at runtime: defineProps() by
+ * the setup props, defineEmits() by emit, defineModel() by a useModel() ref...
+ * `bindings` maps every name the template can use to a BindingTypes kind.
  * @param {string} code - Script setup code
  * @param {object} options - Processing options
+ * @param {string} [options.filename] - File of the component, type imports are relative to it
+ * @param {object} [options.fs] - { fileExists(file), readFile(file) }, to resolve imported types
  * @returns {object} - Processed script with metadata
  */
 export function processScriptSetup(code, options = {}) {
-    const { filename = 'anonymous.klx' } = options;
+    const { filename = 'anonymous.klx', sourceMap = false } = options;
 
     console.log('[script-setup] Processing script setup block');
 
     const result = {
         code: '',
+        map: null,
         props: null,
         emits: null,
         expose: null,
+        models: [],
+        slots: false,
+        options: null,
         imports: [],
-        bindings: new Set(),
+        bindings: {},
         hasAwait: false
     };
 
@@ -45,55 +86,67 @@ export function processScriptSetup(code, options = {}) {
             plugins: ['jsx', 'typescript', 'topLevelAwait']
         });
 
-        // Extract macro calls and analyze code
-        traverse(ast, {
-            // Handle defineProps()
-            CallExpression(path) {
-                const { callee } = path.node;
+        // Types the macros can refer to
+        const typeScope = createTypeScope(ast.program, { filename, fs: options.fs });
 
-                if (babelTypes.isIdentifier(callee)) {
-                    if (callee.name === 'defineProps') {
-                        result.props = extractDefineProps(path);
-                        path.remove();
-                    } else if (callee.name === 'defineEmits') {
-                        result.emits = extractDefineEmits(path);
-                        path.remove();
-                    } else if (callee.name === 'defineExpose') {
-                        result.expose = extractDefineExpose(path);
-                        path.remove();
-                    }
+        // Imports move to the module, and tell which calls create refs
+        const coreImports = {};
+        ast.program.body = ast.program.body.filter(statement => {
+            if (statement.type !== 'ImportDeclaration') {
+                return true;
+            }
+            if (statement.importKind !== 'type') {
+                registerImport(statement, result, coreImports);
+            }
+            return false;
+        });
+
+        // Replace top-level macro calls and record the bindings they declare
+        const body = [];
+        for (const statement of ast.program.body) {
+            if (statement.type === 'ExpressionStatement' && isMacroCall(statement.expression)) {
+                const replacement = processMacro(statement.expression, result, typeScope);
+                if (replacement) {
+                    body.push({ ...statement, expression: replacement });
                 }
-            },
+                continue;
+            }
 
-            // Track imports
-            ImportDeclaration(path) {
-                result.imports.push({
-                    source: path.node.source.value,
-                    specifiers: path.node.specifiers.map(s => ({
-                        type: s.type,
-                        imported: s.imported?.name,
-                        local: s.local.name
-                    }))
+            if (statement.type === 'VariableDeclaration') {
+                statement.declarations.forEach(declarator => {
+                    if (isMacroCall(declarator.init)) {
+                        const name = macroName(declarator.init);
+                        declarator.init = processMacro(declarator.init, result, typeScope) || babelTypes.identifier('undefined');
+                        registerMacroBindings(name, declarator.id, result);
+                    } else {
+                        registerDeclarator(declarator, statement.kind, result, coreImports);
+                    }
                 });
-            },
+            } else if ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') && statement.id) {
+                result.bindings[statement.id.name] = BindingTypes.SETUP_CONST;
+            }
 
-            // Track top-level variables (bindings)
-            VariableDeclaration(path) {
-                if (path.parent.type === 'Program') {
-                    path.node.declarations.forEach(decl => {
-                        if (babelTypes.isIdentifier(decl.id)) {
-                            result.bindings.add(decl.id.name);
-                        }
-                    });
-                }
-            },
+            body.push(statement);
+        }
+        ast.program.body = body;
+
+        // Declared props the setup code doesn't shadow
+        const propKeys = [
+            ...(result.props && result.props.entries ? result.props.entries.map(entry => entry.key) : []),
+            ...result.models.map(model => model.name)
+        ];
+        propKeys.forEach(key => {
+            if (!(key in result.bindings)) {
+                result.bindings[key] = BindingTypes.PROPS;
+            }
+        });
 
-            // Track top-level functions
-            FunctionDeclaration(path) {
-                if (path.parent.type === 'Program') {
-                    if (path.node.id) {
-                        result.bindings.add(path.node.id.name);
-                    }
+        traverse(ast, {
+            // Macros only mean something at the top level
+            CallExpression(path) {
+                const { callee } = path.node;
+                if (babelTypes.isIdentifier(callee) && MACROS.has(callee.name)) {
+                    console.warn(`[script-setup] ${callee.name}() is a compiler macro and can only be used at the top level of <script setup> in ${filename}`);
                 }
             },
 
@@ -113,13 +166,16 @@ export function processScriptSetup(code, options = {}) {
         });
 
         // Generate transformed code
-        result.code = generateSetupFunction(ast, result);
+        const generated = generateSetupFunction(ast, result, sourceMap ? { filename, source: code } : null);
+        result.code = generated.code;
+        result.map = generated.map;
 
         console.log('[script-setup] Processing complete');
         console.log(`  - Props: ${result.props ? 'defined' : 'none'}`);
         console.log(`  - Emits: ${result.emits ? 'defined' : 'none'}`);
         console.log(`  - Expose: ${result.expose ? 'defined' : 'none'}`);
-        console.log(`  - Bindings: ${result.bindings.size}`);
+        console.log(`  - Models: ${result.models.length}`);
+        console.log(`  - Bindings: ${Object.keys(result.bindings).length}`);
         console.log(`  - Top-level await: ${result.hasAwait}`);
 
         return result;
@@ -131,72 +187,223 @@ export function processScriptSetup(code, options = {}) {
 }
 
 /**
- * Extract defineProps() macro
+ * Check whether a node is a call to a compiler macro
  */
-function extractDefineProps(path) {
-    const args = path.node.arguments;
+function isMacroCall(node) {
+    return Boolean(node) && MACROS.has(macroName(node));
+}
 
-    if (args.length === 0) {
-        return { type: 'runtime', value: null };
+/**
+ * Name of the function a call expression calls, if it is a plain identifier
+ */
+function macroName(node) {
+    return node.type === 'CallExpression' && babelTypes.isIdentifier(node.callee) ? node.callee.name : null;
+}
+
+/**
+ * Replace a macro call by its runtime equivalent, recording what it declares
+ * @returns {object|null} - Replacement expression, null to drop the call
+ */
+function processMacro(call, result, typeScope) {
+    const name = macroName(call);
+
+    if (MACRO_RESULT_KEYS[name] && result[MACRO_RESULT_KEYS[name]]) {
+        console.warn(`[script-setup] ${name}() can only be called once`);
     }
 
-    const arg = args[0];
+    switch (name) {
+        case 'withDefaults': {
+            const [propsCall, defaults] = call.arguments;
+            if (macroName(propsCall || {}) !== 'defineProps') {
+                console.warn('[script-setup] withDefaults() expects a defineProps() call as its first argument');
+                return babelTypes.identifier('__props');
+            }
+            result.props = extractDefineProps(propsCall, typeScope);
+            applyDefaults(result.props, defaults);
+            return babelTypes.identifier('__props');
+        }
+
+        case 'defineProps':
+            result.props = extractDefineProps(call, typeScope);
+            return babelTypes.identifier('__props');
+
+        case 'defineEmits':
+            result.emits = extractDefineEmits(call, typeScope);
+            return babelTypes.identifier('__emit');
+
+        case 'defineSlots':
+            result.slots = true;
+            return babelTypes.identifier('__slots');
+
+        case 'defineOptions':
+            result.options = extractDefineOptions(call);
+            return null;
+
+        case 'defineExpose':
+            result.expose = extractDefineExpose(call);
+            return babelTypes.callExpression(babelTypes.identifier('__expose'), call.arguments);
+
+        case 'defineModel': {
+            const model = extractDefineModel(call);
+            if (result.models.some(existing => existing.name === model.name)) {
+                console.warn(`[script-setup] defineModel('${model.name}') is declared twice`);
+            }
+            result.models.push(model);
+
+            const args = [babelTypes.identifier('__props'), babelTypes.stringLiteral(model.name)];
+            if (model.local) {
+                args.push(model.local);
+            }
+            return babelTypes.callExpression(babelTypes.identifier('useModel'), args);
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Extract defineProps() macro
+ * `entries` lists the declared props ({ key, code } for runtime declarations,
+ * { key, required, types, default } for type ones, `types` being constructor
+ * names or null for any value); null if they can't be listed
+ */
+function extractDefineProps(call, typeScope) {
+    const args = call.arguments;
+    const typeParams = call.typeParameters || call.typeArguments;
 
     // Type-only props (TypeScript)
-    if (babelTypes.isTSType(arg)) {
+    if (typeParams && typeParams.params.length > 0) {
+        const type = typeParams.params[0];
+        const elements = resolveTypeElements(type, typeScope);
+        if (!elements) {
+            console.warn(`[script-setup] Can't resolve the props type ${generate(type).code} in ${typeScope.filename}`);
+            return { type: 'type', value: generate(type).code, entries: [] };
+        }
+
         return {
             type: 'type',
-            value: generate(arg).code
+            value: generate(type).code,
+            entries: [...elements.props].map(([key, prop]) => ({
+                key,
+                required: !prop.optional,
+                types: unionRuntimeTypes(prop.types),
+                default: null
+            }))
         };
     }
 
+    if (args.length === 0) {
+        return { type: 'runtime', value: null, entries: [] };
+    }
+
+    const arg = args[0];
+
     // Runtime props (object or array)
-    if (babelTypes.isObjectExpression(arg) || babelTypes.isArrayExpression(arg)) {
+    if (babelTypes.isArrayExpression(arg)) {
+        const listed = arg.elements.every(element => babelTypes.isStringLiteral(element));
         return {
             type: 'runtime',
-            value: generate(arg).code
+            value: generate(arg).code,
+            entries: listed ? arg.elements.map(element => ({ key: element.value, code: 'null' })) : null
         };
     }
 
-    return { type: 'runtime', value: null };
+    if (babelTypes.isObjectExpression(arg)) {
+        const listed = arg.properties.every(property =>
+            babelTypes.isObjectProperty(property) && propertyKey(property) !== null);
+        return {
+            type: 'runtime',
+            value: generate(arg).code,
+            entries: listed
+                ? arg.properties.map(property => ({ key: propertyKey(property), code: generate(property.value).code }))
+                : null
+        };
+    }
+
+    return { type: 'runtime', value: null, entries: [] };
 }
 
 /**
- * Extract defineEmits() macro
+ * Apply the defaults of withDefaults() to type-declared props
  */
-function extractDefineEmits(path) {
-    const args = path.node.arguments;
-
-    if (args.length === 0) {
-        return { type: 'runtime', value: null };
+function applyDefaults(props, defaults) {
+    if (!defaults) {
+        return;
+    }
+    if (props.type !== 'type') {
+        console.warn('[script-setup] withDefaults() only applies to type-based defineProps()');
+        return;
+    }
+    if (!babelTypes.isObjectExpression(defaults)) {
+        console.warn('[script-setup] withDefaults() expects an object literal of defaults');
+        return;
     }
 
-    const arg = args[0];
+    defaults.properties.forEach(property => {
+        const key = babelTypes.isSpreadElement(property) ? null : propertyKey(property);
+        const entry = props.entries.find(candidate => candidate.key === key);
+        if (!entry) {
+            console.warn(`[script-setup] withDefaults() has a default for undeclared prop ${key}`);
+            return;
+        }
+
+        // `list() { return [] }` is a factory like `list: () => []`
+        entry.default = babelTypes.isObjectMethod(property)
+            ? generate(babelTypes.functionExpression(null, property.params, property.body, property.generator, property.async)).code
+            : generate(property.value).code;
+    });
+}
+
+/**
+ * Extract defineEmits() macro
+ * `names` lists the events of an array or type declaration
+ */
+function extractDefineEmits(call, typeScope) {
+    const args = call.arguments;
+    const typeParams = call.typeParameters || call.typeArguments;
 
     // Type-only emits (TypeScript)
-    if (babelTypes.isTSType(arg)) {
+    if (typeParams && typeParams.params.length > 0) {
+        const type = typeParams.params[0];
+        const names = resolveEmitNames(type, typeScope);
+        if (!names) {
+            console.warn(`[script-setup] Can't resolve the event names of ${generate(type).code} in ${typeScope.filename}`);
+        }
         return {
             type: 'type',
-            value: generate(arg).code
+            value: generate(type).code,
+            names: names || []
         };
     }
 
-    // Runtime emits (array)
+    if (args.length === 0) {
+        return { type: 'runtime', value: null, names: [] };
+    }
+
+    const arg = args[0];
+
+    // Runtime emits (array or object of validators)
     if (babelTypes.isArrayExpression(arg)) {
         return {
             type: 'runtime',
-            value: generate(arg).code
+            value: generate(arg).code,
+            names: arg.elements.filter(element => babelTypes.isStringLiteral(element)).map(element => element.value)
         };
     }
 
-    return { type: 'runtime', value: null };
+    if (babelTypes.isObjectExpression(arg)) {
+        return { type: 'runtime', value: generate(arg).code, names: null };
+    }
+
+    return { type: 'runtime', value: null, names: [] };
 }
 
 /**
  * Extract defineExpose() macro
  */
-function extractDefineExpose(path) {
-    const args = path.node.arguments;
+function extractDefineExpose(call) {
+    const args = call.arguments;
 
     if (args.length === 0) {
         return null;
@@ -213,75 +420,368 @@ function extractDefineExpose(path) {
     return null;
 }
 
+/**
+ * Extract defineModel() macro: `defineModel()`, `defineModel(options)`,
+ * `defineModel('name')` or `defineModel('name', options)`
+ * Prop options (type, required, default...) go to the props declaration,
+ * `get` and `set` stay with the useModel() call
+ */
+function extractDefineModel(call) {
+    const [first, second] = call.arguments;
+    const named = babelTypes.isStringLiteral(first);
+    const options = named ? second : first;
+
+    const propProperties = [];
+    const localProperties = [];
+    if (babelTypes.isObjectExpression(options)) {
+        options.properties.forEach(property => {
+            const key = babelTypes.isSpreadElement(property) ? null : propertyKey(property);
+            (key === 'get' || key === 'set' ? localProperties : propProperties).push(property);
+        });
+    } else if (options) {
+        console.warn('[script-setup] defineModel() expects an object literal of options');
+    }
+
+    return {
+        name: named ? first.value : 'modelValue',
+        prop: propProperties.length > 0 ? generate(babelTypes.objectExpression(propProperties), { concise: true }).code : 'null',
+        local: localProperties.length > 0 ? babelTypes.objectExpression(localProperties) : null
+    };
+}
+
+/**
+ * Extract defineOptions() macro
+ * @returns {string[]} - Code of the option properties
+ */
+function extractDefineOptions(call) {
+    const arg = call.arguments[0];
+    if (!babelTypes.isObjectExpression(arg)) {
+        console.warn('[script-setup] defineOptions() expects an object literal');
+        return null;
+    }
+
+    return arg.properties
+        .filter(property => {
+            const key = babelTypes.isSpreadElement(property) ? null : propertyKey(property);
+            if (RESERVED_OPTIONS.has(key)) {
+                console.warn(`[script-setup] defineOptions() can't set ${key}, use define${key.charAt(0).toUpperCase()}${key.slice(1)}() instead`);
+                return false;
+            }
+            return true;
+        })
+        .map(property => generate(property).code);
+}
+
+/**
+ * Static key of an object property or type member, null if computed
+ */
+function propertyKey(node) {
+    if (node.computed) {
+        return null;
+    }
+    if (babelTypes.isIdentifier(node.key)) {
+        return node.key.name;
+    }
+    if (babelTypes.isStringLiteral(node.key)) {
+        return node.key.value;
+    }
+    return null;
+}
+
+/**
+ * Record an import and the bindings it declares
+ */
+function registerImport(declaration, result, coreImports) {
+    const source = declaration.source.value;
+    const specifiers = declaration.specifiers.filter(s => s.importKind !== 'type');
+
+    if (specifiers.length === 0 && declaration.specifiers.length > 0) {
+        return;
+    }
+
+    result.imports.push({
+        source,
+        specifiers: specifiers.map(s => ({
+            type: s.type,
+            imported: s.imported ? (s.imported.name || s.imported.value) : undefined,
+            local: s.local.name
+        }))
+    });
+
+    // Core functions and components never hold refs, other modules may export some
+    const constant = source === '@kalxjs/core' || /\.klx$/.test(source);
+    specifiers.forEach(s => {
+        result.bindings[s.local.name] = constant ? BindingTypes.SETUP_CONST : BindingTypes.SETUP_MAYBE_REF;
+        if (source === '@kalxjs/core' && s.imported) {
+            coreImports[s.local.name] = s.imported.name || s.imported.value;
+        }
+    });
+}
+
+/**
+ * Record the bindings of a variable declared with a macro
+ */
+function registerMacroBindings(name, id, result) {
+    const names = [];
+    collectPatternNames(id, names);
+
+    if (name === 'defineModel') {
+        // `const [model, modifiers] = defineModel()`
+        names.forEach((local, index) => {
+            result.bindings[local] = index === 0 ? BindingTypes.SETUP_REF : BindingTypes.SETUP_CONST;
+        });
+    } else if (name === 'defineProps' || name === 'withDefaults') {
+        // Destructured props are read from the props in the template, so they stay reactive
+        const type = babelTypes.isIdentifier(id) ? BindingTypes.SETUP_REACTIVE_CONST : BindingTypes.PROPS;
+        names.forEach(local => {
+            result.bindings[local] = type;
+        });
+    } else {
+        names.forEach(local => {
+            result.bindings[local] = BindingTypes.SETUP_CONST;
+        });
+    }
+}
+
+/**
+ * Record the bindings of a top-level variable declarator
+ */
+function registerDeclarator(declarator, kind, result, coreImports) {
+    const names = [];
+    collectPatternNames(declarator.id, names);
+
+    let type = BindingTypes.SETUP_LET;
+    if (kind === 'const') {
+        type = babelTypes.isIdentifier(declarator.id)
+            ? inferConstType(declarator.init, coreImports)
+            : BindingTypes.SETUP_MAYBE_REF;
+    }
+
+    names.forEach(name => {
+        result.bindings[name] = type;
+    });
+}
+
+/**
+ * Guess what a const holds from its initializer
+ */
+function inferConstType(init, coreImports) {
+    while (init && (babelTypes.isTSAsExpression(init) || babelTypes.isTSSatisfiesExpression(init) || babelTypes.isTSNonNullExpression(init))) {
+        init = init.expression;
+    }
+    if (!init) {
+        return BindingTypes.SETUP_CONST;
+    }
+
+    if (babelTypes.isCallExpression(init) && babelTypes.isIdentifier(init.callee)) {
+        const imported = coreImports[init.callee.name];
+        if (REF_FUNCTIONS.has(imported)) {
+            return BindingTypes.SETUP_REF;
+        }
+        if (REACTIVE_FUNCTIONS.has(imported)) {
+            return BindingTypes.SETUP_REACTIVE_CONST;
+        }
+    }
+
+    const constant = babelTypes.isLiteral(init) && !(babelTypes.isTemplateLiteral(init) && init.expressions.length > 0);
+    if (constant || babelTypes.isFunction(init) || babelTypes.isClass(init)) {
+        return BindingTypes.SETUP_CONST;
+    }
+
+    return BindingTypes.SETUP_MAYBE_REF;
+}
+
+/**
+ * Collect the names a binding pattern declares
+ */
+function collectPatternNames(pattern, names) {
+    if (!pattern) return;
+
+    switch (pattern.type) {
+        case 'Identifier':
+            names.push(pattern.name);
+            break;
+        case 'ObjectPattern':
+            pattern.properties.forEach(property =>
+                collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names));
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => collectPatternNames(element, names));
+            break;
+        case 'RestElement':
+            collectPatternNames(pattern.argument, names);
+            break;
+        case 'AssignmentPattern':
+            collectPatternNames(pattern.left, names);
+            break;
+    }
+}
+
 /**
  * Generate setup function from AST
+ * With sourceMapOptions ({ filename, source }) the result also maps back to the block content
  */
-function generateSetupFunction(ast, metadata) {
-    const { code } = generate(ast, {
+function generateSetupFunction(ast, metadata, sourceMapOptions = null) {
+    const { code, map } = generate(ast, {
         compact: false,
-        retainLines: true
+        retainLines: true,
+        sourceMaps: Boolean(sourceMapOptions),
+        sourceFileName: sourceMapOptions ? sourceMapOptions.filename : undefined
+    }, sourceMapOptions ? sourceMapOptions.source : undefined);
+
+    return { code, map: map || null };
+}
+
+/**
+ * Quote an object key if it isn't an identifier
+ */
+function objectKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+}
+
+/**
+ * Code of the `type` of a prop: a constructor, an array of them, or null for any value
+ */
+function runtimeTypeCode(types) {
+    if (!types) {
+        return 'null';
+    }
+    return types.length === 1 ? types[0] : `[${types.join(', ')}]`;
+}
+
+/**
+ * Generate the props option from defineProps() and defineModel()
+ */
+function generatePropsOption(setupResult) {
+    const { props, models } = setupResult;
+    if (!props && models.length === 0) {
+        return null;
+    }
+
+    // Declarations that can't be listed are used as they are
+    if (props && !props.entries) {
+        return props.value;
+    }
+
+    const entries = (props ? props.entries : []).map(entry => {
+        if (props.type === 'runtime') {
+            return `${objectKey(entry.key)}: ${entry.code}`;
+        }
+        const required = entry.required && entry.default === null;
+        const defaultCode = entry.default !== null ? `, default: ${entry.default}` : '';
+        return `${objectKey(entry.key)}: { type: ${runtimeTypeCode(entry.types)}, required: ${required}${defaultCode} }`;
     });
 
-    return code;
+    models.forEach(model => {
+        const modifiers = model.name === 'modelValue' ? 'modelModifiers' : `${model.name}Modifiers`;
+        entries.push(`${objectKey(model.name)}: ${model.prop}`, `${objectKey(modifiers)}: null`);
+    });
+
+    if (entries.length === 0) {
+        return '{}';
+    }
+    return `{\n${entries.map(entry => `    ${entry}`).join(',\n')}\n  }`;
+}
+
+/**
+ * Generate the emits option from defineEmits() and defineModel()
+ */
+function generateEmitsOption(setupResult) {
+    const { emits, models } = setupResult;
+    const modelEvents = models.map(model => `update:${model.name}`);
+
+    // Object of validators
+    if (emits && emits.names === null) {
+        return modelEvents.length > 0
+            ? `{ ...${emits.value}, ${modelEvents.map(event => `'${event}': null`).join(', ')} }`
+            : emits.value;
+    }
+
+    if (!emits && modelEvents.length === 0) {
+        return null;
+    }
+    const names = [...(emits ? emits.names : []), ...modelEvents];
+    return `[${names.map(name => `'${name}'`).join(', ')}]`;
 }
 
 /**
- * Compile macro - converts defineProps/defineEmits/defineExpose to runtime code
+ * Compile macro - wraps the processed setup code in a component definition
+ * @param {object} setupResult - Result of processScriptSetup()
+ * @param {object} [options]
+ * @param {boolean} [options.sourceMap] - Return { code, map }, mapped through setupResult.map
+ * @returns {string|object} - Component module code, or { code, map } with sourceMap
  */
 export function compileMacros(setupResult, options = {}) {
-    let code = '';
+    const output = new SourceMapBuilder();
 
     // Import required helpers
-    code += `import { defineComponent } from '@kalxjs/core';\n`;
+    const helpers = ['defineComponent', ...(setupResult.models.length > 0 ? ['useModel'] : [])];
+    output.append(`import { ${helpers.join(', ')} } from '@kalxjs/core';\n`);
 
     // Add user imports
     setupResult.imports.forEach(imp => {
-        code += `import `;
-        imp.specifiers.forEach((spec, i) => {
-            if (i > 0) code += ', ';
+        const clauses = [];
+        const named = [];
+        imp.specifiers.forEach(spec => {
             if (spec.type === 'ImportDefaultSpecifier') {
-                code += spec.local;
+                clauses.push(spec.local);
             } else if (spec.type === 'ImportNamespaceSpecifier') {
-                code += `* as ${spec.local}`;
+                clauses.push(`* as ${spec.local}`);
             } else {
-                code += `{ ${spec.imported}${spec.local !== spec.imported ? ` as ${spec.local}` : ''} }`;
+                named.push(`${spec.imported}${spec.local !== spec.imported ? ` as ${spec.local}` : ''}`);
             }
         });
-        code += ` from '${imp.source}';\n`;
+        if (named.length > 0) {
+            clauses.push(`{ ${named.join(', ')} }`);
+        }
+        output.append(clauses.length > 0
+            ? `import ${clauses.join(', ')} from '${imp.source}';\n`
+            : `import '${imp.source}';\n`);
     });
 
-    code += '\n';
+    output.append('\n');
 
     // Generate component options
-    code += 'export default defineComponent({\n';
+    output.append('export default defineComponent({\n');
+
+    // Options
+    if (setupResult.options) {
+        setupResult.options.forEach(option => output.append(`  ${option},\n`));
+    }
 
     // Props
-    if (setupResult.props) {
-        code += `  props: ${setupResult.props.value || '{}'},\n`;
+    const propsCode = generatePropsOption(setupResult);
+    if (propsCode) {
+        output.append(`  props: ${propsCode},\n`);
     }
 
     // Emits
-    if (setupResult.emits) {
-        code += `  emits: ${setupResult.emits.value || '[]'},\n`;
+    const emitsCode = generateEmitsOption(setupResult);
+    if (emitsCode) {
+        output.append(`  emits: ${emitsCode},\n`);
     }
 
     // Setup function
-    code += `  setup(props, { emit, expose }) {\n`;
+    output.append(`  setup(__props, { emit: __emit, expose: __expose, slots: __slots }) {\n`);
 
     // Add setup code
-    code += `    ${setupResult.code.split('\n').join('\n    ')}\n`;
-
-    // Return bindings
-    code += '\n    return {\n';
-    for (const binding of setupResult.bindings) {
-        code += `      ${binding},\n`;
+    output.append('    ');
+    output.append(setupResult.code, options.sourceMap ? setupResult.map : null, { indent: '    ' });
+    output.append('\n');
+
+    // Return bindings, the template reads props from the props themselves
+    output.append('\n    return {\n');
+    for (const [binding, type] of Object.entries(setupResult.bindings)) {
+        if (type !== BindingTypes.PROPS) {
+            output.append(`      ${binding},\n`);
+        }
     }
-    code += '    };\n';
+    output.append('    };\n');
 
-    code += '  }\n';
-    code += '});\n';
+    output.append('  }\n');
+    output.append('});\n');
 
-    return code;
+    return options.sourceMap ? { code: output.code, map: output.toJSON() } : output.code;
 }
 
-export default { processScriptSetup, compileMacros };
\ No newline at end of file
+export default { processScriptSetup, compileMacros };
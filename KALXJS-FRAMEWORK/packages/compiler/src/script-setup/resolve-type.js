@@ -0,0 +1,663 @@
+/**
+ * @kalxjs/compiler - Type resolution for <script setup>
+ * Turns the types given to defineProps<T>() and defineEmits<T>() into what the
+ * runtime needs: prop names with their constructors, and event names.
+ *
+ * Types are read from the Babel AST, no TypeScript program is involved. Local
+ * interfaces and type aliases are followed, and so are types imported from
+ * relative paths when a file system is given.
+ *
+ * @module @kalxjs/compiler/script-setup/resolve-type
+ */
+
+import * as babelParser from '@babel/parser';
+
+// Built-in types with a constructor of the same name
+const CONSTRUCTOR_TYPES = new Set([
+    'String', 'Number', 'Boolean', 'Object', 'Function', 'Array', 'Symbol', 'BigInt',
+    'Date', 'RegExp', 'Error', 'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet'
+]);
+
+// Built-in generic types, by the constructor of their values
+const GENERIC_TYPES = {
+    ReadonlyArray: 'Array',
+    ReadonlyMap: 'Map',
+    ReadonlySet: 'Set',
+    Record: 'Object',
+    Pick: 'Object',
+    Omit: 'Object',
+    Uppercase: 'String',
+    Lowercase: 'String',
+    Capitalize: 'String',
+    Uncapitalize: 'String'
+};
+
+// Built-in generic types that have the runtime type of their argument
+const WRAPPER_TYPES = new Set(['Partial', 'Required', 'Readonly', 'NonNullable']);
+
+// Files tried for a relative type import, in order
+const IMPORT_EXTENSIONS = ['', '.ts', '.d.ts', '.tsx', '/index.ts', '/index.d.ts'];
+
+/**
+ * Collect the type declarations, imports and exports of a module
+ * @param {object} program - Babel Program node
+ * @param {object} [options]
+ * @param {string} [options.filename] - File of the module, imports are relative to it
+ * @param {object} [options.fs] - { fileExists(file), readFile(file) }, to follow relative imports
+ * @returns {object} - Type scope
+ */
+export function createTypeScope(program, options = {}) {
+    const scope = {
+        filename: options.filename || 'anonymous.klx',
+        fs: options.fs || null,
+        // Modules already read, shared by every scope of a compilation
+        files: options.files || new Map(),
+        types: new Map(),
+        imports: new Map(),
+        exports: new Map(),
+        reexports: []
+    };
+
+    program.body.forEach(statement => registerStatement(statement, scope));
+    return scope;
+}
+
+/**
+ * Record what a top-level statement declares
+ */
+function registerStatement(statement, scope) {
+    switch (statement.type) {
+        case 'ImportDeclaration':
+            statement.specifiers.forEach(specifier => {
+                if (specifier.type === 'ImportNamespaceSpecifier') {
+                    return;
+                }
+                scope.imports.set(specifier.local.name, {
+                    source: statement.source.value,
+                    imported: specifier.type === 'ImportDefaultSpecifier' ? 'default' : nameOf(specifier.imported)
+                });
+            });
+            break;
+
+        case 'ExportNamedDeclaration':
+            if (statement.declaration) {
+                registerStatement(statement.declaration, scope);
+                if (statement.declaration.id) {
+                    scope.exports.set(statement.declaration.id.name, { local: statement.declaration.id.name });
+                }
+            }
+            statement.specifiers.forEach(specifier => {
+                const local = nameOf(specifier.local);
+                scope.exports.set(nameOf(specifier.exported), statement.source
+                    ? { source: statement.source.value, imported: local }
+                    : { local });
+            });
+            break;
+
+        case 'ExportAllDeclaration':
+            if (!statement.exported) {
+                scope.reexports.push(statement.source.value);
+            }
+            break;
+
+        case 'TSInterfaceDeclaration':
+            // Interfaces of the same name merge
+            scope.types.set(statement.id.name, [...(scope.types.get(statement.id.name) || []), statement]);
+            break;
+
+        case 'TSTypeAliasDeclaration':
+        case 'TSEnumDeclaration':
+            scope.types.set(statement.id.name, [statement]);
+            break;
+    }
+}
+
+/**
+ * Name of an identifier or string literal
+ */
+function nameOf(node) {
+    return node.type === 'Identifier' ? node.name : node.value;
+}
+
+/**
+ * Find the declarations of a type name
+ * @returns {object|null} - { nodes, scope }, scope being the one of the module that declares them
+ */
+function resolveTypeName(name, scope) {
+    if (scope.types.has(name)) {
+        return { nodes: scope.types.get(name), scope };
+    }
+
+    const imported = scope.imports.get(name);
+    if (imported) {
+        const fileScope = loadImportedScope(imported.source, scope);
+        return fileScope ? resolveExport(imported.imported, fileScope, new Set()) : null;
+    }
+
+    return null;
+}
+
+/**
+ * Find the declarations of a type a module exports
+ */
+function resolveExport(name, scope, seen) {
+    if (seen.has(scope.filename)) {
+        return null;
+    }
+    seen.add(scope.filename);
+
+    const exported = scope.exports.get(name);
+    if (exported && !exported.source) {
+        return resolveTypeName(exported.local, scope);
+    }
+    if (exported) {
+        const fileScope = loadImportedScope(exported.source, scope);
+        return fileScope ? resolveExport(exported.imported, fileScope, seen) : null;
+    }
+
+    for (const source of scope.reexports) {
+        const fileScope = loadImportedScope(source, scope);
+        const found = fileScope && resolveExport(name, fileScope, seen);
+        if (found) {
+            return found;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Read and parse the module a relative import points to
+ * Package imports aren't followed, their types stay unknown
+ */
+function loadImportedScope(source, scope) {
+    if (!/^\.\.?\//.test(source)) {
+        return null;
+    }
+    if (!scope.fs) {
+        console.warn(`[script-setup] Types imported from ${source} in ${scope.filename} can't be resolved without file system access`);
+        return null;
+    }
+
+    const base = joinPath(dirname(scope.filename), source);
+    const candidates = IMPORT_EXTENSIONS.map(extension => base + extension);
+    // `./types.js` is how ESM TypeScript imports `./types.ts`
+    if (/\.js$/.test(base)) {
+        candidates.push(base.replace(/\.js$/, '.ts'), base.replace(/\.js$/, '.d.ts'));
+    }
+
+    const file = candidates.find(candidate => /\.tsx?$/.test(candidate) && scope.fs.fileExists(candidate));
+    if (!file) {
+        console.warn(`[script-setup] Can't find ${source} imported in ${scope.filename}`);
+        return null;
+    }
+
+    if (!scope.files.has(file)) {
+        let fileScope = null;
+        try {
+            const ast = babelParser.parse(scope.fs.readFile(file), {
+                sourceType: 'module',
+                plugins: file.endsWith('.tsx') ? ['typescript', 'jsx'] : ['typescript']
+            });
+            fileScope = createTypeScope(ast.program, { filename: file, fs: scope.fs, files: scope.files });
+        } catch (error) {
+            console.warn(`[script-setup] Can't parse ${file}: ${error.message}`);
+        }
+        scope.files.set(file, fileScope);
+    }
+
+    return scope.files.get(file);
+}
+
+/**
+ * Directory part of a path
+ */
+function dirname(path) {
+    const index = path.replace(/\\/g, '/').lastIndexOf('/');
+    return index === -1 ? '.' : path.slice(0, index) || '/';
+}
+
+/**
+ * Join a directory and a relative path, resolving `.` and `..`
+ */
+function joinPath(dir, relative) {
+    const segments = [];
+    `${dir.replace(/\\/g, '/')}/${relative}`.split('/').forEach((segment, index) => {
+        if (segment === '..' && segments.length > 0 && segments[segments.length - 1] !== '..' && segments[segments.length - 1] !== '') {
+            segments.pop();
+        } else if (segment !== '.' && (segment !== '' || index === 0)) {
+            segments.push(segment);
+        }
+    });
+    return segments.join('/');
+}
+
+/**
+ * Type arguments of a type reference or heritage clause
+ */
+function typeArgumentsOf(node) {
+    const args = node.typeParameters || node.typeArguments;
+    return args ? args.params : [];
+}
+
+/**
+ * Resolve the members of an object type
+ * @param {object} node - Type node
+ * @param {object} scope - Type scope of the module the node belongs to
+ * @returns {object|null} - { props, calls }: props maps each key to
+ * { optional, types: [{ node, scope }] }, calls lists the call signatures;
+ * null if the type can't be resolved
+ */
+export function resolveTypeElements(node, scope) {
+    switch (node.type) {
+        case 'TSTypeLiteral':
+            return membersToElements(node.members, scope);
+
+        case 'TSInterfaceDeclaration': {
+            const elements = { props: new Map(), calls: [] };
+            for (const heritage of node.extends || []) {
+                const base = resolveTypeElements(heritage, scope);
+                if (!base) {
+                    return null;
+                }
+                mergeElements(elements, base);
+            }
+            mergeElements(elements, membersToElements(node.body.body, scope));
+            return elements;
+        }
+
+        case 'TSTypeAliasDeclaration':
+        case 'TSParenthesizedType':
+            return resolveTypeElements(node.typeAnnotation, scope);
+
+        case 'TSIntersectionType': {
+            const elements = { props: new Map(), calls: [] };
+            for (const type of node.types) {
+                const part = resolveTypeElements(type, scope);
+                if (!part) {
+                    return null;
+                }
+                mergeElements(elements, part);
+            }
+            return elements;
+        }
+
+        case 'TSUnionType': {
+            const branches = node.types.map(type => resolveTypeElements(type, scope));
+            return branches.every(Boolean) ? unionElements(branches) : null;
+        }
+
+        case 'TSFunctionType':
+            return { props: new Map(), calls: [{ node, scope }] };
+
+        case 'TSTypeReference':
+        case 'TSExpressionWithTypeArguments':
+        case 'TSInterfaceHeritage':
+            return resolveReferenceElements(node, scope);
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Resolve the members of a named type, or of a built-in utility type
+ */
+function resolveReferenceElements(node, scope) {
+    const name = node.typeName || node.expression;
+    if (!name || name.type !== 'Identifier') {
+        return null;
+    }
+
+    const resolved = resolveTypeName(name.name, scope);
+    if (resolved) {
+        const elements = { props: new Map(), calls: [] };
+        for (const declaration of resolved.nodes) {
+            const part = resolveTypeElements(declaration, resolved.scope);
+            if (!part) {
+                return null;
+            }
+            mergeElements(elements, part);
+        }
+        return elements;
+    }
+
+    const [type, keys] = typeArgumentsOf(node);
+    const elements = type ? resolveTypeElements(type, scope) : null;
+    if (!elements) {
+        return null;
+    }
+
+    switch (name.name) {
+        case 'Partial':
+        case 'Required':
+            elements.props.forEach(prop => {
+                prop.optional = name.name === 'Partial';
+            });
+            return elements;
+
+        case 'Readonly':
+            return elements;
+
+        case 'Pick':
+        case 'Omit': {
+            const listed = keys ? resolveStringLiterals(keys, scope) : null;
+            if (!listed) {
+                return null;
+            }
+            for (const key of [...elements.props.keys()]) {
+                if (listed.includes(key) !== (name.name === 'Pick')) {
+                    elements.props.delete(key);
+                }
+            }
+            return elements;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Elements of the members of a type literal or interface body
+ */
+function membersToElements(members, scope) {
+    const elements = { props: new Map(), calls: [] };
+
+    members.forEach(member => {
+        if (member.type === 'TSCallSignatureDeclaration') {
+            elements.calls.push({ node: member, scope });
+            return;
+        }
+        if (member.type !== 'TSPropertySignature' && member.type !== 'TSMethodSignature') {
+            return;
+        }
+
+        const key = member.computed ? null : memberKey(member.key);
+        if (key === null) {
+            return;
+        }
+
+        // Methods are functions, properties have their annotation
+        const type = member.type === 'TSMethodSignature'
+            ? member
+            : member.typeAnnotation && member.typeAnnotation.typeAnnotation;
+        elements.props.set(key, { optional: Boolean(member.optional), types: [{ node: type, scope }] });
+    });
+
+    return elements;
+}
+
+/**
+ * Static key of a type member, null if it has none
+ */
+function memberKey(key) {
+    if (key.type === 'Identifier') {
+        return key.name;
+    }
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') {
+        return String(key.value);
+    }
+    return null;
+}
+
+/**
+ * Add the elements of an intersected or extended type, later members win
+ */
+function mergeElements(target, source) {
+    source.props.forEach((prop, key) => {
+        const existing = target.props.get(key);
+        target.props.set(key, {
+            ...prop,
+            optional: existing ? existing.optional && prop.optional : prop.optional
+        });
+    });
+    target.calls.push(...source.calls);
+}
+
+/**
+ * Elements of a union of object types: a key missing from a branch is optional
+ */
+function unionElements(branches) {
+    const elements = { props: new Map(), calls: [] };
+
+    branches.forEach(branch => {
+        branch.props.forEach((prop, key) => {
+            const existing = elements.props.get(key);
+            elements.props.set(key, existing
+                ? { optional: existing.optional || prop.optional, types: [...existing.types, ...prop.types] }
+                : { optional: prop.optional, types: [...prop.types] });
+        });
+        elements.calls.push(...branch.calls);
+    });
+
+    elements.props.forEach((prop, key) => {
+        if (!branches.every(branch => branch.props.has(key))) {
+            prop.optional = true;
+        }
+    });
+
+    return elements;
+}
+
+/**
+ * Resolve a type to the string literals it is made of: `'a' | 'b'`,
+ * an alias of it, or `keyof` an object type
+ * @returns {string[]|null} - null if the type isn't only string literals
+ */
+export function resolveStringLiterals(node, scope) {
+    switch (node.type) {
+        case 'TSLiteralType':
+            return node.literal.type === 'StringLiteral' ? [node.literal.value] : null;
+
+        case 'TSParenthesizedType':
+        case 'TSTypeAliasDeclaration':
+            return resolveStringLiterals(node.typeAnnotation, scope);
+
+        case 'TSUnionType': {
+            const values = [];
+            for (const type of node.types) {
+                const part = resolveStringLiterals(type, scope);
+                if (!part) {
+                    return null;
+                }
+                values.push(...part);
+            }
+            return values;
+        }
+
+        case 'TSTypeOperator': {
+            if (node.operator !== 'keyof') {
+                return null;
+            }
+            const elements = resolveTypeElements(node.typeAnnotation, scope);
+            return elements ? [...elements.props.keys()] : null;
+        }
+
+        case 'TSTypeReference': {
+            const resolved = node.typeName.type === 'Identifier' ? resolveTypeName(node.typeName.name, scope) : null;
+            return resolved && resolved.nodes.length === 1
+                ? resolveStringLiterals(resolved.nodes[0], resolved.scope)
+                : null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Runtime constructors of the values of a type
+ * `null` and `undefined` have none, so `string | null` is just String.
+ * @param {object} node - Type node
+ * @param {object} scope - Type scope of the module the node belongs to
+ * @returns {string[]|null} - Constructor names, null if the type allows anything
+ */
+export function inferRuntimeType(node, scope) {
+    if (!node) {
+        return null;
+    }
+
+    switch (node.type) {
+        case 'TSStringKeyword':
+        case 'TSTemplateLiteralType':
+            return ['String'];
+        case 'TSNumberKeyword':
+            return ['Number'];
+        case 'TSBooleanKeyword':
+            return ['Boolean'];
+        case 'TSBigIntKeyword':
+            return ['BigInt'];
+        case 'TSSymbolKeyword':
+            return ['Symbol'];
+        case 'TSObjectKeyword':
+        case 'TSMappedType':
+            return ['Object'];
+        case 'TSFunctionType':
+        case 'TSConstructorType':
+        case 'TSMethodSignature':
+            return ['Function'];
+        case 'TSArrayType':
+        case 'TSTupleType':
+            return ['Array'];
+        case 'TSNullKeyword':
+        case 'TSUndefinedKeyword':
+        case 'TSVoidKeyword':
+        case 'TSNeverKeyword':
+            return [];
+
+        case 'TSTypeLiteral':
+            return isCallable(node.members) ? ['Function'] : ['Object'];
+        case 'TSInterfaceDeclaration':
+            return isCallable(node.body.body) ? ['Function'] : ['Object'];
+
+        case 'TSLiteralType':
+            switch (node.literal.type) {
+                case 'StringLiteral':
+                case 'TemplateLiteral':
+                    return ['String'];
+                case 'NumericLiteral':
+                case 'UnaryExpression':
+                    return ['Number'];
+                case 'BigIntLiteral':
+                    return ['BigInt'];
+                case 'BooleanLiteral':
+                    return ['Boolean'];
+                default:
+                    return null;
+            }
+
+        case 'TSEnumDeclaration': {
+            const members = node.members || (node.body && node.body.members) || [];
+            const strings = members.filter(member => member.initializer && member.initializer.type === 'StringLiteral').length;
+            if (strings === 0) {
+                return ['Number'];
+            }
+            return strings === members.length ? ['String'] : ['String', 'Number'];
+        }
+
+        case 'TSParenthesizedType':
+        case 'TSOptionalType':
+        case 'TSTypeAliasDeclaration':
+            return inferRuntimeType(node.typeAnnotation, scope);
+
+        case 'TSTypeOperator':
+            return node.operator === 'keyof'
+                ? ['String', 'Number', 'Symbol']
+                : inferRuntimeType(node.typeAnnotation, scope);
+
+        case 'TSUnionType':
+            return unionRuntimeTypes(node.types.map(type => ({ node: type, scope })));
+
+        case 'TSIntersectionType': {
+            const types = node.types.map(type => inferRuntimeType(type, scope)).filter(Boolean);
+            return types.length > 0 ? dedupe(types.flat()) : null;
+        }
+
+        case 'TSTypeReference':
+            return inferReferenceType(node, scope);
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Runtime constructors of a named type
+ */
+function inferReferenceType(node, scope) {
+    if (node.typeName.type !== 'Identifier') {
+        return null;
+    }
+    const { name } = node.typeName;
+
+    const resolved = resolveTypeName(name, scope);
+    if (resolved) {
+        return unionRuntimeTypes(resolved.nodes.map(declaration => ({ node: declaration, scope: resolved.scope })));
+    }
+
+    if (WRAPPER_TYPES.has(name)) {
+        const [type] = typeArgumentsOf(node);
+        return type ? inferRuntimeType(type, scope) : null;
+    }
+    if (GENERIC_TYPES[name]) {
+        return [GENERIC_TYPES[name]];
+    }
+    return CONSTRUCTOR_TYPES.has(name) ? [name] : null;
+}
+
+/**
+ * Runtime constructors of any of several types, null if one allows anything
+ * @param {object[]} types - [{ node, scope }]
+ */
+export function unionRuntimeTypes(types) {
+    const constructors = [];
+    for (const { node, scope } of types) {
+        const inferred = inferRuntimeType(node, scope);
+        if (!inferred) {
+            return null;
+        }
+        constructors.push(...inferred);
+    }
+    return constructors.length > 0 ? dedupe(constructors) : null;
+}
+
+/**
+ * Check whether an object type is only call signatures
+ */
+function isCallable(members) {
+    return members.length > 0 && members.every(member =>
+        member.type === 'TSCallSignatureDeclaration' || member.type === 'TSConstructSignatureDeclaration');
+}
+
+function dedupe(values) {
+    return [...new Set(values)];
+}
+
+/**
+ * Event names of a defineEmits<T>() type: the first parameter of its call
+ * signatures, `(e: 'change', id: number): void`, or its keys,
+ * `{ change: [id: number] }`
+ * @returns {string[]|null} - null if the type can't be resolved
+ */
+export function resolveEmitNames(node, scope) {
+    const elements = resolveTypeElements(node, scope);
+    if (!elements) {
+        return null;
+    }
+
+    const names = [...elements.props.keys()];
+    for (const call of elements.calls) {
+        const [event] = call.node.parameters || call.node.params || [];
+        const type = event && event.typeAnnotation && event.typeAnnotation.typeAnnotation;
+        const events = type ? resolveStringLiterals(type, call.scope) : null;
+        if (!events) {
+            return null;
+        }
+        names.push(...events);
+    }
+
+    return dedupe(names);
+}
+
+export default { createTypeScope, resolveTypeElements, resolveStringLiterals, resolveEmitNames, inferRuntimeType, unionRuntimeTypes };
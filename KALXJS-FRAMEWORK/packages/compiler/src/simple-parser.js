@@ -1,204 +0,0 @@
-// @kalxjs/compiler - Simple parser for .klx files
-
-/**
- * Parses a KLX file into an AST
- * @param {string} source - Source code of the .klx file
- * @returns {Object} AST with template, script, and style sections
- */
-export function parse(source) {
-    console.log('[simple-parser] Parsing KLX file');
-
-    // Parse the template, script, and style sections
-    const templateMatch = /<template>([\s\S]*?)<\/template>/.exec(source);
-    const scriptMatch = /<script>([\s\S]*?)<\/script>/.exec(source);
-    const styleMatch = /<style(?:\s+scoped)?>([\s\S]*?)<\/style>/.exec(source);
-
-    // Check if template section exists
-    const template = templateMatch ? {
-        content: templateMatch[1],
-        start: templateMatch.index,
-        end: templateMatch.index + templateMatch[0].length,
-        isDefault: false
-    } : null;
-
-    if (template) {
-        console.log(`Template section found with length: ${template.content.length}`);
-    } else {
-        console.warn('No template section found');
-    }
-
-    // Check if script section exists
-    const script = scriptMatch ? {
-        content: scriptMatch[1],
-        start: scriptMatch.index,
-        end: scriptMatch.index + scriptMatch[0].length
-    } : null;
-
-    if (script) {
-        console.log(`Script section found with length: ${script.content.length}`);
-    } else {
-        console.warn('No script section found');
-    }
-
-    // Check if style section exists
-    const style = styleMatch ? {
-        content: styleMatch[1],
-        start: styleMatch.index,
-        end: styleMatch.index + styleMatch[0].length,
-        scoped: styleMatch[0].includes('scoped')
-    } : null;
-
-    if (style) {
-        console.log(`Style section found with length: ${style.content.length}`);
-    }
-
-    return {
-        template,
-        script,
-        style,
-        errors: []
-    };
-}
-
-/**
- * Parses a template string into an AST
- * @param {string} template - Template HTML content
- * @returns {Object} Template AST
- */
-export function parseTemplate(template) {
-    console.log('[simple-parser] Parsing template');
-
-    try {
-        // Create the root AST node
-        const ast = {
-            type: 'Template',
-            children: []
-        };
-
-        // Extract the root element (simplified approach)
-        const rootTagMatch = /<([a-z][a-z0-9]*)[^>]*>([\s\S]*?)<\/\1>/i.exec(template.trim());
-
-        if (rootTagMatch) {
-            const [fullMatch, tagName, content] = rootTagMatch;
-
-            // Create a simplified root element
-            const rootElement = {
-                type: 'Element',
-                tag: tagName,
-                attrs: extractAttributes(fullMatch),
-                children: []
-            };
-
-            // Process content for expressions
-            processContent(content, rootElement.children);
-
-            // Process a special node for the
-            if (tagName === 'div' && content.includes('counter-value')) {
-                rootElement.children.push({
-                    type: 'Expression',
-                    content: 'count' // Corrected string literal
-                });
-            }
-
-            ast.children.push(rootElement);
-        } else {
-            console.warn('[simple-parser] No root element found in template');
-            // Create a fallback div
-            ast.children.push({
-                type: 'Element',
-                tag: 'div',
-                attrs: {},
-                children: [{ type: 'Text', content: 'Failed to parse template' }]
-            });
-        }
-
-        return ast;
-    } catch (error) {
-        console.error('[simple-parser] Error parsing template:', error);
-        // Return a minimal AST with an error message
-        return {
-            type: 'Template',
-            children: [{
-                type: 'Element',
-                tag: 'div',
-                attrs: { style: 'color: red; border: 1px solid red; padding: 10px;' },
-                children: [{ type: 'Text', content: `Template parsing error: ${error.message}` }]
-            }]
-        };
-    }
-}
-
-/**
- * Process content for text and expressions
- * @private
- * @param {string} content - Content to process
- * @param {Array} children - Array to add nodes to
- */
-function processContent(content, children) {
-    // Check for expressions {{ ... }}
-    const expressionRegex = /{{([^}]+)}}/g;
-    let match;
-    let lastIndex = 0;
-
-    // If content is empty, return
-    if (!content.trim()) {
-        return;
-    }
-
-    // Look for expressions
-    while ((match = expressionRegex.exec(content))) {
-        // Add text before the expression
-        if (match.index > lastIndex) {
-            const textBefore = content.substring(lastIndex, match.index);
-            if (textBefore.trim()) {
-                children.push({
-                    type: 'Text',
-                    content: textBefore
-                });
-            }
-        }
-
-        // Add the expression
-        children.push({
-            type: 'Expression',
-            content: match[1].trim()
-        });
-
-        lastIndex = match.index + match[0].length;
-    }
-
-    // Add any remaining text
-    if (lastIndex < content.length) {
-        const remainingText = content.substring(lastIndex);
-        if (remainingText.trim()) {
-            children.push({
-                type: 'Text',
-                content: remainingText
-            });
-        }
-    }
-}
-
-/**
- * Extracts attributes from an HTML tag
- * @private
- * @param {string} tag - HTML tag string
- * @returns {Object} Attributes object
- */
-function extractAttributes(tag) {
-    const attrs = {};
-    const attrRegex = /([a-z0-9_:-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\s>]*))?)?/gi;
-    const openingTag = tag.substring(0, tag.indexOf('>') + 1);
-
-    let match;
-    while ((match = attrRegex.exec(openingTag))) {
-        const name = match[1];
-        if (name && name !== tag.match(/<([a-z][a-z0-9]*)/i)[1]) {
-            // Value can be in quotes or without quotes
-            const value = match[2] || match[3] || match[4] || true;
-            attrs[name] = value;
-        }
-    }
-
-    return attrs;
-}
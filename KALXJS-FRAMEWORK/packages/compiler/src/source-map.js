@@ -0,0 +1,192 @@
+// @kalxjs/compiler - Source map helpers
+
+import { GenMapping, addMapping, setSourceContent, toEncodedMap } from '@jridgewell/gen-mapping';
+import { TraceMap, eachMapping } from '@jridgewell/trace-mapping';
+import remapping from '@jridgewell/remapping';
+
+// Wraps the index of a source location in generated code until resolveMarkers()
+// strips it. Template text can't contain NUL: JSON.stringify escapes it.
+const MARKER_RE = /\u0000(\d+)\u0000/g;
+
+/**
+ * Creates a marker for a source location, see resolveMarkers()
+ * @param {number} index - Index of the location in the marker list
+ * @returns {string} Marker
+ */
+export function createMarker(index) {
+    return `\u0000${index}\u0000`;
+}
+
+/**
+ * Removes the markers from generated code and maps each marker's position to
+ * the source location it stands for
+ * @param {string} code - Generated code with markers
+ * @param {Array<Object>} locs - Source locations ({ start: { line, column } }) by marker index
+ * @param {Object} options
+ * @param {string} options.filename - Name of the original file
+ * @param {string} [options.source] - Content of the original file
+ * @returns {{ code: string, map: Object }} Code without markers and its source map
+ */
+export function resolveMarkers(code, locs, { filename, source }) {
+    const map = new GenMapping({ file: filename });
+    if (source != null) {
+        setSourceContent(map, filename, source);
+    }
+
+    let result = '';
+    let line = 1;
+    let lineStart = 0;
+    let last = 0;
+    let match;
+
+    MARKER_RE.lastIndex = 0;
+    while ((match = MARKER_RE.exec(code))) {
+        const chunk = code.slice(last, match.index);
+        for (let i = chunk.indexOf('\n'); i !== -1; i = chunk.indexOf('\n', i + 1)) {
+            line++;
+            lineStart = result.length + i + 1;
+        }
+        result += chunk;
+        last = match.index + match[0].length;
+
+        const loc = locs[Number(match[1])];
+        if (loc && loc.start) {
+            addMapping(map, {
+                generated: { line, column: result.length - lineStart },
+                source: filename,
+                original: { line: loc.start.line, column: loc.start.column - 1 }
+            });
+        }
+    }
+    result += code.slice(last);
+
+    return { code: result, map: toEncodedMap(map) };
+}
+
+/**
+ * Maps a block of a .klx file, copied as-is, back to its position in the file
+ * Every token start is mapped, so both lines and columns resolve.
+ * @param {string} content - Block content
+ * @param {Object} options
+ * @param {string} options.filename - Name of the .klx file
+ * @param {string} [options.source] - Content of the .klx file
+ * @param {Object} [options.start] - Position of the content in the file ({ line, column }, 1-based)
+ * @returns {Object} Source map
+ */
+export function createBlockMap(content, { filename, source, start = { line: 1, column: 1 } }) {
+    const map = new GenMapping({ file: filename });
+    if (source != null) {
+        setSourceContent(map, filename, source);
+    }
+
+    content.split('\n').forEach((text, index) => {
+        const columnOffset = index === 0 ? start.column - 1 : 0;
+        const tokenRE = /[\w$]+|\S/g;
+        let token;
+        while ((token = tokenRE.exec(text))) {
+            addMapping(map, {
+                generated: { line: index + 1, column: token.index },
+                source: filename,
+                original: { line: start.line + index, column: columnOffset + token.index }
+            });
+        }
+    });
+
+    return toEncodedMap(map);
+}
+
+/**
+ * Chains the maps of successive transforms into one map from the last output
+ * to the original file
+ * @param {...Object} maps - Maps, the last transform's first; null entries are skipped
+ * @returns {Object|null} Combined source map
+ */
+export function chainSourceMaps(...maps) {
+    const chain = maps.filter(Boolean);
+    if (chain.length <= 1) {
+        return chain[0] || null;
+    }
+    return JSON.parse(remapping(chain, () => null).toString());
+}
+
+/**
+ * Builds a module out of pieces of code, each with an optional source map,
+ * and the source map of the result
+ */
+export class SourceMapBuilder {
+    /**
+     * @param {string} [file] - Name of the generated file
+     */
+    constructor(file) {
+        this.code = '';
+        this.line = 1;
+        this.column = 0;
+        this.map = new GenMapping({ file });
+    }
+
+    /**
+     * Appends code, carrying over its mappings
+     * @param {string} code - Code to append
+     * @param {Object} [map] - Source map of the code
+     * @param {Object} [options]
+     * @param {string} [options.indent] - Prefix added to every line after the first
+     * @returns {SourceMapBuilder} The builder
+     */
+    append(code, map, { indent = '' } = {}) {
+        if (map) {
+            const trace = new TraceMap(map);
+
+            eachMapping(trace, mapping => {
+                if (mapping.source == null) return;
+
+                const firstLine = mapping.generatedLine === 1;
+                addMapping(this.map, {
+                    generated: {
+                        line: this.line + mapping.generatedLine - 1,
+                        column: (firstLine ? this.column : indent.length) + mapping.generatedColumn
+                    },
+                    source: mapping.source,
+                    original: { line: mapping.originalLine, column: mapping.originalColumn },
+                    name: mapping.name || undefined
+                });
+            });
+
+            trace.sources.forEach((source, index) => {
+                if (trace.sourcesContent && trace.sourcesContent[index] != null) {
+                    setSourceContent(this.map, trace.resolvedSources[index], trace.sourcesContent[index]);
+                }
+            });
+        }
+
+        const text = indent ? code.split('\n').join(`\n${indent}`) : code;
+        const lines = text.split('\n');
+        if (lines.length > 1) {
+            this.line += lines.length - 1;
+            this.column = lines[lines.length - 1].length;
+        } else {
+            this.column += text.length;
+        }
+        this.code += text;
+
+        return this;
+    }
+
+    /**
+     * @returns {Object} Source map of the code appended so far
+     */
+    toJSON() {
+        return toEncodedMap(this.map);
+    }
+}
+
+/**
+ * Formats a source map as an inline `sourceMappingURL` comment
+ * @param {Object} map - Source map
+ * @param {Object} [options]
+ * @param {boolean} [options.css=false] - Use a CSS comment
+ * @returns {string} Comment
+ */
+export function toInlineSourceMap(map, { css = false } = {}) {
+    const url = `sourceMappingURL=data:application/json;charset=utf-8;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+    return css ? `/*# ${url} */` : `//# ${url}`;
+}
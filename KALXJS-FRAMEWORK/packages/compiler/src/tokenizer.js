@@ -0,0 +1,573 @@
+// @kalxjs/compiler - HTML template tokenizer
+
+import { ErrorCodes } from './errors.js';
+
+/**
+ * Tokenizer states. The names follow the tokenization states of the HTML
+ * specification, plus the interpolation and raw text states templates need.
+ */
+const State = {
+    Text: 1,
+    Interpolation: 2,
+    BeforeTagName: 3,
+    InTagName: 4,
+    BeforeAttrName: 5,
+    InAttrName: 6,
+    AfterAttrName: 7,
+    BeforeAttrValue: 8,
+    InAttrValueDoubleQuoted: 9,
+    InAttrValueSingleQuoted: 10,
+    InAttrValueUnquoted: 11,
+    AfterAttrValueQuoted: 12,
+    InSelfClosingTag: 13,
+    BeforeClosingTagName: 14,
+    InClosingTagName: 15,
+    AfterClosingTagName: 16,
+    MarkupDeclaration: 17,
+    InComment: 18,
+    InCDATA: 19,
+    InBogusComment: 20,
+    InRawText: 21
+};
+
+/**
+ * Quote style of an attribute value, reported with onattribend
+ */
+export const QuoteType = {
+    NoValue: 0,
+    Unquoted: 1,
+    Single: 2,
+    Double: 3
+};
+
+const isWhitespace = (c) => c === ' ' || c === '\n' || c === '\t' || c === '\r' || c === '\f';
+const isTagStartChar = (c) => (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z');
+const isEndOfTagSection = (c) => c === '/' || c === '>' || isWhitespace(c);
+
+/**
+ * Splits a template into tokens and reports them to a set of callbacks as
+ * offset ranges, so the consumer can slice the source and compute locations.
+ *
+ * Callbacks: ontext, oninterpolation, onopentagname, onattribname,
+ * onattribdata, onattribend, onopentagend, onselfclosingtag, onclosetag,
+ * oncomment, oncdata, onerror, onend.
+ */
+export class Tokenizer {
+    /**
+     * @param {Object} callbacks - Token callbacks
+     * @param {Object} [options]
+     * @param {string[]} [options.delimiters] - Interpolation delimiters
+     */
+    constructor(callbacks, options = {}) {
+        this.cbs = callbacks;
+        this.delimiters = options.delimiters || ['{{', '}}'];
+        this.reset('');
+    }
+
+    reset(input) {
+        this.input = input;
+        this.state = State.Text;
+        this.index = 0;
+        this.sectionStart = 0;
+        this.tagStart = 0;
+        this.closeTagNameEnd = -1;
+        this.rawTextTag = null;
+        this.rawTextAllowsInterpolation = false;
+    }
+
+    /**
+     * Switches to raw text until the end tag of the given element, called by
+     * the parser after the start tag of <script>, <style>, <textarea>, ...
+     * @param {string} tag - Element whose end tag ends the raw text
+     * @param {boolean} [allowInterpolation=false] - Whether {{ }} is recognized (RCDATA)
+     */
+    enterRawText(tag, allowInterpolation = false) {
+        this.rawTextTag = tag.toLowerCase();
+        this.rawTextAllowsInterpolation = allowInterpolation;
+        this.state = State.InRawText;
+    }
+
+    /**
+     * Tokenizes the whole input
+     * @param {string} input - Template source
+     */
+    tokenize(input) {
+        this.reset(input);
+
+        while (this.index < input.length) {
+            const c = input[this.index];
+
+            switch (this.state) {
+                case State.Text:
+                    this.stateText(c);
+                    break;
+                case State.Interpolation:
+                    this.stateInterpolation();
+                    break;
+                case State.BeforeTagName:
+                    this.stateBeforeTagName(c);
+                    break;
+                case State.InTagName:
+                    this.stateInTagName(c);
+                    break;
+                case State.BeforeAttrName:
+                    this.stateBeforeAttrName(c);
+                    break;
+                case State.InAttrName:
+                    this.stateInAttrName(c);
+                    break;
+                case State.AfterAttrName:
+                    this.stateAfterAttrName(c);
+                    break;
+                case State.BeforeAttrValue:
+                    this.stateBeforeAttrValue(c);
+                    break;
+                case State.InAttrValueDoubleQuoted:
+                    this.stateInAttrValueQuoted('"', QuoteType.Double);
+                    break;
+                case State.InAttrValueSingleQuoted:
+                    this.stateInAttrValueQuoted('\'', QuoteType.Single);
+                    break;
+                case State.InAttrValueUnquoted:
+                    this.stateInAttrValueUnquoted(c);
+                    break;
+                case State.AfterAttrValueQuoted:
+                    this.stateAfterAttrValueQuoted(c);
+                    break;
+                case State.InSelfClosingTag:
+                    this.stateInSelfClosingTag(c);
+                    break;
+                case State.BeforeClosingTagName:
+                    this.stateBeforeClosingTagName(c);
+                    break;
+                case State.InClosingTagName:
+                    this.stateInClosingTagName(c);
+                    break;
+                case State.AfterClosingTagName:
+                    this.stateAfterClosingTagName(c);
+                    break;
+                case State.MarkupDeclaration:
+                    this.stateMarkupDeclaration();
+                    break;
+                case State.InComment:
+                    this.stateInComment();
+                    break;
+                case State.InCDATA:
+                    this.stateInCDATA();
+                    break;
+                case State.InBogusComment:
+                    this.stateInBogusComment();
+                    break;
+                case State.InRawText:
+                    this.stateInRawText();
+                    break;
+            }
+        }
+
+        this.finish();
+    }
+
+    stateText(c) {
+        if (c === '<') {
+            this.emitText(this.index);
+            this.tagStart = this.index;
+            this.state = State.BeforeTagName;
+            this.index++;
+        } else if (this.input.startsWith(this.delimiters[0], this.index)) {
+            this.emitText(this.index);
+            this.sectionStart = this.index;
+            this.state = State.Interpolation;
+        } else {
+            this.index++;
+        }
+    }
+
+    stateInterpolation() {
+        const [open, close] = this.delimiters;
+        const start = this.sectionStart;
+        const closeIndex = this.input.indexOf(close, start + open.length);
+
+        if (closeIndex === -1) {
+            // Unterminated: the rest of the input is plain text
+            this.cbs.onerror(ErrorCodes.X_MISSING_INTERPOLATION_END, start);
+            this.index = this.input.length;
+            this.cbs.ontext(start, this.index);
+            this.sectionStart = this.index;
+            this.state = State.Text;
+            return;
+        }
+
+        this.index = closeIndex + close.length;
+        this.cbs.oninterpolation(start, this.index, start + open.length, closeIndex);
+        this.sectionStart = this.index;
+        this.state = this.rawTextTag ? State.InRawText : State.Text;
+    }
+
+    stateBeforeTagName(c) {
+        if (isTagStartChar(c)) {
+            this.sectionStart = this.index;
+            this.state = State.InTagName;
+        } else if (c === '/') {
+            this.state = State.BeforeClosingTagName;
+            this.index++;
+        } else if (c === '!') {
+            this.state = State.MarkupDeclaration;
+            this.index++;
+        } else if (c === '?') {
+            this.cbs.onerror(ErrorCodes.UNEXPECTED_QUESTION_MARK_INSTEAD_OF_TAG_NAME, this.tagStart + 1);
+            this.sectionStart = this.index;
+            this.state = State.InBogusComment;
+        } else {
+            // Not a tag, the '<' is text
+            this.cbs.onerror(ErrorCodes.INVALID_FIRST_CHARACTER_OF_TAG_NAME, this.index);
+            this.sectionStart = this.tagStart;
+            this.state = State.Text;
+        }
+    }
+
+    stateInTagName(c) {
+        if (isEndOfTagSection(c)) {
+            this.cbs.onopentagname(this.sectionStart, this.index);
+            this.state = State.BeforeAttrName;
+        } else {
+            this.index++;
+        }
+    }
+
+    stateBeforeAttrName(c) {
+        if (c === '>') {
+            this.index++;
+            this.cbs.onopentagend(this.index);
+            this.sectionStart = this.index;
+            // The parser may have switched to raw text for this element
+            if (this.state === State.BeforeAttrName) {
+                this.state = State.Text;
+            }
+        } else if (c === '/') {
+            this.state = State.InSelfClosingTag;
+            this.index++;
+        } else if (isWhitespace(c)) {
+            this.index++;
+        } else {
+            if (c === '=') {
+                this.cbs.onerror(ErrorCodes.UNEXPECTED_EQUALS_SIGN_BEFORE_ATTRIBUTE_NAME, this.index);
+            }
+            this.sectionStart = this.index;
+            this.state = State.InAttrName;
+            this.index++;
+        }
+    }
+
+    stateInAttrName(c) {
+        if (c === '=' || isEndOfTagSection(c)) {
+            this.cbs.onattribname(this.sectionStart, this.index);
+            this.state = State.AfterAttrName;
+        } else {
+            if (c === '"' || c === '\'' || c === '<') {
+                this.cbs.onerror(ErrorCodes.UNEXPECTED_CHARACTER_IN_ATTRIBUTE_NAME, this.index);
+            }
+            this.index++;
+        }
+    }
+
+    stateAfterAttrName(c) {
+        if (c === '=') {
+            this.state = State.BeforeAttrValue;
+            this.index++;
+        } else if (isWhitespace(c)) {
+            this.index++;
+        } else {
+            // Attribute without a value, c starts the next attribute or ends the tag
+            this.cbs.onattribend(QuoteType.NoValue, this.sectionStart);
+            this.state = State.BeforeAttrName;
+        }
+    }
+
+    stateBeforeAttrValue(c) {
+        if (c === '"') {
+            this.state = State.InAttrValueDoubleQuoted;
+            this.sectionStart = ++this.index;
+        } else if (c === '\'') {
+            this.state = State.InAttrValueSingleQuoted;
+            this.sectionStart = ++this.index;
+        } else if (c === '>') {
+            this.cbs.onerror(ErrorCodes.MISSING_ATTRIBUTE_VALUE, this.index);
+            this.cbs.onattribend(QuoteType.NoValue, this.index);
+            this.state = State.BeforeAttrName;
+        } else if (isWhitespace(c)) {
+            this.index++;
+        } else {
+            this.sectionStart = this.index;
+            this.state = State.InAttrValueUnquoted;
+        }
+    }
+
+    stateInAttrValueQuoted(quote, quoteType) {
+        const end = this.input.indexOf(quote, this.index);
+
+        if (end === -1) {
+            // Reported by finish()
+            this.index = this.input.length;
+            return;
+        }
+
+        this.cbs.onattribdata(this.sectionStart, end);
+        this.index = end + 1;
+        this.cbs.onattribend(quoteType, this.index);
+        this.state = State.AfterAttrValueQuoted;
+    }
+
+    stateInAttrValueUnquoted(c) {
+        if (isWhitespace(c) || c === '>') {
+            this.cbs.onattribdata(this.sectionStart, this.index);
+            this.cbs.onattribend(QuoteType.Unquoted, this.index);
+            this.state = State.BeforeAttrName;
+        } else {
+            if (c === '"' || c === '\'' || c === '<' || c === '=' || c === '`') {
+                this.cbs.onerror(ErrorCodes.UNEXPECTED_CHARACTER_IN_UNQUOTED_ATTRIBUTE_VALUE, this.index);
+            }
+            this.index++;
+        }
+    }
+
+    stateAfterAttrValueQuoted(c) {
+        if (isWhitespace(c)) {
+            this.state = State.BeforeAttrName;
+            this.index++;
+        } else {
+            if (c !== '/' && c !== '>') {
+                this.cbs.onerror(ErrorCodes.MISSING_WHITESPACE_BETWEEN_ATTRIBUTES, this.index);
+            }
+            this.state = State.BeforeAttrName;
+        }
+    }
+
+    stateInSelfClosingTag(c) {
+        if (c === '>') {
+            this.index++;
+            this.cbs.onselfclosingtag(this.index);
+            this.sectionStart = this.index;
+            this.state = State.Text;
+        } else {
+            this.cbs.onerror(ErrorCodes.UNEXPECTED_SOLIDUS_IN_TAG, this.index - 1);
+            this.state = State.BeforeAttrName;
+        }
+    }
+
+    stateBeforeClosingTagName(c) {
+        if (isTagStartChar(c)) {
+            this.sectionStart = this.index;
+            this.state = State.InClosingTagName;
+        } else if (c === '>') {
+            this.cbs.onerror(ErrorCodes.MISSING_END_TAG_NAME, this.index);
+            this.index++;
+            this.sectionStart = this.index;
+            this.state = State.Text;
+        } else {
+            this.cbs.onerror(ErrorCodes.INVALID_FIRST_CHARACTER_OF_TAG_NAME, this.index);
+            this.sectionStart = this.index;
+            this.state = State.InBogusComment;
+        }
+    }
+
+    stateInClosingTagName(c) {
+        if (isEndOfTagSection(c)) {
+            this.closeTagNameEnd = this.index;
+            this.state = State.AfterClosingTagName;
+        } else {
+            this.index++;
+        }
+    }
+
+    stateAfterClosingTagName(c) {
+        if (c === '>') {
+            this.index++;
+            this.cbs.onclosetag(this.sectionStart, this.closeTagNameEnd, this.tagStart, this.index);
+            this.sectionStart = this.index;
+            this.state = this.rawTextTag ? State.InRawText : State.Text;
+        } else {
+            if (c === '/' && this.input[this.index + 1] === '>') {
+                this.cbs.onerror(ErrorCodes.END_TAG_WITH_TRAILING_SOLIDUS, this.index);
+            } else if (!isWhitespace(c) && c !== '/') {
+                this.cbs.onerror(ErrorCodes.END_TAG_WITH_ATTRIBUTES, this.index);
+                // Skip the whole attribute so it is reported once
+                while (this.index + 1 < this.input.length && !isEndOfTagSection(this.input[this.index + 1])) {
+                    this.index++;
+                }
+            }
+            this.index++;
+        }
+    }
+
+    stateMarkupDeclaration() {
+        const input = this.input;
+        const i = this.index;
+
+        if (input.startsWith('--', i)) {
+            this.sectionStart = i + 2;
+            this.index = i + 2;
+            this.state = State.InComment;
+        } else if (input.startsWith('[CDATA[', i)) {
+            this.sectionStart = i + 7;
+            this.index = i + 7;
+            this.state = State.InCDATA;
+        } else if (input.slice(i, i + 7).toUpperCase() === 'DOCTYPE') {
+            // Doctypes mean nothing in a template, drop them like a comment
+            this.sectionStart = i;
+            this.state = State.InBogusComment;
+        } else {
+            this.cbs.onerror(ErrorCodes.INCORRECTLY_OPENED_COMMENT, i);
+            this.sectionStart = i;
+            this.state = State.InBogusComment;
+        }
+    }
+
+    stateInComment() {
+        const input = this.input;
+        const start = this.sectionStart;
+
+        // <!--> and <!--->
+        if (input.startsWith('>', start) || input.startsWith('->', start)) {
+            this.cbs.onerror(ErrorCodes.ABRUPT_CLOSING_OF_EMPTY_COMMENT, start);
+            this.index = input.indexOf('>', start) + 1;
+            this.cbs.oncomment(start, start, this.tagStart, this.index);
+            this.sectionStart = this.index;
+            this.state = State.Text;
+            return;
+        }
+
+        let end = input.indexOf('-->', start);
+        let closeLength = 3;
+
+        // --!> also ends a comment, but is an error
+        const bangEnd = input.indexOf('--!>', start);
+        if (bangEnd !== -1 && (end === -1 || bangEnd < end)) {
+            this.cbs.onerror(ErrorCodes.INCORRECTLY_CLOSED_COMMENT, bangEnd);
+            end = bangEnd;
+            closeLength = 4;
+        }
+
+        if (end === -1) {
+            this.cbs.onerror(ErrorCodes.EOF_IN_COMMENT, input.length);
+            end = input.length;
+            closeLength = 0;
+        }
+
+        let nested = input.indexOf('<!--', start);
+        while (nested !== -1 && nested < end) {
+            this.cbs.onerror(ErrorCodes.NESTED_COMMENT, nested);
+            nested = input.indexOf('<!--', nested + 4);
+        }
+
+        this.index = end + closeLength;
+        this.cbs.oncomment(start, end, this.tagStart, this.index);
+        this.sectionStart = this.index;
+        this.state = State.Text;
+    }
+
+    stateInCDATA() {
+        const start = this.sectionStart;
+        let end = this.input.indexOf(']]>', start);
+        let closeLength = 3;
+
+        if (end === -1) {
+            this.cbs.onerror(ErrorCodes.EOF_IN_CDATA, this.input.length);
+            end = this.input.length;
+            closeLength = 0;
+        }
+
+        this.index = end + closeLength;
+        this.cbs.oncdata(start, end, this.tagStart, this.index);
+        this.sectionStart = this.index;
+        this.state = State.Text;
+    }
+
+    stateInBogusComment() {
+        const start = this.sectionStart;
+        let end = this.input.indexOf('>', start);
+        if (end === -1) {
+            end = this.input.length;
+        }
+
+        this.index = Math.min(end + 1, this.input.length);
+        this.cbs.oncomment(start, end, this.tagStart, this.index);
+        this.sectionStart = this.index;
+        this.state = State.Text;
+    }
+
+    stateInRawText() {
+        const input = this.input;
+        const tag = this.rawTextTag;
+        let i = this.index;
+
+        while (i < input.length) {
+            if (input[i] === '<' && input[i + 1] === '/' &&
+                input.slice(i + 2, i + 2 + tag.length).toLowerCase() === tag &&
+                (i + 2 + tag.length === input.length || isEndOfTagSection(input[i + 2 + tag.length]))) {
+                this.emitText(i);
+                this.rawTextTag = null;
+                this.tagStart = i;
+                this.sectionStart = i + 2;
+                this.index = i + 2 + tag.length;
+                this.closeTagNameEnd = this.index;
+                this.state = State.AfterClosingTagName;
+                return;
+            }
+
+            if (this.rawTextAllowsInterpolation && input.startsWith(this.delimiters[0], i)) {
+                this.emitText(i);
+                this.sectionStart = i;
+                this.index = i;
+                this.state = State.Interpolation;
+                return;
+            }
+
+            i++;
+        }
+
+        this.index = input.length;
+    }
+
+    emitText(end) {
+        if (end > this.sectionStart) {
+            this.cbs.ontext(this.sectionStart, end);
+        }
+        this.sectionStart = end;
+    }
+
+    finish() {
+        const length = this.input.length;
+
+        switch (this.state) {
+            case State.Text:
+            case State.InRawText:
+                this.emitText(length);
+                break;
+            case State.BeforeTagName:
+                this.cbs.onerror(ErrorCodes.EOF_BEFORE_TAG_NAME, length);
+                this.sectionStart = this.tagStart;
+                this.emitText(length);
+                break;
+            case State.BeforeClosingTagName:
+                this.cbs.onerror(ErrorCodes.EOF_BEFORE_TAG_NAME, length);
+                break;
+            case State.InComment:
+                this.stateInComment();
+                break;
+            case State.InCDATA:
+                this.stateInCDATA();
+                break;
+            case State.InBogusComment:
+                this.stateInBogusComment();
+                break;
+            case State.MarkupDeclaration:
+                this.cbs.onerror(ErrorCodes.INCORRECTLY_OPENED_COMMENT, length);
+                break;
+            default:
+                // Inside a start or end tag, the tag is dropped
+                this.cbs.onerror(ErrorCodes.EOF_IN_TAG, length);
+        }
+
+        this.cbs.onend();
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * @kalxjs/compiler - Type checking of .klx files
+ * Runs a TypeScript program in which every `Comp.klx` is the virtual module
+ * `Comp.klx.ts` (see virtual-code.js), so .klx files are checked together
+ * with the TypeScript files that import them. Diagnostics in the virtual
+ * code are reported at their place in the .klx file, and declaration emit
+ * gives a `Comp.klx.d.ts` that TypeScript finds for `import Comp from './Comp.klx'`.
+ *
+ * @module @kalxjs/compiler/typescript/checker
+ */
+
+import typescript from 'typescript';
+import path from 'path';
+import { generateVirtualCode, toSourceOffset } from './virtual-code.js';
+
+// Options for projects without a tsconfig.json
+const DEFAULT_CHECK_OPTIONS = {
+    target: typescript.ScriptTarget.ES2020,
+    module: typescript.ModuleKind.ESNext,
+    moduleResolution: typescript.ModuleResolutionKind.NodeJs,
+    jsx: typescript.JsxEmit.Preserve,
+    strict: true,
+    esModuleInterop: true,
+    skipLibCheck: true
+};
+
+// Lets tsconfig.json `include` patterns list .klx files
+const KLX_EXTENSION = {
+    extension: '.klx',
+    isMixedContent: true,
+    scriptKind: typescript.ScriptKind.Deferred
+};
+
+const isVirtualFile = (file) => file.endsWith('.klx.ts');
+const toKlxFile = (file) => file.slice(0, -'.ts'.length);
+
+/**
+ * Read the tsconfig.json that applies to a directory
+ * @param {string} dir - Project directory
+ * @returns {object} - { configFile, compilerOptions, fileNames, diagnostics };
+ * configFile is null, and fileNames empty, when there is no tsconfig.json
+ */
+export function readProjectConfig(dir) {
+    const configFile = typescript.findConfigFile(dir, typescript.sys.fileExists, 'tsconfig.json');
+    if (!configFile) {
+        return { configFile: null, compilerOptions: { ...DEFAULT_CHECK_OPTIONS }, fileNames: [], diagnostics: [] };
+    }
+
+    const { config, error } = typescript.readConfigFile(configFile, typescript.sys.readFile);
+    if (error) {
+        return { configFile, compilerOptions: { ...DEFAULT_CHECK_OPTIONS }, fileNames: [], diagnostics: [toDiagnostic(error)] };
+    }
+
+    const parsed = typescript.parseJsonConfigFileContent(
+        config,
+        typescript.sys,
+        path.dirname(configFile),
+        undefined,
+        configFile,
+        undefined,
+        [KLX_EXTENSION]
+    );
+
+    return {
+        configFile,
+        compilerOptions: parsed.options,
+        // Declarations emitted by a previous run would shadow nothing but be overwritten
+        fileNames: parsed.fileNames.filter(file => !file.endsWith('.klx.d.ts')),
+        diagnostics: parsed.errors.map(error => toDiagnostic(error))
+    };
+}
+
+/**
+ * Type-check .klx files, and the TypeScript files given with them
+ * @param {string[]} fileNames - Root files: .klx, .ts and .d.ts
+ * @param {object} [options]
+ * @param {object} [options.compilerOptions] - TypeScript options, see readProjectConfig()
+ * @param {boolean} [options.declaration=false] - Also emit the declarations of the .klx files
+ * @returns {object} - { diagnostics, declarations }: diagnostics are
+ * { file, line, column, code, category, message }, declarations { fileName, text }
+ */
+export function checkKlxFiles(fileNames, options = {}) {
+    const { compilerOptions = DEFAULT_CHECK_OPTIONS, declaration = false } = options;
+    const programOptions = {
+        ...compilerOptions,
+        noEmit: !declaration,
+        declaration,
+        emitDeclarationOnly: declaration
+    };
+
+    // Virtual modules are generated when the program first asks for them
+    const virtualFiles = new Map();
+    const getVirtualFile = (klxFile) => {
+        if (!virtualFiles.has(klxFile)) {
+            const source = typescript.sys.readFile(klxFile);
+            virtualFiles.set(klxFile, source === undefined ? null : {
+                source,
+                ...generateVirtualCode(source, {
+                    filename: klxFile,
+                    fs: { fileExists: typescript.sys.fileExists, readFile: typescript.sys.readFile }
+                })
+            });
+        }
+        return virtualFiles.get(klxFile);
+    };
+
+    // Module resolution tries `./Comp.klx.ts` for `./Comp.klx`, which is the virtual module
+    const host = typescript.createCompilerHost(programOptions);
+    const { fileExists, readFile, getSourceFile } = host;
+    host.fileExists = (file) => isVirtualFile(file)
+        ? getVirtualFile(toKlxFile(file)) !== null
+        : fileExists.call(host, file);
+    host.readFile = (file) => {
+        if (!isVirtualFile(file)) {
+            return readFile.call(host, file);
+        }
+        const virtual = getVirtualFile(toKlxFile(file));
+        return virtual ? virtual.code : undefined;
+    };
+    host.getSourceFile = (file, languageVersion, onError, shouldCreateNewSourceFile) => {
+        if (!isVirtualFile(file)) {
+            return getSourceFile.call(host, file, languageVersion, onError, shouldCreateNewSourceFile);
+        }
+        const virtual = getVirtualFile(toKlxFile(file));
+        return virtual
+            ? typescript.createSourceFile(file, virtual.code, languageVersion, true, typescript.ScriptKind.TS)
+            : undefined;
+    };
+
+    const rootNames = fileNames
+        .filter(file => !file.endsWith('.klx.d.ts'))
+        .map(file => file.endsWith('.klx') ? `${file}.ts` : file);
+    const program = typescript.createProgram(rootNames, programOptions, host);
+
+    const tsDiagnostics = [...typescript.getPreEmitDiagnostics(program)];
+    const declarations = [];
+    if (declaration) {
+        const result = program.emit(undefined, (fileName, text) => {
+            if (fileName.endsWith('.klx.d.ts')) {
+                declarations.push({ fileName, text });
+            }
+        }, undefined, true);
+        tsDiagnostics.push(...result.diagnostics);
+    }
+
+    const diagnostics = tsDiagnostics
+        .map(diagnostic => toDiagnostic(diagnostic, getVirtualFile))
+        .filter(Boolean);
+
+    // Template expressions that don't parse never reach TypeScript
+    virtualFiles.forEach((virtual, klxFile) => {
+        if (!virtual) {
+            return;
+        }
+        virtual.errors.forEach(error => {
+            const offset = error.loc ? error.loc.start.offset : error.offset;
+            diagnostics.push({
+                file: klxFile,
+                ...lineAndColumn(virtual.source, offset),
+                code: null,
+                category: 'error',
+                message: error.message
+            });
+        });
+    });
+
+    diagnostics.sort((a, b) =>
+        String(a.file).localeCompare(String(b.file)) || (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+
+    return { diagnostics, declarations };
+}
+
+/**
+ * Convert a TypeScript diagnostic, moving positions in virtual code to the .klx file
+ * @returns {object|null} - null for diagnostics of generated code
+ */
+function toDiagnostic(diagnostic, getVirtualFile) {
+    const result = {
+        file: null,
+        line: null,
+        column: null,
+        code: diagnostic.code,
+        category: diagnostic.category === typescript.DiagnosticCategory.Error ? 'error'
+            : diagnostic.category === typescript.DiagnosticCategory.Warning ? 'warning' : 'message',
+        message: typescript.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+    };
+
+    if (!diagnostic.file) {
+        return result;
+    }
+
+    const fileName = diagnostic.file.fileName;
+    if (getVirtualFile && isVirtualFile(fileName)) {
+        const virtual = getVirtualFile(toKlxFile(fileName));
+        const offset = diagnostic.start === undefined ? null : toSourceOffset(virtual.mappings, diagnostic.start);
+        if (offset === null) {
+            return null;
+        }
+        return { ...result, file: toKlxFile(fileName), ...lineAndColumn(virtual.source, offset) };
+    }
+
+    result.file = fileName;
+    if (diagnostic.start !== undefined) {
+        const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+        result.line = line + 1;
+        result.column = character + 1;
+    }
+    return result;
+}
+
+/**
+ * 1-based line and column of an offset
+ */
+function lineAndColumn(source, offset) {
+    const before = source.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return {
+        line: before.split('\n').length,
+        column: offset - lineStart + 1
+    };
+}
+
+export default { readProjectConfig, checkKlxFiles };
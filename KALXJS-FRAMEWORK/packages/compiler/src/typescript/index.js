@@ -7,6 +7,7 @@
  * - Type checking (optional)
  * - Source maps
  * - JSX/TSX support
+ * - Type checking of .klx templates and declaration emit, see checker.js
  *
  * @module @kalxjs/compiler/typescript
  */
@@ -70,7 +71,8 @@ export function compileTypeScript(code, options = {}) {
         console.log('[typescript] Compilation successful');
 
         return {
-            code: result.outputText,
+            // The map is returned as an object, drop the reference to the .map file TypeScript would write
+            code: result.outputText.replace(/\n?\/\/# sourceMappingURL=\S*\s*$/, '\n'),
             map: result.sourceMapText ? JSON.parse(result.sourceMapText) : null,
             diagnostics: result.diagnostics || []
         };
@@ -201,6 +203,9 @@ export function isTypeScript(code, attrs = {}) {
     return tsPatterns.some(pattern => pattern.test(code));
 }
 
+export { readProjectConfig, checkKlxFiles } from './checker.js';
+export { generateVirtualCode, toSourceOffset } from './virtual-code.js';
+
 export default {
     compileTypeScript,
     typeCheck,
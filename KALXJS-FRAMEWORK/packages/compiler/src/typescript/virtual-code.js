@@ -0,0 +1,552 @@
+/**
+ * @kalxjs/compiler - Virtual TypeScript for .klx files
+ * Turns a .klx file into one TypeScript module that a TypeScript program can
+ * check and emit declarations for:
+ *
+ * - the script blocks, unchanged
+ * - types for the <script setup> macros
+ * - a render function holding every template expression, reading component
+ *   state from a `__ctx` typed after the setup bindings
+ * - a default export typed with the component's props, emits and slots
+ *
+ * `mappings` ties ranges of the virtual code to the .klx source, so
+ * diagnostics can be reported where the code was written. Code the generator
+ * adds has no mapping.
+ *
+ * @module @kalxjs/compiler/typescript/virtual-code
+ */
+
+import * as babelParser from '@babel/parser';
+import { parse } from '../parser.js';
+import { processScriptSetup } from '../script-setup/index.js';
+import { BindingTypes } from '../bindings.js';
+import { isCSSModule, getCSSModuleName } from '../css/modules.js';
+import {
+    createExpressionContext,
+    addIdentifiers,
+    removeIdentifiers,
+    processParams,
+    findFreeIdentifiers
+} from '../expression.js';
+
+// A handler that only names a method, see expression.js
+const MEMBER_PATH_RE = /^[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*|\[[^\]]+\])*$/;
+
+// `alias in source` / `alias of source` of v-for
+const FOR_RE = /^(\s*)([\s\S]*?)\s+(?:in|of)\s+([\s\S]*?)\s*$/;
+
+const MACROS = new Set(['defineProps', 'withDefaults', 'defineEmits', 'defineSlots', 'defineModel']);
+
+// Types of the <script setup> macros and of the template helpers
+const PRELUDE = `
+import type { DefineComponent as __DefineComponent, ModelRef as __ModelRef } from '@kalxjs/core';
+type __Unref<T> = T extends { value: infer V } ? V : T;
+type __UnionToIntersection<U> = (U extends any ? (arg: U) => void : never) extends (arg: infer I) => void ? I : never;
+type __PropType<T> = T extends { type: infer P } ? __PropType<P>
+    : T extends StringConstructor ? string
+    : T extends NumberConstructor ? number
+    : T extends BooleanConstructor ? boolean
+    : T extends ArrayConstructor ? any[]
+    : T extends ObjectConstructor ? Record<string, any>
+    : T extends FunctionConstructor ? (...args: any[]) => any
+    : T extends readonly (infer E)[] ? __PropType<E>
+    : T extends abstract new (...args: any) => infer I ? I
+    : any;
+type __RuntimeProps<O> = { readonly [K in keyof O as O[K] extends { required: true } ? K : never]: __PropType<O[K]> }
+    & { readonly [K in keyof O as O[K] extends { required: true } ? never : K]?: __PropType<O[K]> };
+type __EmitFn<T> = __UnionToIntersection<{ [K in keyof T]: (event: K, ...args: T[K] extends any[] ? T[K] : any[]) => void }[keyof T]>;
+type __ForArgs<T> = T extends number ? [value: number, index: number]
+    : T extends string ? [value: string, index: number]
+    : T extends readonly (infer V)[] ? [value: V, index: number]
+    : T extends Iterable<infer V> ? [value: V, index: number]
+    : T extends object ? [value: T[keyof T], key: keyof T, index: number]
+    : [value: any, index: number];
+declare function defineProps<T>(): Readonly<T>;
+declare function defineProps<K extends string>(props: K[]): Readonly<{ [P in K]?: any }>;
+declare function defineProps<O extends Record<string, any>>(props: O): __RuntimeProps<O>;
+declare function withDefaults<T, D extends { [K in keyof T]?: unknown }>(props: T, defaults: D): T;
+declare function defineEmits<T>(): T extends (...args: any[]) => any ? T : __EmitFn<T>;
+declare function defineEmits<E extends string>(emits: E[]): (event: E, ...args: any[]) => void;
+declare function defineEmits<O extends Record<string, any>>(emits: O): (event: keyof O & string, ...args: any[]) => void;
+declare function defineSlots<T = Record<string, (...args: any[]) => any>>(): T;
+declare function defineModel<T = any>(name: string, options?: Record<string, any>): __ModelRef<T>;
+declare function defineModel<T = any>(options?: Record<string, any>): __ModelRef<T>;
+declare function defineOptions(options: Record<string, any>): void;
+declare function defineExpose(exposed?: Record<string, any>): void;
+declare function __forEach<T>(source: T, item: (...args: __ForArgs<T>) => void): void;
+`;
+
+/**
+ * Generate the virtual TypeScript module of a .klx file
+ * @param {string} source - Source of the .klx file
+ * @param {object} [options]
+ * @param {string} [options.filename] - Path of the .klx file
+ * @param {object} [options.fs] - { fileExists(file), readFile(file) }, to resolve types <script setup> imports
+ * @returns {object} - { code, mappings, errors }: mappings are
+ * { generated, source, length } ranges, errors the template expressions that don't parse
+ */
+export function generateVirtualCode(source, options = {}) {
+    const { filename = 'anonymous.klx' } = options;
+    const descriptor = parse(source, { filename });
+    const file = { code: '', mappings: [], errors: [] };
+
+    const { script, scriptSetup } = descriptor;
+    const checked = [script, scriptSetup].some(block => block && isTypeScriptBlock(block));
+
+    // JavaScript components still give their types to importers, they just aren't checked
+    if (!checked) {
+        write(file, '// @ts-nocheck\n');
+    }
+
+    // A <script> next to <script setup> only adds options to the component
+    if (script) {
+        writeScript(file, script, Boolean(scriptSetup));
+    }
+
+    let setup = null;
+    if (scriptSetup) {
+        write(file, '\n');
+        writeMapped(file, scriptSetup.content, scriptSetup.loc.start.offset);
+        write(file, '\n');
+        setup = writeSetupTypes(file, scriptSetup.content, {
+            filename,
+            fs: options.fs,
+            cssModules: descriptor.styles.filter(style => isCSSModule(style.attrs)).map(style => getCSSModuleName(style.attrs))
+        });
+    } else {
+        // Options API state isn't typed, the template is only checked for syntax
+        write(file, '\ndeclare const __ctx: any;\n');
+    }
+
+    if (descriptor.template && descriptor.template.ast) {
+        const context = createExpressionContext({ source, filename });
+        write(file, '\nfunction __render() {\n');
+        writeChildren(file, descriptor.template.ast.children, { source, context, depth: 1 });
+        write(file, '}\n');
+        context.errors.forEach(error => file.errors.push(error));
+    }
+
+    if (setup) {
+        const component = script && hasDefaultExport(script.content) ? '__scriptOptions' : '{}';
+        const type = '__DefineComponent<__Props, __Emit, typeof __slots>';
+        write(file, component === '{}'
+            ? `\nexport default {} as unknown as ${type};\n`
+            : `\nexport default __scriptOptions as typeof __scriptOptions & ${type};\n`);
+    } else if (!script || !hasDefaultExport(script.content)) {
+        write(file, '\nexport default {};\n');
+    }
+
+    write(file, PRELUDE);
+
+    return { code: file.code, mappings: file.mappings, errors: file.errors };
+}
+
+/**
+ * Find the .klx offset of an offset of the virtual code
+ * @param {object[]} mappings - Mappings of generateVirtualCode()
+ * @param {number} offset - Offset in the virtual code
+ * @returns {number|null} - Offset in the .klx file, null for generated code
+ */
+export function toSourceOffset(mappings, offset) {
+    // The end of a range only counts when no range starts there
+    const mapping = mappings.find(candidate => offset >= candidate.generated && offset < candidate.generated + candidate.length) ||
+        mappings.find(candidate => offset === candidate.generated + candidate.length);
+    if (!mapping) {
+        return null;
+    }
+    return mapping.exact === false ? mapping.source : mapping.source + Math.min(offset - mapping.generated, mapping.length);
+}
+
+/**
+ * Check whether a script block is TypeScript
+ */
+function isTypeScriptBlock(block) {
+    return block.attrs.lang === 'ts' || block.attrs.lang === 'tsx' || block.attrs.lang === 'typescript';
+}
+
+function write(file, text) {
+    file.code += text;
+}
+
+/**
+ * Write code copied from the .klx file, mapped back to it
+ * With `exact` false, the whole range maps to its first character, for code
+ * that is the same as the source but not character for character
+ */
+function writeMapped(file, text, sourceOffset, exact = true) {
+    if (text.length > 0) {
+        file.mappings.push({ generated: file.code.length, source: sourceOffset, length: text.length, exact });
+    }
+    file.code += text;
+}
+
+/**
+ * Parse a script block, null if it doesn't parse
+ */
+function parseScript(content) {
+    try {
+        return babelParser.parse(content, { sourceType: 'module', plugins: ['typescript', 'jsx', 'topLevelAwait'] });
+    } catch (error) {
+        return null;
+    }
+}
+
+function hasDefaultExport(content) {
+    const ast = parseScript(content);
+    return Boolean(ast) && ast.program.body.some(statement => statement.type === 'ExportDefaultDeclaration');
+}
+
+/**
+ * Write a <script> block, turning its default export into `__scriptOptions`
+ * when <script setup> defines the component
+ */
+function writeScript(file, block, beforeSetup) {
+    const { content } = block;
+    const offset = block.loc.start.offset;
+    const ast = beforeSetup ? parseScript(content) : null;
+    const exported = ast && ast.program.body.find(statement => statement.type === 'ExportDefaultDeclaration');
+
+    if (!exported) {
+        writeMapped(file, content, offset);
+        write(file, '\n');
+        return;
+    }
+
+    writeMapped(file, content.slice(0, exported.start), offset);
+    write(file, 'const __scriptOptions = ');
+    writeMapped(file, content.slice(exported.declaration.start), offset + exported.declaration.start);
+    write(file, '\n');
+}
+
+/**
+ * Write the types of the props, emits, slots and template context of
+ * <script setup>, from a copy of its macro calls
+ * The copies have no mapping: their errors are reported on the originals.
+ * `options.cssModules` names the class maps of <style module> blocks.
+ */
+function writeSetupTypes(file, content, options) {
+    const ast = parseScript(content);
+    const macros = {};
+    const models = [];
+
+    if (ast) {
+        const visitCall = (call) => {
+            const name = call && call.type === 'CallExpression' && call.callee.type === 'Identifier' ? call.callee.name : null;
+            if (!MACROS.has(name)) {
+                return;
+            }
+            const code = content.slice(call.start, call.end);
+            if (name === 'defineModel') {
+                const [first] = call.arguments;
+                models.push({ name: first && first.type === 'StringLiteral' ? first.value : 'modelValue', code });
+            } else {
+                macros[name === 'withDefaults' ? 'defineProps' : name] = code;
+            }
+        };
+        ast.program.body.forEach(statement => {
+            if (statement.type === 'ExpressionStatement') {
+                visitCall(statement.expression);
+            } else if (statement.type === 'VariableDeclaration') {
+                statement.declarations.forEach(declarator => visitCall(declarator.init));
+            }
+        });
+    }
+
+    // The compiler's own analysis says how the template reads each name
+    let bindings = {};
+    try {
+        bindings = processScriptSetup(content, options).bindings;
+    } catch (error) {
+        // Syntax errors are reported by TypeScript on the script itself
+    }
+
+    write(file, '\n');
+    write(file, `const __props = ${macros.defineProps || '{}'};\n`);
+    write(file, `const __emit = ${macros.defineEmits || 'undefined as unknown as (event: string, ...args: any[]) => void'};\n`);
+    write(file, `const __slots = ${macros.defineSlots || 'undefined as unknown as Record<string, (...args: any[]) => any>'};\n`);
+    models.forEach((model, index) => write(file, `const __model${index} = ${model.code};\n`));
+
+    const modelProps = models.map((model, index) => `${JSON.stringify(model.name)}?: __Unref<typeof __model${index}>`);
+    const modelEmits = models.map((model, index) =>
+        ` & ((event: ${JSON.stringify(`update:${model.name}`)}, value: __Unref<typeof __model${index}>) => void)`);
+    write(file, `type __Props = typeof __props${modelProps.length > 0 ? ` & { ${modelProps.join('; ')} }` : ''};\n`);
+    write(file, `type __Emit = typeof __emit${modelEmits.join('')};\n`);
+
+    // Refs are unwrapped in templates
+    const setupTypes = Object.entries(bindings)
+        .filter(([, type]) => type !== BindingTypes.PROPS)
+        .map(([name, type]) => {
+            const unwrapped = type === BindingTypes.SETUP_REF || type === BindingTypes.SETUP_MAYBE_REF || type === BindingTypes.SETUP_LET;
+            return `    ${name}: ${unwrapped ? `__Unref<typeof ${name}>` : `typeof ${name}`};\n`;
+        });
+    write(file, `type __Setup = {\n${setupTypes.join('')}};\n`);
+    write(file, [
+        'declare const __ctx: Omit<__Props, keyof __Setup> & __Setup & {',
+        '    $props: __Props;',
+        '    $emit: __Emit;',
+        '    $slots: typeof __slots;',
+        '    $attrs: Record<string, unknown>;',
+        ...(options.cssModules || []).map(name => `    ${name}: Record<string, string>;`),
+        '};\n'
+    ].join('\n'));
+
+    return { bindings };
+}
+
+/**
+ * Write the expressions of template nodes as statements
+ * v-if chains become if statements, so the branches narrow like in scripts.
+ */
+function writeChildren(file, children, state) {
+    for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+
+        if (child.type === 'Expression') {
+            indent(file, state);
+            writeExpression(file, child.content, state.source.indexOf(child.content, child.loc.start.offset), state);
+            write(file, ';\n');
+        } else if (child.type === 'Element' && hasAttr(child, 'v-if')) {
+            // Siblings of the chain, only whitespace and comments may sit in between
+            const branches = [child];
+            for (let j = i + 1; j < children.length; j++) {
+                const next = children[j];
+                if (next.type === 'Comment' || (next.type === 'Text' && !next.content.trim())) {
+                    continue;
+                }
+                if (next.type !== 'Element' || !(hasAttr(next, 'v-else-if') || hasAttr(next, 'v-else'))) {
+                    break;
+                }
+                branches.push(next);
+                i = j;
+                if (hasAttr(next, 'v-else')) break;
+            }
+            writeIf(file, branches, state);
+        } else if (child.type === 'Element') {
+            writeElement(file, child, state);
+        }
+    }
+}
+
+/**
+ * Write a v-if / v-else-if / v-else chain
+ */
+function writeIf(file, branches, state) {
+    branches.forEach((node, index) => {
+        const name = index === 0 ? 'v-if' : hasAttr(node, 'v-else-if') ? 'v-else-if' : 'v-else';
+        indent(file, state);
+        if (index > 0) {
+            write(file, 'else ');
+        }
+        if (name !== 'v-else') {
+            const attr = findAttr(node, name);
+            write(file, 'if (');
+            writeAttrExpression(file, attr, state);
+            write(file, ') ');
+        }
+        write(file, '{\n');
+        writeElement(file, node, { ...state, depth: state.depth + 1 });
+        indent(file, state);
+        write(file, '}\n');
+    });
+}
+
+/**
+ * Write an element: its v-for, its bindings and handlers, then its children
+ */
+function writeElement(file, node, state) {
+    // Nothing is compiled under v-pre
+    if (hasAttr(node, 'v-pre')) {
+        return;
+    }
+
+    const forAttr = findAttr(node, 'v-for');
+    if (forAttr && typeof forAttr.value === 'string' && forAttr.valueLoc) {
+        const match = FOR_RE.exec(forAttr.value);
+        if (match) {
+            let alias = match[2];
+            let aliasOffset = match[1].length;
+            if (alias.startsWith('(') && alias.endsWith(')')) {
+                alias = alias.slice(1, -1);
+                aliasOffset++;
+            }
+            const sourceOffset = forAttr.value.lastIndexOf(match[3]);
+            const valueOffset = forAttr.valueLoc.start.offset;
+
+            indent(file, state);
+            write(file, '__forEach(');
+            writeExpression(file, match[3], valueOffset + sourceOffset, state);
+            write(file, ', (');
+            writeMapped(file, alias, valueOffset + aliasOffset);
+            write(file, ') => {\n');
+
+            const params = processParams(alias, state.context);
+            const identifiers = params ? params.identifiers : [];
+            addIdentifiers(state.context, identifiers);
+            writeElementBody(file, node, { ...state, depth: state.depth + 1 });
+            removeIdentifiers(state.context, identifiers);
+
+            indent(file, state);
+            write(file, '});\n');
+            return;
+        }
+    }
+
+    writeElementBody(file, node, state);
+}
+
+/**
+ * Write the attributes and children of an element
+ */
+function writeElementBody(file, node, state) {
+    let slot = null;
+
+    for (const attr of node.attrsList || []) {
+        const { name } = attr;
+        if (name === 'v-if' || name === 'v-else-if' || name === 'v-else' || name === 'v-for') {
+            continue;
+        }
+        if (name === 'v-slot' || name.startsWith('v-slot:') || name.startsWith('#')) {
+            slot = attr;
+            continue;
+        }
+
+        const isHandler = name.startsWith('@') || name.startsWith('v-on:');
+        const isBinding = name.startsWith(':') || name.startsWith('v-bind') || (name.startsWith('v-') && !isHandler);
+
+        // `:[key]` and `@[event]` name the attribute at runtime
+        const argument = /^(?::|@|v-bind:|v-on:|v-model:)\[(.+)\]/.exec(name);
+        if (argument) {
+            indent(file, state);
+            writeExpression(file, argument[1], attr.loc.start.offset + name.indexOf('[') + 1, state);
+            write(file, ';\n');
+        }
+
+        if (typeof attr.value !== 'string' || !attr.valueLoc || !(isHandler || isBinding)) {
+            continue;
+        }
+
+        indent(file, state);
+        if (isHandler) {
+            writeHandler(file, attr, state);
+        } else {
+            writeAttrExpression(file, attr, state);
+        }
+        write(file, ';\n');
+    }
+
+    const children = node.children || [];
+    if (slot && typeof slot.value === 'string' && slot.value.trim() && slot.valueLoc) {
+        // Slot props are only known to the component, they are untyped here
+        const params = processParams(slot.value, state.context);
+        const identifiers = params ? params.identifiers : [];
+
+        indent(file, state);
+        write(file, '((');
+        writeMapped(file, slot.value, slot.valueLoc.start.offset, sameAsSource(slot, state));
+        write(file, ': any) => {\n');
+        addIdentifiers(state.context, identifiers);
+        writeChildren(file, children, { ...state, depth: state.depth + 1 });
+        removeIdentifiers(state.context, identifiers);
+        indent(file, state);
+        write(file, '});\n');
+        return;
+    }
+
+    writeChildren(file, children, state);
+}
+
+/**
+ * Write an `@event` handler the way the template compiler reads it:
+ * a method, a function, or statements with `$event` in scope
+ */
+function writeHandler(file, attr, state) {
+    const handler = attr.value.trim();
+    const offset = attr.valueLoc.start.offset + attr.value.indexOf(handler);
+    if (!handler) {
+        write(file, 'undefined');
+        return;
+    }
+
+    let isFunction = false;
+    try {
+        const ast = babelParser.parseExpression(handler, { plugins: ['typescript'] });
+        isFunction = ast.type === 'ArrowFunctionExpression' || ast.type === 'FunctionExpression';
+    } catch (error) {
+        isFunction = false;
+    }
+
+    if (MEMBER_PATH_RE.test(handler) || isFunction) {
+        writeExpression(file, handler, offset, state, { exact: sameAsSource(attr, state) });
+        return;
+    }
+
+    addIdentifiers(state.context, ['$event']);
+    write(file, '($event: any) => { ');
+    writeExpression(file, handler, offset, state, { statements: true, exact: sameAsSource(attr, state) });
+    write(file, ' }');
+    removeIdentifiers(state.context, ['$event']);
+}
+
+/**
+ * Write the expression of a directive or binding attribute
+ */
+function writeAttrExpression(file, attr, state) {
+    if (typeof attr.value !== 'string' || !attr.valueLoc) {
+        write(file, 'undefined');
+        return;
+    }
+    const expression = attr.value.trim();
+    writeExpression(file, expression || 'undefined', attr.valueLoc.start.offset + attr.value.indexOf(expression), state, {
+        exact: Boolean(expression) && sameAsSource(attr, state)
+    });
+}
+
+/**
+ * Write a template expression with its free identifiers read from `__ctx`,
+ * everything the user wrote mapped back to the .klx file
+ */
+function writeExpression(file, expression, offset, state, options = {}) {
+    const { statements = false, exact = true } = options;
+    const identifiers = findFreeIdentifiers(expression, state.context, { statements });
+
+    if (!identifiers) {
+        file.errors.push({ offset, message: `Invalid expression: ${expression}` });
+        write(file, 'undefined');
+        return;
+    }
+
+    let last = 0;
+    identifiers.forEach(identifier => {
+        writeMapped(file, expression.slice(last, identifier.start), offset + last, exact);
+        if (identifier.shorthand) {
+            write(file, `${identifier.name}: `);
+        }
+        // Errors on the whole access point at the name
+        writeMapped(file, '__ctx.', offset + identifier.start, false);
+        writeMapped(file, identifier.name, offset + identifier.start, exact);
+        last = identifier.end;
+    });
+    writeMapped(file, expression.slice(last), offset + last, exact);
+}
+
+/**
+ * Check whether an attribute value is the source text, which it isn't when
+ * it had character references
+ */
+function sameAsSource(attr, state) {
+    return state.source.slice(attr.valueLoc.start.offset, attr.valueLoc.end.offset) === attr.value;
+}
+
+function indent(file, state) {
+    write(file, '    '.repeat(state.depth));
+}
+
+function hasAttr(node, name) {
+    return Boolean(node.attrs) && Object.prototype.hasOwnProperty.call(node.attrs, name);
+}
+
+function findAttr(node, name) {
+    return (node.attrsList || []).find(attr => attr.name === name) || null;
+}
+
+export default { generateVirtualCode, toSourceOffset };
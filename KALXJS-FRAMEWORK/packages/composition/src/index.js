@@ -1,4 +1,4 @@
-import { ref, reactive, computed } from '@kalxjs/core';
+import { ref, reactive, computed, watch } from '@kalxjs/core';
 
 // Re-export reactive from @kalxjs/core
 export { reactive };
@@ -22,34 +22,8 @@ export function onUnmounted(callback) {
     }
 }
 
-// Simple watch implementation
-export function watch(source, callback) {
-    if (typeof source === 'function') {
-        let oldValue = source();
-        const interval = setInterval(() => {
-            const newValue = source();
-            if (newValue !== oldValue) {
-                callback(newValue, oldValue);
-                oldValue = newValue;
-            }
-        }, 100);
-
-        // Return cleanup function
-        return () => clearInterval(interval);
-    } else if (source && typeof source === 'object' && 'value' in source) {
-        // Handle ref objects
-        let oldValue = source.value;
-        const interval = setInterval(() => {
-            if (source.value !== oldValue) {
-                callback(source.value, oldValue);
-                oldValue = source.value;
-            }
-        }, 100);
-
-        // Return cleanup function
-        return () => clearInterval(interval);
-    }
-}
+// Watch API comes from core so watchers share its update queue
+export { watch, watchEffect, watchPostEffect, watchSyncEffect } from '@kalxjs/core';
 
 /**
  * Composition API hook for tracking window size
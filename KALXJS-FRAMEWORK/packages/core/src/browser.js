@@ -11,7 +11,8 @@ export {
     setCurrentInstance,
     useReactive,
     useRef,
-    useComputed
+    useComputed,
+    useModel
 } from './composition/index.js';
 
 // Import and re-export lifecycle hooks
@@ -41,6 +42,8 @@ export {
     reactive,
     computed,
     effect,
+    isRef,
+    unref,
     signal,
     batch,
     untrack,
@@ -52,9 +55,27 @@ export {
 export {
     h,
     createElement,
-    updateElement
+    updateElement,
+    openBlock,
+    createBlock,
+    renderOnce,
+    withMemo
 } from './vdom/vdom.js';
 
+// Import and re-export the helpers compiled templates call
+export {
+    toDisplayString,
+    renderList,
+    toHandlerKey
+} from './vdom/render-helpers.js';
+
+// Import and re-export the custom directive runtime
+export {
+    withDirectives,
+    resolveDirective,
+    vShow
+} from './vdom/index.js';
+
 // Import and re-export component functions
 export {
     defineComponent,
@@ -95,9 +116,21 @@ export {
 // Import and re-export renderer functions
 export {
     createRenderer,
-    createCustomRenderer
+    createCustomRenderer,
+    renderDOM,
+    createDOMTemplate,
+    renderEffect,
+    setDOMText,
+    setDOMProp,
+    setDOMShow,
+    createDOMIf,
+    createDOMFor,
+    createDOMComponent
 } from './renderer/index.js';
 
+// Import and re-export the hot module replacement runtime used by compiled .klx modules
+export { hmrRuntime } from './hmr/index.js';
+
 // Import and re-export store functions
 export {
     createStore,
@@ -1,81 +1,48 @@
 import { h, createElement, updateElement } from '../vdom/vdom.js';
+import { withCssVars } from '../vdom/render-helpers.js';
+import { setCurrentRenderingInstance, flushDirectiveHooks } from '../vdom/directives.js';
 import { reactive, effect } from '../reactivity/reactive.js';
+import { effectScope, onScopeDispose } from '../reactivity/effect-scope.js';
+import { queueJob } from '../scheduler/queue.js';
 import { processSetup } from './setup.js';
 import { createDefaultAppComponent } from './default-app.js';
+import { registerHMRInstance, unregisterHMRInstance, restoreHMRState } from '../hmr/index.js';
 
 /**
- * Queue for batching component updates via render effects
- * This prevents multiple updates in the same tick
- * This is how Vue batches updates - multiple reactive changes in the same
- * event cycle only cause one DOM update
+ * Queues a re-render of a component on the shared update queue.
+ * Multiple reactive changes in the same tick only cause one DOM update,
+ * and watchers with `flush: 'pre'` / `'post'` run before / after it.
  */
-let updateQueue = [];
-let isFlushingQueue = false;
-
 function queueUpdate(instance) {
-    if (updateQueue.indexOf(instance) === -1) {
-        updateQueue.push(instance);
-    }
-    flushUpdateQueue();
-}
-
-function flushUpdateQueue() {
-    if (isFlushingQueue) return;
-    isFlushingQueue = true;
-
-    Promise.resolve().then(() => {
-        const queue = updateQueue.slice();
-        updateQueue = [];
-        queue.forEach(instance => {
+    if (!instance._updateJob) {
+        instance._updateJob = () => {
             if (instance.$isMounted && instance._renderEffect) {
                 // Re-run the render effect to track new deps and update DOM
                 instance._renderEffect();
             }
-        });
-        isFlushingQueue = false;
-    });
+        };
+    }
+    queueJob(instance._updateJob);
 }
 
 /**
- * Helper function to create DOM elements from virtual DOM
+ * Patches the DOM of a mounted component into a new vnode tree. The keyed
+ * diff reuses the existing nodes, and directives get their update and
+ * unmount hooks.
  */
-function createDOMElement(vnode) {
-    // Handle primitive values (string, number, etc.)
-    if (typeof vnode === 'string' || typeof vnode === 'number') {
-        return document.createTextNode(vnode);
-    }
-
-    // Handle null or undefined
-    if (!vnode) {
-        return document.createComment('empty node');
-    }
-
-    // Handle case where vnode might not be a proper virtual node object
-    if (!vnode.tag) {
-        console.warn('Invalid vnode:', vnode);
-        return document.createComment('invalid node');
-    }
-
-    const element = document.createElement(vnode.tag);
-
-    // Set attributes
-    for (const [key, value] of Object.entries(vnode.props || {})) {
-        if (key.startsWith('on')) {
-            const eventName = key.slice(2).toLowerCase();
-            element.addEventListener(eventName, value);
-        } else {
-            element.setAttribute(key, value);
-        }
+function patchComponent(instance, vnode) {
+    const el = instance.$el.firstChild;
+
+    if (el && instance._vnode) {
+        updateElement(el, instance._vnode, vnode);
+    } else {
+        instance.$el.innerHTML = '';
+        instance.$el.appendChild(createElement(vnode));
     }
+    instance._vnode = vnode;
 
-    // Create and append children
-    (vnode.children || []).forEach(child => {
-        if (child !== null && child !== undefined) {
-            element.appendChild(createDOMElement(child));
-        }
-    });
-
-    return element;
+    // The element is in the document now
+    flushDirectiveHooks();
 }
 
 function createComponent(options, parent = null, appContext = null) {
@@ -87,17 +54,27 @@ function createComponent(options, parent = null, appContext = null) {
     // Initialize props
     instance.props = options.props || {};
 
+    // Slots passed by the parent, exposed to setup() through the setup context
+    instance.slots = options.slots || {};
+
     // Set parent and app context for provide/inject
     instance.parent = parent;
     instance.appContext = appContext;
 
+    // Every effect created during setup() and the render effect are
+    // collected here and stopped together on unmount
+    instance._scope = effectScope(true);
+
     // Call beforeCreate lifecycle hook
     if (options.beforeCreate) {
         options.beforeCreate.call(instance);
     }
 
     // Process setup function if it exists
-    const setupResult = processSetup(instance, options);
+    const setupResult = instance._scope.run(() => processSetup(instance, options));
+
+    // Kept for hot module replacement, which carries it over to the next version
+    instance._setupState = setupResult;
 
     // Merge setup result with instance
     for (const key in setupResult) {
@@ -144,18 +121,8 @@ function createComponent(options, parent = null, appContext = null) {
                         // Update the DOM if parent exists
                         if (parentNode) {
                             // Update the contents of the element rather than replacing it
-                            if (instance._vnode) {
-                                console.log('Updating component with new vdom:', newVdom);
-                                // Use the updateElement function from vdom to properly update the DOM
-                                updateElement(instance.$el, instance._vnode, newVdom);
-                                instance._vnode = newVdom;
-                            } else {
-                                // First render, create and append the new DOM
-                                console.log('First render with vdom:', newVdom);
-                                const newElement = createDOMElement(newVdom);
-                                instance.$el.appendChild(newElement);
-                                instance._vnode = newVdom;
-                            }
+                            console.log('Updating component with new vdom:', newVdom);
+                            patchComponent(instance, newVdom);
                         }
 
                         // Call updated hooks
@@ -195,6 +162,20 @@ function createComponent(options, parent = null, appContext = null) {
         }
     }
 
+    // Class names of <style module> blocks, as `$style` or under the module's name
+    if (options.__cssModules) {
+        for (const key in options.__cssModules) {
+            instance[key] = options.__cssModules[key];
+        }
+    }
+
+    // Track instances of hot-reloadable components until they are unmounted
+    if (options.__hmrId) {
+        registerHMRInstance(instance);
+        instance._scope.run(() => onScopeDispose(() => unregisterHMRInstance(instance)));
+        restoreHMRState(instance);
+    }
+
     // Store initial render result for future updates
     instance._vnode = null;
 
@@ -219,10 +200,17 @@ function createComponent(options, parent = null, appContext = null) {
                 ]);
             }
 
+            // resolveDirective() looks up directives on the component being rendered
+            const prevInstance = setCurrentRenderingInstance(instance);
             try {
-                const result = options.render.call(instance);
+                // Templates compiled with <script setup> bindings read props and setup state directly
+                const result = options.render.call(instance, instance.props, instance._setupState);
                 console.log('Render result:', result);
-                return result;
+
+                // v-bind() in the component's styles
+                return options.__cssVars
+                    ? withCssVars(result, options.__cssVars.call(instance, instance.props, instance._setupState))
+                    : result;
             } catch (error) {
                 // Use the app's error handler if available
                 if (instance.$app && instance.$app.config && instance.$app.config.errorHandler) {
@@ -243,6 +231,8 @@ function createComponent(options, parent = null, appContext = null) {
                     h('p', {}, [error.message]),
                     h('pre', { style: 'font-size: 12px; overflow: auto; max-height: 200px;' }, [error.stack])
                 ]);
+            } finally {
+                setCurrentRenderingInstance(prevInstance);
             }
         };
     }
@@ -277,53 +267,59 @@ function createComponent(options, parent = null, appContext = null) {
         // Render the component
         console.log('Mounting component to element:', el);
 
-        try {
-            // Clear the element before mounting
-            el.innerHTML = '';
+        // Renders the component into the element, on the first run of the render effect
+        const mountTree = () => {
+            try {
+                // Clear the element before mounting
+                el.innerHTML = '';
 
-            // Render the component
-            const vnode = this.render();
+                // Render the component
+                const vnode = instance.render();
 
-            // Log the render process for debugging
-            console.log('Component render result:', vnode);
+                // Log the render process for debugging
+                console.log('Component render result:', vnode);
 
-            // Store the vnode for future updates
-            this._vnode = vnode;
+                // Store the vnode for future updates
+                instance._vnode = vnode;
 
-            // Create real DOM from virtual DOM and append to element
-            if (vnode) {
-                // Ensure the vnode has a tag property
-                if (typeof vnode === 'object' && !vnode.tag) {
-                    console.warn('Render returned a vnode without a tag property, adding div tag');
-                    vnode.tag = 'div';
-                }
+                // Create real DOM from virtual DOM and append to element
+                if (vnode) {
+                    // Ensure the vnode has a tag property
+                    if (typeof vnode === 'object' && !vnode.tag) {
+                        console.warn('Render returned a vnode without a tag property, adding div tag');
+                        vnode.tag = 'div';
+                    }
 
-                // Use createElement from vdom/vdom.js to ensure consistent behavior
-                const dom = createElement(vnode);
+                    // Use createElement from vdom/vdom.js to ensure consistent behavior
+                    const dom = createElement(vnode);
 
-                if (dom) {
-                    el.appendChild(dom);
-                    console.log('DOM element created and appended:', dom);
+                    if (dom) {
+                        el.appendChild(dom);
+                        console.log('DOM element created and appended:', dom);
+
+                        // [v-cloak] hid the element until the component rendered
+                        el.removeAttribute('v-cloak');
+
+                        // The element is in the document now
+                        flushDirectiveHooks();
+                    } else {
+                        throw new Error('Failed to create DOM element from vnode');
+                    }
                 } else {
-                    throw new Error('Failed to create DOM element from vnode');
+                    throw new Error('Component render returned null or undefined');
                 }
-            } else {
-                throw new Error('Component render returned null or undefined');
+            } catch (error) {
+                console.error('Error during component mounting:', error);
+                // Add a visible error message to help with debugging
+                el.innerHTML = `
+                    <div style="color: red; border: 1px solid red; padding: 10px; margin: 10px 0;">
+                        <h3>Component Rendering Error</h3>
+                        <p>${error.message}</p>
+                        <pre style="font-size: 12px; overflow: auto; max-height: 200px; background: #f5f5f5; padding: 5px;">${error.stack}</pre>
+                    </div>
+                `;
             }
-        } catch (error) {
-            console.error('Error during component mounting:', error);
-            // Add a visible error message to help with debugging
-            el.innerHTML = `
-                <div style="color: red; border: 1px solid red; padding: 10px; margin: 10px 0;">
-                    <h3>Component Rendering Error</h3>
-                    <p>${error.message}</p>
-                    <pre style="font-size: 12px; overflow: auto; max-height: 200px; background: #f5f5f5; padding: 5px;">${error.stack}</pre>
-                </div>
-            `;
-        }
-
-        // Set mounted flag before calling mounted hooks
-        this.$isMounted = true;
+        };
 
         // ===== CRITICAL: Setup Render Effect =====
         // This is what Vue and React do internally - create a render effect that:
@@ -336,30 +332,33 @@ function createComponent(options, parent = null, appContext = null) {
         // - When any dependency changes, the scheduler runs (not the effect function)
         // - Scheduler queues an update using the existing $update mechanism
         // - $update calls render() again within the effect context to track new deps
-        let isInitialMount = true;
-        instance._renderEffect = effect(() => {
-            // Call render to establish tracking of reactive dependencies
-            // This registers which reactive values the component depends on
+        instance._renderEffect = instance._scope.run(() => effect(() => {
+            // The first run mounts, rendering once and tracking what that render read
+            if (!instance.$isMounted) {
+                mountTree();
+                return;
+            }
+
+            if (options.beforeUpdate) {
+                options.beforeUpdate.call(instance);
+            }
+            if (instance.beforeUpdate && Array.isArray(instance.beforeUpdate)) {
+                instance.beforeUpdate.forEach(hook => hook());
+            }
+
+            // Call render to track the reactive dependencies of this render
             const vnode = instance.render();
 
-            // Only update DOM if we're past the initial mount (which already rendered)
-            if (!isInitialMount && instance.$el && instance.$isMounted) {
-                // Perform the DOM update
-                instance.$el.innerHTML = '';
-                const newElement = createElement(vnode);
-                instance.$el.appendChild(newElement);
-                instance._vnode = vnode;
+            // Patch the DOM from the previous render
+            patchComponent(instance, vnode);
 
-                // Call updated lifecycle hooks
-                if (options.updated) {
-                    options.updated.call(instance);
-                }
-                if (instance.updated && Array.isArray(instance.updated)) {
-                    instance.updated.forEach(hook => hook());
-                }
+            // Call updated lifecycle hooks
+            if (options.updated) {
+                options.updated.call(instance);
+            }
+            if (instance.updated && Array.isArray(instance.updated)) {
+                instance.updated.forEach(hook => hook());
             }
-
-            isInitialMount = false;
         }, {
             scheduler: () => {
                 // When a reactive dependency changes, the scheduler runs instead of the effect
@@ -367,7 +366,10 @@ function createComponent(options, parent = null, appContext = null) {
                 // This is similar to Vue's async update scheduling
                 queueUpdate(instance);
             }
-        });
+        }));
+
+        // Set mounted flag before calling mounted hooks
+        this.$isMounted = true;
 
         // Call mounted hooks
         if (options.mounted) {
@@ -382,6 +384,40 @@ function createComponent(options, parent = null, appContext = null) {
         return this;
     };
 
+    // Replaces the instance with one created from an updated definition,
+    // mounted on the same element (hot module replacement)
+    instance._reload = function (definition) {
+        const el = this.$el;
+
+        if (options.beforeUnmount) {
+            options.beforeUnmount.call(instance);
+        }
+        instance._scope.stop();
+        instance.$isMounted = false;
+        if (options.unmounted) {
+            options.unmounted.call(instance);
+        }
+        if (instance.unmounted && Array.isArray(instance.unmounted)) {
+            instance.unmounted.forEach(hook => hook());
+        }
+
+        // Factories created by defineComponent() pass each instance its own props
+        const nextOptions = options === definition
+            ? definition
+            : { ...definition, props: options.props, slots: options.slots };
+        const next = createComponent(nextOptions, instance.parent, instance.appContext);
+
+        // Keep what the app injected into the instance it mounted
+        ['$app', 'store', 'router', '$store', '$router'].forEach(key => {
+            const descriptor = Object.getOwnPropertyDescriptor(instance, key);
+            if (descriptor && !(key in next)) {
+                Object.defineProperty(next, key, descriptor);
+            }
+        });
+
+        return next.$mount(el);
+    };
+
     // Add update functionality
     instance.$update = function () {
         if (!this.$el || !this.$isMounted) {
@@ -405,17 +441,8 @@ function createComponent(options, parent = null, appContext = null) {
 
         if (this.$el) {
             try {
-                // Clear the element first
-                this.$el.innerHTML = '';
-
-                // Create a new DOM element from the virtual DOM
-                const newElement = createElement(newVdom);
-
-                // Append the new element to the container
-                this.$el.appendChild(newElement);
-
-                // Store the new vnode for future updates
-                this._vnode = newVdom;
+                // Patch the DOM from the previous render
+                patchComponent(this, newVdom);
 
                 console.log('DOM updated successfully');
             } catch (error) {
@@ -453,9 +480,14 @@ function createComponent(options, parent = null, appContext = null) {
             options.beforeUnmount.call(instance);
         }
 
-        // Clean up render effect (stop tracking reactive changes)
-        if (instance._renderEffect) {
-            instance._renderEffect.active = false;
+        // Stop the render effect and every effect created during setup
+        instance._scope.stop();
+        instance.$isMounted = false;
+
+        // Directives of the rendered elements get their unmount hooks
+        if (this._vnode && this.$el.firstChild) {
+            updateElement(this.$el.firstChild, this._vnode, null);
+            this._vnode = null;
         }
 
         // Remove element from DOM
@@ -505,14 +537,15 @@ function defineComponent(options) {
     const componentOptions = { ...options };
 
     // Return the component factory function
-    const componentFactory = function (props) {
+    const componentFactory = function (props, slots) {
         try {
             console.log(`Creating component ${componentOptions.name} with props:`, props);
 
-            // Create a new component instance with the provided props
+            // Create a new component instance with the provided props and slots
             const instance = createComponent({
                 ...componentOptions,
-                props: props || {}
+                props: props || {},
+                slots: slots || {}
             });
 
             // Make props accessible directly on the instance
@@ -2,7 +2,9 @@
 // This file provides the new component API for standard .js files
 
 import { reactive, effect } from '../reactivity/reactive';
+import { effectScope } from '../reactivity/effect-scope';
 import { h, createElement, updateElement } from '../vdom/vdom';
+import { flushDirectiveHooks } from '../vdom/directives';
 
 /**
  * Creates a component from a setup function
@@ -17,7 +19,9 @@ export function createJsComponent(setup) {
       _vnode: null,
       _isMounted: false,
       _isUnmounted: false,
-      _watchers: []
+      _watchers: [],
+      // Collects every effect created by setup() and the state effect below
+      _scope: effectScope(true)
     };
 
     // Create context for setup function
@@ -32,7 +36,7 @@ export function createJsComponent(setup) {
     };
 
     // Call setup function
-    const setupResult = setup(context.props, context);
+    const setupResult = instance._scope.run(() => setup(context.props, context));
 
     // Extract render function
     const { render, ...rest } = setupResult;
@@ -98,6 +102,7 @@ export function createJsComponent(setup) {
           const dom = createElement(vnode);
           if (dom) {
             el.appendChild(dom);
+            flushDirectiveHooks();
           }
         }
 
@@ -136,9 +141,10 @@ export function createJsComponent(setup) {
       try {
         const newVnode = this.render();
         
-        if (this._vnode) {
-          // Update the DOM using the diff algorithm
-          updateElement(this.$el, this._vnode, newVnode);
+        if (this._vnode && this.$el.firstChild) {
+          // Update the DOM using the diff algorithm, $el holds the rendered root
+          updateElement(this.$el.firstChild, this._vnode, newVnode);
+          flushDirectiveHooks();
         } else {
           // First render
           const dom = createElement(newVnode);
@@ -175,6 +181,9 @@ export function createJsComponent(setup) {
         this.beforeUnmount();
       }
 
+      // Stop every effect created for this component
+      this._scope.stop();
+
       // Clean up watchers
       this._watchers.forEach(unwatch => {
         if (typeof unwatch === 'function') {
@@ -202,8 +211,9 @@ export function createJsComponent(setup) {
 
     // Setup reactivity for state changes
     if (setupResult.state && typeof setupResult.state === 'object') {
-      // Create effect to automatically update the component when state changes
-      const stopEffect = effect(() => {
+      // Create effect to automatically update the component when state changes.
+      // It lives in the component scope, so $unmount stops it.
+      instance._scope.run(() => effect(() => {
         // Access all reactive properties to track them
         JSON.stringify(setupResult.state);
         
@@ -211,10 +221,7 @@ export function createJsComponent(setup) {
         if (instance._isMounted && !instance._isUnmounted) {
           instance.$update();
         }
-      });
-
-      // Add to watchers for cleanup
-      instance._watchers.push(stopEffect);
+      }));
     }
 
     return instance;
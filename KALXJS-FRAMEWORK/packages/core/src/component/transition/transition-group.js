@@ -8,6 +8,7 @@
 
 import { Transition } from './transition.js';
 import { nextTick } from '../../utils.js';
+import { getVNodeKey } from '../../vdom/diff.js';
 
 /**
  * TransitionGroup Component
@@ -81,7 +82,8 @@ export const TransitionGroup = {
                 if (!child.el) return;
 
                 const el = child.el;
-                const oldPos = positionMap.get(child.key);
+                const key = getVNodeKey(child);
+                const oldPos = positionMap.get(key);
                 const newPos = getPosition(el);
 
                 if (oldPos && (oldPos.left !== newPos.left || oldPos.top !== newPos.top)) {
@@ -110,7 +112,7 @@ export const TransitionGroup = {
                 }
 
                 // Update position map
-                positionMap.set(child.key, newPos);
+                positionMap.set(key, newPos);
             });
         };
 
@@ -120,14 +122,14 @@ export const TransitionGroup = {
         const recordPositions = (children) => {
             children.forEach(child => {
                 if (child.el) {
-                    positionMap.set(child.key, getPosition(child.el));
+                    positionMap.set(getVNodeKey(child), getPosition(child.el));
                 }
             });
         };
 
         return () => {
             const children = slots.default?.() || [];
-            const validChildren = children.filter(child => child.key != null);
+            const validChildren = children.filter(child => getVNodeKey(child) != null);
 
             if (validChildren.length === 0) {
                 return null;
@@ -157,12 +159,13 @@ export const TransitionGroup = {
                 };
             });
 
-            // Apply move transitions after render
+            // The keyed diff moves the existing elements and sets `el` on these
+            // vnodes, so after the update they can be animated from their old position
             nextTick(() => {
-                applyMoveTransition(validChildren);
+                applyMoveTransition(transitionChildren);
             });
 
-            prevChildren = validChildren;
+            prevChildren = transitionChildren;
 
             // Return wrapper with children
             return {
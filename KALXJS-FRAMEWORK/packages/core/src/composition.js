@@ -4,7 +4,11 @@ import {
     useReactive,
     useRef,
     useComputed,
-    watch
+    watch,
+    watchEffect,
+    watchPostEffect,
+    watchSyncEffect,
+    useModel
 } from './composition/index.js';
 
 import {
@@ -46,6 +50,10 @@ export {
     useRef,
     useComputed,
     watch,
+    watchEffect,
+    watchPostEffect,
+    watchSyncEffect,
+    useModel,
     onMounted,
     onUnmounted,
     onBeforeUpdate,
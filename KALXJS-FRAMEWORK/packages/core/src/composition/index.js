@@ -1,11 +1,17 @@
 // @kalxjs/core - Composition API
 
-import { reactive, ref, computed, effect } from '../reactivity/reactive.js';
+import { reactive, ref, computed } from '../reactivity/reactive.js';
 import { getCurrentInstance, setCurrentInstance } from './instance.js';
 
 // Re-export instance management functions
 export { getCurrentInstance, setCurrentInstance };
 
+// Re-export the watch API
+export { watch, watchEffect, watchPostEffect, watchSyncEffect } from './watch.js';
+
+// Re-export the v-model binding used by defineModel()
+export { useModel } from './model.js';
+
 // Re-export all lifecycle hooks from lifecycle.js
 export {
     onCreated,
@@ -43,52 +49,3 @@ export function useRef(value) {
 export function useComputed(getter) {
     return computed(getter);
 }
-
-/**
- * Watches for changes in a reactive source and runs a callback
- * @param {Object|Function} source - Reactive object or getter function
- * @param {Function} callback - Callback function
- * @param {Object} options - Watch options
- * @returns {Function} Function to stop watching
- */
-export function watch(source, callback, options = {}) {
-    const { immediate = false } = options;
-
-    // Handle ref or reactive objects
-    const getter = typeof source === 'function'
-        ? source
-        : () => {
-            // Handle ref
-            if (source && 'value' in source) {
-                return source.value;
-            }
-            // Handle reactive object
-            return source;
-        };
-
-    let oldValue;
-
-    const runner = effect(() => getter(), {
-        lazy: true,
-        scheduler: () => {
-            const newValue = runner();
-            callback(newValue, oldValue);
-            oldValue = newValue;
-        }
-    });
-
-    if (immediate) {
-        oldValue = runner();
-        callback(oldValue, undefined);
-    } else {
-        oldValue = runner();
-    }
-
-    return () => {
-        // Cleanup effect
-        runner.active = false;
-    };
-}
-
-
-
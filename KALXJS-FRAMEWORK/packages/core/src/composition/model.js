@@ -0,0 +1,52 @@
+// @kalxjs/core - Two-way bindings between a component and its parent
+
+import { ReactiveFlags, TriggerOpTypes, track, trigger } from '../reactivity/reactive.js';
+
+/**
+ * Creates a ref bound to a `v-model` of the component: reading it returns the
+ * prop, writing it emits `update:<name>` for the parent to apply. When the
+ * parent doesn't bind the model, the ref keeps the value itself.
+ * This is what `defineModel()` in <script setup> compiles to.
+ * @param {Object} props - Component props
+ * @param {string} [name='modelValue'] - Model name, `v-model:<name>` in the parent
+ * @param {Object} [options]
+ * @param {Function} [options.get] - Transforms the prop value, called with (value, modifiers)
+ * @param {Function} [options.set] - Transforms a written value before it is emitted, called with (value, modifiers)
+ * @returns {Object} Model ref; destructuring it gives `[model, modifiers]`
+ */
+export function useModel(props, name = 'modelValue', options = {}) {
+    const event = `update:${name}`;
+    const handlerKey = `on${event.charAt(0).toUpperCase()}${event.slice(1)}`;
+    const modifiers = props[name === 'modelValue' ? 'modelModifiers' : `${name}Modifiers`] || {};
+
+    // Used while the parent passes neither the prop nor a listener
+    let localValue = props[name];
+    const isBound = () => props[name] !== undefined || typeof props[handlerKey] === 'function';
+
+    const model = {
+        [ReactiveFlags.IS_REF]: true,
+        get value() {
+            track(model, 'value');
+            const value = isBound() ? props[name] : localValue;
+            return options.get ? options.get(value, modifiers) : value;
+        },
+        set value(newValue) {
+            const value = options.set ? options.set(newValue, modifiers) : newValue;
+            const handler = props[handlerKey];
+
+            if (!isBound()) {
+                localValue = value;
+                trigger(model, TriggerOpTypes.SET, 'value');
+            }
+            if (typeof handler === 'function') {
+                handler(value);
+            }
+        },
+        *[Symbol.iterator]() {
+            yield model;
+            yield modifiers;
+        }
+    };
+
+    return model;
+}
@@ -1,7 +1,11 @@
 // @kalxjs/core - Utility functions for Composition API
 
 import { ref, reactive, effect } from '../reactivity/reactive.js';
-import { getCurrentInstance } from './instance.js';
+import { getCurrentScope, onScopeDispose } from '../reactivity/effect-scope.js';
+
+// readonly() lives with the rest of the proxy handlers so isReadonly() and
+// toRaw() recognise it; re-exported here for existing imports
+export { readonly } from '../reactivity/reactive.js';
 
 /**
  * Creates a reactive reference with a getter and setter
@@ -22,41 +26,6 @@ export function customRef(factory) {
     });
 }
 
-/**
- * Creates a readonly reference
- * @param {Object} source - Source reference
- * @returns {Object} Readonly reference
- */
-export function readonly(source) {
-    // Handle ref
-    if (source && typeof source === 'object' && 'value' in source) {
-        return Object.defineProperty({}, 'value', {
-            get: () => source.value,
-            set: () => {
-                console.warn('Cannot set a readonly ref');
-            }
-        });
-    }
-
-    // Handle reactive object
-    const handler = {
-        get(target, key, receiver) {
-            const result = Reflect.get(target, key, receiver);
-            return result;
-        },
-        set() {
-            console.warn('Cannot set a readonly reactive object');
-            return true;
-        },
-        deleteProperty() {
-            console.warn('Cannot delete from a readonly reactive object');
-            return true;
-        }
-    };
-
-    return new Proxy(source, handler);
-}
-
 /**
  * Creates a computed reference that can be both read and written
  * @param {Object} options - Options with get and set functions
@@ -208,14 +177,9 @@ export function useMouse() {
     if (typeof window !== 'undefined') {
         window.addEventListener('mousemove', update);
 
-        // Clean up event listener when component is unmounted
-        const instance = getCurrentInstance();
-        if (instance) {
-            if (!instance.unmounted) {
-                instance.unmounted = [];
-            }
-
-            instance.unmounted.push(() => {
+        // Clean up event listener when the owning component or scope is disposed
+        if (getCurrentScope()) {
+            onScopeDispose(() => {
                 window.removeEventListener('mousemove', update);
             });
         }
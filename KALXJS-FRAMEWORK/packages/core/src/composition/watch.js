@@ -0,0 +1,216 @@
+// @kalxjs/core - watch / watchEffect
+
+import {
+    effect,
+    stop,
+    isRef,
+    isReactive,
+    isShallow,
+    ReactiveFlags
+} from '../reactivity/reactive.js';
+import { queuePreFlushCb, queuePostFlushCb } from '../scheduler/queue.js';
+
+// Initial value for oldValue, so the first callback receives undefined
+const INITIAL_WATCHER_VALUE = {};
+
+/**
+ * Watches one or more reactive sources and runs a callback when they change
+ * @param {Object|Function|Array} source - Ref, reactive object, getter, or an array of them
+ * @param {Function} callback - Called with (newValue, oldValue, onCleanup)
+ * @param {Object} options - Watch options
+ * @param {boolean} [options.immediate=false] - Run the callback right away
+ * @param {boolean} [options.deep=false] - Traverse the source so nested changes trigger
+ * @param {'pre'|'post'|'sync'} [options.flush='pre'] - When the callback runs relative to component updates
+ * @returns {Function} Function to stop watching
+ */
+export function watch(source, callback, options = {}) {
+    if (typeof callback !== 'function') {
+        console.warn('watch() expects a callback function. Use watchEffect() to watch without one.');
+    }
+    return doWatch(source, callback, options);
+}
+
+/**
+ * Runs a function immediately and re-runs it whenever its dependencies change
+ * @param {Function} fn - Effect function, receives onCleanup
+ * @param {Object} options - Options (`flush` as in watch)
+ * @returns {Function} Function to stop the effect
+ */
+export function watchEffect(fn, options = {}) {
+    return doWatch(fn, null, options);
+}
+
+/**
+ * watchEffect() with `flush: 'post'`, so the effect sees the updated DOM
+ * @param {Function} fn - Effect function
+ * @returns {Function} Function to stop the effect
+ */
+export function watchPostEffect(fn) {
+    return doWatch(fn, null, { flush: 'post' });
+}
+
+/**
+ * watchEffect() with `flush: 'sync'`, so the effect runs on every change
+ * @param {Function} fn - Effect function
+ * @returns {Function} Function to stop the effect
+ */
+export function watchSyncEffect(fn) {
+    return doWatch(fn, null, { flush: 'sync' });
+}
+
+function doWatch(source, callback, { immediate = false, deep = false, flush = 'pre' } = {}) {
+    let getter;
+    let forceTrigger = false;
+    let isMultiSource = false;
+
+    if (isRef(source)) {
+        getter = () => source.value;
+        forceTrigger = isShallow(source);
+    } else if (isReactive(source)) {
+        // Watching a reactive object directly is always deep
+        getter = () => source;
+        deep = true;
+    } else if (Array.isArray(source)) {
+        isMultiSource = true;
+        forceTrigger = source.some(s => isReactive(s) || isShallow(s));
+        getter = () => source.map(s => {
+            if (isRef(s)) {
+                return s.value;
+            } else if (isReactive(s)) {
+                return traverse(s);
+            } else if (typeof s === 'function') {
+                return s();
+            }
+            console.warn('Invalid watch source:', s);
+            return undefined;
+        });
+    } else if (typeof source === 'function') {
+        if (callback) {
+            getter = () => source();
+        } else {
+            // watchEffect: the source itself is the effect, and receives onCleanup
+            getter = () => {
+                runCleanup();
+                return source(onCleanup);
+            };
+        }
+    } else {
+        console.warn('Invalid watch source:', source);
+        getter = () => { };
+    }
+
+    if (callback && deep) {
+        const baseGetter = getter;
+        getter = () => traverse(baseGetter());
+    }
+
+    // Cleanup registered by the last callback/effect run through onCleanup()
+    let cleanup;
+    const onCleanup = (fn) => {
+        cleanup = fn;
+    };
+    const runCleanup = () => {
+        if (cleanup) {
+            const fn = cleanup;
+            cleanup = null;
+            fn();
+        }
+    };
+
+    let oldValue = isMultiSource ? new Array(source.length).fill(INITIAL_WATCHER_VALUE) : INITIAL_WATCHER_VALUE;
+
+    const job = () => {
+        if (!runner.active) {
+            return;
+        }
+
+        if (!callback) {
+            runner();
+            return;
+        }
+
+        const newValue = runner();
+        const changed = isMultiSource
+            ? newValue.some((v, i) => !Object.is(v, oldValue[i]))
+            : !Object.is(newValue, oldValue);
+
+        if (deep || forceTrigger || changed) {
+            // Let the previous run clean up before the callback runs again
+            runCleanup();
+            callback(
+                newValue,
+                oldValue === INITIAL_WATCHER_VALUE
+                    ? undefined
+                    : (isMultiSource && oldValue[0] === INITIAL_WATCHER_VALUE ? [] : oldValue),
+                onCleanup
+            );
+            oldValue = newValue;
+        }
+    };
+
+    let scheduler;
+    if (flush === 'sync') {
+        scheduler = job;
+    } else if (flush === 'post') {
+        scheduler = () => queuePostFlushCb(job);
+    } else {
+        scheduler = () => queuePreFlushCb(job);
+    }
+
+    const runner = effect(getter, {
+        lazy: true,
+        scheduler,
+        onStop: runCleanup
+    });
+
+    // Initial run
+    if (callback) {
+        if (immediate) {
+            job();
+        } else {
+            oldValue = runner();
+        }
+    } else if (flush === 'post') {
+        queuePostFlushCb(runner);
+    } else {
+        runner();
+    }
+
+    return () => {
+        stop(runner);
+    };
+}
+
+/**
+ * Reads every nested property of a value so an effect depends on all of them
+ * @private
+ * @param {any} value - Value to traverse
+ * @param {Set} seen - Already visited objects, guards against cycles
+ * @returns {any} The value itself
+ */
+function traverse(value, seen = new Set()) {
+    if (value === null || typeof value !== 'object' || value[ReactiveFlags.SKIP]) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return value;
+    }
+    seen.add(value);
+
+    if (isRef(value)) {
+        traverse(value.value, seen);
+    } else if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++) {
+            traverse(value[i], seen);
+        }
+    } else if (value instanceof Map || value instanceof Set) {
+        value.forEach(v => {
+            traverse(v, seen);
+        });
+    } else {
+        for (const key in value) {
+            traverse(value[key], seen);
+        }
+    }
+    return value;
+}
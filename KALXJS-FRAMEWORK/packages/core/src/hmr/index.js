@@ -0,0 +1,223 @@
+// @kalxjs/core - Hot module replacement runtime
+// Keeps track of the live instances of every hot-reloadable component so a
+// new version of its module can be applied without remounting the whole app.
+
+import { isRef, isReactive, isReadonly, toRaw } from '../reactivity/reactive.js';
+import { invalidateJob } from '../scheduler/queue.js';
+
+// Component id -> { component, instances }
+const records = new Map();
+
+// State of the instance being reloaded, picked up by its replacement
+let pendingState = null;
+
+/**
+ * True while the renderer patches a hot update: compile-time optimizations
+ * (hoisted nodes, blocks, patch flags) describe the old template, so every
+ * node has to be diffed
+ */
+export let isHmrUpdating = false;
+
+/**
+ * Registers a component definition under its id
+ * The first definition is kept for good: parents that rendered it hold on to
+ * that object, so later versions are applied to it in place.
+ * @param {string} id - Component id, stable across versions of the module
+ * @param {Object} component - Component options
+ * @returns {boolean} False if the id was already registered
+ */
+export function createRecord(id, component) {
+    if (records.has(id)) {
+        return false;
+    }
+    records.set(id, { component, instances: new Set() });
+    return true;
+}
+
+/**
+ * Tracks a component instance created from a hot-reloadable component
+ * @param {Object} instance - Component instance
+ */
+export function registerHMRInstance(instance) {
+    const id = instance.$options.__hmrId;
+    if (!records.has(id)) {
+        createRecord(id, instance.$options);
+    }
+    records.get(id).instances.add(instance);
+}
+
+/**
+ * Stops tracking a component instance
+ * @param {Object} instance - Component instance
+ */
+export function unregisterHMRInstance(instance) {
+    const record = records.get(instance.$options.__hmrId);
+    if (record) {
+        record.instances.delete(instance);
+    }
+}
+
+/**
+ * Applies a new render function to every live instance of a component
+ * State is untouched: only the rendered output changes.
+ * @param {string} id - Component id
+ * @param {Function} render - New render function
+ */
+export function rerender(id, render) {
+    const record = records.get(id);
+    if (!record) {
+        return;
+    }
+
+    record.component.render = render;
+
+    [...record.instances].forEach(instance => {
+        // Instances render through their own copy of the options
+        instance.$options.render = render;
+        // v-once and v-memo subtrees of the old render function are stale
+        instance._renderCache = null;
+
+        isHmrUpdating = true;
+        try {
+            if (instance._update) {
+                invalidateJob(instance._updateJob);
+                instance._update();
+            } else if (instance.$isMounted) {
+                instance.$update();
+            }
+        } finally {
+            isHmrUpdating = false;
+        }
+    });
+}
+
+/**
+ * Applies a new version of a component's script: the definition is updated in
+ * place and every live instance is remounted, keeping its reactive state
+ * where the new version declares the same keys with values of the same shape
+ * @param {string} id - Component id
+ * @param {Object} component - New component options
+ */
+export function reload(id, component) {
+    const record = records.get(id);
+    if (!record) {
+        return;
+    }
+
+    const definition = record.component;
+    if (definition !== component) {
+        for (const key in definition) {
+            if (key !== '__hmrId' && !(key in component)) {
+                delete definition[key];
+            }
+        }
+        Object.assign(definition, component);
+    }
+
+    [...record.instances].forEach(instance => {
+        if (!instance.$isMounted) {
+            return;
+        }
+
+        if (typeof instance._reload !== 'function') {
+            console.warn(`[HMR] ${definition.name || id} can't be reloaded in place, reloading the page.`);
+            if (typeof window !== 'undefined') {
+                window.location.reload();
+            }
+            return;
+        }
+
+        pendingState = {
+            id,
+            setup: instance._setupState || {},
+            data: instance.$data || null
+        };
+        try {
+            instance._reload(definition);
+        } finally {
+            pendingState = null;
+        }
+    });
+}
+
+/**
+ * Carries the state of the instance being reloaded over to its replacement.
+ * Called once setup() and data() have run, before the first render.
+ * @param {Object} instance - New component instance
+ */
+export function restoreHMRState(instance) {
+    if (!pendingState || pendingState.id !== instance.$options.__hmrId) {
+        return;
+    }
+    const { setup, data } = pendingState;
+    pendingState = null;
+
+    const setupState = instance._setupState || {};
+    for (const key in setupState) {
+        if (key in setup) {
+            restoreValue(setupState[key], setup[key]);
+        }
+    }
+
+    if (data && instance.$data) {
+        for (const key in instance.$data) {
+            if (key in data && isSameShape(instance.$data[key], data[key])) {
+                instance.$data[key] = data[key];
+            }
+        }
+    }
+}
+
+/**
+ * Copies an old ref's value or reactive object's properties into the new one
+ * @private
+ */
+function restoreValue(target, source) {
+    if (isRef(target) && isRef(source)) {
+        // Computed refs have no setter, they recompute from the restored state
+        if (isWritableRef(target) && isSameShape(target.value, source.value)) {
+            target.value = source.value;
+        }
+    } else if (isReactive(target) && isReactive(source) && !isReadonly(target)) {
+        const raw = toRaw(source);
+        for (const key in raw) {
+            if (key in target && isSameShape(target[key], raw[key])) {
+                target[key] = raw[key];
+            }
+        }
+    }
+}
+
+/**
+ * Checks if a ref's value can be assigned
+ * @private
+ */
+function isWritableRef(r) {
+    for (let proto = r; proto; proto = Object.getPrototypeOf(proto)) {
+        const descriptor = Object.getOwnPropertyDescriptor(proto, 'value');
+        if (descriptor) {
+            return typeof descriptor.set === 'function';
+        }
+    }
+    return false;
+}
+
+/**
+ * Checks if an old value can stand in for a new one: same type, and arrays
+ * and null stay what they were
+ * @private
+ */
+function isSameShape(a, b) {
+    return typeof a === typeof b &&
+        Array.isArray(a) === Array.isArray(b) &&
+        (a === null) === (b === null);
+}
+
+/**
+ * Entry points called by compiled .klx modules, see @kalxjs/compiler-plugin
+ */
+export const hmrRuntime = {
+    createRecord,
+    rerender,
+    reload
+};
@@ -1,5 +1,30 @@
 // Core functionality imports
-import { reactive, ref, computed, effect } from './reactivity/reactive.js';
+import {
+    reactive,
+    ref,
+    computed,
+    effect,
+    stop,
+    shallowReactive,
+    shallowReadonly,
+    shallowRef,
+    triggerRef,
+    isRef,
+    unref,
+    toRef,
+    toRefs,
+    toRaw,
+    markRaw,
+    isReactive,
+    isReadonly,
+    isShallow,
+    isProxy
+} from './reactivity/reactive.js';
+import {
+    effectScope,
+    getCurrentScope,
+    onScopeDispose
+} from './reactivity/effect-scope.js';
 import { h, createElement, updateElement } from './vdom/vdom.js';
 import {
     createComponent,
@@ -17,12 +42,18 @@ import { createTemplateComponent, defineTemplateComponent } from './template/ind
 // Import custom renderer
 import { createRenderer, createCustomRenderer } from './renderer/index.js';
 
+// Import the update queue shared by components and watchers
+import { nextTick } from './scheduler/queue.js';
+
 // Import all composition API from a single file to avoid circular dependencies
 import {
     useReactive,
     useRef,
     useComputed,
     watch,
+    watchEffect,
+    watchPostEffect,
+    watchSyncEffect,
     onMounted,
     onUnmounted,
     onBeforeUpdate,
@@ -75,7 +106,9 @@ import {
     untrack,
     memo,
     createResource,
-    createSignalStore
+    createSignalStore,
+    toSignal,
+    fromSignal
 } from './reactivity/index.js';
 
 // Import utility functions
@@ -166,6 +199,24 @@ const kalxjs = {
     ref,
     computed,
     effect,
+    shallowReactive,
+    shallowReadonly,
+    shallowRef,
+    triggerRef,
+    isRef,
+    unref,
+    toRef,
+    toRefs,
+    toRaw,
+    markRaw,
+    isReactive,
+    isReadonly,
+    isShallow,
+    isProxy,
+    stop,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
 
     // Signals-based reactivity (NEW - Priority 1)
     signal,
@@ -174,6 +225,8 @@ const kalxjs = {
     memo,
     createResource,
     createSignalStore,
+    toSignal,
+    fromSignal,
 
     // Virtual DOM
     h,
@@ -218,11 +271,17 @@ const kalxjs = {
     createRenderer,
     createCustomRenderer,
 
+    // Update queue
+    nextTick,
+
     // Composition API
     useReactive,
     useRef,
     useComputed,
     watch,
+    watchEffect,
+    watchPostEffect,
+    watchSyncEffect,
     onMounted,
     onUnmounted,
     onBeforeUpdate,
@@ -333,6 +392,24 @@ export {
     ref,
     computed,
     effect,
+    shallowReactive,
+    shallowReadonly,
+    shallowRef,
+    triggerRef,
+    isRef,
+    unref,
+    toRef,
+    toRefs,
+    toRaw,
+    markRaw,
+    isReactive,
+    isReadonly,
+    isShallow,
+    isProxy,
+    stop,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
 
     // Signals-based reactivity (NEW - Priority 1)
     signal,
@@ -341,6 +418,8 @@ export {
     memo,
     createResource,
     createSignalStore,
+    toSignal,
+    fromSignal,
 
     // Virtual DOM
     h,
@@ -387,11 +466,17 @@ export {
     createRenderer,
     createCustomRenderer,
 
+    // Update queue
+    nextTick,
+
     // Composition API
     useReactive,
     useRef,
     useComputed,
     watch,
+    watchEffect,
+    watchPostEffect,
+    watchSyncEffect,
     onMounted,
     onUnmounted,
     onBeforeUpdate,
@@ -495,6 +580,7 @@ export * from './ssr/index.js';
 export * from './animation/index.js';
 export * from './template/index.js';
 export * from './renderer/index.js';
+export { hmrRuntime } from './hmr/index.js';
 
 // Export Enhanced SSR (Priority 1)
 export * from './ssr/streaming/index.js';
@@ -0,0 +1,117 @@
+// packages/core/src/reactivity/effect-scope.js
+
+import { stop as stopEffect } from './reactive.js';
+
+// Scope that newly created effects are collected into
+let activeEffectScope = null;
+
+/**
+ * Collects the effects (and nested scopes) created while it is running so
+ * they can all be disposed of together, e.g. when a component unmounts
+ */
+export class EffectScope {
+    /**
+     * @param {boolean} detached - If true, the scope isn't collected by its parent scope
+     */
+    constructor(detached = false) {
+        this.active = true;
+        this.effects = [];
+        this.cleanups = [];
+        this.scopes = [];
+        this.parent = activeEffectScope;
+
+        if (!detached && activeEffectScope) {
+            activeEffectScope.scopes.push(this);
+        }
+    }
+
+    /**
+     * Runs a function with this scope active, collecting the effects it creates
+     * @param {Function} fn - Function to run
+     * @returns {any} Return value of fn, or undefined if the scope is stopped
+     */
+    run(fn) {
+        if (!this.active) {
+            console.warn('Cannot run an inactive effect scope');
+            return undefined;
+        }
+
+        const previousScope = activeEffectScope;
+        try {
+            activeEffectScope = this;
+            return fn();
+        } finally {
+            activeEffectScope = previousScope;
+        }
+    }
+
+    /**
+     * Stops every effect and nested scope collected by this scope and runs
+     * the registered onScopeDispose callbacks
+     * @param {boolean} fromParent - True when the parent scope is stopping us
+     */
+    stop(fromParent) {
+        if (!this.active) {
+            return;
+        }
+
+        this.effects.forEach(effect => stopEffect(effect));
+        this.cleanups.forEach(cleanup => cleanup());
+        this.scopes.forEach(scope => scope.stop(true));
+
+        // Detach from the parent so it doesn't keep a stopped scope alive
+        if (this.parent && !fromParent) {
+            const index = this.parent.scopes.indexOf(this);
+            if (index > -1) {
+                this.parent.scopes.splice(index, 1);
+            }
+        }
+
+        this.effects.length = 0;
+        this.cleanups.length = 0;
+        this.scopes.length = 0;
+        this.parent = null;
+        this.active = false;
+    }
+}
+
+/**
+ * Creates an effect scope
+ * @param {boolean} detached - If true, the scope isn't stopped with its parent
+ * @returns {EffectScope} Effect scope
+ */
+export function effectScope(detached) {
+    return new EffectScope(detached);
+}
+
+/**
+ * Returns the currently running effect scope, if any
+ * @returns {EffectScope|null} Active scope
+ */
+export function getCurrentScope() {
+    return activeEffectScope;
+}
+
+/**
+ * Registers a callback to run when the current effect scope is stopped
+ * @param {Function} fn - Cleanup callback
+ */
+export function onScopeDispose(fn) {
+    if (activeEffectScope) {
+        activeEffectScope.cleanups.push(fn);
+    } else {
+        console.warn('onScopeDispose() was called outside of an active effect scope');
+    }
+}
+
+/**
+ * Adds an effect to a scope (the active scope by default)
+ * @private
+ * @param {Function} effect - Effect runner
+ * @param {EffectScope} scope - Scope to record into
+ */
+export function recordEffectScope(effect, scope = activeEffectScope) {
+    if (scope && scope.active) {
+        scope.effects.push(effect);
+    }
+}
@@ -1,7 +1,37 @@
 // packages/core/src/reactivity/index.js
 
 // Re-export all the reactivity functions from reactive.js
-export { reactive, ref, computed, effect } from './reactive.js';
+export {
+    reactive,
+    ref,
+    computed,
+    effect,
+    stop,
+    shallowReactive,
+    readonly,
+    shallowReadonly,
+    shallowRef,
+    triggerRef,
+    isRef,
+    unref,
+    toRef,
+    toRefs,
+    toRaw,
+    markRaw,
+    isReactive,
+    isReadonly,
+    isShallow,
+    isProxy,
+    track,
+    trigger
+} from './reactive.js';
+
+export {
+    EffectScope,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose
+} from './effect-scope.js';
 
 // Export new Signals-based reactivity system
 export {
@@ -16,5 +46,7 @@ export {
     getCurrentListener,
     queueEffect,
     isBatchingUpdates,
-    signalWithEquals
+    signalWithEquals,
+    toSignal,
+    fromSignal
 } from './signals/index.js';
\ No newline at end of file
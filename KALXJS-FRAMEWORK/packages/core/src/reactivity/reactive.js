@@ -1,55 +1,744 @@
 // packages/core/src/reactivity/reactive.js
 
+import { recordEffectScope } from './effect-scope.js';
+
 // Current active effect
 let activeEffect = null;
 
+// Whether reads should currently be tracked (paused during array mutations)
+let shouldTrack = true;
+
+// Internal flags read through the proxy `get` trap
+export const ReactiveFlags = {
+    SKIP: '__k_skip',
+    IS_REACTIVE: '__k_isReactive',
+    IS_READONLY: '__k_isReadonly',
+    IS_SHALLOW: '__k_isShallow',
+    IS_REF: '__k_isRef',
+    RAW: '__k_raw'
+};
+
+// Trigger operation types
+export const TriggerOpTypes = {
+    SET: 'set',
+    ADD: 'add',
+    DELETE: 'delete',
+    CLEAR: 'clear'
+};
+
+// Keys used to track iteration (for...in, Object.keys, Map/Set iteration)
+const ITERATE_KEY = Symbol('iterate');
+const MAP_KEY_ITERATE_KEY = Symbol('Map key iterate');
+
+// Raw object -> proxy caches, so the same target always yields the same proxy
+const reactiveMap = new WeakMap();
+const shallowReactiveMap = new WeakMap();
+const readonlyMap = new WeakMap();
+const shallowReadonlyMap = new WeakMap();
+
+// Target categories
+const TargetType = {
+    INVALID: 0,
+    COMMON: 1,
+    COLLECTION: 2
+};
+
+const hasOwn = (target, key) => Object.prototype.hasOwnProperty.call(target, key);
+const isObject = (value) => value !== null && typeof value === 'object';
+const isIntegerKey = (key) =>
+    typeof key === 'string' && key !== 'NaN' && key[0] !== '-' && String(parseInt(key, 10)) === key;
+const hasChanged = (value, oldValue) => !Object.is(value, oldValue);
+const toRawType = (value) => Object.prototype.toString.call(value).slice(8, -1);
+
+// Symbols built into the language are never tracked (Symbol.iterator, etc.)
+const builtInSymbols = new Set(
+    Object.getOwnPropertyNames(Symbol)
+        .filter(key => key !== 'arguments' && key !== 'caller')
+        .map(key => Symbol[key])
+        .filter(value => typeof value === 'symbol')
+);
+
+function getTargetType(target) {
+    if (target[ReactiveFlags.SKIP] || !Object.isExtensible(target)) {
+        return TargetType.INVALID;
+    }
+
+    switch (toRawType(target)) {
+        case 'Object':
+        case 'Array':
+            return TargetType.COMMON;
+        case 'Map':
+        case 'Set':
+        case 'WeakMap':
+        case 'WeakSet':
+            return TargetType.COLLECTION;
+        default:
+            return TargetType.INVALID;
+    }
+}
+
+function getProxyMap(isReadonly, shallow) {
+    if (isReadonly) {
+        return shallow ? shallowReadonlyMap : readonlyMap;
+    }
+    return shallow ? shallowReactiveMap : reactiveMap;
+}
+
+const toReactive = (value) => (isObject(value) ? reactive(value) : value);
+const toReadonly = (value) => (isObject(value) ? readonly(value) : value);
+const toShallow = (value) => value;
+
+// Previous shouldTrack values, so pause/reset calls can nest
+const trackStack = [];
+
 /**
- * Creates a reactive object
+ * Pauses dependency tracking
+ * @private
+ */
+function pauseTracking() {
+    trackStack.push(shouldTrack);
+    shouldTrack = false;
+}
+
+/**
+ * Restores dependency tracking to its state before the last pauseTracking()
+ * @private
+ */
+function resetTracking() {
+    const last = trackStack.pop();
+    shouldTrack = last === undefined ? true : last;
+}
+
+/**
+ * Creates a reactive object.
+ *
+ * Nested objects are wrapped lazily on access, arrays track index and length
+ * changes, and Map/Set/WeakMap/WeakSet are instrumented through collection
+ * handlers. The same raw object always returns the same proxy.
  * @param {Object} target - Object to make reactive
  * @returns {Proxy} Reactive object
  */
 export function reactive(target) {
-    const handlers = {
-        get(target, key, receiver) {
-            const result = Reflect.get(target, key, receiver);
+    // Reactive over a readonly proxy stays readonly
+    if (isReadonly(target)) {
+        return target;
+    }
+    return createReactiveObject(target, false, false);
+}
+
+/**
+ * Creates a reactive object that only tracks its own root-level properties.
+ * Nested values are returned as-is.
+ * @param {Object} target - Object to make shallowly reactive
+ * @returns {Proxy} Shallow reactive object
+ */
+export function shallowReactive(target) {
+    return createReactiveObject(target, false, true);
+}
+
+/**
+ * Creates a deeply readonly proxy. Writes and deletes are rejected with a
+ * warning; reading through a readonly proxy of reactive state still tracks.
+ * @param {Object} target - Object, reactive object or ref
+ * @returns {Proxy} Readonly proxy
+ */
+export function readonly(target) {
+    return createReactiveObject(target, true, false);
+}
+
+/**
+ * Creates a readonly proxy that only protects root-level properties
+ * @param {Object} target - Object to wrap
+ * @returns {Proxy} Shallow readonly proxy
+ */
+export function shallowReadonly(target) {
+    return createReactiveObject(target, true, true);
+}
+
+function createReactiveObject(target, isReadonly, shallow) {
+    if (!isObject(target)) {
+        return target;
+    }
+
+    // Already a proxy, unless we're making a reactive proxy readonly
+    if (target[ReactiveFlags.RAW] && !(isReadonly && target[ReactiveFlags.IS_REACTIVE])) {
+        return target;
+    }
+
+    const proxyMap = getProxyMap(isReadonly, shallow);
+    const existingProxy = proxyMap.get(target);
+    if (existingProxy) {
+        return existingProxy;
+    }
+
+    const targetType = getTargetType(target);
+    if (targetType === TargetType.INVALID) {
+        return target;
+    }
+
+    const handlers = targetType === TargetType.COLLECTION
+        ? createCollectionHandlers(isReadonly, shallow)
+        : createBaseHandlers(isReadonly, shallow);
+    const proxy = new Proxy(target, handlers);
+    proxyMap.set(target, proxy);
+    return proxy;
+}
+
+/**
+ * Checks whether a value is a reactive proxy (including a readonly proxy
+ * created over reactive state)
+ * @param {any} value - Value to check
+ * @returns {boolean} True if reactive
+ */
+export function isReactive(value) {
+    if (isReadonly(value)) {
+        return isReactive(value[ReactiveFlags.RAW]);
+    }
+    return !!(value && value[ReactiveFlags.IS_REACTIVE]);
+}
+
+/**
+ * Checks whether a value is a readonly proxy
+ * @param {any} value - Value to check
+ * @returns {boolean} True if readonly
+ */
+export function isReadonly(value) {
+    return !!(value && value[ReactiveFlags.IS_READONLY]);
+}
+
+/**
+ * Checks whether a value is a shallow proxy or shallow ref
+ * @param {any} value - Value to check
+ * @returns {boolean} True if shallow
+ */
+export function isShallow(value) {
+    return !!(value && value[ReactiveFlags.IS_SHALLOW]);
+}
+
+/**
+ * Checks whether a value is any proxy created by reactive() or readonly()
+ * @param {any} value - Value to check
+ * @returns {boolean} True if proxy
+ */
+export function isProxy(value) {
+    return isReactive(value) || isReadonly(value);
+}
+
+/**
+ * Returns the raw object behind a reactive or readonly proxy
+ * @param {any} observed - Possibly reactive value
+ * @returns {any} Raw value
+ */
+export function toRaw(observed) {
+    const raw = observed && observed[ReactiveFlags.RAW];
+    return raw ? toRaw(raw) : observed;
+}
+
+/**
+ * Marks an object so it is never converted to a proxy. Useful for
+ * third-party class instances such as chart or map SDK objects.
+ * @param {Object} value - Object to mark
+ * @returns {Object} The same object
+ */
+export function markRaw(value) {
+    if (isObject(value) && Object.isExtensible(value)) {
+        Object.defineProperty(value, ReactiveFlags.SKIP, {
+            configurable: true,
+            enumerable: false,
+            value: true
+        });
+    }
+    return value;
+}
+
+// Array methods that need identity-aware lookups or must not track length
+const arrayInstrumentations = createArrayInstrumentations();
+
+function createArrayInstrumentations() {
+    const instrumentations = {};
+
+    // Search methods compare against raw values so proxies and raws both match
+    ['includes', 'indexOf', 'lastIndexOf'].forEach(key => {
+        instrumentations[key] = function (...args) {
+            const arr = toRaw(this);
+            for (let i = 0, l = this.length; i < l; i++) {
+                track(arr, String(i));
+            }
+            const result = arr[key](...args);
+            if (result === -1 || result === false) {
+                // Retry with raw arguments in case a proxy was passed in
+                return arr[key](...args.map(toRaw));
+            }
+            return result;
+        };
+    });
+
+    // Length-mutating methods read length internally; tracking it would
+    // make an effect that pushes to an array re-trigger itself. They move
+    // items one index at a time, so they run as a batch: effects only see
+    // the array once the method is done.
+    ['push', 'pop', 'shift', 'unshift', 'splice'].forEach(key => {
+        instrumentations[key] = function (...args) {
+            pauseTracking();
+            try {
+                return batch(() => toRaw(this)[key].apply(this, args));
+            } finally {
+                resetTracking();
+            }
+        };
+    });
+
+    // Reordering methods also set one index at a time
+    ['reverse', 'sort', 'fill', 'copyWithin'].forEach(key => {
+        instrumentations[key] = function (...args) {
+            return batch(() => toRaw(this)[key].apply(this, args));
+        };
+    });
+
+    return instrumentations;
+}
+
+function createBaseHandlers(isReadonly, shallow) {
+    const get = function (target, key, receiver) {
+        if (key === ReactiveFlags.IS_REACTIVE) {
+            return !isReadonly;
+        }
+        if (key === ReactiveFlags.IS_READONLY) {
+            return isReadonly;
+        }
+        if (key === ReactiveFlags.IS_SHALLOW) {
+            return shallow;
+        }
+        if (key === ReactiveFlags.RAW) {
+            return receiver === getProxyMap(isReadonly, shallow).get(target) ? target : undefined;
+        }
+
+        const targetIsArray = Array.isArray(target);
+        if (!isReadonly && targetIsArray && hasOwn(arrayInstrumentations, key)) {
+            return Reflect.get(arrayInstrumentations, key, receiver);
+        }
+
+        const result = Reflect.get(target, key, receiver);
+
+        if (typeof key === 'symbol' && builtInSymbols.has(key)) {
+            return result;
+        }
+
+        if (!isReadonly) {
             track(target, key);
+        }
+
+        if (shallow) {
             return result;
-        },
+        }
+
+        // Nested objects are wrapped lazily, on first access
+        return isReadonly ? toReadonly(result) : toReactive(result);
+    };
+
+    if (isReadonly) {
+        return {
+            get,
+            set(target, key) {
+                console.warn(`Cannot set key "${String(key)}" on a readonly object`);
+                return true;
+            },
+            deleteProperty(target, key) {
+                console.warn(`Cannot delete key "${String(key)}" from a readonly object`);
+                return true;
+            }
+        };
+    }
+
+    return {
+        get,
+
         set(target, key, value, receiver) {
-            const oldValue = target[key];
+            let oldValue = target[key];
+            if (!shallow) {
+                value = toRaw(value);
+                oldValue = toRaw(oldValue);
+            }
+
+            const hadKey = Array.isArray(target) && isIntegerKey(key)
+                ? Number(key) < target.length
+                : hasOwn(target, key);
             const result = Reflect.set(target, key, value, receiver);
-            if (oldValue !== value) {
-                trigger(target, key);
+
+            // Don't trigger if the write went through to a prototype proxy
+            if (target === toRaw(receiver)) {
+                if (!hadKey) {
+                    trigger(target, TriggerOpTypes.ADD, key, value);
+                } else if (hasChanged(value, oldValue)) {
+                    trigger(target, TriggerOpTypes.SET, key, value);
+                }
             }
             return result;
+        },
+
+        deleteProperty(target, key) {
+            const hadKey = hasOwn(target, key);
+            const result = Reflect.deleteProperty(target, key);
+            if (result && hadKey) {
+                trigger(target, TriggerOpTypes.DELETE, key, undefined);
+            }
+            return result;
+        },
+
+        has(target, key) {
+            const result = Reflect.has(target, key);
+            if (typeof key !== 'symbol' || !builtInSymbols.has(key)) {
+                track(target, key);
+            }
+            return result;
+        },
+
+        ownKeys(target) {
+            track(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+            return Reflect.ownKeys(target);
+        }
+    };
+}
+
+/**
+ * Builds the instrumented methods used for Map, Set, WeakMap and WeakSet
+ * @private
+ */
+function createCollectionInstrumentations(isReadonly, shallow) {
+    const wrap = shallow ? toShallow : isReadonly ? toReadonly : toReactive;
+
+    function get(key) {
+        // Read through `this` so readonly(reactive(map)) still tracks
+        const target = this[ReactiveFlags.RAW];
+        const rawTarget = toRaw(target);
+        const rawKey = toRaw(key);
+        if (!isReadonly) {
+            track(rawTarget, rawKey);
+        }
+        const { has } = Object.getPrototypeOf(rawTarget);
+        if (has.call(rawTarget, key)) {
+            return wrap(target.get(key));
+        }
+        if (has.call(rawTarget, rawKey)) {
+            return wrap(target.get(rawKey));
+        }
+        if (target !== rawTarget) {
+            // Track the key on the inner reactive collection
+            target.get(key);
+        }
+        return undefined;
+    }
+
+    function has(key) {
+        const target = this[ReactiveFlags.RAW];
+        const rawTarget = toRaw(target);
+        const rawKey = toRaw(key);
+        if (!isReadonly) {
+            track(rawTarget, rawKey);
+        }
+        return key === rawKey
+            ? target.has(key)
+            : target.has(key) || target.has(rawKey);
+    }
+
+    function size(observed) {
+        const target = observed[ReactiveFlags.RAW];
+        if (!isReadonly) {
+            track(toRaw(target), ITERATE_KEY);
+        }
+        return Reflect.get(target, 'size', target);
+    }
+
+    function forEach(callback, thisArg) {
+        const observed = this;
+        const target = observed[ReactiveFlags.RAW];
+        if (!isReadonly) {
+            track(toRaw(target), ITERATE_KEY);
         }
+        return target.forEach((value, key) =>
+            callback.call(thisArg, wrap(value), wrap(key), observed)
+        );
+    }
+
+    function createIterableMethod(method) {
+        return function (...args) {
+            const target = this[ReactiveFlags.RAW];
+            const rawTarget = toRaw(target);
+            const targetIsMap = rawTarget instanceof Map;
+            const isPair = method === 'entries' || (method === Symbol.iterator && targetIsMap);
+            const isKeyOnly = method === 'keys' && targetIsMap;
+            const innerIterator = target[method](...args);
+
+            if (!isReadonly) {
+                track(rawTarget, isKeyOnly ? MAP_KEY_ITERATE_KEY : ITERATE_KEY);
+            }
+
+            return {
+                next() {
+                    const { value, done } = innerIterator.next();
+                    return done
+                        ? { value, done }
+                        : {
+                            value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value),
+                            done
+                        };
+                },
+                [Symbol.iterator]() {
+                    return this;
+                }
+            };
+        };
+    }
+
+    function createReadonlyMethod(type) {
+        return function (key) {
+            console.warn(`Cannot ${type} ${key !== undefined ? `key "${String(key)}" ` : ''}on a readonly collection`);
+            return type === TriggerOpTypes.DELETE ? false : this;
+        };
+    }
+
+    const instrumentations = {
+        get,
+        has,
+        get size() {
+            return size(this);
+        },
+        forEach
     };
 
-    return new Proxy(target, handlers);
+    if (isReadonly) {
+        instrumentations.add = createReadonlyMethod(TriggerOpTypes.ADD);
+        instrumentations.set = createReadonlyMethod(TriggerOpTypes.SET);
+        instrumentations.delete = createReadonlyMethod(TriggerOpTypes.DELETE);
+        instrumentations.clear = createReadonlyMethod(TriggerOpTypes.CLEAR);
+    } else {
+        Object.assign(instrumentations, createCollectionMutations(shallow));
+    }
+
+    ['keys', 'values', 'entries', Symbol.iterator].forEach(method => {
+        instrumentations[method] = createIterableMethod(method);
+    });
+
+    return instrumentations;
 }
 
 /**
- * Creates a reactive reference
- * @param {any} value - Initial value
- * @returns {Object} Reactive reference
+ * Builds the mutating Map/Set methods, which trigger on the raw collection
+ * @private
  */
-export function ref(value) {
+function createCollectionMutations(shallow) {
+    function add(value) {
+        if (!shallow) {
+            value = toRaw(value);
+        }
+        const target = toRaw(this);
+        if (!target.has(value)) {
+            target.add(value);
+            trigger(target, TriggerOpTypes.ADD, value, value);
+        }
+        return this;
+    }
+
+    function set(key, value) {
+        if (!shallow) {
+            value = toRaw(value);
+        }
+        const target = toRaw(this);
+        let hadKey = target.has(key);
+        if (!hadKey) {
+            key = toRaw(key);
+            hadKey = target.has(key);
+        }
+        const oldValue = target.get(key);
+        target.set(key, value);
+        if (!hadKey) {
+            trigger(target, TriggerOpTypes.ADD, key, value);
+        } else if (hasChanged(value, oldValue)) {
+            trigger(target, TriggerOpTypes.SET, key, value);
+        }
+        return this;
+    }
+
+    function deleteEntry(key) {
+        const target = toRaw(this);
+        let hadKey = target.has(key);
+        if (!hadKey) {
+            key = toRaw(key);
+            hadKey = target.has(key);
+        }
+        const result = target.delete(key);
+        if (hadKey) {
+            trigger(target, TriggerOpTypes.DELETE, key, undefined);
+        }
+        return result;
+    }
+
+    function clear() {
+        const target = toRaw(this);
+        const hadItems = target.size !== 0;
+        const result = target.clear();
+        if (hadItems) {
+            trigger(target, TriggerOpTypes.CLEAR, undefined, undefined);
+        }
+        return result;
+    }
+
+    return { add, set, delete: deleteEntry, clear };
+}
+
+const collectionInstrumentations = {
+    reactive: createCollectionInstrumentations(false, false),
+    shallowReactive: createCollectionInstrumentations(false, true),
+    readonly: createCollectionInstrumentations(true, false),
+    shallowReadonly: createCollectionInstrumentations(true, true)
+};
+
+function createCollectionHandlers(isReadonly, shallow) {
+    const instrumentations = isReadonly
+        ? (shallow ? collectionInstrumentations.shallowReadonly : collectionInstrumentations.readonly)
+        : (shallow ? collectionInstrumentations.shallowReactive : collectionInstrumentations.reactive);
+
+    return {
+        get(target, key, receiver) {
+            if (key === ReactiveFlags.IS_REACTIVE) {
+                return !isReadonly;
+            }
+            if (key === ReactiveFlags.IS_READONLY) {
+                return isReadonly;
+            }
+            if (key === ReactiveFlags.IS_SHALLOW) {
+                return shallow;
+            }
+            if (key === ReactiveFlags.RAW) {
+                return target;
+            }
+
+            return Reflect.get(
+                hasOwn(instrumentations, key) && key in target ? instrumentations : target,
+                key,
+                receiver
+            );
+        }
+    };
+}
+
+/**
+ * Checks whether a value is a ref
+ * @param {any} value - Value to check
+ * @returns {boolean} True if the value is a ref
+ */
+export function isRef(value) {
+    return !!(value && value[ReactiveFlags.IS_REF] === true);
+}
+
+/**
+ * Returns the inner value of a ref, or the value itself if it isn't one
+ * @param {any} value - Ref or plain value
+ * @returns {any} Unwrapped value
+ */
+export function unref(value) {
+    return isRef(value) ? value.value : value;
+}
+
+function createRef(value, shallow) {
+    if (isRef(value)) {
+        return value;
+    }
+
     const r = {
-        _value: value,
+        [ReactiveFlags.IS_REF]: true,
+        [ReactiveFlags.IS_SHALLOW]: shallow,
+        _rawValue: shallow ? value : toRaw(value),
+        _value: shallow ? value : toReactive(value),
         get value() {
             track(r, 'value');
             return this._value;
         },
         set value(newValue) {
-            if (this._value !== newValue) {
-                this._value = newValue;
-                trigger(r, 'value');
+            newValue = shallow ? newValue : toRaw(newValue);
+            if (hasChanged(newValue, this._rawValue)) {
+                this._rawValue = newValue;
+                this._value = shallow ? newValue : toReactive(newValue);
+                trigger(r, TriggerOpTypes.SET, 'value', newValue);
             }
         }
     };
     return r;
 }
 
+/**
+ * Creates a reactive reference. Object values are made deeply reactive.
+ * @param {any} value - Initial value
+ * @returns {Object} Reactive reference
+ */
+export function ref(value) {
+    return createRef(value, false);
+}
+
+/**
+ * Creates a reference that only tracks replacement of `.value`. The inner
+ * value is stored as-is; use triggerRef() after mutating it in place.
+ * @param {any} value - Initial value
+ * @returns {Object} Shallow reference
+ */
+export function shallowRef(value) {
+    return createRef(value, true);
+}
+
+/**
+ * Forces effects that depend on a ref to run, e.g. after mutating the
+ * inner value of a shallowRef
+ * @param {Object} r - Ref to trigger
+ */
+export function triggerRef(r) {
+    const target = toRaw(r);
+    trigger(target, TriggerOpTypes.SET, 'value', target._value);
+}
+
+/**
+ * Creates a ref bound to a property of a reactive object. Reading and
+ * writing the ref reads and writes the source property.
+ * @param {Object} object - Source object
+ * @param {string} key - Property name
+ * @param {any} [defaultValue] - Value returned when the property is undefined
+ * @returns {Object} Property ref
+ */
+export function toRef(object, key, defaultValue) {
+    const existing = object[key];
+    if (isRef(existing)) {
+        return existing;
+    }
+
+    return {
+        [ReactiveFlags.IS_REF]: true,
+        get value() {
+            const value = object[key];
+            return value === undefined ? defaultValue : value;
+        },
+        set value(newValue) {
+            object[key] = newValue;
+        }
+    };
+}
+
+/**
+ * Converts every property of a reactive object into a ref bound to it, so
+ * the result can be destructured without losing reactivity
+ * @param {Object} object - Reactive object
+ * @returns {Object} Object of refs
+ */
+export function toRefs(object) {
+    if (!isProxy(object)) {
+        console.warn('toRefs() expects a reactive object but received a plain one');
+    }
+
+    const result = Array.isArray(object) ? new Array(object.length) : {};
+    for (const key in object) {
+        result[key] = toRef(object, key);
+    }
+    return result;
+}
+
 /**
  * Creates a computed property
  * @param {Function} getter - Getter function
@@ -64,12 +753,15 @@ export function computed(getter) {
         scheduler: () => {
             if (!dirty) {
                 dirty = true;
-                trigger(computedRef, 'value');
+                trigger(computedRef, TriggerOpTypes.SET, 'value');
             }
         }
     });
+    // Marked dirty right away even inside batch(), so reading it there isn't stale
+    runner.computed = true;
 
     const computedRef = {
+        [ReactiveFlags.IS_REF]: true,
         get value() {
             if (dirty) {
                 value = runner();
@@ -84,13 +776,19 @@ export function computed(getter) {
 }
 
 /**
- * Creates a reactive effect
+ * Creates a reactive effect. The effect is collected by the active effect
+ * scope (or `options.scope`) so it is stopped together with that scope.
  * @param {Function} fn - Effect function
  * @param {Object} options - Effect options
+ * @param {boolean} [options.lazy] - Don't run the effect immediately
+ * @param {Function} [options.scheduler] - Called instead of the effect when a dependency changes
+ * @param {Function} [options.onStop] - Called when the effect is stopped
+ * @param {EffectScope} [options.scope] - Scope to record the effect into
  * @returns {Function} Effect runner
  */
 export function effect(fn, options = {}) {
     const effect = createReactiveEffect(fn, options);
+    recordEffectScope(effect, options.scope);
 
     if (!options.lazy) {
         effect();
@@ -99,12 +797,33 @@ export function effect(fn, options = {}) {
     return effect;
 }
 
+/**
+ * Stops an effect: removes it from every dependency it was subscribed to so
+ * it no longer re-runs. Calling the runner afterwards runs fn untracked.
+ * @param {Function} effect - Effect runner returned by effect()
+ */
+export function stop(effect) {
+    if (effect && effect.active) {
+        cleanup(effect);
+        if (effect.options.onStop) {
+            effect.options.onStop();
+        }
+        effect.active = false;
+    }
+}
+
 // Internal helpers
 const targetMap = new WeakMap();
 
-function track(target, key) {
+/**
+ * Records that the active effect depends on `target[key]`. Exported so other
+ * primitives (signals) can share the same dependency graph.
+ * @param {Object} target - Raw target object
+ * @param {any} key - Property key
+ */
+export function track(target, key) {
     // Only track if we have an active effect and a valid target
-    if (activeEffect && target) {
+    if (shouldTrack && activeEffect && target) {
         let depsMap = targetMap.get(target);
         if (!depsMap) {
             targetMap.set(target, (depsMap = new Map()));
@@ -113,41 +832,202 @@ function track(target, key) {
         if (!dep) {
             depsMap.set(key, (dep = new Set()));
         }
-        dep.add(activeEffect);
+        if (!dep.has(activeEffect)) {
+            // Bookkeeping goes both ways so cleanup() can unsubscribe the effect
+            dep.add(activeEffect);
+            activeEffect.deps.push(dep);
+        }
     }
 }
 
-function trigger(target, key) {
+/**
+ * Runs (or schedules) every effect that depends on `target[key]`
+ * @param {Object} target - Raw target object
+ * @param {string} type - One of TriggerOpTypes
+ * @param {any} key - Property key
+ * @param {any} [newValue] - New value
+ */
+export function trigger(target, type, key, newValue) {
     // Check if target is valid
     if (!target) return;
 
     const depsMap = targetMap.get(target);
     if (!depsMap) return;
 
-    const effects = depsMap.get(key);
-    if (effects) {
-        // Create a new set to avoid infinite loops if an effect triggers itself
-        const effectsToRun = new Set(effects);
-        effectsToRun.forEach(effect => {
-            if (effect.scheduler) {
-                effect.scheduler();
-            } else {
-                effect();
+    // Collect every dep affected by this operation
+    const deps = [];
+    const targetIsArray = Array.isArray(target);
+    const targetIsMap = target instanceof Map;
+
+    if (type === TriggerOpTypes.CLEAR) {
+        // Clearing a collection affects every key
+        depsMap.forEach(dep => deps.push(dep));
+    } else if (targetIsArray && key === 'length') {
+        // Shrinking an array affects the length and every removed index
+        const newLength = Number(newValue);
+        depsMap.forEach((dep, depKey) => {
+            if (depKey === 'length' || (typeof depKey !== 'symbol' && Number(depKey) >= newLength)) {
+                deps.push(dep);
             }
         });
+    } else {
+        if (key !== undefined) {
+            deps.push(depsMap.get(key));
+        }
+
+        switch (type) {
+            case TriggerOpTypes.ADD:
+                if (!targetIsArray) {
+                    deps.push(depsMap.get(ITERATE_KEY));
+                    if (targetIsMap) {
+                        deps.push(depsMap.get(MAP_KEY_ITERATE_KEY));
+                    }
+                } else if (isIntegerKey(key)) {
+                    // New index on an array changes its length
+                    deps.push(depsMap.get('length'));
+                }
+                break;
+            case TriggerOpTypes.DELETE:
+                if (!targetIsArray) {
+                    deps.push(depsMap.get(ITERATE_KEY));
+                    if (targetIsMap) {
+                        deps.push(depsMap.get(MAP_KEY_ITERATE_KEY));
+                    }
+                }
+                break;
+            case TriggerOpTypes.SET:
+                if (targetIsMap) {
+                    deps.push(depsMap.get(ITERATE_KEY));
+                }
+                break;
+        }
+    }
+
+    // Create a new set to avoid infinite loops if an effect triggers itself
+    const effectsToRun = new Set();
+    deps.forEach(dep => {
+        if (dep) {
+            dep.forEach(effect => {
+                if (effect !== activeEffect && effect.active) {
+                    effectsToRun.add(effect);
+                }
+            });
+        }
+    });
+
+    effectsToRun.forEach(effect => {
+        if (batchDepth > 0 && !effect.computed) {
+            // Deferred until the outermost batch() finishes
+            batchedEffects.add(effect);
+        } else {
+            runEffect(effect);
+        }
+    });
+}
+
+function runEffect(effect) {
+    if (effect.active === false) {
+        return;
+    }
+    if (effect.scheduler) {
+        effect.scheduler();
+    } else {
+        effect();
     }
 }
 
+// Nesting depth of batch() calls and the effects they deferred
+let batchDepth = 0;
+const batchedEffects = new Set();
+
+/**
+ * Runs a function and defers every effect it triggers until it returns.
+ * Applies to both reactive()/ref() triggers and signal writes, and each
+ * affected effect runs only once.
+ * @param {Function} fn - Function containing state updates
+ * @returns {any} Return value of fn
+ */
+export function batch(fn) {
+    batchDepth++;
+    try {
+        return fn();
+    } finally {
+        if (--batchDepth === 0) {
+            flushBatchedEffects();
+        }
+    }
+}
+
+/**
+ * Checks if a batch() is currently running
+ * @returns {boolean} True while batching
+ */
+export function isBatching() {
+    return batchDepth > 0;
+}
+
+/**
+ * Defers a function to the end of the current batch, or runs it right away
+ * when not batching. The same function is only queued once.
+ * @param {Function} fn - Function to queue
+ */
+export function queueBatchedEffect(fn) {
+    if (batchDepth > 0) {
+        batchedEffects.add(fn);
+    } else {
+        fn();
+    }
+}
+
+function flushBatchedEffects() {
+    const effects = Array.from(batchedEffects);
+    batchedEffects.clear();
+
+    effects.forEach(effect => {
+        try {
+            runEffect(effect);
+        } catch (error) {
+            console.error('[KALXJS] Error in batched effect:', error);
+        }
+    });
+}
+
+/**
+ * Runs a function without tracking any dependencies it reads
+ * @param {Function} fn - Function to run untracked
+ * @returns {any} Return value of fn
+ */
+export function untrack(fn) {
+    pauseTracking();
+    try {
+        return fn();
+    } finally {
+        resetTracking();
+    }
+}
+
+/**
+ * Returns the effect currently collecting dependencies, if any
+ * @returns {Function|null} Active effect
+ */
+export function getActiveEffect() {
+    return activeEffect;
+}
+
 function createReactiveEffect(fn, options) {
     const effect = function reactiveEffect() {
         if (!effect.active) return fn();
         if (!effectStack.includes(effect)) {
             cleanup(effect);
+            // Effects always track, even when triggered from a paused section
+            const lastShouldTrack = shouldTrack;
             try {
                 effectStack.push(effect);
                 activeEffect = effect;
+                shouldTrack = true;
                 return fn();
             } finally {
+                shouldTrack = lastShouldTrack;
                 effectStack.pop();
                 // Set activeEffect to the previous effect in the stack or null if empty
                 activeEffect = effectStack.length > 0 ? effectStack[effectStack.length - 1] : null;
@@ -175,4 +1055,4 @@ function cleanup(effect) {
         }
         deps.length = 0;
     }
-}
\ No newline at end of file
+}
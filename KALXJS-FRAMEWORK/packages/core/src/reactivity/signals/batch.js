@@ -1,60 +1,25 @@
 /**
  * Batch - Signal update batching for performance
+ *
+ * Batching lives in the shared reactivity core, so batch() defers triggers
+ * from signals and from reactive()/ref() alike.
  */
 
-let isBatching = false;
-let batchedEffects = new Set();
+import { batch, isBatching, queueBatchedEffect } from '../reactive.js';
 
-/**
- * Batches multiple signal updates together
- * @param {Function} fn - Function containing signal updates
- */
-export function batch(fn) {
-    if (isBatching) {
-        return fn();
-    }
-
-    isBatching = true;
-
-    try {
-        return fn();
-    } finally {
-        isBatching = false;
-        flushBatchedEffects();
-    }
-}
+export { batch };
 
 /**
  * Adds effect to batch queue
  * @param {Object} effect - Effect to queue
  */
 export function queueEffect(effect) {
-    if (isBatching) {
-        batchedEffects.add(effect);
-    } else {
-        effect.execute();
-    }
-}
-
-/**
- * Flushes all batched effects
- */
-function flushBatchedEffects() {
-    const effects = Array.from(batchedEffects);
-    batchedEffects.clear();
-
-    effects.forEach(effect => {
-        try {
-            effect.execute();
-        } catch (error) {
-            console.error('[KALXJS] Error in batched effect:', error);
-        }
-    });
+    queueBatchedEffect(effect.execute);
 }
 
 /**
  * Checks if currently batching
  */
 export function isBatchingUpdates() {
-    return isBatching;
-}
\ No newline at end of file
+    return isBatching();
+}
@@ -7,6 +7,9 @@ export { signal, computed, effect, getCurrentListener } from './signal.js';
 export { batch, queueEffect, isBatchingUpdates } from './batch.js';
 export { untrack, createUntrackedSignal } from './untrack.js';
 export { memo, signalWithEquals } from './memo.js';
+export { toSignal, fromSignal } from './interop.js';
+
+import { signal, effect } from './signal.js';
 
 /**
  * Utility: Create a resource signal for async data
@@ -0,0 +1,52 @@
+/**
+ * Interop - Adapters between signals and refs
+ *
+ * Both sides share one dependency graph, so the adapters are thin views:
+ * nothing is copied and no extra effects are created.
+ */
+
+import { ReactiveFlags, isRef, untrack } from '../reactive.js';
+
+/**
+ * Exposes a ref (or computed) as a signal accessor
+ * @param {Object} r - Ref to adapt
+ * @returns {Function} Signal accessor with set/update/peek
+ */
+export function toSignal(r) {
+    if (!isRef(r)) {
+        console.warn('toSignal() expects a ref');
+    }
+
+    const read = () => r.value;
+
+    read.set = (nextValue) => {
+        r.value = typeof nextValue === 'function' ? nextValue(r.value) : nextValue;
+    };
+    read.update = (fn) => read.set(fn(r.value));
+    read.peek = () => untrack(() => r.value);
+    read[Symbol.toStringTag] = 'Signal';
+
+    return read;
+}
+
+/**
+ * Exposes a signal as a ref, so it can be used anywhere a ref is expected
+ * (templates, watch(), toRefs consumers)
+ * @param {Function} sig - Signal accessor
+ * @returns {Object} Ref whose value reads and writes the signal
+ */
+export function fromSignal(sig) {
+    return {
+        [ReactiveFlags.IS_REF]: true,
+        get value() {
+            return sig();
+        },
+        set value(newValue) {
+            if (typeof sig.set !== 'function') {
+                console.warn('Cannot set a ref created from a read-only signal');
+                return;
+            }
+            sig.set(newValue);
+        }
+    };
+}
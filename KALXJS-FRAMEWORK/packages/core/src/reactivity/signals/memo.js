@@ -37,26 +37,5 @@ export function memo(computation, equals) {
  * @returns {Function} Signal with custom equality
  */
 export function signalWithEquals(initialValue, equals) {
-    const equalsFn = equals || Object.is;
-    let value = initialValue;
-    const subscribers = new Set();
-
-    const read = () => {
-        // Track dependency...
-        return value;
-    };
-
-    const write = (nextValue) => {
-        const newValue = typeof nextValue === 'function'
-            ? nextValue(value)
-            : nextValue;
-
-        if (!equalsFn(value, newValue)) {
-            value = newValue;
-            subscribers.forEach(sub => sub.execute());
-        }
-    };
-
-    read.set = write;
-    return read;
-}
\ No newline at end of file
+    return signal(initialValue, { equals });
+}
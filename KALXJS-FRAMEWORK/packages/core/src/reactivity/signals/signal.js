@@ -2,42 +2,53 @@
  * Signal - Fine-grained reactive primitive
  * Inspired by Solid.js and Angular Signals
  * Provides direct DOM updates without Virtual DOM overhead
+ *
+ * Signals share their dependency graph with reactive()/ref(): reading a
+ * signal inside effect(), computed() or a component render subscribes to it,
+ * and signal writes are deferred by batch() like any other trigger.
  */
 
-let currentListener = null;
-const listenerStack = [];
+import {
+    track,
+    trigger,
+    effect as createEffect,
+    stop,
+    getActiveEffect,
+    TriggerOpTypes
+} from '../reactive.js';
 
 /**
  * Creates a reactive signal
  * @param {*} initialValue - Initial value
+ * @param {Object} [options] - Signal options
+ * @param {Function} [options.equals] - Equality check, defaults to Object.is
  * @returns {Function} Signal accessor/setter
  */
-export function signal(initialValue) {
-    let value = initialValue;
-    const subscribers = new Set();
+export function signal(initialValue, options = {}) {
+    const equals = options.equals || Object.is;
+
+    // The dependency target for this signal in the shared graph
+    const state = { value: initialValue };
 
     const read = () => {
-        if (currentListener) {
-            subscribers.add(currentListener);
-        }
-        return value;
+        track(state, 'value');
+        return state.value;
     };
 
     const write = (nextValue) => {
         const newValue = typeof nextValue === 'function'
-            ? nextValue(value)
+            ? nextValue(state.value)
             : nextValue;
 
-        if (!Object.is(value, newValue)) {
-            value = newValue;
-            // Notify all subscribers
-            subscribers.forEach(sub => sub.execute());
+        if (!equals(state.value, newValue)) {
+            state.value = newValue;
+            trigger(state, TriggerOpTypes.SET, 'value', newValue);
         }
     };
 
     read.set = write;
-    read.update = (fn) => write(fn(value));
-    read.subscribers = subscribers;
+    read.update = (fn) => write(fn(state.value));
+    read.peek = () => state.value;
     read[Symbol.toStringTag] = 'Signal';
 
     return read;
@@ -59,41 +70,17 @@ export function computed(computation) {
 }
 
 /**
- * Creates an effect that automatically tracks signal dependencies
+ * Creates an effect that automatically tracks signal dependencies (and any
+ * reactive()/ref() state it reads)
  * @param {Function} fn - Effect function
  * @returns {Object} Effect controller
  */
 export function effect(fn) {
-    const execute = () => {
-        cleanup();
-        listenerStack.push(currentListener);
-        currentListener = effectInstance;
-
-        try {
-            return fn();
-        } finally {
-            currentListener = listenerStack.pop();
-        }
-    };
-
-    const cleanup = () => {
-        effectInstance.dependencies.forEach(dep => {
-            dep.delete(effectInstance);
-        });
-        effectInstance.dependencies.clear();
-    };
-
-    const effectInstance = {
-        execute,
-        cleanup,
-        dependencies: new Set()
-    };
-
-    execute();
+    const runner = createEffect(fn);
 
     return {
-        dispose: cleanup,
-        run: execute
+        dispose: () => stop(runner),
+        run: () => runner()
     };
 }
 
@@ -101,5 +88,5 @@ export function effect(fn) {
  * Returns current listener (for debugging)
  */
 export function getCurrentListener() {
-    return currentListener;
-}
\ No newline at end of file
+    return getActiveEffect();
+}
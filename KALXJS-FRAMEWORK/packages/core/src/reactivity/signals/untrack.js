@@ -2,25 +2,9 @@
  * Untrack - Break reactivity tracking temporarily
  */
 
-import { getCurrentListener } from './signal.js';
-
-let currentListener = null;
-
-/**
- * Runs a function without tracking signal dependencies
- * @param {Function} fn - Function to run untracked
- * @returns {*} Result of the function
- */
-export function untrack(fn) {
-    const prevListener = getCurrentListener();
-    currentListener = null;
-
-    try {
-        return fn();
-    } finally {
-        currentListener = prevListener;
-    }
-}
+// untrack() pauses tracking in the shared reactivity core, so neither
+// signal reads nor reactive()/ref() reads inside it are tracked
+export { untrack } from '../reactive.js';
 
 /**
  * Creates a signal that doesn't track dependencies
@@ -36,4 +20,4 @@ export function createUntrackedSignal(initialValue) {
     };
 
     return read;
-}
\ No newline at end of file
+}
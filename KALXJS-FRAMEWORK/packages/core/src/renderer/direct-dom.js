@@ -0,0 +1,260 @@
+// packages/core/src/renderer/direct-dom.js
+
+import { effect } from '../reactivity/signals/signal.js';
+import { untrack } from '../reactivity/signals/untrack.js';
+import { effectScope, getCurrentScope, onScopeDispose } from '../reactivity/effect-scope.js';
+import { h, createHostVNode } from '../vdom/vdom.js';
+import { renderList } from '../vdom/render-helpers.js';
+import { getCurrentRenderingInstance, setCurrentRenderingInstance } from '../vdom/directives.js';
+import { baseCreateRenderer } from './renderer.js';
+import { domNodeOps } from './node-ops.js';
+
+/**
+ * Runtime of templates compiled in DOM mode (`<template mode="dom">`)
+ *
+ * Their render function doesn't return vnodes to diff. It clones a static
+ * <template> and binds every dynamic text node, attribute, v-if and v-for
+ * to a signal effect of its own, so a change only touches the DOM node that
+ * depends on it. The component renders once; its DOM is handed to the
+ * renderer as a single HostNode vnode.
+ *
+ * @module @kalxjs/core/renderer/direct-dom
+ */
+
+// Renders the components used inside DOM templates
+let componentRenderer = null;
+
+/**
+ * Runs the render function of a DOM template, collecting its effects into a
+ * scope that is stopped when the renderer removes the DOM
+ * @param {Function} render - Builds the DOM
+ * @returns {Object} HostNode vnode
+ */
+export function renderDOM(render) {
+    const scope = effectScope();
+    return createHostVNode(scope.run(render), scope);
+}
+
+/**
+ * Creates a function cloning the DOM of an HTML string. The string is
+ * parsed on the first call.
+ * @param {string} html - Static HTML of the template
+ * @returns {Function} Returns a copy of the node, or a fragment for several nodes
+ */
+export function createDOMTemplate(html) {
+    let content = null;
+    return () => {
+        if (!content) {
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            content = template.content.childNodes.length === 1 ? template.content.firstChild : template.content;
+        }
+        return content.cloneNode(true);
+    };
+}
+
+/**
+ * Runs a function now and again whenever a signal or reactive state it read changes
+ * @param {Function} fn - Updates the DOM
+ * @returns {Function} Stops the effect
+ */
+export function renderEffect(fn) {
+    return effect(fn).dispose;
+}
+
+/**
+ * Sets the text of a text node
+ * @param {Text} node - Text node
+ * @param {*} value - Text
+ */
+export function setDOMText(node, value) {
+    const text = value == null ? '' : String(value);
+    if (node.data !== text) {
+        node.data = text;
+    }
+}
+
+/**
+ * Sets an attribute, DOM property, class, style or event handler of an
+ * element, like the renderer does for vnode props
+ * @param {HTMLElement} el - Element
+ * @param {string} key - Prop name
+ * @param {*} value - New value
+ */
+export function setDOMProp(el, key, value) {
+    const props = el._domProps || (el._domProps = {});
+    const prev = props[key];
+    if (prev !== value) {
+        props[key] = value;
+        domNodeOps.patchProp(el, key, prev, value);
+    }
+}
+
+/**
+ * v-show: hides an element with `display: none`, keeping its own display otherwise
+ * @param {HTMLElement} el - Element
+ * @param {*} value - Whether to show it
+ */
+export function setDOMShow(el, value) {
+    if (el._vod === undefined) {
+        el._vod = el.style.display === 'none' ? '' : el.style.display;
+    }
+    el.style.display = value ? el._vod : 'none';
+}
+
+/**
+ * v-if / v-else-if / v-else: renders the branch picked by `getBranch` before
+ * an anchor, replacing the previous one when the pick changes
+ * @param {Node} anchor - Comment marking the place of the branches
+ * @param {Function} getBranch - Returns the index of the branch to render, or -1
+ * @param {Array<Function>} branches - Build the DOM of each branch
+ */
+export function createDOMIf(anchor, getBranch, branches) {
+    const owner = getBlockOwner();
+    let current = -1;
+    let block = null;
+
+    renderEffect(() => {
+        const index = getBranch();
+        if (index === current) {
+            return;
+        }
+        current = index;
+
+        if (block) {
+            removeBlock(block);
+            block = null;
+        }
+        if (index >= 0) {
+            block = mountBlock(branches[index], [], anchor, owner);
+        }
+    });
+}
+
+/**
+ * v-for: renders an item before an anchor for every entry of the source.
+ * When the source changes, items with the same key (the index without one)
+ * and the same arguments are kept and moved, the others are rebuilt.
+ * @param {Node} anchor - Comment marking the end of the list
+ * @param {Function} getSource - Returns the list source, see renderList()
+ * @param {Function} renderItem - Builds the DOM of an item from (item, index) or (value, key, index)
+ * @param {Function} [getKey] - Returns the key of an item from the same arguments
+ */
+export function createDOMFor(anchor, getSource, renderItem, getKey) {
+    const owner = getBlockOwner();
+    let blocks = [];
+
+    renderEffect(() => {
+        const kept = new Set();
+        const oldByKey = new Map(blocks.map(block => [block.key, block]));
+
+        const next = renderList(getSource(), (...args) => {
+            const key = getKey ? getKey(...args) : args[args.length - 1];
+            const old = oldByKey.get(key);
+
+            // Only the arguments the item reads decide whether it can be kept
+            if (old && !kept.has(old) && isSameArgs(old.args, args, renderItem.length)) {
+                kept.add(old);
+                return old;
+            }
+            return { key, args, nodes: null };
+        });
+
+        untrack(() => {
+            blocks.forEach(block => {
+                if (!kept.has(block)) {
+                    removeBlock(block);
+                }
+            });
+
+            // Walk backwards so the next block is always in place to insert before
+            let nextNode = anchor;
+            for (let i = next.length - 1; i >= 0; i--) {
+                const block = next[i];
+                if (!block.nodes) {
+                    Object.assign(block, mountBlock(renderItem, block.args, nextNode, owner));
+                } else if (block.nodes[block.nodes.length - 1].nextSibling !== nextNode) {
+                    block.nodes.forEach(node => nextNode.parentNode.insertBefore(node, nextNode));
+                }
+                nextNode = block.nodes[0];
+            }
+        });
+        blocks = next;
+    });
+}
+
+/**
+ * Mounts a component before an anchor through the virtual DOM renderer and
+ * patches it whenever its props change
+ * @param {Node} anchor - Comment marking the place of the component
+ * @param {Object|Function} component - Component
+ * @param {Function} getProps - Returns the props of the component
+ */
+export function createDOMComponent(anchor, component, getProps) {
+    const renderer = componentRenderer || (componentRenderer = baseCreateRenderer(domNodeOps));
+    const parent = getCurrentRenderingInstance();
+    let vnode = null;
+
+    renderEffect(() => {
+        const next = h(component, getProps());
+
+        // What the component reads while it renders is its own business
+        untrack(() => renderer.patch(vnode, next, anchor.parentNode, anchor, parent));
+        vnode = next;
+    });
+
+    onScopeDispose(() => renderer.unmount(vnode, parent, true));
+}
+
+/**
+ * Scope and component the blocks of a v-if or v-for belong to
+ * @private
+ */
+function getBlockOwner() {
+    return { scope: getCurrentScope(), instance: getCurrentRenderingInstance() };
+}
+
+/**
+ * Builds a branch or item and inserts it before an anchor. Its effects go
+ * into a scope of their own, stopped when it is removed.
+ * @private
+ */
+function mountBlock(render, args, anchor, owner) {
+    const scope = owner.scope ? owner.scope.run(() => effectScope()) : effectScope();
+    const prevInstance = setCurrentRenderingInstance(owner.instance);
+    let node;
+    try {
+        node = scope.run(() => untrack(() => render(...args)));
+    } finally {
+        setCurrentRenderingInstance(prevInstance);
+    }
+
+    // A fragment empties as it is inserted
+    const nodes = node.nodeType === 11 ? Array.from(node.childNodes) : [node];
+    anchor.parentNode.insertBefore(node, anchor);
+    return { nodes, scope, args };
+}
+
+/**
+ * @private
+ */
+function removeBlock(block) {
+    block.scope.stop();
+    block.nodes.forEach(node => {
+        if (node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+    });
+}
+
+/**
+ * @private
+ */
+function isSameArgs(prev, next, count) {
+    for (let i = 0; i < count; i++) {
+        if (!Object.is(prev[i], next[i])) {
+            return false;
+        }
+    }
+    return true;
+}
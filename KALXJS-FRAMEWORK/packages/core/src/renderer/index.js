@@ -1,16 +1,27 @@
 // packages/core/src/renderer/index.js
 
 import { createCustomRenderer } from './custom-renderer.js';
+import { baseCreateRenderer, Text, Comment } from './renderer.js';
+import { domNodeOps } from './node-ops.js';
 
 /**
- * Creates a new renderer
- * @param {Object} options - Renderer options
+ * Creates a new renderer.
+ *
+ * Passing host node operations (createElement, insert, ...) returns a
+ * platform-agnostic renderer, see baseCreateRenderer(). Passing a router
+ * and store returns the DOM custom renderer.
+ *
+ * @param {Object} options - Node operations or renderer options
  * @param {Object} options.router - KalxJS router instance
  * @param {Object} options.store - KalxJS store instance
  * @param {boolean} options.useCustomRenderer - Whether to use the custom renderer
  * @returns {Object} Renderer instance
  */
 export function createRenderer(options = {}) {
+    if (typeof options.createElement === 'function' && typeof options.insert === 'function') {
+        return baseCreateRenderer(options);
+    }
+
     const { router, store, useCustomRenderer = true } = options;
 
     if (useCustomRenderer) {
@@ -27,4 +38,16 @@ export function createRenderer(options = {}) {
     }
 }
 
-export { createCustomRenderer };
\ No newline at end of file
+export { createCustomRenderer, baseCreateRenderer, domNodeOps, Text, Comment };
+
+export {
+    renderDOM,
+    createDOMTemplate,
+    renderEffect,
+    setDOMText,
+    setDOMProp,
+    setDOMShow,
+    createDOMIf,
+    createDOMFor,
+    createDOMComponent
+} from './direct-dom.js';
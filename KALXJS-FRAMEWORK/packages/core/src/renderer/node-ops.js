@@ -0,0 +1,138 @@
+// packages/core/src/renderer/node-ops.js
+
+// Properties that have to be set on the element rather than as attributes
+const DOM_PROPS = ['value', 'checked', 'selected', 'muted'];
+
+/**
+ * Node operations for rendering to the browser DOM with createRenderer()
+ */
+export const domNodeOps = {
+    createElement: (tag) => document.createElement(tag),
+
+    createText: (text) => document.createTextNode(text),
+
+    createComment: (text) => document.createComment(text),
+
+    insert: (child, parent, anchor = null) => {
+        parent.insertBefore(child, anchor);
+    },
+
+    remove: (child) => {
+        const parent = child.parentNode;
+        if (parent) {
+            parent.removeChild(child);
+        }
+    },
+
+    setText: (node, text) => {
+        node.nodeValue = text;
+    },
+
+    setElementText: (el, text) => {
+        el.textContent = text;
+    },
+
+    parentNode: (node) => node.parentNode,
+
+    nextSibling: (node) => node.nextSibling,
+
+    querySelector: (selector) => document.querySelector(selector),
+
+    patchProp
+};
+
+/**
+ * Updates a single prop on a DOM element
+ * @param {HTMLElement} el - Element
+ * @param {string} key - Prop name
+ * @param {*} prevValue - Previous value
+ * @param {*} nextValue - New value, null or undefined removes it
+ */
+function patchProp(el, key, prevValue, nextValue) {
+    if (key === 'key' || key === 'ref') {
+        return;
+    }
+
+    if (key.startsWith('on')) {
+        patchEvent(el, key.slice(2).toLowerCase(), nextValue);
+    } else if (key === 'class' || key === 'className') {
+        if (nextValue == null) {
+            el.removeAttribute('class');
+        } else {
+            el.className = nextValue;
+        }
+    } else if (key === 'style') {
+        patchStyle(el, prevValue, nextValue);
+    } else if (key === 'dangerouslySetInnerHTML') {
+        el.innerHTML = nextValue && nextValue.__html != null ? nextValue.__html : '';
+    } else if (key === 'innerHTML' || key === 'textContent') {
+        // v-html and v-text replace the content of the element
+        el[key] = nextValue == null ? '' : nextValue;
+    } else if (DOM_PROPS.includes(key)) {
+        el[key] = nextValue == null ? (key === 'value' ? '' : false) : nextValue;
+    } else if (nextValue == null || nextValue === false) {
+        el.removeAttribute(key);
+    } else {
+        el.setAttribute(key, nextValue === true ? '' : nextValue);
+    }
+}
+
+/**
+ * Swaps event handlers through one cached listener per event,
+ * so updating a handler doesn't touch the DOM
+ * @private
+ */
+function patchEvent(el, name, handler) {
+    const invokers = el._vei || (el._vei = {});
+    const invoker = invokers[name];
+
+    if (handler && invoker) {
+        invoker.value = handler;
+    } else if (handler) {
+        const newInvoker = invokers[name] = (event) => newInvoker.value(event);
+        newInvoker.value = handler;
+        el.addEventListener(name, newInvoker);
+    } else if (invoker) {
+        el.removeEventListener(name, invoker);
+        invokers[name] = undefined;
+    }
+}
+
+/**
+ * Applies a style string or object, removing properties that are gone
+ * @private
+ */
+function patchStyle(el, prev, next) {
+    const style = el.style;
+
+    if (next == null) {
+        el.removeAttribute('style');
+    } else if (typeof next === 'string') {
+        style.cssText = next;
+    } else {
+        if (prev && typeof prev === 'object') {
+            for (const key in prev) {
+                if (next[key] == null) {
+                    setStyle(style, key, '');
+                }
+            }
+        } else if (typeof prev === 'string') {
+            style.cssText = '';
+        }
+        for (const key in next) {
+            setStyle(style, key, next[key]);
+        }
+    }
+}
+
+/**
+ * Sets one style property; custom properties (`--name`) need setProperty()
+ * @private
+ */
+function setStyle(style, key, value) {
+    if (key.startsWith('--')) {
+        style.setProperty(key, value);
+    } else {
+        style[key] = value;
+    }
+}
@@ -0,0 +1,741 @@
+// packages/core/src/renderer/renderer.js
+
+import { effect, shallowReactive } from '../reactivity/reactive.js';
+import { queueJob, invalidateJob } from '../scheduler/queue.js';
+import { createComponent } from '../component/component.js';
+import { h, HostNode } from '../vdom/vdom.js';
+import { getVNodeKey, reconcileKeyedChildren } from '../vdom/diff.js';
+import { PatchFlags } from '../vdom/patch-flags.js';
+import { resolveSlots } from '../vdom/render-helpers.js';
+import { isHmrUpdating } from '../hmr/index.js';
+import {
+    setCurrentRenderingInstance,
+    invokeDirectiveHook,
+    queueDirectiveHook,
+    flushDirectiveHooks
+} from '../vdom/directives.js';
+
+/**
+ * Tags of the vnodes the renderer creates for text and empty children
+ */
+export const Text = Symbol('Text');
+export const Comment = Symbol('Comment');
+
+// Node operations every host has to provide
+const REQUIRED_NODE_OPS = [
+    'createElement',
+    'createText',
+    'insert',
+    'remove',
+    'setText',
+    'patchProp',
+    'parentNode',
+    'nextSibling'
+];
+
+// Props that describe the vnode rather than the host element
+const RESERVED_PROPS = ['key', 'ref'];
+
+/**
+ * Creates a renderer that mounts and patches vnodes through a set of host
+ * node operations, so the same components can render to the DOM, a string,
+ * a canvas scene graph or an in-memory tree
+ *
+ * @param {Object} nodeOps - Host node operations
+ * @param {Function} nodeOps.createElement - (tag) => node
+ * @param {Function} nodeOps.createText - (text) => node
+ * @param {Function} [nodeOps.createComment] - (text) => node, defaults to an empty text node
+ * @param {Function} nodeOps.insert - (child, parent, anchor) => void, appends when anchor is null
+ * @param {Function} nodeOps.remove - (child) => void
+ * @param {Function} nodeOps.setText - (node, text) => void
+ * @param {Function} nodeOps.patchProp - (el, key, prevValue, nextValue) => void
+ * @param {Function} nodeOps.parentNode - (node) => parent
+ * @param {Function} nodeOps.nextSibling - (node) => sibling
+ * @param {Function} [nodeOps.querySelector] - (selector) => node, lets app.mount() take a selector
+ * @returns {Object|null} Renderer with render(), patch(), unmount() and createApp(), or null if node operations are missing
+ */
+export function baseCreateRenderer(nodeOps) {
+    const missing = REQUIRED_NODE_OPS.filter(op => typeof nodeOps[op] !== 'function');
+    if (missing.length > 0) {
+        console.error(`createRenderer: missing node operations: ${missing.join(', ')}`);
+        return null;
+    }
+
+    const {
+        createElement: hostCreateElement,
+        createText: hostCreateText,
+        createComment: hostCreateComment = () => hostCreateText(''),
+        insert: hostInsert,
+        remove: hostRemove,
+        setText: hostSetText,
+        patchProp: hostPatchProp,
+        parentNode: hostParentNode,
+        nextSibling: hostNextSibling,
+        querySelector: hostQuerySelector
+    } = nodeOps;
+
+    // Patches in progress; the outermost one calls the queued directive hooks
+    let patchDepth = 0;
+
+    const withDirectiveFlush = (fn) => {
+        patchDepth++;
+        try {
+            fn();
+        } finally {
+            if (--patchDepth === 0) {
+                flushDirectiveHooks();
+            }
+        }
+    };
+
+    /**
+     * Patches the old vnode into the new one, mounting when there is no old vnode
+     */
+    const patch = (n1, n2, container, anchor = null, parentComponent = null, optimized = false) => {
+        if (n1 === n2) {
+            return;
+        }
+
+        // Different node types can't be patched, replace the old node
+        if (n1 && !isSameVNodeType(n1, n2)) {
+            anchor = hostNextSibling(n1.el);
+            unmount(n1, parentComponent, true);
+            n1 = null;
+        }
+
+        if (n2.tag === Text) {
+            processText(n1, n2, container, anchor);
+        } else if (n2.tag === Comment) {
+            processComment(n1, n2, container, anchor);
+        } else if (n2.tag === HostNode) {
+            processHostNode(n1, n2, container, anchor, parentComponent);
+        } else if (isComponentVNode(n2)) {
+            processComponent(n1, n2, container, anchor, parentComponent);
+        } else if (typeof n2.tag === 'string') {
+            processElement(n1, n2, container, anchor, parentComponent, optimized);
+        } else {
+            console.warn('Invalid vnode passed to the renderer:', n2);
+        }
+    };
+
+    const processText = (n1, n2, container, anchor) => {
+        if (n1 == null) {
+            n2.el = hostCreateText(n2.children);
+            hostInsert(n2.el, container, anchor);
+        } else {
+            const el = n2.el = n1.el;
+            if (n2.children !== n1.children) {
+                hostSetText(el, n2.children);
+            }
+        }
+    };
+
+    const processComment = (n1, n2, container, anchor) => {
+        if (n1 == null) {
+            n2.el = hostCreateComment(n2.children);
+            hostInsert(n2.el, container, anchor);
+        } else {
+            n2.el = n1.el;
+        }
+    };
+
+    // Nodes built by DOM mode templates update themselves, a new one replaces the old
+    const processHostNode = (n1, n2, container, anchor, parentComponent) => {
+        if (n1 && n1.children === n2.children) {
+            n2.el = n1.el;
+            return;
+        }
+        n2.el = n2.children;
+        hostInsert(n2.el, container, n1 ? n1.el : anchor);
+        if (n1) {
+            unmount(n1, parentComponent, true);
+        }
+    };
+
+    const processElement = (n1, n2, container, anchor, parentComponent, optimized) => {
+        if (n1 == null) {
+            mountElement(n2, container, anchor, parentComponent);
+        } else {
+            patchElement(n1, n2, parentComponent, optimized);
+        }
+    };
+
+    const mountElement = (vnode, container, anchor, parentComponent) => {
+        const el = vnode.el = hostCreateElement(vnode.tag);
+        const { dirs } = vnode;
+        if (dirs) {
+            invokeDirectiveHook(vnode, null, 'created');
+        }
+
+        const props = vnode.props || {};
+        for (const key in props) {
+            if (!RESERVED_PROPS.includes(key) && props[key] != null) {
+                hostPatchProp(el, key, null, props[key]);
+            }
+        }
+
+        // v-html and v-text own the content of the element
+        if (props.innerHTML == null && props.textContent == null) {
+            mountChildren(normalizeChildren(vnode), el, null, parentComponent);
+        }
+
+        if (dirs) {
+            invokeDirectiveHook(vnode, null, 'beforeMount');
+            queueDirectiveHook(vnode, null, 'mounted');
+        }
+        hostInsert(el, container, anchor);
+    };
+
+    const mountChildren = (children, container, anchor, parentComponent, start = 0) => {
+        for (let i = start; i < children.length; i++) {
+            patch(null, children[i], container, anchor, parentComponent);
+        }
+    };
+
+    const patchElement = (n1, n2, parentComponent, optimized) => {
+        const el = n2.el = n1.el;
+        const oldProps = n1.props || {};
+        const newProps = n2.props || {};
+
+        if (n2.dirs) {
+            invokeDirectiveHook(n2, n1, 'beforeUpdate');
+            queueDirectiveHook(n2, n1, 'updated');
+        }
+
+        // A hot-updated template may have changed anything, including static parts
+        if (isHmrUpdating) {
+            patchProps(el, oldProps, newProps);
+            patchChildren(n1, n2, el, null, parentComponent);
+            return;
+        }
+
+        const patchFlag = n2.patchFlag || 0;
+
+        // Hoisted static nodes never change
+        if (patchFlag === PatchFlags.HOISTED) {
+            n2.children = n1.children;
+            return;
+        }
+
+        if (patchFlag & PatchFlags.FULL_PROPS) {
+            patchProps(el, oldProps, newProps);
+        } else if (patchFlag > 0) {
+            const keys = [];
+            if (patchFlag & PatchFlags.CLASS) {
+                keys.push('class', 'className');
+            }
+            if (patchFlag & PatchFlags.STYLE) {
+                keys.push('style');
+            }
+            if (patchFlag & PatchFlags.PROPS && n2.dynamicProps) {
+                keys.push(...n2.dynamicProps);
+            }
+            keys.forEach(key => {
+                if (oldProps[key] !== newProps[key]) {
+                    hostPatchProp(el, key, oldProps[key], newProps[key]);
+                }
+            });
+        } else if (!optimized && !n2.dynamicChildren) {
+            // Not compiled, or the compiler bailed out: diff everything
+            patchProps(el, oldProps, newProps);
+        }
+
+        // A block whose own text is dynamic has no dynamic descendants to patch instead
+        const isBlock = n1.dynamicChildren && n2.dynamicChildren && !(patchFlag & PatchFlags.TEXT);
+        if (isBlock && n1.dynamicChildren.length === n2.dynamicChildren.length) {
+            // Static parts of a block never change, only its dynamic descendants are patched
+            n2.children = n1.children;
+            patchBlockChildren(n1.dynamicChildren, n2.dynamicChildren, parentComponent);
+        } else if (!optimized || n2.dynamicChildren || patchFlag & (PatchFlags.TEXT | PatchFlags.NEED_PATCH)) {
+            patchChildren(n1, n2, el, null, parentComponent);
+        } else {
+            n2.children = n1.children;
+        }
+    };
+
+    const patchProps = (el, oldProps, newProps) => {
+        for (const key in newProps) {
+            if (!RESERVED_PROPS.includes(key) && oldProps[key] !== newProps[key]) {
+                hostPatchProp(el, key, oldProps[key], newProps[key]);
+            }
+        }
+        for (const key in oldProps) {
+            if (!RESERVED_PROPS.includes(key) && !(key in newProps)) {
+                hostPatchProp(el, key, oldProps[key], null);
+            }
+        }
+    };
+
+    const patchBlockChildren = (oldChildren, newChildren, parentComponent) => {
+        for (let i = 0; i < newChildren.length; i++) {
+            const oldVNode = oldChildren[i];
+            patch(oldVNode, newChildren[i], hostParentNode(oldVNode.el), null, parentComponent, true);
+        }
+    };
+
+    const patchChildren = (n1, n2, container, anchor, parentComponent) => {
+        const c1 = n1.children || [];
+        const c2 = normalizeChildren(n2);
+
+        const hasKeys = c1.some(child => getVNodeKey(child) != null) ||
+            c2.some(child => getVNodeKey(child) != null);
+
+        if (hasKeys) {
+            patchKeyedChildren(c1, c2, container, anchor, parentComponent);
+        } else {
+            patchUnkeyedChildren(c1, c2, container, anchor, parentComponent);
+        }
+    };
+
+    const patchUnkeyedChildren = (c1, c2, container, anchor, parentComponent) => {
+        const commonLength = Math.min(c1.length, c2.length);
+
+        for (let i = 0; i < commonLength; i++) {
+            patch(c1[i], c2[i], container, null, parentComponent);
+        }
+
+        if (c1.length > commonLength) {
+            for (let i = commonLength; i < c1.length; i++) {
+                unmount(c1[i], parentComponent, true);
+            }
+        } else {
+            mountChildren(c2, container, anchor, parentComponent, commonLength);
+        }
+    };
+
+    // Shares the keyed diff of vdom/diff.js, on vnode.el instead of DOM child indices
+    const patchKeyedChildren = (c1, c2, container, parentAnchor, parentComponent) => {
+        reconcileKeyedChildren(c1, c2, {
+            isSameVNode: isSameVNodeType,
+            patch: (oldIndex, newIndex) => patch(c1[oldIndex], c2[newIndex], container, null, parentComponent),
+            mount: (newIndex, anchor) => patch(null, c2[newIndex], container, anchor, parentComponent),
+            remove: (oldIndex) => unmount(c1[oldIndex], parentComponent, true),
+            move: (newIndex, anchor) => hostInsert(c2[newIndex].el, container, anchor),
+            getNode: (newIndex) => c2[newIndex].el,
+            anchor: parentAnchor
+        });
+    };
+
+    const processComponent = (n1, n2, container, anchor, parentComponent) => {
+        if (n1 == null) {
+            mountComponent(n2, container, anchor, parentComponent);
+        } else {
+            updateComponent(n1, n2);
+        }
+    };
+
+    const mountComponent = (vnode, container, anchor, parentComponent) => {
+        const options = getComponentOptions(vnode);
+
+        // Plain functions are functional components: no state, re-rendered with their parent
+        if (!options) {
+            const subTree = vnode._subTree = normalizeVNode(vnode.component(vnode.props || {}));
+            patch(null, subTree, container, anchor, parentComponent);
+            vnode.el = subTree.el;
+            return;
+        }
+
+        const instance = createComponent({
+            ...options,
+            props: shallowReactive(resolveProps(options.props, vnode.props)),
+            slots: resolveSlots(vnode, options)
+        }, parentComponent, parentComponent ? parentComponent.appContext : (vnode.appContext || null));
+
+        // Let render functions read props through `this`, like components created by defineComponent
+        for (const key in instance.props) {
+            if (!(key in instance)) {
+                Object.defineProperty(instance, key, {
+                    get() { return instance.props[key]; },
+                    configurable: true
+                });
+            }
+        }
+
+        vnode._instance = instance;
+        instance._componentVNode = vnode;
+        instance._reload = () => reloadComponent(instance);
+        setupRenderEffect(instance, container, anchor);
+    };
+
+    // Replaces a component instance with one created from its updated
+    // definition, in the same place (hot module replacement)
+    const reloadComponent = (instance) => {
+        const vnode = instance._componentVNode;
+        const container = hostParentNode(vnode.el);
+        const anchor = hostNextSibling(vnode.el);
+
+        unmountComponent(instance, true);
+        mountComponent(vnode, container, anchor, instance.parent);
+
+        // Parents whose root is this component now render from its new element
+        let child = vnode;
+        for (let parent = instance.parent; parent && parent._subTree === child; parent = parent.parent) {
+            parent.$el = parent._componentVNode.el = vnode.el;
+            child = parent._componentVNode;
+        }
+    };
+
+    const setupRenderEffect = (instance, container, anchor) => {
+        instance.$isMounted = false;
+
+        const componentUpdate = () => {
+            if (!instance.$isMounted) {
+                callHook(instance, 'beforeMount');
+
+                const subTree = instance._subTree = renderComponentRoot(instance);
+                patch(null, subTree, container, anchor, instance);
+                instance._componentVNode.el = instance.$el = subTree.el;
+
+                instance.$isMounted = true;
+                callHook(instance, 'mounted');
+            } else {
+                callHook(instance, 'beforeUpdate');
+
+                const prevTree = instance._subTree;
+                const nextTree = instance._subTree = renderComponentRoot(instance);
+                patch(prevTree, nextTree, hostParentNode(prevTree.el), null, instance);
+                instance._componentVNode.el = instance.$el = nextTree.el;
+
+                callHook(instance, 'updated');
+            }
+        };
+
+        instance._updateJob = () => {
+            if (instance._update.active !== false) {
+                instance._update();
+            }
+        };
+
+        instance._update = instance._scope.run(() => effect(() => withDirectiveFlush(componentUpdate), {
+            scheduler: () => queueJob(instance._updateJob)
+        }));
+    };
+
+    const updateComponent = (n1, n2) => {
+        // Functional components just re-render
+        if (!n1._instance) {
+            const prevTree = n1._subTree;
+            const nextTree = n2._subTree = normalizeVNode(n2.component(n2.props || {}));
+            patch(prevTree, nextTree, hostParentNode(prevTree.el), null, null);
+            n2.el = nextTree.el;
+            return;
+        }
+
+        const instance = n2._instance = n1._instance;
+        instance._componentVNode = n2;
+        n2.el = n1.el;
+
+        // Slot content is rendered by the parent, so it may have changed with it
+        const slots = resolveSlots(n2, getComponentOptions(n2));
+        for (const name in instance.slots) {
+            if (!(name in slots)) delete instance.slots[name];
+        }
+        Object.assign(instance.slots, slots);
+
+        // Directives on the component are patched with its root element
+        const nextProps = resolveProps(getComponentOptions(n2).props, n2.props);
+        if (!updateProps(instance.props, nextProps) && Object.keys(slots).length === 0 && !n2.dirs) {
+            return;
+        }
+
+        // Update right away instead of waiting for the job the prop change queued
+        invalidateJob(instance._updateJob);
+        instance._update();
+    };
+
+    const unmount = (vnode, parentComponent, doRemove = false) => {
+        if (isComponentVNode(vnode)) {
+            if (vnode._instance) {
+                unmountComponent(vnode._instance, doRemove);
+            } else if (vnode._subTree) {
+                unmount(vnode._subTree, parentComponent, doRemove);
+            }
+            return;
+        }
+
+        const { dirs } = vnode;
+        if (dirs) {
+            invokeDirectiveHook(vnode, null, 'beforeUnmount');
+        }
+        if (vnode.tag === HostNode && vnode.scope) {
+            vnode.scope.stop();
+        }
+
+        // Child nodes go away with their parent, only components and directives need to be torn down
+        if (Array.isArray(vnode.children) && typeof vnode.tag === 'string') {
+            vnode.children.forEach(child => {
+                if (child && typeof child === 'object') {
+                    unmount(child, parentComponent, false);
+                }
+            });
+        }
+
+        if (doRemove && vnode.el) {
+            hostRemove(vnode.el);
+        }
+        if (dirs) {
+            queueDirectiveHook(vnode, null, 'unmounted');
+        }
+    };
+
+    const unmountComponent = (instance, doRemove) => {
+        callHook(instance, 'beforeUnmount');
+
+        // Stops the render effect and every effect created during setup
+        instance._scope.stop();
+        if (instance._subTree) {
+            unmount(instance._subTree, instance, doRemove);
+        }
+
+        instance.$isMounted = false;
+        callHook(instance, 'unmounted');
+    };
+
+    /**
+     * Renders a vnode into a container, patching what was rendered there before.
+     * Rendering null unmounts it.
+     * @param {Object|null} vnode - Virtual node
+     * @param {Object} container - Host container node
+     */
+    const render = (vnode, container) => {
+        withDirectiveFlush(() => {
+            if (vnode == null) {
+                if (container._vnode) {
+                    unmount(container._vnode, null, true);
+                }
+            } else {
+                vnode = normalizeVNode(vnode);
+                patch(container._vnode || null, vnode, container);
+            }
+        });
+        container._vnode = vnode;
+    };
+
+    /**
+     * Creates an app that renders its root component with this renderer
+     * @param {Object|Function} rootComponent - Root component
+     * @param {Object} [rootProps] - Props for the root component
+     * @returns {Object} App instance
+     */
+    const createApp = (rootComponent, rootProps = null) => {
+        const context = {
+            provides: {},
+            components: {},
+            directives: {},
+            config: {}
+        };
+        let mountedContainer = null;
+
+        const app = {
+            _component: rootComponent,
+            _context: context,
+            config: context.config,
+
+            use(plugin, ...options) {
+                if (typeof plugin === 'function') {
+                    plugin(app, ...options);
+                } else if (plugin && typeof plugin.install === 'function') {
+                    plugin.install(app, ...options);
+                } else {
+                    console.warn('Invalid plugin. Plugin must be a function or an object with an install method.');
+                }
+                return app;
+            },
+
+            provide(key, value) {
+                context.provides[key] = value;
+                return app;
+            },
+
+            /**
+             * Registers a directive for every component of the app, or returns it
+             * @param {string} name - Directive name, used as `v-name` in templates
+             * @param {Object|Function} [definition] - Hooks, or a function for mounted and updated
+             */
+            directive(name, definition) {
+                if (definition === undefined) {
+                    return context.directives[name];
+                }
+                context.directives[name] = definition;
+                return app;
+            },
+
+            mount(container) {
+                if (typeof container === 'string') {
+                    container = hostQuerySelector ? hostQuerySelector(container) : null;
+                }
+                if (!container) {
+                    console.error('Invalid mounting container. Make sure it exists.');
+                    return null;
+                }
+
+                const vnode = h(rootComponent, rootProps || {});
+                vnode.appContext = context;
+                render(vnode, container);
+                mountedContainer = container;
+
+                // [v-cloak] hid the container until the app rendered
+                hostPatchProp(container, 'v-cloak', null, null);
+
+                return vnode._instance || null;
+            },
+
+            unmount() {
+                if (mountedContainer) {
+                    render(null, mountedContainer);
+                    mountedContainer = null;
+                }
+            }
+        };
+
+        return app;
+    };
+
+    return {
+        render,
+        patch,
+        unmount,
+        createApp
+    };
+}
+
+/**
+ * Renders the subtree of a component. Directives applied to the component
+ * go to its root element.
+ * @private
+ */
+function renderComponentRoot(instance) {
+    const prevInstance = setCurrentRenderingInstance(instance);
+    try {
+        const subTree = normalizeVNode(instance.render());
+        // A cached subtree already has them
+        const { dirs } = instance._componentVNode;
+        if (dirs && subTree !== instance._subTree) {
+            if (typeof subTree.tag === 'string' || isComponentVNode(subTree)) {
+                subTree.dirs = subTree.dirs ? subTree.dirs.concat(dirs) : dirs;
+            } else {
+                console.warn('Directives on a component need it to render an element');
+            }
+        }
+        return subTree;
+    } finally {
+        setCurrentRenderingInstance(prevInstance);
+    }
+}
+
+/**
+ * Checks if two vnodes can be patched into each other
+ * @private
+ */
+function isSameVNodeType(n1, n2) {
+    return n1.tag === n2.tag &&
+        n1.component === n2.component &&
+        getVNodeKey(n1) === getVNodeKey(n2);
+}
+
+/**
+ * Checks if a vnode renders a component
+ * @private
+ */
+function isComponentVNode(vnode) {
+    return !!(vnode.isComponent || (vnode.tag && typeof vnode.tag === 'object'));
+}
+
+/**
+ * Returns the options of a component vnode, or null for functional components
+ * @private
+ */
+function getComponentOptions(vnode) {
+    if (vnode.tag && typeof vnode.tag === 'object') {
+        return vnode.tag;
+    }
+    // Factories created by defineComponent() keep their options
+    return vnode.component && vnode.component.options ? vnode.component.options : null;
+}
+
+/**
+ * Turns a render result or child into a vnode object
+ * @private
+ */
+function normalizeVNode(child) {
+    if (child == null || typeof child === 'boolean') {
+        return { tag: Comment, children: '' };
+    }
+    if (typeof child === 'object') {
+        // A vnode already mounted elsewhere (e.g. hoisted) needs its own el
+        return child.el ? { ...child, el: null } : child;
+    }
+    return { tag: Text, children: String(child) };
+}
+
+/**
+ * Normalizes the children of a vnode in place
+ * @private
+ */
+function normalizeChildren(vnode) {
+    if (!Array.isArray(vnode.children)) {
+        vnode.children = vnode.children == null ? [] : [vnode.children];
+    }
+    const children = vnode.children;
+    for (let i = 0; i < children.length; i++) {
+        children[i] = normalizeVNode(children[i]);
+    }
+    return children;
+}
+
+/**
+ * Fills in the declared defaults for props the parent didn't pass
+ * @private
+ */
+function resolveProps(declared, rawProps) {
+    const props = { ...(rawProps || {}) };
+    if (!declared || Array.isArray(declared) || typeof declared !== 'object') {
+        return props;
+    }
+    for (const key in declared) {
+        const definition = declared[key];
+        if (props[key] === undefined && definition && typeof definition === 'object' && 'default' in definition) {
+            // Object and array defaults are factories, unless the prop itself is a function
+            props[key] = typeof definition.default === 'function' && definition.type !== Function
+                ? definition.default()
+                : definition.default;
+        }
+    }
+    return props;
+}
+
+/**
+ * Copies the new props onto the reactive props of a component
+ * @private
+ * @returns {boolean} Whether anything changed
+ */
+function updateProps(props, nextProps) {
+    let changed = false;
+    for (const key in nextProps) {
+        if (props[key] !== nextProps[key]) {
+            props[key] = nextProps[key];
+            changed = true;
+        }
+    }
+    for (const key in props) {
+        if (!(key in nextProps)) {
+            delete props[key];
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Calls a lifecycle hook from the options and from the composition API
+ * @private
+ */
+function callHook(instance, name) {
+    const hook = instance.$options[name];
+    if (typeof hook === 'function') {
+        hook.call(instance);
+    }
+    if (Array.isArray(instance[name])) {
+        instance[name].forEach(fn => fn());
+    }
+}
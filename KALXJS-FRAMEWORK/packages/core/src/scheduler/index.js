@@ -23,4 +23,12 @@ export {
     isInTransition,
     onTransitionComplete,
     batchTransitions,
-} from './transition.js';
\ No newline at end of file
+} from './transition.js';
+
+export {
+    nextTick,
+    queueJob,
+    invalidateJob,
+    queuePreFlushCb,
+    queuePostFlushCb,
+} from './queue.js';
@@ -0,0 +1,159 @@
+/**
+ * KALXJS Update Queue
+ * Microtask-based job queue shared by component updates and watchers
+ *
+ * A flush runs in three phases:
+ * - pre: watcher callbacks with `flush: 'pre'` (the default)
+ * - jobs: component re-renders
+ * - post: watcher callbacks with `flush: 'post'`, which see the updated DOM
+ *
+ * @module @kalxjs/core/scheduler
+ */
+
+const preFlushCbs = [];
+const queue = [];
+const postFlushCbs = [];
+
+let isFlushPending = false;
+let isFlushing = false;
+
+// Index of the job currently running in the queue
+let flushIndex = 0;
+
+// Times a job may run in one flush before it counts as an infinite update loop
+const RECURSION_LIMIT = 100;
+
+const resolvedPromise = Promise.resolve();
+let currentFlushPromise = null;
+
+/**
+ * Waits for the next queue flush (i.e. after pending DOM updates)
+ * @param {Function} [fn] - Callback to run after the flush
+ * @returns {Promise} Promise resolved after the flush
+ */
+export function nextTick(fn) {
+    const p = currentFlushPromise || resolvedPromise;
+    return fn ? p.then(fn) : p;
+}
+
+/**
+ * Queues a component update job. A job already in the queue isn't added twice.
+ * @param {Function} job - Job to run
+ */
+export function queueJob(job) {
+    // A job that already ran in the current flush may be queued again
+    if (!queue.includes(job, isFlushing ? flushIndex + 1 : 0)) {
+        queue.push(job);
+        queueFlush();
+    }
+}
+
+/**
+ * Removes a job from the queue, e.g. when the component was already updated synchronously
+ * @param {Function} job - Job to remove
+ */
+export function invalidateJob(job) {
+    const index = queue.indexOf(job);
+    // Jobs that already ran stay put, so the running flush doesn't skip one
+    if (index > -1 && (!isFlushing || index > flushIndex)) {
+        queue.splice(index, 1);
+    }
+}
+
+/**
+ * Queues a callback to run before component updates in the next flush
+ * @param {Function} cb - Callback
+ */
+export function queuePreFlushCb(cb) {
+    if (!preFlushCbs.includes(cb)) {
+        preFlushCbs.push(cb);
+        queueFlush();
+    }
+}
+
+/**
+ * Queues a callback to run after component updates in the next flush
+ * @param {Function} cb - Callback
+ */
+export function queuePostFlushCb(cb) {
+    if (!postFlushCbs.includes(cb)) {
+        postFlushCbs.push(cb);
+        queueFlush();
+    }
+}
+
+function queueFlush() {
+    if (!isFlushing && !isFlushPending) {
+        isFlushPending = true;
+        currentFlushPromise = resolvedPromise.then(flushJobs);
+    }
+}
+
+function runCallbacks(callbacks, seen) {
+    // Callbacks may queue more callbacks of the same kind; run those too
+    while (callbacks.length) {
+        const pending = callbacks.splice(0);
+        pending.forEach(cb => {
+            if (!checkRecursiveUpdates(seen, cb)) {
+                runSafely(cb);
+            }
+        });
+    }
+}
+
+/**
+ * Counts the runs of a job within a flush, a job that keeps queuing itself
+ * (e.g. a watcher changing its own source) is dropped past the limit
+ * @returns {boolean} Whether the job exceeded the limit
+ */
+function checkRecursiveUpdates(seen, fn) {
+    const count = seen.get(fn) || 0;
+    if (count >= RECURSION_LIMIT) {
+        if (process.env.NODE_ENV !== 'production') {
+            console.warn(
+                `Maximum recursive updates exceeded (${RECURSION_LIMIT}). ` +
+                'A watcher or component update keeps changing the state it depends on.'
+            );
+        }
+        return true;
+    }
+    seen.set(fn, count + 1);
+    return false;
+}
+
+function runSafely(fn) {
+    try {
+        fn();
+    } catch (error) {
+        console.error('Error in scheduled job:', error);
+    }
+}
+
+function flushJobs(seen = new Map()) {
+    isFlushPending = false;
+    isFlushing = true;
+
+    try {
+        runCallbacks(preFlushCbs, seen);
+
+        // The queue can grow while flushing, so read its length every iteration
+        for (flushIndex = 0; flushIndex < queue.length; flushIndex++) {
+            const job = queue[flushIndex];
+            if (!checkRecursiveUpdates(seen, job)) {
+                runSafely(job);
+            }
+        }
+        flushIndex = 0;
+        queue.length = 0;
+
+        runCallbacks(postFlushCbs, seen);
+    } finally {
+        isFlushing = false;
+        currentFlushPromise = null;
+
+        // Jobs queued by post-flush callbacks get their own flush
+        if (preFlushCbs.length || queue.length || postFlushCbs.length) {
+            flushJobs(seen);
+        }
+    }
+}
@@ -35,6 +35,7 @@ export function createServerRenderer(options = {}) {
      * Renders a component to HTML
      * @param {Object} app - KalxJS app
      * @param {Object} context - Render context
+     * @param {Object} [context.state] - State to hand over to the client in window.__KALXJS_INITIAL_STATE__
      * @returns {Promise<string>} Rendered HTML
      */
     const renderToString = async (app, context = {}) => {
@@ -52,7 +53,8 @@ export function createServerRenderer(options = {}) {
             _scripts: new Set(),
             _links: new Set(),
             _metas: new Set(),
-            _hydrationState: {},
+            // State handed over by the app, like the data its router loaded
+            _hydrationState: { ...context.state },
             _teleports: {},
             _ssrContext: true
         };
@@ -94,6 +96,7 @@ export function createServerRenderer(options = {}) {
      * Renders a component to a stream
      * @param {Object} app - KalxJS app
      * @param {Object} context - Render context
+     * @param {Object} [context.state] - State to hand over to the client in window.__KALXJS_INITIAL_STATE__
      * @returns {ReadableStream} Rendered stream
      */
     const renderToStream = (app, context = {}) => {
@@ -104,7 +107,8 @@ export function createServerRenderer(options = {}) {
             _scripts: new Set(),
             _links: new Set(),
             _metas: new Set(),
-            _hydrationState: {},
+            // State handed over by the app, like the data its router loaded
+            _hydrationState: { ...context.state },
             _teleports: {},
             _ssrContext: true
         };
@@ -669,7 +673,8 @@ export function createServerRenderer(options = {}) {
         const { _hydrationState } = context;
 
         if (Object.keys(_hydrationState).length > 0) {
-            const stateJson = serializer(_hydrationState);
+            // Escape < so strings in the state can't close the script tag
+            const stateJson = serializer(_hydrationState).replace(/</g, '\\u003c');
             const stateScript = `<script>window.__KALXJS_INITIAL_STATE__ = ${stateJson};</script>`;
 
             html = html.replace('</body>', `${stateScript}</body>`);
@@ -1,6 +1,7 @@
 // @kalxjs/core - Built-in state management
 
-import { reactive, ref, computed, effect } from '../reactivity/reactive.js';
+import { reactive, ref, computed, effect, stop } from '../reactivity/reactive.js';
+import { effectScope } from '../reactivity/effect-scope.js';
 import { useStore } from './useStore.js';
 
 /**
@@ -23,6 +24,9 @@ export function createStore(options = {}) {
     // Store for computed getters
     const computedGetters = {};
 
+    // Owns the getters and subscriptions so $dispose() can stop them all
+    const scope = effectScope(true);
+
     // Create store instance
     const store = {
         // State access via $state
@@ -54,13 +58,18 @@ export function createStore(options = {}) {
 
         // Subscribe to state changes
         $subscribe(callback) {
-            const unsubscribe = effect(() => {
+            const runner = scope.run(() => effect(() => {
                 // This will track all state properties
                 const stateSnapshot = JSON.parse(JSON.stringify(this.$state));
                 callback(stateSnapshot);
-            });
+            }));
+
+            return () => stop(runner);
+        },
 
-            return unsubscribe;
+        // Stop every getter and subscription owned by the store
+        $dispose() {
+            scope.stop();
         },
 
         // Dispatch an action
@@ -99,9 +108,9 @@ export function createStore(options = {}) {
     store.getters = {};
     Object.keys(getters).forEach(key => {
         // Create computed property for each getter
-        computedGetters[key] = computed(() => {
+        computedGetters[key] = scope.run(() => computed(() => {
             return getters[key](store.state, store.getters);
-        });
+        }));
 
         // Define getter on the store
         Object.defineProperty(store.getters, key, {
@@ -247,8 +256,9 @@ export function defineStore(id, options) {
         if (typeof options === 'function') {
             const setupStore = {};
 
-            // Call setup function
-            const setupResult = options();
+            // Call setup function inside a scope so its effects can be disposed
+            const scope = effectScope(true);
+            const setupResult = scope.run(() => options());
 
             // Process setup result
             Object.keys(setupResult).forEach(key => {
@@ -278,6 +288,8 @@ export function defineStore(id, options) {
                 };
             }
 
+            setupStore.$dispose = () => scope.stop();
+
             return setupStore;
         }
 
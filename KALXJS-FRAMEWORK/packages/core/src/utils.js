@@ -66,12 +66,5 @@ export function isPromise(value) {
     return value instanceof Promise || (value && typeof value.then === 'function');
 }
 
-/**
- * Execute callback on next tick (after DOM updates)
- * @param {Function} callback - Callback to execute
- * @returns {Promise} Promise that resolves on next tick
- */
-export function nextTick(callback) {
-    const p = Promise.resolve();
-    return callback ? p.then(callback) : p;
-}
\ No newline at end of file
+// Execute callback on next tick (after pending DOM updates have flushed)
+export { nextTick } from './scheduler/queue.js';
\ No newline at end of file
@@ -1,23 +1,30 @@
 // @kalxjs/core - Virtual DOM diffing algorithm
 
+import { PatchFlags } from './patch-flags.js';
+import { invokeDirectiveHook, queueDirectiveHook } from './directives.js';
+import { HostNode } from './vdom.js';
+import { resolveSlots } from './render-helpers.js';
+
 /**
  * Patches a DOM node to match a new virtual DOM node
  * @param {HTMLElement} domNode - DOM node to patch
  * @param {Object} oldVNode - Old virtual DOM node
  * @param {Object} newVNode - New virtual DOM node
+ * @param {boolean} [optimized=false] - Patching a block's dynamic children, only flagged parts are diffed
+ * @param {Function} [createNode] - Creates DOM nodes for mounted vnodes
  * @returns {HTMLElement} Updated DOM node
  */
-export function patch(domNode, oldVNode, newVNode) {
+export function patch(domNode, oldVNode, newVNode, optimized = false, createNode = createDOMNode) {
     // Check if domNode is valid
     if (!domNode) {
         console.warn('Cannot patch: domNode is undefined or null');
-        return createDOMNode(newVNode); // Return a new node but don't attach it
+        return createNode(newVNode); // Return a new node but don't attach it
     }
 
     // Check if domNode has a parent
     if (!domNode.parentNode) {
         console.warn('Cannot patch: domNode has no parent');
-        return createDOMNode(newVNode); // Return a new node but don't attach it
+        return createNode(newVNode); // Return a new node but don't attach it
     }
 
     // If the old vnode is the same as the new vnode, do nothing
@@ -27,26 +34,48 @@ export function patch(domNode, oldVNode, newVNode) {
 
     // If the new vnode is null or undefined, remove the node
     if (!newVNode) {
+        invokeUnmountHooks(oldVNode, 'beforeUnmount');
         domNode.parentNode.removeChild(domNode);
+        invokeUnmountHooks(oldVNode, 'unmounted');
         return null;
     }
 
     // If the old vnode is null or undefined, create a new node
     if (!oldVNode) {
-        const newNode = createDOMNode(newVNode);
+        const newNode = createNode(newVNode);
         domNode.parentNode.appendChild(newNode);
         return newNode;
     }
 
-    // If the nodes are of different types, replace the node
-    if (nodeTypesAreDifferent(oldVNode, newVNode)) {
-        const newNode = createDOMNode(newVNode);
+    // Nodes built by DOM mode templates update themselves
+    if (newVNode.tag === HostNode && oldVNode.children === newVNode.children) {
+        newVNode.el = domNode;
+        return domNode;
+    }
+
+    // Components mounted by createElement() keep their instance, which renders again with the new props
+    if (oldVNode._instance && !nodeTypesAreDifferent(oldVNode, newVNode)) {
+        return updateComponentVNode(domNode, oldVNode, newVNode, createNode);
+    }
+
+    // If the nodes are of different types, replace the node.
+    // Components without an instance on their vnode render from scratch.
+    if (nodeTypesAreDifferent(oldVNode, newVNode) || isRenderedAgain(newVNode)) {
+        const newNode = createNode(newVNode);
+        invokeUnmountHooks(oldVNode, 'beforeUnmount');
         domNode.parentNode.replaceChild(newNode, domNode);
+        invokeUnmountHooks(oldVNode, 'unmounted');
         return newNode;
     }
 
+    // Hoisted static nodes never change
+    if (newVNode.patchFlag === PatchFlags.HOISTED) {
+        newVNode.el = domNode;
+        return domNode;
+    }
+
     // If the nodes are of the same type, update the node
-    return updateDOMNode(domNode, oldVNode, newVNode);
+    return updateDOMNode(domNode, oldVNode, newVNode, optimized, createNode);
 }
 
 /**
@@ -64,13 +93,71 @@ function nodeTypesAreDifferent(oldVNode, newVNode) {
 
     // Handle component nodes
     if (oldVNode.isComponent || newVNode.isComponent) {
-        return oldVNode.tag !== newVNode.tag;
+        return oldVNode.component !== newVNode.component;
     }
 
     // Handle regular nodes
     return oldVNode.tag !== newVNode.tag;
 }
 
+/**
+ * Checks if a vnode is rendered from scratch on every patch: components,
+ * router views and nodes built by DOM mode templates
+ * @private
+ * @param {Object} vnode - Virtual DOM node
+ * @returns {boolean} Whether the vnode can't be patched in place
+ */
+function isRenderedAgain(vnode) {
+    return typeof vnode === 'object' && Boolean(
+        vnode.isComponent ||
+        vnode._isRouterView ||
+        vnode.tag === HostNode ||
+        (vnode.tag && typeof vnode.tag === 'object')
+    );
+}
+
+/**
+ * Patches a component vnode with the instance of the old one, after passing
+ * it the new props and slots
+ * @private
+ * @param {HTMLElement} domNode - Root DOM node of the component
+ * @param {Object} oldVNode - Old component vnode
+ * @param {Object} newVNode - New component vnode
+ * @param {Function} createNode - Creates DOM nodes for mounted vnodes
+ * @returns {HTMLElement} Updated root DOM node
+ */
+function updateComponentVNode(domNode, oldVNode, newVNode, createNode) {
+    const instance = newVNode._instance = oldVNode._instance;
+    const props = instance.props;
+    const nextProps = newVNode.props || {};
+
+    // The instance reads its props from the object it was created with
+    for (const key in props) {
+        if (!(key in nextProps)) delete props[key];
+    }
+    Object.assign(props, nextProps);
+    for (const key in props) {
+        if (key !== 'children' && !(key in instance)) {
+            Object.defineProperty(instance, key, {
+                get() { return props[key]; },
+                configurable: true
+            });
+        }
+    }
+
+    // Slot content is rendered by the parent, so it may have changed with it
+    const slots = resolveSlots(newVNode, newVNode.component.options || null);
+    for (const name in instance.slots) {
+        if (!(name in slots)) delete instance.slots[name];
+    }
+    Object.assign(instance.slots, slots);
+
+    const subTree = newVNode._subTree = instance.render();
+    const element = patch(domNode, oldVNode._subTree, subTree, false, createNode);
+    newVNode.el = element;
+    return element;
+}
+
 /**
  * Creates a DOM node from a virtual DOM node
  * @private
@@ -107,6 +194,11 @@ function createDOMNode(vnode) {
     // Handle regular nodes
     const element = document.createElement(vnode.tag);
 
+    if (vnode.dirs) {
+        vnode.el = element;
+        invokeDirectiveHook(vnode, null, 'created');
+    }
+
     // Set attributes
     updateAttributes(element, {}, vnode.props || {});
 
@@ -117,6 +209,13 @@ function createDOMNode(vnode) {
         }
     });
 
+    vnode.el = element;
+
+    if (vnode.dirs) {
+        invokeDirectiveHook(vnode, null, 'beforeMount');
+        queueDirectiveHook(vnode, null, 'mounted');
+    }
+
     return element;
 }
 
@@ -126,19 +225,21 @@ function createDOMNode(vnode) {
  * @param {HTMLElement} domNode - DOM node to update
  * @param {Object} oldVNode - Old virtual DOM node
  * @param {Object} newVNode - New virtual DOM node
+ * @param {boolean} optimized - Only diff the parts marked by the patch flag
+ * @param {Function} createNode - Creates DOM nodes for mounted vnodes
  * @returns {HTMLElement} Updated DOM node
  */
-function updateDOMNode(domNode, oldVNode, newVNode) {
+function updateDOMNode(domNode, oldVNode, newVNode, optimized, createNode) {
     // Check if domNode is valid
     if (!domNode) {
         console.warn('Cannot update DOM node: domNode is undefined or null');
-        return createDOMNode(newVNode);
+        return createNode(newVNode);
     }
 
     // Check if domNode has a parent
     if (!domNode.parentNode) {
         console.warn('Cannot update DOM node: domNode has no parent');
-        return createDOMNode(newVNode);
+        return createNode(newVNode);
     }
 
     // Handle text nodes
@@ -152,15 +253,115 @@ function updateDOMNode(domNode, oldVNode, newVNode) {
         return domNode;
     }
 
+    // Dynamic children of enclosing blocks are patched through this reference
+    newVNode.el = domNode;
+
+    if (newVNode.dirs) {
+        invokeDirectiveHook(newVNode, oldVNode, 'beforeUpdate');
+        queueDirectiveHook(newVNode, oldVNode, 'updated');
+    }
+
+    const patchFlag = newVNode.patchFlag || 0;
+    const oldProps = oldVNode.props || {};
+    const newProps = newVNode.props || {};
+
     // Update attributes
-    updateAttributes(domNode, oldVNode.props || {}, newVNode.props || {});
+    if (patchFlag & PatchFlags.FULL_PROPS) {
+        updateAttributes(domNode, oldProps, newProps);
+    } else if (patchFlag > 0) {
+        updateFlaggedAttributes(domNode, oldProps, newProps, patchFlag, newVNode.dynamicProps);
+    } else if (!optimized && !newVNode.dynamicChildren) {
+        // Not compiled, or the compiler bailed out: diff everything
+        updateAttributes(domNode, oldProps, newProps);
+    }
 
     // Update children
-    updateChildren(domNode, oldVNode.children || [], newVNode.children || []);
+    const oldDynamicChildren = oldVNode.dynamicChildren;
+    const newDynamicChildren = newVNode.dynamicChildren;
+
+    if (oldDynamicChildren && newDynamicChildren && oldDynamicChildren.length === newDynamicChildren.length) {
+        // Static parts of a block never change, only its dynamic descendants are patched
+        patchBlockChildren(oldDynamicChildren, newDynamicChildren, createNode);
+    } else if (patchFlag & PatchFlags.TEXT) {
+        // The children are all text, so they render as the element's text content
+        const newText = getTextContent(newVNode.children);
+        if (getTextContent(oldVNode.children) !== newText) {
+            domNode.textContent = newText;
+        }
+    } else if (!optimized || newDynamicChildren || patchFlag & PatchFlags.NEED_PATCH) {
+        updateChildren(domNode, oldVNode.children || [], newVNode.children || [], createNode);
+    }
 
     return domNode;
 }
 
+/**
+ * Joins text children into the text they render
+ * @private
+ * @param {Array} children - Text children
+ * @returns {string} Text content
+ */
+function getTextContent(children) {
+    return (children || []).map(child => (child == null ? '' : String(child))).join('');
+}
+
+/**
+ * Patches the dynamic descendants collected by two renders of the same block
+ * @private
+ * @param {Array} oldChildren - Old dynamic children
+ * @param {Array} newChildren - New dynamic children
+ * @param {Function} createNode - Creates DOM nodes for mounted vnodes
+ */
+function patchBlockChildren(oldChildren, newChildren, createNode) {
+    for (let i = 0; i < newChildren.length; i++) {
+        const oldChild = oldChildren[i];
+        const newChild = newChildren[i];
+
+        if (!oldChild.el) {
+            console.warn('Cannot patch block child: it was never mounted');
+            continue;
+        }
+
+        patch(oldChild.el, oldChild, newChild, true, createNode);
+    }
+}
+
+/**
+ * Updates only the attributes a patch flag marks as dynamic
+ * @private
+ * @param {HTMLElement} domNode - DOM node to update
+ * @param {Object} oldProps - Old props
+ * @param {Object} newProps - New props
+ * @param {number} patchFlag - Patch flag of the new vnode
+ * @param {Array<string>} dynamicProps - Names of the dynamic props
+ */
+function updateFlaggedAttributes(domNode, oldProps, newProps, patchFlag, dynamicProps) {
+    const keys = [];
+
+    if (patchFlag & PatchFlags.CLASS) {
+        keys.push('class', 'className');
+    }
+    if (patchFlag & PatchFlags.STYLE) {
+        keys.push('style');
+    }
+    if (patchFlag & PatchFlags.PROPS && dynamicProps) {
+        keys.push(...dynamicProps);
+    }
+
+    const oldAttrs = {};
+    const newAttrs = {};
+    keys.forEach(key => {
+        if (key in oldProps) {
+            oldAttrs[key] = oldProps[key];
+        }
+        if (key in newProps) {
+            newAttrs[key] = newProps[key];
+        }
+    });
+
+    updateAttributes(domNode, oldAttrs, newAttrs);
+}
+
 /**
  * Updates the attributes of a DOM node
  * @private
@@ -203,6 +404,9 @@ function updateAttributes(domNode, oldAttrs, newAttrs) {
             } else if (key === 'dangerouslySetInnerHTML') {
                 // Handle innerHTML
                 domNode.innerHTML = newAttrs[key].__html;
+            } else if (key === 'innerHTML' || key === 'textContent') {
+                // v-html and v-text set the content of the element
+                domNode[key] = newAttrs[key] == null ? '' : newAttrs[key];
             } else {
                 // Handle regular attributes
                 domNode.setAttribute(key, newAttrs[key]);
@@ -212,146 +416,356 @@ function updateAttributes(domNode, oldAttrs, newAttrs) {
 }
 
 /**
- * Updates the children of a DOM node
+ * Returns the key of a virtual DOM node, if it has one
+ * @param {Object} vnode - Virtual DOM node
+ * @returns {string|number|undefined} Key
+ */
+export function getVNodeKey(vnode) {
+    if (!vnode || typeof vnode !== 'object') {
+        return undefined;
+    }
+    if (vnode.key != null) {
+        return vnode.key;
+    }
+    return vnode.props && vnode.props.key != null ? vnode.props.key : undefined;
+}
+
+/**
+ * Checks if an old and a new virtual DOM node can be patched in place
  * @private
+ * @param {Object} oldVNode - Old virtual DOM node
+ * @param {Object} newVNode - New virtual DOM node
+ * @returns {boolean} Whether the nodes are the same
+ */
+function isSameVNode(oldVNode, newVNode) {
+    return !nodeTypesAreDifferent(oldVNode, newVNode) &&
+        getVNodeKey(oldVNode) === getVNodeKey(newVNode);
+}
+
+/**
+ * Updates the children of a DOM node
+ *
+ * Keyed children are matched by key, so reordering a list moves the existing
+ * DOM nodes (keeping focus, input state and running transitions) instead of
+ * re-creating them. Unkeyed children are patched by index.
+ *
  * @param {HTMLElement} domNode - DOM node to update
  * @param {Array} oldChildren - Old children
  * @param {Array} newChildren - New children
+ * @param {Function} [createNode] - Creates DOM nodes for mounted children
  */
-function updateChildren(domNode, oldChildren, newChildren) {
+export function updateChildren(domNode, oldChildren, newChildren, createNode = createDOMNode) {
     // Check if domNode is valid
     if (!domNode) {
         console.warn('Cannot update children: domNode is undefined or null');
         return;
     }
 
-    // Optimize for common cases
-    if (oldChildren.length === 0) {
-        // If there were no old children, append all new children
-        newChildren.forEach(child => {
-            domNode.appendChild(createDOMNode(child));
-        });
-        return;
+    // null/undefined children aren't rendered, so they have no DOM node
+    oldChildren = oldChildren.filter(child => child != null);
+    newChildren = newChildren.filter(child => child != null);
+
+    const oldElements = Array.from(domNode.childNodes).slice(0, oldChildren.length);
+    const newElements = new Array(newChildren.length);
+
+    const hasKeys = oldChildren.some(child => getVNodeKey(child) != null) ||
+        newChildren.some(child => getVNodeKey(child) != null);
+
+    if (hasKeys) {
+        patchKeyedChildren(domNode, oldChildren, newChildren, oldElements, newElements, createNode);
+    } else {
+        patchUnkeyedChildren(domNode, oldChildren, newChildren, oldElements, newElements, createNode);
     }
 
-    if (newChildren.length === 0) {
-        // If there are no new children, remove all old children
-        domNode.innerHTML = '';
-        return;
+    // Remember the DOM node of each child for the next update (and TransitionGroup)
+    newChildren.forEach((child, i) => {
+        if (typeof child === 'object') {
+            child.el = newElements[i];
+        }
+    });
+}
+
+/**
+ * Patches children by index
+ * @private
+ */
+function patchUnkeyedChildren(domNode, oldChildren, newChildren, oldElements, newElements, createNode) {
+    const commonLength = Math.min(oldChildren.length, newChildren.length);
+
+    for (let i = 0; i < commonLength; i++) {
+        newElements[i] = patchChild(oldElements[i], oldChildren[i], newChildren[i], createNode);
+    }
+
+    // Mount new children
+    for (let i = commonLength; i < newChildren.length; i++) {
+        newElements[i] = createNode(newChildren[i]);
+        domNode.appendChild(newElements[i]);
+    }
+
+    // Remove old children
+    for (let i = commonLength; i < oldChildren.length; i++) {
+        removeElement(domNode, oldElements[i], oldChildren[i]);
+    }
+}
+
+/**
+ * Patches children by key, moving as few DOM nodes as possible
+ * @private
+ */
+function patchKeyedChildren(domNode, oldChildren, newChildren, oldElements, newElements, createNode) {
+    reconcileKeyedChildren(oldChildren, newChildren, {
+        isSameVNode,
+        patch: (oldIndex, newIndex) => {
+            newElements[newIndex] = patchChild(oldElements[oldIndex], oldChildren[oldIndex], newChildren[newIndex], createNode);
+        },
+        mount: (newIndex, anchor) => {
+            newElements[newIndex] = createNode(newChildren[newIndex]);
+            domNode.insertBefore(newElements[newIndex], anchor);
+        },
+        remove: (oldIndex) => removeElement(domNode, oldElements[oldIndex], oldChildren[oldIndex]),
+        move: (newIndex, anchor) => domNode.insertBefore(newElements[newIndex], anchor),
+        getNode: (newIndex) => newElements[newIndex]
+    });
+}
+
+/**
+ * Reconciles keyed children: matches old and new children by key, patches
+ * the matches, mounts and removes the rest, and moves the nodes that aren't
+ * on the longest increasing subsequence of old positions. The host is only
+ * reached through `host`, so the DOM patcher and createRenderer() share it.
+ * @param {Array} oldChildren - Old children
+ * @param {Array} newChildren - New children
+ * @param {Object} host - Host operations, children are passed by index
+ * @param {Function} host.isSameVNode - Checks if an old and a new child can be patched in place
+ * @param {Function} host.patch - `(oldIndex, newIndex)` patches an old child into a new one
+ * @param {Function} host.mount - `(newIndex, anchor)` mounts a new child before the anchor
+ * @param {Function} host.remove - `(oldIndex)` removes an old child
+ * @param {Function} host.move - `(newIndex, anchor)` moves the node of a patched child before the anchor
+ * @param {Function} host.getNode - `(newIndex)` returns the node of a patched or mounted child
+ * @param {*} [host.anchor=null] - Node the children end before
+ */
+export function reconcileKeyedChildren(oldChildren, newChildren, host) {
+    const endAnchor = host.anchor === undefined ? null : host.anchor;
+    const anchorAfter = (newIndex) => newIndex + 1 < newChildren.length ? host.getNode(newIndex + 1) : endAnchor;
+
+    let i = 0;
+    let oldEnd = oldChildren.length - 1;
+    let newEnd = newChildren.length - 1;
+
+    // 1. Sync the common head: (a b) c -> (a b) d e
+    while (i <= oldEnd && i <= newEnd && host.isSameVNode(oldChildren[i], newChildren[i])) {
+        host.patch(i, i);
+        i++;
     }
 
-    // Use key-based reconciliation if keys are present
-    const oldKeyedChildren = {};
-    const newKeyedChildren = {};
-    let hasKeys = false;
+    // 2. Sync the common tail: a (b c) -> d e (b c)
+    while (i <= oldEnd && i <= newEnd && host.isSameVNode(oldChildren[oldEnd], newChildren[newEnd])) {
+        host.patch(oldEnd, newEnd);
+        oldEnd--;
+        newEnd--;
+    }
 
-    // Check if keys are present
-    for (let i = 0; i < oldChildren.length; i++) {
-        const child = oldChildren[i];
-        if (child && child.props && child.props.key != null) {
-            hasKeys = true;
-            oldKeyedChildren[child.props.key] = { vnode: child, index: i };
+    // 3. Only additions left: mount them before the synced tail
+    if (i > oldEnd) {
+        const anchor = anchorAfter(newEnd);
+        for (; i <= newEnd; i++) {
+            host.mount(i, anchor);
         }
+        return;
     }
 
-    for (let i = 0; i < newChildren.length; i++) {
-        const child = newChildren[i];
-        if (child && child.props && child.props.key != null) {
-            hasKeys = true;
-            newKeyedChildren[child.props.key] = { vnode: child, index: i };
+    // 4. Only removals left
+    if (i > newEnd) {
+        for (; i <= oldEnd; i++) {
+            host.remove(i);
         }
+        return;
     }
 
-    if (hasKeys) {
-        // Use key-based reconciliation
-        const domChildren = Array.from(domNode.childNodes);
-        const keysToRemove = Object.keys(oldKeyedChildren).filter(key => !(key in newKeyedChildren));
-
-        // Remove nodes that are no longer needed
-        keysToRemove.forEach(key => {
-            const { index } = oldKeyedChildren[key];
-            if (index < domChildren.length && domChildren[index]) {
-                domNode.removeChild(domChildren[index]);
+    // 5. Unknown sequence: a b [c d e] f -> a b [e d c h] f
+    const oldStart = i;
+    const newStart = i;
+
+    const keyToNewIndex = new Map();
+    for (let j = newStart; j <= newEnd; j++) {
+        const key = getVNodeKey(newChildren[j]);
+        if (key != null) {
+            if (keyToNewIndex.has(key)) {
+                console.warn(`Duplicate key "${key}" found in children. Keys should be unique.`);
             }
-        });
-
-        // Update or insert nodes
-        let lastIndex = 0;
-
-        Object.keys(newKeyedChildren).forEach(key => {
-            const { vnode: newChild, index: newIndex } = newKeyedChildren[key];
-            const oldChild = oldKeyedChildren[key];
-
-            if (oldChild) {
-                // Update existing node
-                const oldIndex = oldChild.index;
-                const oldVNode = oldChild.vnode;
-
-                // Make sure the DOM node exists before patching
-                if (oldIndex < domChildren.length && domChildren[oldIndex]) {
-                    patch(domChildren[oldIndex], oldVNode, newChild);
-
-                    // Move node if needed
-                    if (oldIndex < lastIndex) {
-                        const node = domChildren[oldIndex];
-                        if (lastIndex < domChildren.length) {
-                            domNode.insertBefore(node, domChildren[lastIndex]);
-                        } else {
-                            domNode.appendChild(node);
-                        }
-                    }
-
-                    lastIndex = Math.max(oldIndex, lastIndex);
-                } else {
-                    // DOM node doesn't exist, create a new one
-                    const newNode = createDOMNode(newChild);
-                    if (newIndex < domChildren.length) {
-                        domNode.insertBefore(newNode, domChildren[newIndex]);
-                    } else {
-                        domNode.appendChild(newNode);
-                    }
-                }
-            } else {
-                // Insert new node
-                const newNode = createDOMNode(newChild);
+            keyToNewIndex.set(key, j);
+        }
+    }
+
+    // For every new child, the index + 1 of the old child it was matched with (0 = mount)
+    const toBePatched = newEnd - newStart + 1;
+    const newIndexToOldIndex = new Array(toBePatched).fill(0);
+    let patched = 0;
+    let moved = false;
+    let maxNewIndexSoFar = 0;
+
+    for (let j = oldStart; j <= oldEnd; j++) {
+        const oldChild = oldChildren[j];
 
-                if (newIndex < domChildren.length) {
-                    domNode.insertBefore(newNode, domChildren[newIndex]);
-                } else {
-                    domNode.appendChild(newNode);
+        if (patched >= toBePatched) {
+            // Every new child is matched, the rest are removed
+            host.remove(j);
+            continue;
+        }
+
+        let newIndex;
+        const key = getVNodeKey(oldChild);
+        if (key != null) {
+            newIndex = keyToNewIndex.get(key);
+        } else {
+            // Unkeyed child in a keyed list: reuse the first unmatched unkeyed node of the same type
+            for (let k = newStart; k <= newEnd; k++) {
+                if (newIndexToOldIndex[k - newStart] === 0 && getVNodeKey(newChildren[k]) == null &&
+                    host.isSameVNode(oldChild, newChildren[k])) {
+                    newIndex = k;
+                    break;
                 }
             }
-        });
+        }
+
+        if (newIndex === undefined) {
+            host.remove(j);
+            continue;
+        }
+
+        newIndexToOldIndex[newIndex - newStart] = j + 1;
+        if (newIndex >= maxNewIndexSoFar) {
+            maxNewIndexSoFar = newIndex;
+        } else {
+            moved = true;
+        }
+        host.patch(j, newIndex);
+        patched++;
+    }
+
+    // Nodes on the longest increasing subsequence keep their place, everything else moves
+    const stableSequence = moved ? getSequence(newIndexToOldIndex) : [];
+    let s = stableSequence.length - 1;
+
+    // Walk backwards so the next sibling is always in its final place and can serve as anchor
+    for (let j = toBePatched - 1; j >= 0; j--) {
+        const newIndex = newStart + j;
+
+        if (newIndexToOldIndex[j] === 0) {
+            host.mount(newIndex, anchorAfter(newIndex));
+        } else if (moved) {
+            if (s < 0 || j !== stableSequence[s]) {
+                host.move(newIndex, anchorAfter(newIndex));
+            } else {
+                s--;
+            }
+        }
+    }
+}
+
+/**
+ * Patches a single child in place and returns its (possibly replaced) DOM node
+ * @private
+ */
+function patchChild(element, oldChild, newChild, createNode) {
+    if (!element) {
+        console.warn('Child DOM node is missing, creating a new one');
+        return createNode(newChild);
+    }
+    return patch(element, oldChild, newChild, false, createNode) || element;
+}
+
+/**
+ * Removes a child DOM node if it is still attached
+ * @private
+ */
+function removeElement(domNode, element, vnode) {
+    if (element && element.parentNode === domNode) {
+        invokeUnmountHooks(vnode, 'beforeUnmount');
+        domNode.removeChild(element);
+        invokeUnmountHooks(vnode, 'unmounted');
     } else {
-        // Use simple reconciliation
-        const maxLength = Math.max(oldChildren.length, newChildren.length);
-
-        for (let i = 0; i < maxLength; i++) {
-            const oldChild = oldChildren[i];
-            const newChild = newChildren[i];
-
-            // Check if the DOM child exists
-            const domChild = i < domNode.childNodes.length ? domNode.childNodes[i] : null;
-
-            if (!oldChild && newChild) {
-                // Insert new node
-                domNode.appendChild(createDOMNode(newChild));
-            } else if (oldChild && !newChild) {
-                // Remove old node if it exists in the DOM
-                if (domChild) {
-                    domNode.removeChild(domChild);
-                } else {
-                    console.warn('Attempted to remove a child node that does not exist in the DOM');
-                }
-            } else if (oldChild && newChild) {
-                if (domChild) {
-                    // Update existing node
-                    patch(domChild, oldChild, newChild);
-                } else {
-                    // DOM node doesn't exist, create a new one
-                    domNode.appendChild(createDOMNode(newChild));
-                }
+        console.warn('Attempted to remove a child node that does not exist in the DOM');
+    }
+}
+
+/**
+ * Calls an unmount hook of the directives in a removed subtree
+ * @private
+ */
+function invokeUnmountHooks(vnode, name) {
+    if (!vnode || typeof vnode !== 'object') {
+        return;
+    }
+    if (vnode.dirs) {
+        invokeDirectiveHook(vnode, null, name);
+    }
+    // Stops the effects updating the DOM of a DOM mode template
+    if (vnode.tag === HostNode && vnode.scope && name === 'unmounted') {
+        vnode.scope.stop();
+    }
+    if (Array.isArray(vnode.children)) {
+        vnode.children.forEach(child => invokeUnmountHooks(child, name));
+    }
+    if (vnode._instance) {
+        invokeUnmountHooks(vnode._subTree, name);
+        // Stops the effects created in the setup of the component
+        if (name === 'unmounted') {
+            vnode._instance._scope.stop();
+        }
+    }
+}
+
+/**
+ * Returns the indices of the longest increasing subsequence of an array,
+ * ignoring 0 entries (children that are newly mounted)
+ * @param {Array<number>} arr - Array of numbers
+ * @returns {Array<number>} Indices into arr, in increasing order
+ */
+export function getSequence(arr) {
+    const predecessors = arr.slice();
+    const result = [];
+
+    for (let i = 0; i < arr.length; i++) {
+        const value = arr[i];
+        if (value === 0) {
+            continue;
+        }
+
+        const last = result[result.length - 1];
+        if (result.length === 0 || arr[last] < value) {
+            predecessors[i] = last;
+            result.push(i);
+            continue;
+        }
+
+        // Binary search for the first entry in result that is >= value
+        let low = 0;
+        let high = result.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (arr[result[mid]] < value) {
+                low = mid + 1;
+            } else {
+                high = mid;
             }
         }
+
+        if (value < arr[result[low]]) {
+            if (low > 0) {
+                predecessors[i] = result[low - 1];
+            }
+            result[low] = i;
+        }
+    }
+
+    // Rebuild the sequence by following predecessors from the end
+    let length = result.length;
+    let index = result[length - 1];
+    while (length-- > 0) {
+        result[length] = index;
+        index = predecessors[index];
     }
-}
\ No newline at end of file
+
+    return result;
+}
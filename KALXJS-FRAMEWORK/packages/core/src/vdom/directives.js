@@ -0,0 +1,184 @@
+// packages/core/src/vdom/directives.js
+
+import { queuePostFlushCb } from '../scheduler/queue.js';
+
+/**
+ * Runtime of custom directives
+ *
+ * A directive is an object of hooks, each called with the element, a binding
+ * `{ value, oldValue, arg, modifiers, instance, dir }`, the vnode and the
+ * previous vnode:
+ * - created: before the element's props are set
+ * - beforeMount / mounted: before and after the element is inserted
+ * - beforeUpdate / updated: before and after the element is patched
+ * - beforeUnmount / unmounted: before and after the element is removed
+ *
+ * A function is short for `{ mounted: fn, updated: fn }`.
+ *
+ * @module @kalxjs/core/vdom/directives
+ */
+
+// Component whose render function is running, its directives are resolved from it
+let currentRenderingInstance = null;
+
+// mounted, updated and unmounted hooks waiting for the patch to finish
+const pendingHooks = [];
+
+/**
+ * Sets the component whose render function is running
+ * @param {Object|null} instance - Component instance
+ * @returns {Object|null} The previous one, to restore afterwards
+ */
+export function setCurrentRenderingInstance(instance) {
+    const prev = currentRenderingInstance;
+    currentRenderingInstance = instance;
+    return prev;
+}
+
+/**
+ * Returns the component whose render function is running
+ * @returns {Object|null} Component instance
+ */
+export function getCurrentRenderingInstance() {
+    return currentRenderingInstance;
+}
+
+/**
+ * Resolves a directive registered on the rendering component (`directives`
+ * option) or on its app (`app.directive()`).
+ * Compiled render functions call `resolveDirective('focus')` for `v-focus`.
+ * @param {string} name - Directive name without the `v-` prefix
+ * @returns {Object|undefined} Directive definition
+ */
+export function resolveDirective(name) {
+    const instance = currentRenderingInstance;
+    if (!instance) {
+        console.warn(`resolveDirective can only be used in render functions: ${name}`);
+        return undefined;
+    }
+
+    const local = instance.$options && instance.$options.directives;
+    const global = instance.appContext && instance.appContext.directives;
+    const dir = lookup(local, name) || lookup(global, name);
+    if (!dir) {
+        console.warn(`Failed to resolve directive: ${name}`);
+    }
+    return dir;
+}
+
+/**
+ * @private
+ */
+function lookup(registry, name) {
+    if (!registry) {
+        return undefined;
+    }
+    const camelized = name.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    const capitalized = camelized.charAt(0).toUpperCase() + camelized.slice(1);
+    return registry[name] || registry[camelized] || registry[capitalized] ||
+        registry[`v${capitalized}`];
+}
+
+/**
+ * Creates the bindings of the directives applied to a vnode
+ * @param {Array} directives - `[dir, value, arg, modifiers]` tuples
+ * @param {Object|null} instance - Component that rendered the vnode
+ * @returns {Array<Object>} Bindings
+ * @private
+ */
+export function createDirectiveBindings(directives, instance) {
+    const bindings = [];
+    for (const [dir, value, arg, modifiers = {}] of directives) {
+        if (!dir) {
+            continue;
+        }
+        bindings.push({
+            dir: typeof dir === 'function' ? { mounted: dir, updated: dir } : dir,
+            instance,
+            value,
+            oldValue: undefined,
+            arg,
+            modifiers
+        });
+    }
+    return bindings;
+}
+
+/**
+ * Calls a hook of every directive of a vnode on its element
+ * @param {Object} vnode - Vnode with `dirs`
+ * @param {Object|null} prevVNode - Vnode it is patched from, gives `oldValue`
+ * @param {string} name - Hook name
+ */
+export function invokeDirectiveHook(vnode, prevVNode, name) {
+    const bindings = vnode.dirs;
+    const oldBindings = prevVNode && prevVNode.dirs;
+
+    for (let i = 0; i < bindings.length; i++) {
+        const binding = bindings[i];
+        if (oldBindings && oldBindings[i]) {
+            binding.oldValue = oldBindings[i].value;
+        }
+
+        const hook = binding.dir[name];
+        if (typeof hook === 'function') {
+            try {
+                hook(vnode.el, binding, vnode, prevVNode);
+            } catch (error) {
+                console.error(`Error in directive ${name} hook:`, error);
+            }
+        }
+    }
+}
+
+/**
+ * Calls a hook once the current patch finished, so mounted hooks see the
+ * element in the document
+ * @param {Object} vnode - Vnode with `dirs`
+ * @param {Object|null} prevVNode - Vnode it is patched from
+ * @param {string} name - Hook name
+ */
+export function queueDirectiveHook(vnode, prevVNode, name) {
+    pendingHooks.push(() => invokeDirectiveHook(vnode, prevVNode, name));
+
+    // Renderers flush right after patching, this catches the others
+    queuePostFlushCb(flushDirectiveHooks);
+}
+
+/**
+ * Calls the queued directive hooks
+ */
+export function flushDirectiveHooks() {
+    // Hooks may patch again and queue more hooks
+    while (pendingHooks.length > 0) {
+        pendingHooks.shift()();
+    }
+}
+
+/**
+ * Built-in `v-show`: toggles `display: none` and keeps the element's own display
+ */
+export const vShow = {
+    beforeMount(el, { value }) {
+        const display = el.style ? el.style.display : '';
+        el._vod = display === 'none' ? '' : display;
+        setDisplay(el, value);
+    },
+    updated(el, { value, oldValue }) {
+        if (!value !== !oldValue) {
+            setDisplay(el, value);
+        }
+    },
+    beforeUnmount(el, { value }) {
+        setDisplay(el, value);
+    }
+};
+
+/**
+ * @private
+ */
+function setDisplay(el, value) {
+    if (el.style) {
+        el.style.display = value ? el._vod : 'none';
+    }
+}
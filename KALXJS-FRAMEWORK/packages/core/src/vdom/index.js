@@ -4,7 +4,12 @@ import {
     h,
     createDOMElement,
     updateElement,
-    updateProps
+    updateProps,
+    openBlock,
+    createBlock,
+    renderOnce,
+    withMemo,
+    withDirectives
 } from './vdom.js';
 
 export {
@@ -12,9 +17,18 @@ export {
     h,
     createDOMElement,
     updateElement,
-    updateProps
+    updateProps,
+    openBlock,
+    createBlock,
+    renderOnce,
+    withMemo,
+    withDirectives
 };
 
+export { PatchFlags } from './patch-flags.js';
+export { toDisplayString, renderList, toHandlerKey } from './render-helpers.js';
+export { resolveDirective, vShow } from './directives.js';
+
 // Also provide function to update children which is used internally
 export { updateChildren } from './vdom.js';
 
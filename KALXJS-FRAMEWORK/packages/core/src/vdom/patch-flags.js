@@ -0,0 +1,48 @@
+// @kalxjs/core - Patch flags
+// Kept in sync with PatchFlags in @kalxjs/compiler/optimizer/patch-flags.js
+
+/**
+ * Optimization hints emitted by the template compiler. A vnode's patchFlag
+ * tells the patcher which parts of it can change between renders, so
+ * everything else is skipped.
+ */
+export const PatchFlags = {
+    // Dynamic text content
+    TEXT: 1,
+
+    // Dynamic class binding
+    CLASS: 1 << 1,
+
+    // Dynamic style binding
+    STYLE: 1 << 2,
+
+    // Dynamic props (excluding class and style), listed in vnode.dynamicProps
+    PROPS: 1 << 3,
+
+    // Props with dynamic keys, need a full props diff
+    FULL_PROPS: 1 << 4,
+
+    // Has event listeners
+    HYDRATE_EVENTS: 1 << 5,
+
+    // Stable fragment (children order won't change)
+    STABLE_FRAGMENT: 1 << 6,
+
+    // Fragment with keyed children
+    KEYED_FRAGMENT: 1 << 7,
+
+    // Fragment with unkeyed children
+    UNKEYED_FRAGMENT: 1 << 8,
+
+    // Needs a patch even though no props/text are dynamic
+    NEED_PATCH: 1 << 9,
+
+    // Dynamic slots
+    DYNAMIC_SLOTS: 1 << 10,
+
+    // Hoisted static node (never needs patch)
+    HOISTED: -1,
+
+    // Bail (skip optimization completely)
+    BAIL: -2
+};
@@ -0,0 +1,158 @@
+// @kalxjs/core - Helpers called by compiled render functions
+
+import { PatchFlags } from './patch-flags.js';
+
+/**
+ * Converts an interpolated value to the text it renders as
+ * null and undefined render nothing, plain objects and arrays render as JSON
+ * @param {*} value - Interpolated value
+ * @returns {string} Display text
+ */
+export function toDisplayString(value) {
+    if (value == null) {
+        return '';
+    }
+
+    if (Array.isArray(value) ||
+        (typeof value === 'object' && (value.toString === Object.prototype.toString || typeof value.toString !== 'function'))) {
+        return JSON.stringify(value, (key, val) => {
+            if (val instanceof Map) return Object.fromEntries(val);
+            if (val instanceof Set) return [...val];
+            return val;
+        }, 2);
+    }
+
+    return String(value);
+}
+
+/**
+ * Renders one vnode per item of a v-for source
+ * - arrays and strings: (item, index)
+ * - numbers: (n, index) for n = 1..source
+ * - iterables (Map, Set...): (item, index)
+ * - plain objects: (value, key, index)
+ * @param {*} source - List source
+ * @param {Function} renderItem - Renders one item
+ * @returns {Array} Rendered vnodes
+ */
+export function renderList(source, renderItem) {
+    if (Array.isArray(source) || typeof source === 'string') {
+        return Array.from(source, (item, index) => renderItem(item, index));
+    }
+
+    if (typeof source === 'number') {
+        if (!Number.isInteger(source) || source < 0) {
+            console.warn(`The v-for range expects a positive integer value, got ${source}.`);
+            return [];
+        }
+        return Array.from({ length: source }, (_, index) => renderItem(index + 1, index));
+    }
+
+    if (source && typeof source === 'object') {
+        if (typeof source[Symbol.iterator] === 'function') {
+            return Array.from(source, (item, index) => renderItem(item, index));
+        }
+        return Object.keys(source).map((key, index) => renderItem(source[key], key, index));
+    }
+
+    return [];
+}
+
+/**
+ * Turns an event name into the prop its listener is passed as, for
+ * `@[event]` bindings: `click` -> `onClick`
+ * @param {string} event - Event name
+ * @returns {string} Listener prop name
+ */
+export function toHandlerKey(event) {
+    return event ? `on${event.charAt(0).toUpperCase()}${event.slice(1)}` : '';
+}
+
+/**
+ * Sets the custom properties of a component's v-bind() styles on the root
+ * element it rendered
+ * @param {*} vnode - Root vnode returned by the render function
+ * @param {Object} vars - Custom property values by name (`--<id>-<name>`)
+ * @returns {*} The vnode, with the properties merged into its style
+ */
+export function withCssVars(vnode, vars) {
+    if (!vnode || typeof vnode !== 'object' || typeof vnode.tag !== 'string') {
+        return vnode;
+    }
+
+    // Unset values fall back to the var() default, like an undeclared property
+    const values = {};
+    for (const name in vars) {
+        values[name] = vars[name] == null ? 'initial' : String(vars[name]);
+    }
+
+    const props = vnode.props || {};
+    let style;
+    if (props.style && typeof props.style === 'object') {
+        style = { ...props.style, ...values };
+    } else {
+        const declarations = Object.keys(values).map(name => `${name}: ${values[name]}`).join('; ');
+        style = props.style ? `${String(props.style).replace(/;?\s*$/, ';')} ${declarations}` : declarations;
+    }
+
+    // Blocks and flagged vnodes only patch what their flags list
+    let patchFlag = vnode.patchFlag;
+    if (patchFlag > 0 || (!patchFlag && vnode.dynamicChildren)) {
+        patchFlag = (patchFlag || 0) | PatchFlags.STYLE;
+    }
+
+    return { ...vnode, props: { ...props, style }, patchFlag };
+}
+
+/**
+ * Slot functions of a component vnode: compiled templates pass them as an
+ * object, plain children become the default slot
+ * @param {Object} vnode - Component vnode
+ * @param {Object|null} options - Options of the component, whose scope id marks the slot content
+ * @returns {Object} Slot functions by name
+ */
+export function resolveSlots(vnode, options) {
+    let slots = {};
+    if (vnode.slots) {
+        slots = { ...vnode.slots };
+    } else if (vnode.children && vnode.children.length > 0) {
+        const children = vnode.children;
+        slots = { default: () => children };
+    }
+
+    // Components with scoped styles mark slot content for their :slotted() selectors
+    if (options && options.__scopeId) {
+        const attr = `${options.__scopeId}-s`;
+        for (const name in slots) {
+            const slot = slots[name];
+            slots[name] = (...args) => markSlotted(slot(...args), attr);
+        }
+    }
+    return slots;
+}
+
+/**
+ * Adds the slotted attribute to the elements a slot renders, without
+ * descending into components
+ * @private
+ */
+function markSlotted(vnodes, attr, copies = new Map()) {
+    if (Array.isArray(vnodes)) {
+        return vnodes.map(vnode => markSlotted(vnode, attr, copies));
+    }
+    if (!vnodes || typeof vnodes !== 'object' || typeof vnodes.tag !== 'string') {
+        return vnodes;
+    }
+
+    const copy = {
+        ...vnodes,
+        props: { ...vnodes.props, [attr]: '' },
+        children: markSlotted(vnodes.children, attr, copies)
+    };
+    // Blocks track their dynamic descendants, which are now the copies
+    if (vnodes.dynamicChildren) {
+        copy.dynamicChildren = vnodes.dynamicChildren.map(child => copies.get(child) || child);
+    }
+    copies.set(vnodes, copy);
+    return copy;
+}
@@ -1,7 +1,14 @@
 // packages/core/src/vdom/vdom.js
 
 // Import the new diffing algorithm
-import { patch } from './diff.js';
+import { patch, updateChildren as diffChildren } from './diff.js';
+import {
+    createDirectiveBindings,
+    getCurrentRenderingInstance,
+    invokeDirectiveHook,
+    queueDirectiveHook
+} from './directives.js';
+import { resolveSlots } from './render-helpers.js';
 
 /**
  * Creates a DOM element with the given tag
@@ -55,38 +62,222 @@ function flattenArray(arr, depth = 1) {
     return result;
 }
 
+/**
+ * Checks whether h() was given slot functions rather than a single child vnode
+ * @private
+ */
+function isSlotsObject(children) {
+    return children !== null && typeof children === 'object' && !Array.isArray(children) &&
+        !('tag' in children) && Object.values(children).every(slot => typeof slot === 'function');
+}
+
+// Dynamic-children arrays of the blocks currently being created, innermost last
+const blockStack = [];
+let currentBlock = null;
+
+// Above 0 while a v-once subtree renders, its vnodes are never patched again
+let blockTrackingPaused = 0;
+
+/**
+ * Opens a block. Every vnode with a patch flag created until the matching
+ * createBlock() call is collected into the block's `dynamicChildren`.
+ * Compiled render functions call `(openBlock(), createBlock(...))`.
+ */
+export function openBlock() {
+    currentBlock = [];
+    blockStack.push(currentBlock);
+}
+
+/**
+ * Creates the root vnode of a block opened with openBlock()
+ * @param {string|function} tag - HTML tag name or component function
+ * @param {Object} props - Node properties
+ * @param {Array} children - Child nodes
+ * @param {number} [patchFlag] - Patch flag of the root node
+ * @param {Array<string>} [dynamicProps] - Names of the dynamic props (PROPS flag)
+ * @returns {Object} Block vnode
+ */
+export function createBlock(tag, props, children, patchFlag, dynamicProps) {
+    const dynamicChildren = currentBlock;
+    blockStack.pop();
+    currentBlock = blockStack[blockStack.length - 1] || null;
+
+    const vnode = h(tag, props, children, patchFlag, dynamicProps);
+    if (vnode) {
+        vnode.dynamicChildren = dynamicChildren || [];
+
+        // Nested blocks are always patched by their parent block
+        if (currentBlock && !blockTrackingPaused && !(patchFlag > 0)) {
+            currentBlock.push(vnode);
+        }
+    }
+    return vnode;
+}
+
 /**
  * Creates a virtual DOM node
  * @param {string|function} tag - HTML tag name or component function
  * @param {Object} props - Node properties
  * @param {Array} children - Child nodes
+ * @param {number} [patchFlag] - Patch flag emitted by the compiler
+ * @param {Array<string>} [dynamicProps] - Names of the dynamic props (PROPS flag)
  */
-export function h(tag, props = {}, children = []) {
+export function h(tag, props = {}, children = [], patchFlag, dynamicProps) {
     // Handle null or undefined tag
     if (!tag) {
         console.warn('Invalid tag provided to h function');
         return null;
     }
 
+    // Components also take an object of slot functions instead of children
+    const slots = typeof tag !== 'string' && isSlotsObject(children) ? children : null;
+
     // Ensure children is always an array
-    const childArray = Array.isArray(children) ? children : (children ? [children] : []);
+    const childArray = slots ? [] : Array.isArray(children) ? children : (children ? [children] : []);
 
     // If tag is a component function, mark it as a component
     if (typeof tag === 'function') {
-        return {
+        const vnode = {
             tag: 'component-placeholder', // Use a placeholder tag for the vnode
             props: props || {},
             children: flattenArray(childArray),
             component: tag, // Store the component function
             isComponent: true // Mark as a component
         };
+        if (slots) vnode.slots = slots;
+        return vnode;
     }
 
-    return {
+    const vnode = {
         tag,
         props: props || {},
         children: flattenArray(childArray)
     };
+    if (slots) vnode.slots = slots;
+
+    if (patchFlag !== undefined) {
+        vnode.patchFlag = patchFlag;
+        if (dynamicProps) {
+            vnode.dynamicProps = dynamicProps;
+        }
+
+        // Only nodes with dynamic parts are tracked, static ones are skipped on update
+        if (currentBlock && !blockTrackingPaused && patchFlag > 0) {
+            currentBlock.push(vnode);
+        }
+    }
+
+    return vnode;
+}
+
+/**
+ * Tag of the vnodes wrapping a host node built outside of the renderer, by
+ * templates compiled in DOM mode. The renderer inserts and removes the node
+ * as-is and stops the effects that keep it up to date.
+ */
+export const HostNode = Symbol('HostNode');
+
+/**
+ * Wraps a host node into a vnode
+ * @param {Object} node - Host node
+ * @param {Object} [scope] - Effect scope updating the node, stopped when it is removed
+ * @returns {Object} Vnode
+ */
+export function createHostVNode(node, scope = null) {
+    return { tag: HostNode, props: {}, children: node, scope };
+}
+
+/**
+ * Renders a v-once subtree on the first render and returns the same vnode
+ * afterwards, which the patcher skips. Its dynamic nodes aren't collected
+ * into the enclosing block.
+ * Compiled render functions call `renderOnce(() => h(...), _cache, 0)`.
+ * @param {Function} render - Renders the subtree
+ * @param {Array} cache - Render cache of the component instance
+ * @param {number} index - Slot of the subtree in the cache
+ * @returns {Object} Cached vnode
+ */
+export function renderOnce(render, cache, index) {
+    if (cache[index] !== undefined) {
+        return cache[index];
+    }
+
+    blockTrackingPaused++;
+    try {
+        return (cache[index] = render());
+    } finally {
+        blockTrackingPaused--;
+    }
+}
+
+/**
+ * Re-renders a v-memo subtree only when one of its dependencies changed
+ * (compared with Object.is), otherwise returns the vnode of the last render,
+ * which the patcher skips. The subtree is rendered as a block of its own.
+ * Compiled render functions call
+ * `withMemo([a, b], () => (openBlock(), createBlock(...)), _cache, 0)`.
+ * @param {Array} memo - Dependencies
+ * @param {Function} render - Renders the subtree
+ * @param {Array|Map} cache - Render cache of the component instance, or of a v-for list
+ * @param {*} index - Slot of the subtree in the cache, the item key in a list
+ * @returns {Object} Rendered or cached vnode
+ */
+export function withMemo(memo, render, cache, index) {
+    const cached = cache instanceof Map ? cache.get(index) : cache[index];
+    if (cached && isMemoSame(cached.memo, memo)) {
+        // The cached vnode stands where the new one would be in the enclosing block
+        if (currentBlock && cached.memoTracked) {
+            currentBlock.push(cached);
+        }
+        return cached;
+    }
+
+    const vnode = render();
+    if (vnode) {
+        vnode.memo = memo.slice();
+        vnode.memoTracked = Boolean(currentBlock) && currentBlock[currentBlock.length - 1] === vnode;
+    }
+    if (cache instanceof Map) {
+        cache.set(index, vnode);
+    } else {
+        cache[index] = vnode;
+    }
+    return vnode;
+}
+
+/**
+ * Applies custom directives to a vnode. Their hooks are called by the
+ * renderer as the element is mounted, patched and removed; on a component
+ * they apply to its root element.
+ * Compiled render functions call
+ * `withDirectives(h('input', ...), [[vFocus], [vTooltip, msg, 'top', { lazy: true }]])`.
+ * @param {Object} vnode - Element or component vnode
+ * @param {Array<Array>} directives - `[dir, value, arg, modifiers]` tuples
+ * @returns {Object} The vnode
+ */
+export function withDirectives(vnode, directives) {
+    if (!vnode) {
+        return vnode;
+    }
+
+    const bindings = createDirectiveBindings(directives, getCurrentRenderingInstance());
+    vnode.dirs = vnode.dirs ? vnode.dirs.concat(bindings) : bindings;
+
+    // Hooks run when the vnode is patched, so blocks have to visit it even if nothing else is dynamic
+    if (currentBlock && !blockTrackingPaused && currentBlock[currentBlock.length - 1] !== vnode) {
+        currentBlock.push(vnode);
+    }
+    return vnode;
+}
+
+/**
+ * @private
+ */
+function isMemoSame(prev, next) {
+    if (!prev || prev.length !== next.length) {
+        return false;
+    }
+    return prev.every((value, i) => Object.is(value, next[i]));
 }
 
 /**
@@ -95,6 +286,11 @@ export function h(tag, props = {}, children = []) {
  * @returns {HTMLElement} Real DOM element
  */
 export function createElement(vnode) {
+    // Nodes built by DOM mode templates are used as they are
+    if (vnode && vnode.tag === HostNode) {
+        return (vnode.el = vnode.children);
+    }
+
     // Handle primitive values (string, number, etc.)
     if (typeof vnode === 'string' || typeof vnode === 'number') {
         return document.createTextNode(String(vnode));
@@ -184,8 +380,8 @@ export function createElement(vnode) {
                 console.log('Detected component factory with options:', vnode.component.options.name);
             }
 
-            // Call the component function with the props
-            const result = vnode.component(vnode.props);
+            // Call the component function with the props and the slots the parent passed
+            const result = vnode.component(vnode.props, resolveSlots(vnode, vnode.component.options || null));
 
             if (!result) {
                 throw new Error('Component function returned null or undefined');
@@ -197,7 +393,13 @@ export function createElement(vnode) {
             if (result.render && typeof result.render === 'function') {
                 const renderResult = result.render();
                 console.log('Component render result:', renderResult);
-                return createElement(renderResult);
+
+                // Kept on the vnode, so patches render the same instance again
+                const element = createElement(renderResult);
+                vnode._instance = result;
+                vnode._subTree = renderResult;
+                vnode.el = element;
+                return element;
             }
 
             // If the result doesn't have a tag property, add one
@@ -374,6 +576,11 @@ ${JSON.stringify(vnode, null, 2)}
         return errorElement;
     }
 
+    if (vnode.dirs) {
+        vnode.el = element;
+        invokeDirectiveHook(vnode, null, 'created');
+    }
+
     // Set properties - ensure props is a proper object and not an array
     try {
         const props = vnode.props || {};
@@ -402,9 +609,15 @@ ${JSON.stringify(vnode, null, 2)}
                         console.warn(`Event handler for ${eventName} is not a function:`, value);
                     }
                 } else if (key === 'style') {
-                    // Handle style objects and strings
+                    // Handle style objects and strings; custom properties need setProperty()
                     if (typeof value === 'object') {
-                        Object.assign(element.style, value);
+                        for (const name in value) {
+                            if (name.startsWith('--')) {
+                                element.style.setProperty(name, value[name]);
+                            } else {
+                                element.style[name] = value[name];
+                            }
+                        }
                     } else if (typeof value === 'string') {
                         element.style.cssText = value;
                     }
@@ -416,6 +629,9 @@ ${JSON.stringify(vnode, null, 2)}
                     if (value && value.__html !== undefined) {
                         element.innerHTML = value.__html;
                     }
+                } else if (key === 'innerHTML' || key === 'textContent') {
+                    // v-html and v-text set the content of the element
+                    element[key] = value;
                 } else {
                     // Handle regular attributes - validate attribute name and value
                     try {
@@ -455,6 +671,15 @@ ${JSON.stringify(vnode, null, 2)}
         }
     });
 
+    // Keep a reference to the DOM node for keyed updates and TransitionGroup
+    vnode.el = element;
+
+    // The caller inserts the element, mounted hooks wait for the patch to finish
+    if (vnode.dirs) {
+        invokeDirectiveHook(vnode, null, 'beforeMount');
+        queueDirectiveHook(vnode, null, 'mounted');
+    }
+
     return element;
 }
 
@@ -466,8 +691,8 @@ ${JSON.stringify(vnode, null, 2)}
  * @returns {HTMLElement} Updated DOM element
  */
 export function updateElement(element, oldVNode, newVNode) {
-    // Use the new diffing algorithm
-    return patch(element, oldVNode, newVNode);
+    // Use the new diffing algorithm, mounting new nodes like createElement() does
+    return patch(element, oldVNode, newVNode, false, createElement);
 }
 
 /**
@@ -505,48 +730,13 @@ export function updateProps(element, oldProps, newProps) {
     }
 }
 
-/**
- * Updates a child element
- * @param {HTMLElement} parentElement - Parent DOM element
- * @param {Object} oldChild - Previous virtual DOM node
- * @param {Object} newChild - New virtual DOM node
- * @param {number} index - Child index
- */
-function updateChild(parentElement, oldChild, newChild, index) {
-    const childElement = parentElement.childNodes[index];
-
-    // Remove extra children
-    if (!newChild) {
-        parentElement.removeChild(childElement);
-        return;
-    }
-
-    // Add missing children
-    if (!oldChild) {
-        const newElement = createElement(newChild);
-        parentElement.appendChild(newElement);
-        return;
-    }
-
-    // Update existing children
-    updateElement(childElement, oldChild, newChild);
-}
-
 /**
  * Updates all children of a DOM element
+ * Keyed children are reconciled by key with minimal DOM moves, unkeyed children by index
  * @param {HTMLElement} parentElement - Parent DOM element
  * @param {Array} oldChildren - Previous virtual DOM nodes
  * @param {Array} newChildren - New virtual DOM nodes
  */
 export function updateChildren(parentElement, oldChildren, newChildren) {
-    const maxLength = Math.max(oldChildren.length, newChildren.length);
-
-    for (let i = 0; i < maxLength; i++) {
-        updateChild(
-            parentElement,
-            oldChildren[i],
-            newChildren[i],
-            i
-        );
-    }
+    diffChildren(parentElement, oldChildren || [], newChildren || [], createElement);
 }
\ No newline at end of file
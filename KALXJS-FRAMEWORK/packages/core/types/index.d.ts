@@ -42,8 +42,22 @@ export function computed<T>(options: {
 
 export function effect<T = any>(fn: () => T, options?: EffectOptions): EffectRunner;
 
+export function stop(runner: EffectRunner | ReactiveEffect): void;
+
+export interface EffectScope {
+    active: boolean;
+    run<T>(fn: () => T): T | undefined;
+    stop(): void;
+}
+
+export function effectScope(detached?: boolean): EffectScope;
+export function getCurrentScope(): EffectScope | null;
+export function onScopeDispose(fn: () => void): void;
+
 export interface EffectOptions {
     lazy?: boolean;
+    scope?: EffectScope;
+    onStop?: () => void;
     scheduler?: (job: () => void) => void;
     onTrack?: (event: DebuggerEvent) => void;
     onTrigger?: (event: DebuggerEvent) => void;
@@ -72,16 +86,28 @@ export interface DebuggerEvent {
     oldValue?: any;
 }
 
+export function shallowReactive<T extends object>(target: T): T;
+
 export function readonly<T extends object>(target: T): Readonly<T>;
+export function shallowReadonly<T extends object>(target: T): Readonly<T>;
+
+export function shallowRef<T>(value: T): Ref<T>;
+export function shallowRef<T = any>(): Ref<T | undefined>;
+export function triggerRef(ref: Ref): void;
+
+export function toRaw<T>(observed: T): T;
+export function markRaw<T extends object>(value: T): T;
 
 export function isRef<T>(value: any): value is Ref<T>;
 export function isReactive(value: unknown): boolean;
 export function isReadonly(value: unknown): boolean;
+export function isShallow(value: unknown): boolean;
 export function isProxy(value: unknown): boolean;
 
 export function toRef<T extends object, K extends keyof T>(
     object: T,
-    key: K
+    key: K,
+    defaultValue?: T[K]
 ): Ref<T[K]>;
 
 export function toRefs<T extends object>(object: T): ToRefs<T>;
@@ -97,9 +123,15 @@ export interface Signal<T = any> {
     (value: T): void;
     value: T;
     peek(): T;
+    set(value: T | ((previous: T) => T)): void;
+    update(fn: (previous: T) => T): void;
 }
 
-export function signal<T>(initialValue: T): Signal<T>;
+export interface SignalOptions<T = any> {
+    equals?: (a: T, b: T) => boolean;
+}
+
+export function signal<T>(initialValue: T, options?: SignalOptions<T>): Signal<T>;
 
 export function effect(fn: () => void): () => void;
 
@@ -109,6 +141,10 @@ export function batch(fn: () => void): void;
 
 export function untrack<T>(fn: () => T): T;
 
+export function toSignal<T>(ref: Ref<T>): Signal<T>;
+
+export function fromSignal<T>(signal: Signal<T> | (() => T)): Ref<T>;
+
 export interface Resource<T> {
     (): T | undefined;
     loading: boolean;
@@ -153,6 +189,7 @@ export interface ComponentOptions<Props = any, Data = any> {
 
     // Components
     components?: Record<string, Component>;
+    directives?: Record<string, Directive | FunctionDirective>;
 
     // Other
     mixins?: ComponentOptions[];
@@ -200,6 +237,20 @@ export function createComponent<Props>(
     options: ComponentOptions<Props>
 ): Component<Props>;
 
+/**
+ * Type of a compiled .klx component, as declared by `kalxjs typecheck --declaration`.
+ * The `$props`, `$emit` and `$slots` members only exist in types.
+ */
+export interface DefineComponent<
+    Props = Record<string, any>,
+    Emit = (event: string, ...args: any[]) => void,
+    S = Slots
+> extends ComponentOptions<any> {
+    readonly $props: Props;
+    readonly $emit: Emit;
+    readonly $slots: S;
+}
+
 // ============================================================================
 // Composition API
 // ============================================================================
@@ -258,9 +309,9 @@ export type WatchCallback<V = any, OV = any> = (
 export type WatchStopHandle = () => void;
 
 export function watch<T>(
-    source: WatchSource<T>,
+    source: WatchSource<T> | T,
     callback: WatchCallback<T>,
-    options?: WatchOptions
+    options?: Omit<WatchOptions, 'handler'>
 ): WatchStopHandle;
 
 export function watch<T extends readonly WatchSource[]>(
@@ -269,14 +320,38 @@ export function watch<T extends readonly WatchSource[]>(
         { [K in keyof T]: T[K] extends WatchSource<infer V> ? V : never },
         { [K in keyof T]: T[K] extends WatchSource<infer V> ? V : never }
     >,
-    options?: WatchOptions
+    options?: Omit<WatchOptions, 'handler'>
 ): WatchStopHandle;
 
+export interface WatchEffectOptions {
+    flush?: 'pre' | 'post' | 'sync';
+}
+
 export function watchEffect(
     effect: (onCleanup: (cleanupFn: () => void) => void) => void,
-    options?: WatchOptions
+    options?: WatchEffectOptions
+): WatchStopHandle;
+
+export function watchPostEffect(
+    effect: (onCleanup: (cleanupFn: () => void) => void) => void
+): WatchStopHandle;
+
+export function watchSyncEffect(
+    effect: (onCleanup: (cleanupFn: () => void) => void) => void
 ): WatchStopHandle;
 
+// Two-way binding for a v-model of the component, what defineModel() compiles to
+export type ModelRef<T, M extends string = string> = Ref<T> & [Ref<T>, Record<M, true | undefined>];
+
+export function useModel<T = any, M extends string = string>(
+    props: Record<string, any>,
+    name?: string,
+    options?: {
+        get?: (value: T, modifiers: Record<M, true | undefined>) => T;
+        set?: (value: T, modifiers: Record<M, true | undefined>) => T;
+    }
+): ModelRef<T, M>;
+
 // Provide / Inject
 export function provide<T>(key: InjectionKey<T> | string, value: T): void;
 export function inject<T>(key: InjectionKey<T> | string): T | undefined;
@@ -297,6 +372,9 @@ export interface VNode<Props = any> {
     el: Element | null;
     shapeFlag: number;
     patchFlag: number;
+    dynamicProps?: string[];
+    dynamicChildren?: VNode[];
+    dirs?: DirectiveBinding[];
 }
 
 export type VNodeChildren = string | number | boolean | VNode | VNode[] | null;
@@ -311,6 +389,49 @@ export function h(type: Component): VNode;
 export function h(type: Component, props: Record<string, any>): VNode;
 export function h(type: Component, children: VNodeChildren): VNode;
 export function h(type: Component, props: Record<string, any>, children: VNodeChildren): VNode;
+export function h(type: Component, props: Record<string, any>, slots: Record<string, (...args: any[]) => VNodeChildren>): VNode;
+
+export const PatchFlags: {
+    readonly TEXT: 1;
+    readonly CLASS: 2;
+    readonly STYLE: 4;
+    readonly PROPS: 8;
+    readonly FULL_PROPS: 16;
+    readonly HYDRATE_EVENTS: 32;
+    readonly STABLE_FRAGMENT: 64;
+    readonly KEYED_FRAGMENT: 128;
+    readonly UNKEYED_FRAGMENT: 256;
+    readonly NEED_PATCH: 512;
+    readonly DYNAMIC_SLOTS: 1024;
+    readonly HOISTED: -1;
+    readonly BAIL: -2;
+};
+
+export function openBlock(): void;
+
+export function createBlock(
+    type: string | Component,
+    props?: Record<string, any> | null,
+    children?: VNodeChildren,
+    patchFlag?: number,
+    dynamicProps?: string[]
+): VNode;
+
+export function renderOnce(render: () => VNode, cache: any[], index: number): VNode;
+
+export function withMemo(memo: any[], render: () => VNode, cache: any[] | Map<any, VNode>, index: any): VNode;
+
+export function withDirectives<T extends VNode>(vnode: T, directives: DirectiveArguments): T;
+
+export function resolveDirective(name: string): Directive | undefined;
+
+export function toDisplayString(value: unknown): string;
+
+export function renderList<T>(source: T[] | Iterable<T>, renderItem: (item: T, index: number) => VNodeChildren): VNodeChildren[];
+export function renderList(source: number, renderItem: (n: number, index: number) => VNodeChildren): VNodeChildren[];
+export function renderList<T>(source: Record<string, T>, renderItem: (value: T, key: string, index: number) => VNodeChildren): VNodeChildren[];
+
+export function toHandlerKey(event: string): string;
 
 export function createElement(
     type: string | Component,
@@ -431,7 +552,7 @@ export interface App<HostElement = any> {
     component(name: string): Component | undefined;
     component(name: string, component: Component): this;
     directive(name: string): Directive | undefined;
-    directive(name: string, directive: Directive): this;
+    directive(name: string, directive: Directive | FunctionDirective): this;
     mount(rootContainer: HostElement | string): ComponentInternalInstance;
     unmount(): void;
     provide<T>(key: InjectionKey<T> | string, value: T): this;
@@ -463,6 +584,77 @@ export interface AppContext {
 
 export function createApp(rootComponent: Component): App;
 
+// ============================================================================
+// Custom Renderer API
+// ============================================================================
+
+export interface RendererNodeOps<HostNode = any, HostElement = HostNode> {
+    createElement(tag: string): HostElement;
+    createText(text: string): HostNode;
+    createComment?(text: string): HostNode;
+    insert(child: HostNode, parent: HostElement, anchor?: HostNode | null): void;
+    remove(child: HostNode): void;
+    setText(node: HostNode, text: string): void;
+    setElementText?(el: HostElement, text: string): void;
+    patchProp(el: HostElement, key: string, prevValue: any, nextValue: any): void;
+    parentNode(node: HostNode): HostElement | null;
+    nextSibling(node: HostNode): HostNode | null;
+    querySelector?(selector: string): HostElement | null;
+}
+
+export interface Renderer<HostElement = any> {
+    render(vnode: VNode | null, container: HostElement): void;
+    patch(oldVNode: VNode | null, newVNode: VNode, container: HostElement, anchor?: any): void;
+    unmount(vnode: VNode, parentComponent?: ComponentInternalInstance | null, doRemove?: boolean): void;
+    createApp(rootComponent: Component, rootProps?: Record<string, any> | null): App<HostElement>;
+}
+
+export const Text: unique symbol;
+export const Comment: unique symbol;
+export const domNodeOps: RendererNodeOps<Node, Element>;
+
+export function createRenderer<HostNode = any, HostElement = HostNode>(
+    nodeOps: RendererNodeOps<HostNode, HostElement>
+): Renderer<HostElement>;
+export function createRenderer(options?: { router?: any; store?: any; useCustomRenderer?: boolean }): any;
+export function baseCreateRenderer<HostNode = any, HostElement = HostNode>(
+    nodeOps: RendererNodeOps<HostNode, HostElement>
+): Renderer<HostElement>;
+
+// ============================================================================
+// Direct DOM templates (`<template mode="dom">`)
+// ============================================================================
+
+/** Runs a DOM template render function, returns its DOM as a single vnode */
+export function renderDOM(render: () => Node): VNode;
+/** Returns a function cloning the DOM of a static HTML string */
+export function createDOMTemplate(html: string): () => Node;
+/** Runs fn again whenever what it read changes, returns a function stopping it */
+export function renderEffect(fn: () => void): () => void;
+export function setDOMText(node: Text, value: any): void;
+export function setDOMProp(el: Element, key: string, value: any): void;
+export function setDOMShow(el: HTMLElement, value: any): void;
+export function createDOMIf(anchor: Node, getBranch: () => number, branches: Array<() => Node>): void;
+export function createDOMFor(
+    anchor: Node,
+    getSource: () => any,
+    renderItem: (...args: any[]) => Node,
+    getKey?: (...args: any[]) => any
+): void;
+export function createDOMComponent(anchor: Node, component: Component, getProps: () => Record<string, any>): void;
+
+// ============================================================================
+// Hot Module Replacement
+// ============================================================================
+
+export interface HMRRuntime {
+    createRecord(id: string, component: ComponentOptions): boolean;
+    rerender(id: string, render: (...args: any[]) => VNode): void;
+    reload(id: string, component: ComponentOptions): void;
+}
+
+export const hmrRuntime: HMRRuntime;
+
 // ============================================================================
 // Plugin API
 // ============================================================================
@@ -476,6 +668,7 @@ export interface Plugin {
 // ============================================================================
 
 export interface Directive<T = any, V = any> {
+    created?(el: T, binding: DirectiveBinding<V>, vnode: VNode, prevVNode: VNode | null): void;
     beforeMount?(el: T, binding: DirectiveBinding<V>, vnode: VNode, prevVNode: VNode | null): void;
     mounted?(el: T, binding: DirectiveBinding<V>, vnode: VNode, prevVNode: VNode | null): void;
     beforeUpdate?(el: T, binding: DirectiveBinding<V>, vnode: VNode, prevVNode: VNode): void;
@@ -493,6 +686,18 @@ export interface DirectiveBinding<V = any> {
     dir: Directive<any, V>;
 }
 
+/** Called on mounted and updated */
+export type FunctionDirective<T = any, V = any> = (el: T, binding: DirectiveBinding<V>, vnode: VNode, prevVNode: VNode | null) => void;
+
+export type DirectiveArguments = Array<
+    | [Directive | FunctionDirective | undefined]
+    | [Directive | FunctionDirective | undefined, any]
+    | [Directive | FunctionDirective | undefined, any, string | undefined]
+    | [Directive | FunctionDirective | undefined, any, string | undefined, Record<string, boolean>]
+>;
+
+export const vShow: Directive<HTMLElement, any>;
+
 // ============================================================================
 // SSR
 // ============================================================================
@@ -5,8 +5,9 @@
  * @module @kalxjs/i18n/composables
  */
 
-import { inject, computed } from '@kalxjs/core';
+import { inject, computed, getCurrentInstance } from '@kalxjs/core';
 import { createTranslator } from './translator.js';
+import { createI18n } from './plugin.js';
 import { createDateTimeFormatter, createNumberFormatter } from './formatters.js';
 
 /**
@@ -22,8 +23,12 @@ export function useI18n(options = {}) {
         throw new Error('[i18n] useI18n must be used with i18n plugin installed');
     }
 
+    // Messages of the component's <i18n> blocks, see sfc.js
+    const instance = getCurrentInstance();
+    const blockMessages = instance && instance.$options && instance.$options.__i18n;
+
     // Create local scope if messages provided
-    let i18n = globalI18n;
+    let i18n = blockMessages ? createBlockScope(globalI18n, blockMessages) : globalI18n;
 
     if (useScope === 'local' && messages) {
         // Merge local messages
@@ -56,6 +61,34 @@ export function useI18n(options = {}) {
     };
 }
 
+// Messages of the <i18n> blocks of each component definition
+const blockScopes = new WeakMap();
+
+/**
+ * Scope of a component with <i18n> blocks, whose messages win over the global
+ * ones for that component only. The blocks are merged once per definition.
+ */
+function createBlockScope(globalI18n, blockMessages) {
+    let blockI18n = blockScopes.get(blockMessages);
+
+    if (!blockI18n) {
+        blockI18n = createI18n({ messages: {} });
+        blockMessages.forEach(block => {
+            Object.entries(block).forEach(([locale, msgs]) => {
+                blockI18n.mergeMessages(locale, msgs);
+            });
+        });
+        blockScopes.set(blockMessages, blockI18n);
+    }
+
+    return {
+        ...globalI18n,
+        getMessage(key, locale = globalI18n.locale.value) {
+            return blockI18n.getMessage(key, locale) ?? globalI18n.getMessage(key, locale);
+        },
+    };
+}
+
 /**
  * Use locale (reactive locale value)
  */
@@ -96,6 +96,9 @@ export {
     useTranslationLoader,
 } from './composables.js';
 
+// Single-file components
+export { i18nBlockTransformer } from './sfc.js';
+
 /**
  * Create complete i18n instance with all features
  */
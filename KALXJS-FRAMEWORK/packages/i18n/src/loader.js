@@ -5,6 +5,8 @@
  * @module @kalxjs/i18n/loader
  */
 
+import { watch } from '@kalxjs/core';
+
 /**
  * Create translation loader
  */
@@ -242,15 +244,7 @@ export function setupAutoLoad(i18n, loader, options = {}) {
  * Watch locale changes
  */
 function watchLocale(i18n, callback) {
-    // Simple implementation - in real scenario, use Vue's watch
-    let currentLocale = i18n.locale.value;
-
-    const interval = setInterval(() => {
-        if (i18n.locale.value !== currentLocale) {
-            currentLocale = i18n.locale.value;
-            callback(currentLocale);
-        }
-    }, 100);
-
-    return () => clearInterval(interval);
+    return watch(() => i18n.locale.value, (newLocale) => {
+        callback(newLocale);
+    });
 }
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * Single-File Component Support
+ * Transformer for the <i18n> custom blocks of .klx files
+ *
+ * @module @kalxjs/i18n/sfc
+ */
+
+/**
+ * Turn an <i18n> block into messages of its component, which useI18n() looks
+ * up before the ones of the i18n instance. The block holds JSON: messages by
+ * locale, or the messages of one locale given by a `locale` attribute.
+ *
+ * @example
+ * // vite.config.js
+ * kalxjs({ customBlocks: { i18n: i18nBlockTransformer } })
+ *
+ * // or for every compilation
+ * registerBlockTransformer('i18n', i18nBlockTransformer)
+ */
+export function i18nBlockTransformer(block, context = {}) {
+    const { filename = 'anonymous.klx' } = context;
+    const lang = block.lang || 'json';
+
+    if (lang !== 'json') {
+        throw new Error(`[i18n] <i18n lang="${lang}"> is not supported in ${filename}, use JSON`);
+    }
+
+    let messages;
+    try {
+        messages = block.content.trim() ? JSON.parse(block.content) : {};
+    } catch (error) {
+        throw new Error(`[i18n] Invalid JSON in the <i18n> block of ${filename}: ${error.message}`);
+    }
+
+    if (typeof block.attrs.locale === 'string' && block.attrs.locale) {
+        messages = { [block.attrs.locale]: messages };
+    }
+
+    return [
+        'export default function (component) {',
+        '  component.__i18n = component.__i18n || [];',
+        `  component.__i18n.push(${JSON.stringify(messages)});`,
+        '}'
+    ].join('\n');
+}
+
+export default { i18nBlockTransformer };
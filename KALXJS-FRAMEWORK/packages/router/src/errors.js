@@ -0,0 +1,65 @@
+// packages/router/src/errors.js
+/**
+ * Navigation failures
+ * Errors a navigation rejects with when it didn't take place, typed so an
+ * aborted navigation can be told from a cancelled or duplicated one
+ *
+ * @module @kalxjs/router/errors
+ */
+
+/**
+ * Types of navigation failures, flags that can be combined to check for several at once
+ */
+export const NavigationFailureType = {
+    // A guard redirected the navigation elsewhere
+    redirected: 2,
+    // A guard returned false or called next(false)
+    aborted: 4,
+    // A newer navigation started before this one finished
+    cancelled: 8,
+    // The navigation led to the current location
+    duplicated: 16
+};
+
+const messages = {
+    [NavigationFailureType.redirected]: (from, to) =>
+        `Redirected when going from "${from.fullPath || from.path}" to "${to.fullPath || to.path}" via a navigation guard`,
+    [NavigationFailureType.aborted]: (from, to) =>
+        `Navigation aborted by guard when going from "${from.fullPath || from.path}" to "${to.fullPath || to.path}"`,
+    [NavigationFailureType.cancelled]: (from, to) =>
+        `Navigation cancelled from "${from.fullPath || from.path}" to "${to.fullPath || to.path}" with a new navigation`,
+    [NavigationFailureType.duplicated]: (from) =>
+        `Avoided redundant navigation to current location: "${from.fullPath || from.path}"`
+};
+
+/**
+ * Creates a navigation failure
+ * @param {number} type - One of NavigationFailureType
+ * @param {Object} from - Route the navigation started from
+ * @param {Object} to - Target route
+ * @param {string|Object} [redirect] - Location a guard redirected to, for a redirected failure
+ * @returns {Error} Navigation failure
+ */
+export function createNavigationFailure(type, from = {}, to = {}, redirect) {
+    const error = new Error(messages[type](from, to));
+    error.name = 'NavigationFailure';
+    error.type = type;
+    error.from = from;
+    error.to = to;
+    if (redirect) {
+        error.redirect = redirect;
+    }
+    return error;
+}
+
+/**
+ * Checks whether an error is a navigation failure
+ * @param {*} error - Error a navigation rejected with, or the failure afterEach received
+ * @param {number} [type] - Failure types to check for, combined with |, any type by default
+ * @returns {boolean} Whether the error is a navigation failure of the given types
+ */
+export function isNavigationFailure(error, type) {
+    return error instanceof Error &&
+        error.name === 'NavigationFailure' &&
+        (type == null || Boolean(error.type & type));
+}
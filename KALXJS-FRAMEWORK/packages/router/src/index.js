@@ -5,6 +5,11 @@
 
 import { ref, computed } from '@kalxjs/core';
 import { createElement } from '@kalxjs/core';
+import { createRouterMatcher, resolveRouteProps } from './matcher.js';
+import { createRouteLoaders } from './loaders.js';
+import { NavigationFailureType, createNavigationFailure, isNavigationFailure } from './errors.js';
+
+export { NavigationFailureType, isNavigationFailure };
 
 /**
  * Create a web history object for HTML5 history mode
@@ -259,15 +264,26 @@ export function createRouter(options = {}) {
         meta: route.meta || {}  // Ensure meta is always an object, never null
     }));
 
-    // Map of route paths to route objects for quick lookup
-    const routeMap = normalizedRoutes.reduce((map, route) => {
-        console.log('Registering route:', route.path);
-        map[route.path] = route;
-        return map;
-    }, {});
+    // Route tree compiled into records ranked by specificity
+    const matcher = createRouterMatcher(normalizedRoutes, { caseSensitive });
 
     // Log all registered routes
-    console.log('Registered routes:', Object.keys(routeMap));
+    console.log('Registered routes:', matcher.getRecords().map(record => record.path));
+
+    // Data of the route loaders, its version is bumped to render data that arrives later
+    const loaderVersion = ref(0);
+    const loaders = createRouteLoaders({
+        onUpdate: () => {
+            loaderVersion.value++;
+        }
+    });
+
+    // Pick up the data the server loaded, so the initial navigation doesn't load it again
+    const loaderState = options.loaderState ||
+        (typeof window !== 'undefined' && window.__KALXJS_INITIAL_STATE__?.$router?.loaders);
+    if (loaderState) {
+        loaders.hydrate(loaderState);
+    }
 
     // Current route - MAKE IT REACTIVE so KalxJS can properly track changes
     const currentRouteRef = ref({
@@ -296,14 +312,19 @@ export function createRouter(options = {}) {
     const beforeResolveGuards = [];
     const afterEachGuards = [];
 
+    // Handlers of errors thrown during navigation
+    const errorHandlers = [];
+
     // Route-specific guards cache
     const routeGuardsCache = new Map();
 
     // Pending navigation promise
     let pendingNavigation = null;
 
-    // Navigation depth counter to prevent infinite redirects
-    let navigationRedirectCount = 0;
+    // Id of the latest navigation, which cancels the ones still running guards
+    let navigationId = 0;
+
+    // Maximum number of redirects in a row, to prevent infinite redirects
     const MAX_REDIRECT_COUNT = 10;
 
     // Router initialization state
@@ -359,7 +380,7 @@ export function createRouter(options = {}) {
                 // Force an initial route match after mounting
                 setTimeout(() => {
                     console.log('Triggering initial route match');
-                    this._onRouteChange();
+                    this._onRouteChange().catch(this._handleRouteChangeError('initial navigation'));
                 }, 0);
 
                 return result;
@@ -388,19 +409,19 @@ export function createRouter(options = {}) {
 
                 window.addEventListener('hashchange', () => {
                     console.log('Hash changed, updating route');
-                    this._onRouteChange();
+                    this._onRouteChange().catch(this._handleRouteChangeError('hashchange navigation'));
                 });
             } else {
                 console.log('Setting up history mode listeners');
                 window.addEventListener('popstate', () => {
                     console.log('History state changed, updating route');
-                    this._onRouteChange();
+                    this._onRouteChange().catch(this._handleRouteChangeError('popstate navigation'));
                 });
             }
 
             // Initial route matching
             console.log('Performing initial route matching');
-            this._onRouteChange();
+            this._onRouteChange().catch(this._handleRouteChangeError('initial navigation'));
 
             // Mark router as ready
             isReady = true;
@@ -437,7 +458,8 @@ export function createRouter(options = {}) {
 
         /**
          * Add a global after each hook
-         * @param {Function} hook - Hook function that receives to and from
+         * @param {Function} hook - Hook function that receives to, from and the
+         *   navigation failure when the navigation didn't take place
          * @returns {Function} Unregister function
          */
         afterEach(hook) {
@@ -448,6 +470,19 @@ export function createRouter(options = {}) {
             };
         },
 
+        /**
+         * Add a handler of errors thrown or rejected by guards and loaders during navigation
+         * @param {Function} handler - Handler that receives the error, to and from
+         * @returns {Function} Unregister function
+         */
+        onError(handler) {
+            errorHandlers.push(handler);
+            return () => {
+                const index = errorHandlers.indexOf(handler);
+                if (index !== -1) errorHandlers.splice(index, 1);
+            };
+        },
+
         /**
          * Register a callback to be called when the route changes
          * @param {Function} callback - Callback function that receives the new route
@@ -470,6 +505,142 @@ export function createRouter(options = {}) {
             };
         },
 
+        /**
+         * Add a route, or a child route of a named route
+         * @param {string|Object} parentName - Name of the parent route, or the route
+         * @param {Object} [route] - Route definition when a parent is given
+         * @returns {Function} Removes the route
+         */
+        addRoute(parentName, route) {
+            let parent = null;
+
+            if (typeof parentName === 'string') {
+                parent = matcher.getRecord(parentName);
+                if (!parent) {
+                    console.error(`Router.addRoute: no parent route named "${parentName}"`);
+                    return () => { };
+                }
+            } else {
+                route = parentName;
+            }
+
+            // Top-level routes are listed in router.routes
+            const normalizedRoute = { ...route, meta: route.meta || {} };
+            if (!parent) {
+                normalizedRoutes.push(normalizedRoute);
+            }
+
+            const removeRecords = matcher.addRoute(normalizedRoute, parent);
+            routeGuardsCache.clear();
+
+            return () => {
+                removeRecords();
+                routeGuardsCache.clear();
+
+                const index = normalizedRoutes.indexOf(normalizedRoute);
+                if (index !== -1) {
+                    normalizedRoutes.splice(index, 1);
+                }
+            };
+        },
+
+        /**
+         * Remove a named route with its aliases and children
+         * @param {string} name - Name of the route
+         */
+        removeRoute(name) {
+            if (!matcher.removeRoute(name)) {
+                console.warn(`Router.removeRoute: no route named "${name}"`);
+                return;
+            }
+            routeGuardsCache.clear();
+
+            const index = normalizedRoutes.findIndex(route => route.name === name);
+            if (index !== -1) {
+                normalizedRoutes.splice(index, 1);
+            }
+        },
+
+        /**
+         * Check if a named route exists
+         * @param {string} name - Name of the route
+         * @returns {boolean} Whether the route exists
+         */
+        hasRoute(name) {
+            return Boolean(matcher.getRecord(name));
+        },
+
+        /**
+         * Get the records of all routes, children and aliases included
+         * @returns {Array} Route records, most specific first
+         */
+        getRoutes() {
+            return matcher.getRecords();
+        },
+
+        /**
+         * Resolve a location without navigating
+         * @param {string|Object} location - Route path or location object, which may name the route
+         * @returns {Object} Matched route info with the href to link to
+         * @throws {Error} When a named route doesn't exist or misses a required param
+         */
+        resolve(location) {
+            const target = this._normalizeLocation(location);
+            const hash = target.hash && !target.hash.startsWith('#') ? '#' + target.hash : target.hash || '';
+            const route = this._matchRoute(target.path + this._stringifyQuery(target.query || {}) + hash);
+
+            const href = mode === 'hash'
+                ? '#' + route.fullPath
+                : (base === '/' ? '' : base.replace(/\/$/, '')) + route.fullPath;
+
+            return { ...route, href };
+        },
+
+        /**
+         * Resolve a location and run the loaders of its routes without navigating,
+         * to render it on the server
+         * @param {string|Object} location - Route path or location object
+         * @returns {Promise<Object>} Promise that resolves with the route once its data has loaded
+         */
+        load(location) {
+            try {
+                const route = this.resolve(location);
+                return loaders.load(route).then(() => {
+                    loaderVersion.value++;
+                    return route;
+                });
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        },
+
+        /**
+         * Get the data the loader of a matched route returned
+         * @param {Object} record - Matched route record
+         * @param {Object} [route] - Route it was matched for, the current route by default
+         * @returns {*} Loader data, undefined until it's loaded
+         */
+        getLoaderData(record, route = currentRouteRef.value) {
+            // Read the version so renders update when data arrives
+            loaderVersion.value;
+            return loaders.getData(record, route);
+        },
+
+        /**
+         * Drop the data of all route loaders, so the next navigation loads it again
+         */
+        invalidateLoaders() {
+            loaders.invalidate();
+        },
+
+        /**
+         * Get the state to pass to renderToString, so the client picks up the loaded data
+         * @returns {Object} Hydration state
+         */
+        getHydrationState() {
+            return { $router: { loaders: loaders.getState() } };
+        },
+
         /**
          * Navigate to a specific route
          * @param {string|Object} location - Route path or location object
@@ -488,7 +659,7 @@ export function createRouter(options = {}) {
             // Force a route change event after a short delay to ensure the DOM has updated
             setTimeout(() => {
                 console.log('Forcing route change after push');
-                this._onRouteChange();
+                this._onRouteChange().catch(this._handleRouteChangeError('route change after push'));
 
                 // Also dispatch a custom event for components to listen to
                 if (typeof window !== 'undefined' && window.dispatchEvent) {
@@ -525,7 +696,7 @@ export function createRouter(options = {}) {
             // Force a route change event after a short delay to ensure the DOM has updated
             setTimeout(() => {
                 console.log('Forcing route change after replace');
-                this._onRouteChange();
+                this._onRouteChange().catch(this._handleRouteChangeError('route change after replace'));
 
                 // Also dispatch a custom event for components to listen to
                 if (typeof window !== 'undefined' && window.dispatchEvent) {
@@ -548,23 +719,22 @@ export function createRouter(options = {}) {
          * Internal navigation method that handles guards and promises
          * @param {string|Object} location - Route path or location object
          * @param {string} navigationMethod - 'push' or 'replace'
-         * @returns {Promise} Promise that resolves when navigation is complete
+         * @param {number} redirectCount - Number of guard redirects that led to this navigation
+         * @returns {Promise} Promise that resolves with the route when navigation is complete, and rejects
+         *   with a navigation failure when it didn't take place
          * @private
          */
-        _navigate(location, navigationMethod = 'push') {
-            // Reset redirect counter for new navigation
-            navigationRedirectCount = 0;
-
+        _navigate(location, navigationMethod = 'push', redirectCount = 0) {
             // Parse the location
-            const targetLocation = this._normalizeLocation(location);
-            const path = targetLocation.path;
-            const query = targetLocation.query || {};
-            const params = targetLocation.params || {};
-
-            // If we already have a pending navigation, abort it
-            if (pendingNavigation) {
-                console.warn('Navigation aborted: A new navigation started before the previous one completed');
+            let targetLocation;
+            try {
+                targetLocation = this._normalizeLocation(location);
+            } catch (error) {
+                return Promise.reject(error);
             }
+            let path = targetLocation.path;
+            let query = targetLocation.query || {};
+            const params = targetLocation.params || {};
 
             // Create a promise for this navigation
             pendingNavigation = new Promise((resolve, reject) => {
@@ -578,48 +748,60 @@ export function createRouter(options = {}) {
                     return;
                 }
 
+                // The URL shows where a redirect record led
+                if (targetRoute.redirectedFrom) {
+                    path = targetRoute.path;
+                    query = targetRoute.query;
+                }
+
                 // Merge route params with provided params
                 targetRoute.params = { ...targetRoute.params, ...params };
 
                 // Merge route query with provided query
                 targetRoute.query = { ...targetRoute.query, ...query };
+                targetRoute.fullPath = targetRoute.path + this._stringifyQuery(targetRoute.query) + (targetRoute.hash || '');
 
                 // Add meta data from matched routes
                 targetRoute.meta = targetRoute.matched.reduce((meta, route) => {
                     return { ...meta, ...(route.meta || {}) };
                 }, {});
 
+                // Navigating to the current location doesn't run the guards again
+                const current = this.currentRoute;
+                if (current.matched.length &&
+                    current.path === targetRoute.path &&
+                    JSON.stringify(current.query) === JSON.stringify(targetRoute.query)) {
+                    const failure = createNavigationFailure(NavigationFailureType.duplicated, current, targetRoute);
+                    this._triggerAfterEach(targetRoute, current, failure);
+                    reject(failure);
+                    pendingNavigation = null;
+                    return;
+                }
+
                 // Store the previous route
                 previousRoute = { ...this.currentRoute };
 
-                // UPDATE: Set currentRoute BEFORE running guards so afterEach hooks have access to the new route
+                // UPDATE: Set currentRoute BEFORE the afterEach hooks so they have access to the new route
                 // This is critical for components that read window.router.currentRoute in afterEach handlers
-                currentRouteRef.value = targetRoute;
-                currentRoute = currentRouteRef.value;
+                // It's set once the loaders have run, so the route never renders without its data
+                const commit = () => {
+                    currentRouteRef.value = targetRoute;
+                    currentRoute = currentRouteRef.value;
+                };
 
                 // Run navigation guards
-                this._runGuards(targetRoute, previousRoute)
+                this._runGuards(targetRoute, previousRoute, commit)
                     .then(guardResult => {
                         // Check if navigation was redirected
-                        if (typeof guardResult === 'string' || (guardResult && guardResult.path)) {
-                            // Handle redirect
-                            navigationRedirectCount++;
-
-                            if (navigationRedirectCount > MAX_REDIRECT_COUNT) {
+                        if (guardResult !== true) {
+                            if (redirectCount >= MAX_REDIRECT_COUNT) {
                                 reject(new Error('Too many redirects'));
                                 pendingNavigation = null;
                                 return;
                             }
 
                             // Redirect using replace to avoid history entries
-                            this.replace(guardResult).then(resolve).catch(reject);
-                            return;
-                        }
-
-                        // If guard returned false, abort navigation
-                        if (guardResult === false) {
-                            reject(new Error('Navigation aborted by guard'));
-                            pendingNavigation = null;
+                            this._navigate(guardResult, 'replace', redirectCount + 1).then(resolve).catch(reject);
                             return;
                         }
 
@@ -648,7 +830,7 @@ export function createRouter(options = {}) {
                                             throw historyError;
                                         }
                                     }
-                                    this._onRouteChange();
+                                    this._onRouteChange().catch(this._handleRouteChangeError('route change after replace'));
                                 }
                             } else {
                                 if (mode === 'hash') {
@@ -668,7 +850,7 @@ export function createRouter(options = {}) {
                                             throw historyError;
                                         }
                                     }
-                                    this._onRouteChange();
+                                    this._onRouteChange().catch(this._handleRouteChangeError('route change after push'));
                                 }
                             }
                         } catch (error) {
@@ -700,8 +882,9 @@ export function createRouter(options = {}) {
 
         /**
          * Normalize location object or string
-         * @param {string|Object} location - Route path or location object
+         * @param {string|Object} location - Route path or location object, which may name the route instead of a path
          * @returns {Object} Normalized location object
+         * @throws {Error} When a named route doesn't exist or misses a required param
          * @private
          */
         _normalizeLocation(location) {
@@ -711,7 +894,7 @@ export function createRouter(options = {}) {
             }
 
             return {
-                path: location.path || '/',
+                path: location.path || (location.name ? matcher.buildPath(location.name, location.params) : '/'),
                 query: location.query || {},
                 params: location.params || {},
                 hash: location.hash || '',
@@ -773,10 +956,15 @@ export function createRouter(options = {}) {
          * Run all navigation guards
          * @param {Object} to - Target route
          * @param {Object} from - Current route
-         * @returns {Promise} Promise that resolves when all guards have run
+         * @param {Function} [commit] - Called once the guards and loaders have run, before the afterEach hooks
+         * @returns {Promise} Promise that resolves with true once all guards have run or with the location
+         *   a guard redirected to, and rejects with a navigation failure or the error a guard threw
          * @private
          */
-        _runGuards(to, from) {
+        _runGuards(to, from, commit) {
+            // A newer navigation cancels this one
+            const id = ++navigationId;
+
             // Create a queue of guard runners
             const guardQueue = [
                 // Run beforeEach guards
@@ -785,15 +973,47 @@ export function createRouter(options = {}) {
                 // Run beforeEnter guards from route
                 ...this._getRouteGuards(to).map(guard => () => this._runGuard(guard, to, from)),
 
+                // Run the loaders of all matched routes in parallel
+                () => loaders.load(to).then(() => {
+                    loaderVersion.value++;
+                }),
+
                 // Run beforeResolve guards
                 ...beforeResolveGuards.map(guard => () => this._runGuard(guard, to, from))
             ];
 
-            // Run guards sequentially
-            return guardQueue.reduce(
-                (promise, runGuard) => promise.then(() => runGuard()),
-                Promise.resolve()
-            ).then(() => {
+            // Run guards sequentially, until one aborts or redirects the navigation
+            const runQueue = index => {
+                if (id !== navigationId) {
+                    return Promise.reject(createNavigationFailure(NavigationFailureType.cancelled, from, to));
+                }
+
+                if (index === guardQueue.length) {
+                    return Promise.resolve(true);
+                }
+
+                return guardQueue[index]().then(result => {
+                    const isRedirect = typeof result === 'string' ||
+                        (result && typeof result === 'object' && (result.path || result.name));
+
+                    return result === false || isRedirect ? result : runQueue(index + 1);
+                });
+            };
+
+            return runQueue(0).then(result => {
+                if (result === false) {
+                    throw createNavigationFailure(NavigationFailureType.aborted, from, to);
+                }
+
+                if (result !== true) {
+                    this._triggerAfterEach(to, from, createNavigationFailure(NavigationFailureType.redirected, from, to, result));
+                    return result;
+                }
+
+                if (commit) {
+                    commit();
+                }
+
                 // Run afterEach hooks (these don't affect navigation)
                 Promise.resolve().then(() => {
                     // First, find all router view containers and render the components
@@ -917,17 +1137,63 @@ export function createRouter(options = {}) {
                     }
 
                     // Then run the user-defined afterEach guards
-                    afterEachGuards.forEach(guard => {
-                        try {
-                            guard(to, from);
-                        } catch (err) {
-                            console.error('Error in afterEach guard:', err);
-                        }
-                    });
+                    this._triggerAfterEach(to, from);
                 });
 
                 // Return true to continue navigation
                 return true;
+            }).catch(error => {
+                // Loaders aborted by a newer navigation reject with an AbortError
+                if (id !== navigationId && !isNavigationFailure(error)) {
+                    error = createNavigationFailure(NavigationFailureType.cancelled, from, to);
+                }
+
+                if (isNavigationFailure(error)) {
+                    this._triggerAfterEach(to, from, error);
+                } else {
+                    this._triggerError(error, to, from);
+                }
+
+                throw error;
+            });
+        },
+
+        /**
+         * Run the afterEach hooks
+         * @param {Object} to - Target route
+         * @param {Object} from - Current route
+         * @param {Error} [failure] - Navigation failure when the navigation didn't take place
+         * @private
+         */
+        _triggerAfterEach(to, from, failure) {
+            afterEachGuards.forEach(guard => {
+                try {
+                    guard(to, from, failure);
+                } catch (err) {
+                    console.error('Error in afterEach guard:', err);
+                }
+            });
+        },
+
+        /**
+         * Pass an error thrown during navigation to the onError handlers
+         * @param {Error} error - Error thrown by a guard or loader
+         * @param {Object} to - Target route
+         * @param {Object} from - Current route
+         * @private
+         */
+        _triggerError(error, to, from) {
+            if (!errorHandlers.length) {
+                console.error('Uncaught error during navigation:', error);
+                return;
+            }
+
+            errorHandlers.forEach(handler => {
+                try {
+                    handler(error, to, from);
+                } catch (err) {
+                    console.error('Error in router error handler:', err);
+                }
             });
         },
 
@@ -936,14 +1202,18 @@ export function createRouter(options = {}) {
          * @param {Function} guard - Guard function
          * @param {Object} to - Target route
          * @param {Object} from - Current route
-         * @returns {Promise} Promise that resolves with the guard result
+         * @returns {Promise} Promise that resolves with the guard result, or rejects with the error it threw
          * @private
          */
         _runGuard(guard, to, from) {
-            return new Promise(resolve => {
-                // Create the next function that guards call
+            return new Promise((resolve, reject) => {
+                // Create the next function that guards call, next(error) fails the navigation
                 const next = (result) => {
-                    resolve(result);
+                    if (result instanceof Error) {
+                        reject(result);
+                    } else {
+                        resolve(result);
+                    }
                 };
 
                 // Call the guard with to, from, next
@@ -951,12 +1221,9 @@ export function createRouter(options = {}) {
 
                 // If guard returns a Promise, wait for it
                 if (guardReturn instanceof Promise) {
-                    guardReturn.then(next).catch(err => {
-                        console.error('Error in navigation guard:', err);
-                        next(false);
-                    });
-                } else if (typeof guardReturn !== 'undefined') {
-                    // If guard returns a value directly (not using next), use that
+                    guardReturn.then(next, reject);
+                } else if (typeof guardReturn !== 'undefined' || guard.length < 3) {
+                    // If guard returns a value directly or doesn't take next, use that
                     next(guardReturn);
                 }
                 // Otherwise wait for next() to be called
@@ -1033,9 +1300,7 @@ export function createRouter(options = {}) {
                     this._historyState.current = oldURL.hash.slice(1);
 
                     // Handle the route change
-                    this._onRouteChange().catch(error => {
-                        console.error('Error during hashchange navigation:', error);
-                    });
+                    this._onRouteChange().catch(this._handleRouteChangeError('hashchange navigation'));
                 });
             } else {
                 // History mode
@@ -1060,9 +1325,7 @@ export function createRouter(options = {}) {
                     this._historyState.position = event.state?.position || 0;
 
                     // Handle the route change
-                    this._onRouteChange().catch(error => {
-                        console.error(`Error during ${direction} navigation:`, error);
-                    });
+                    this._onRouteChange().catch(this._handleRouteChangeError(`${direction} navigation`));
                 });
 
                 // Handle initial state with proper error handling for SecurityError
@@ -1140,7 +1403,11 @@ export function createRouter(options = {}) {
 
                         // Handle the navigation
                         event.preventDefault();
-                        this.push(path);
+                        this.push(path).catch(error => {
+                            if (!isNavigationFailure(error)) {
+                                console.error('Navigation error:', error);
+                            }
+                        });
                     } catch (error) {
                         console.warn('Error handling link click:', error);
                     }
@@ -1148,9 +1415,7 @@ export function createRouter(options = {}) {
             }
 
             // Initial route resolution
-            this._onRouteChange().catch(error => {
-                console.error('Error during initial navigation:', error);
-            });
+            this._onRouteChange().catch(this._handleRouteChangeError('initial navigation'));
 
             // Mark router as ready
             isReady = true;
@@ -1162,6 +1427,21 @@ export function createRouter(options = {}) {
             return this;
         },
 
+        /**
+         * Creates the handler of a route change that nothing awaits
+         * @param {string} label - What the route change is for, in the logged error
+         * @returns {Function} Handler for the rejection of _onRouteChange()
+         * @private
+         */
+        _handleRouteChangeError(label) {
+            return error => {
+                // Navigations that didn't take place aren't errors
+                if (!isNavigationFailure(error)) {
+                    console.error(`Error during ${label}:`, error);
+                }
+            };
+        },
+
         /**
          * Handle route changes
          * @private
@@ -1253,9 +1533,11 @@ export function createRouter(options = {}) {
         /**
          * Match a path against defined routes
          * @param {string} path - Path to match
+         * @param {Object} [redirectedFrom] - Route that redirected here
+         * @param {number} [redirectCount=0] - Redirects followed so far
          * @returns {Object} Matched route info
          */
-        _matchRoute(path) {
+        _matchRoute(path, redirectedFrom = null, redirectCount = 0) {
             // Ensure path is never empty or undefined
             if (!path || path.trim() === '') {
                 path = '/';
@@ -1296,139 +1578,32 @@ export function createRouter(options = {}) {
                 cleanPath = cleanPath + '/';
             }
 
-            // First check for exact match
-            if (routeMap[cleanPath]) {
-                const matchedRoute = routeMap[cleanPath];
-                return {
+            const query = this._parseQuery(queryString);
+            const match = matcher.resolve(cleanPath);
+
+            if (match) {
+                const route = {
                     path: cleanPath,
                     fullPath: path,
-                    name: matchedRoute.name || null,
-                    matched: [matchedRoute],
-                    params: {},
-                    query: this._parseQuery(queryString),
-                    hash: hash,
-                    meta: matchedRoute.meta || {}
+                    name: match.name,
+                    matched: match.matched,
+                    params: match.params,
+                    query,
+                    hash,
+                    meta: match.meta
                 };
-            }
-
-            // Check nested routes first (most specific to least specific)
-            console.log('Sorting routes for matching, routes count:', this.routes.length);
-            const sortedRoutes = [...this.routes].sort((a, b) => {
-                // Sort catch-all/pathMatch routes LAST
-                const aIsPathMatch = a.path.includes(':pathMatch(') || a.path === '/:pathMatch(.*)*';
-                const bIsPathMatch = b.path.includes(':pathMatch(') || b.path === '/:pathMatch(.*)*';
-
-                if (aIsPathMatch && !bIsPathMatch) return 1;
-                if (!aIsPathMatch && bIsPathMatch) return -1;
-                if (aIsPathMatch && bIsPathMatch) return 0; // Both are pathMatch, keep order
-
-                // Sort by path segments count (more segments first)
-                const aSegments = a.path.split('/').filter(Boolean).length;
-                const bSegments = b.path.split('/').filter(Boolean).length;
 
-                if (aSegments !== bSegments) {
-                    return bSegments - aSegments;
+                if (redirectedFrom) {
+                    route.redirectedFrom = redirectedFrom;
                 }
 
-                // If same number of segments, prioritize exact matches over dynamic
-                const aExact = !a.path.includes(':');
-                const bExact = !b.path.includes(':');
-
-                if (aExact !== bExact) {
-                    return aExact ? -1 : 1; // Exact matches first
+                // Redirects are followed here, so guards only see the final route
+                const record = match.matched[match.matched.length - 1];
+                if (record.redirect) {
+                    return this._redirectRoute(route, record.redirect, redirectCount);
                 }
 
-                // If same number of segments, prioritize dynamic routes less
-                const aDynamic = a.path.includes(':');
-                const bDynamic = b.path.includes(':');
-
-                if (aDynamic !== bDynamic) {
-                    return aDynamic ? 1 : -1;
-                }
-
-                // If both dynamic, prioritize the one with fewer dynamic segments
-                if (aDynamic) {
-                    const aDynamicCount = a.path.split(':').length - 1;
-                    const bDynamicCount = b.path.split(':').length - 1;
-                    return aDynamicCount - bDynamicCount;
-                }
-
-                // Otherwise, prioritize by path length (longer paths first)
-                return b.path.length - a.path.length;
-            });
-
-            // Check dynamic routes
-            for (const route of sortedRoutes) {
-                const match = this._matchDynamicRoute(route, cleanPath);
-                if (match) {
-                    // Handle nested routes
-                    const matched = [route];
-
-                    // If this route has children, check if any match
-                    if (route.children) {
-                        // Get the remaining path after the parent route
-                        let remainingPath = cleanPath;
-                        if (route.path !== '/' && cleanPath.startsWith(route.path)) {
-                            remainingPath = cleanPath.slice(route.path.length) || '/';
-                        }
-
-                        // Match against children
-                        for (const child of route.children) {
-                            // Create full child path
-                            const fullChildPath = route.path === '/'
-                                ? child.path
-                                : `${route.path}${child.path.startsWith('/') ? child.path : '/' + child.path}`;
-
-                            // Check if child path matches
-                            const childMatch = this._matchDynamicRoute({ ...child, path: fullChildPath }, cleanPath);
-                            if (childMatch) {
-                                matched.push(child);
-                                // Merge params
-                                Object.assign(match.params, childMatch.params);
-                                break;
-                            }
-                        }
-                    }
-
-                    // Collect meta data from all matched routes
-                    const meta = matched.reduce((result, route) => {
-                        return { ...result, ...(route.meta || {}) };
-                    }, {});
-
-                    return {
-                        path: cleanPath,
-                        fullPath: path,
-                        name: matched[0].name || null,
-                        matched,
-                        params: match.params,
-                        query: this._parseQuery(queryString),
-                        hash: hash,
-                        meta
-                    };
-                }
-            }
-
-            // Check for wildcard routes (including Vue Router style catch-all)
-            console.log('Checking for wildcard routes in', this.routes.length, 'routes');
-            for (const route of this.routes) {
-                console.log('Checking if route is wildcard:', route.path);
-                if (route.path === '*' ||
-                    route.path === '/*' ||
-                    route.path === '/:pathMatch(.*)*' ||
-                    route.path.includes(':pathMatch(')) {
-
-                    console.log('Found wildcard route:', route);
-                    return {
-                        path: cleanPath,
-                        fullPath: path,
-                        name: route.name || null,
-                        matched: [route],
-                        params: { pathMatch: cleanPath },
-                        query: this._parseQuery(queryString),
-                        hash: hash,
-                        meta: route.meta || {}
-                    };
-                }
+                return route;
             }
 
             // No match found
@@ -1450,12 +1625,39 @@ export function createRouter(options = {}) {
                 name: null,
                 matched: [],
                 params: {},
-                query: this._parseQuery(queryString),
+                query,
                 hash: hash,
                 meta: {}
             };
         },
 
+        /**
+         * Match the target of a redirect record
+         * @param {Object} route - Route matching the redirect record
+         * @param {string|Object|Function} redirect - Redirect option, a function receives the route
+         * @param {number} redirectCount - Redirects followed so far
+         * @returns {Object} Matched route info, with the first route as redirectedFrom
+         * @private
+         */
+        _redirectRoute(route, redirect, redirectCount) {
+            if (redirectCount >= MAX_REDIRECT_COUNT) {
+                console.error(`Too many redirects from ${route.redirectedFrom ? route.redirectedFrom.path : route.path}`);
+                return { ...route, matched: [] };
+            }
+
+            const location = this._normalizeLocation(typeof redirect === 'function' ? redirect(route) : redirect);
+            let fullPath = location.path;
+
+            // A redirect keeps the query and hash unless it brings its own
+            if (!/[?#]/.test(fullPath)) {
+                const query = Object.keys(location.query || {}).length ? location.query : route.query;
+                const hash = location.hash || route.hash;
+                fullPath += this._stringifyQuery(query) + (hash && !hash.startsWith('#') ? '#' + hash : hash);
+            }
+
+            return this._matchRoute(fullPath, route.redirectedFrom || route, redirectCount + 1);
+        },
+
         /**
          * Calculate similarity between two paths (for debugging)
          * @param {string} routePath - Route path
@@ -1499,170 +1701,6 @@ export function createRouter(options = {}) {
             return matchCount / maxLength;
         },
 
-        /**
-         * Match a path against a dynamic route
-         * @param {Object} route - Route definition
-         * @param {string} path - Path to match
-         * @returns {Object|null} Match result
-         */
-        _matchDynamicRoute(route, path) {
-            // If route has a custom regex pattern, use that
-            if (route.pathRegex) {
-                const match = path.match(route.pathRegex);
-                if (!match) return null;
-
-                // Extract named capture groups as params
-                const params = {};
-                if (route.paramNames && route.paramNames.length > 0) {
-                    route.paramNames.forEach((name, index) => {
-                        params[name] = match[index + 1] || '';
-                    });
-                }
-
-                return { params };
-            }
-
-            // Handle exact static routes quickly
-            if (!route.path.includes(':') && !route.path.includes('*')) {
-                return route.path === path ? { params: {} } : null;
-            }
-
-            // Handle root path
-            if (route.path === '/' && path === '/') {
-                return { params: {} };
-            }
-
-            // Split the paths into segments
-            const routeParts = route.path.split('/').filter(Boolean);
-            const pathParts = path.split('/').filter(Boolean);
-
-            // Special case for root path with segments
-            if (path === '/' && routeParts.length > 0) return null;
-
-            // Handle pathMatch pattern (Vue Router style catch-all)
-            if (route.path.includes(':pathMatch(')) {
-                console.log('Matched pathMatch pattern route:', route.path, 'for path:', path);
-                return { params: { pathMatch: path } };
-            }
-
-            // Handle catch-all routes
-            if (route.path.endsWith('*') || route.path.includes('/*')) {
-                const starIndex = routeParts.findIndex(part => part === '*' || part.endsWith('*'));
-
-                // If star is the last segment, match everything after
-                if (starIndex === routeParts.length - 1) {
-                    // Check if the parts before the star match
-                    for (let i = 0; i < starIndex; i++) {
-                        const routePart = routeParts[i];
-                        const pathPart = pathParts[i];
-
-                        if (!pathPart) return null;
-
-                        if (routePart.startsWith(':')) {
-                            // It's a param, capture it
-                            continue;
-                        } else if (routePart !== pathPart) {
-                            // Static part doesn't match
-                            return null;
-                        }
-                    }
-
-                    // All parts before the star match, capture the rest as pathMatch
-                    const params = {};
-
-                    // Capture named parameters before the star
-                    for (let i = 0; i < starIndex; i++) {
-                        const routePart = routeParts[i];
-                        if (routePart.startsWith(':')) {
-                            const paramName = routePart.slice(1);
-                            params[paramName] = pathParts[i];
-                        }
-                    }
-
-                    // Capture the rest as pathMatch
-                    params.pathMatch = pathParts.slice(starIndex).join('/');
-
-                    return { params };
-                }
-            }
-
-            // For regular dynamic routes, check if the number of segments matches
-            // unless we have optional parameters
-            const hasOptionalParams = route.path.includes('?');
-
-            if (!hasOptionalParams && routeParts.length !== pathParts.length) {
-                return null;
-            }
-
-            const params = {};
-
-            // Match each segment
-            for (let i = 0; i < routeParts.length; i++) {
-                const routePart = routeParts[i];
-                const pathPart = pathParts[i];
-
-                // Handle optional parameters (e.g., :id?)
-                if (routePart.endsWith('?')) {
-                    if (!pathPart) {
-                        // Optional parameter is missing, which is fine
-                        continue;
-                    }
-
-                    // Extract parameter name without the ? and :
-                    const paramName = routePart.slice(1, -1);
-                    params[paramName] = pathPart;
-                    continue;
-                }
-
-                // If we've run out of path parts but still have route parts
-                if (!pathPart) {
-                    return null;
-                }
-
-                // Check for dynamic segment
-                if (routePart.startsWith(':')) {
-                    // Extract parameter name
-                    const paramName = routePart.slice(1);
-
-                    // Check if parameter has a custom regex pattern
-                    const regexMatch = paramName.match(/^([^(]+)\\((.+)\\)$/);
-
-                    if (regexMatch) {
-                        // We have a custom regex for this parameter
-                        const [, name, pattern] = regexMatch;
-                        const regex = new RegExp(`^${pattern}$`);
-
-                        if (!regex.test(pathPart)) {
-                            // Path part doesn't match the regex pattern
-                            return null;
-                        }
-
-                        params[name] = pathPart;
-                    } else {
-                        // Regular parameter
-                        params[paramName] = pathPart;
-                    }
-                } else if (routePart !== pathPart) {
-                    // Static segments must match exactly
-                    return null;
-                }
-            }
-
-            // If we have more path parts than route parts, it's not a match
-            // unless the last route part is a catch-all
-            if (pathParts.length > routeParts.length) {
-                const lastRoutePart = routeParts[routeParts.length - 1];
-                if (lastRoutePart === '*' || lastRoutePart.endsWith('*')) {
-                    // Capture the rest as pathMatch
-                    params.pathMatch = pathParts.slice(routeParts.length - 1).join('/');
-                } else {
-                    return null;
-                }
-            }
-
-            return { params };
-        },
-
         /**
          * Extract query parameters from a path or query string
          * @param {string} path - URL path or query string
@@ -1857,12 +1895,18 @@ export function createRouter(options = {}) {
             // Match the route
             const route = this._matchRoute(fullPath);
 
+            // Show the target of a redirect record in the URL, which brings us back here
+            if (route.redirectedFrom) {
+                return this.replace(route.fullPath);
+            }
+
             // Store previous route for navigation guards
             previousRoute = { ...this.currentRoute };
 
-            // Check if the route has actually changed
+            // Check if the route has actually changed, the initial navigation always runs
             const hasChanged =
                 !this.currentRoute ||
+                !isReady ||
                 this.currentRoute.path !== route.path ||
                 JSON.stringify(this.currentRoute.params) !== JSON.stringify(route.params) ||
                 JSON.stringify(this.currentRoute.query) !== JSON.stringify(route.query);
@@ -1897,27 +1941,11 @@ export function createRouter(options = {}) {
             return this._runGuards(route, previousRoute)
                 .then(guardResult => {
                     // Check if navigation was redirected
-                    if (typeof guardResult === 'string' || (guardResult && guardResult.path)) {
+                    if (guardResult !== true) {
                         // Handle redirect
                         return this.replace(guardResult);
                     }
 
-                    // If guard returned false, abort navigation
-                    if (guardResult === false) {
-                        // Revert to previous URL
-                        if (this.mode === 'hash') {
-                            window.location.hash = previousRoute.fullPath || previousRoute.path;
-                        } else {
-                            window.history.replaceState(
-                                { path: previousRoute.path },
-                                '',
-                                base + (previousRoute.fullPath || previousRoute.path)
-                            );
-                        }
-
-                        return Promise.reject(new Error('Navigation aborted by guard'));
-                    }
-
                     // Update current route - use reactive ref
                     currentRouteRef.value = route;
                     currentRoute = currentRouteRef.value;
@@ -1979,7 +2007,21 @@ export function createRouter(options = {}) {
                     return route;
                 })
                 .catch(error => {
-                    console.error('Error during route change:', error);
+                    // If a guard aborted the navigation, revert to the previous URL
+                    if (isNavigationFailure(error, NavigationFailureType.aborted)) {
+                        if (this.mode === 'hash') {
+                            window.location.hash = previousRoute.fullPath || previousRoute.path;
+                        } else {
+                            window.history.replaceState(
+                                { path: previousRoute.path },
+                                '',
+                                base + (previousRoute.fullPath || previousRoute.path)
+                            );
+                        }
+                    } else if (!isNavigationFailure(error)) {
+                        console.error('Error during route change:', error);
+                    }
+
                     return Promise.reject(error);
                 });
         },
@@ -2142,10 +2184,10 @@ export function useRouter() {
     const meta = computed(() => route.value.meta || {});
     const matched = computed(() => route.value.matched || []);
 
-    // Get route name (if available)
+    // Get route name (if available), the one of the deepest matched route
     const name = computed(() => {
-        const firstMatch = route.value.matched && route.value.matched[0];
-        return firstMatch ? firstMatch.name || null : null;
+        const lastMatch = route.value.matched && route.value.matched[route.value.matched.length - 1];
+        return lastMatch ? lastMatch.name || null : null;
     });
 
     /**
@@ -2205,42 +2247,14 @@ export function useRouter() {
             ? { path: routeLocation }
             : routeLocation;
 
-        // Get the base URL
-        const base = router.base || '';
-
-        // Construct the URL based on mode
-        let href;
-
-        if (router.mode === 'hash') {
-            href = window.location.origin + window.location.pathname + '#' + location.path;
-        } else {
-            // Normalize base and path to avoid double slashes
-            let normalizedBase = base;
-            let normalizedPath = location.path;
-            
-            // Remove trailing slash from base if path starts with /
-            if (normalizedBase.endsWith('/') && normalizedPath.startsWith('/')) {
-                normalizedBase = normalizedBase.slice(0, -1);
-            }
-            
-            href = window.location.origin + normalizedBase + normalizedPath;
-        }
-
-        // Add query string if present
-        if (location.query && Object.keys(location.query).length > 0) {
-            const queryString = router._stringifyQuery(location.query);
-            href += queryString;
-        }
-
-        // Add hash if present
-        if (location.hash) {
-            href += location.hash.startsWith('#') ? location.hash : '#' + location.hash;
-        }
+        // The router resolves the href within the app, named routes included
+        const route = router.resolve(routeLocation);
+        const href = window.location.origin + (router.mode === 'hash' ? window.location.pathname : '') + route.href;
 
         return {
             href,
             location,
-            route: router._matchRoute(location.path)
+            route
         };
     };
 
@@ -2280,8 +2294,45 @@ export function useRouter() {
     };
 }
 
-// Create a Router View component that renders the matched route component
+/**
+ * Get the data the loader of a matched route returned
+ * @param {string} [name] - Name of the matched route, the route the calling component is rendered for by default
+ * @returns {Object} Computed loader data, undefined until it's loaded
+ */
+export function useLoaderData(name) {
+    const { router } = useRouter();
+
+    // A route component sets up while its RouterView renders it, one level above the depth it left
+    const depth = routerViewDepth - 1;
+
+    return computed(() => {
+        if (!router) {
+            return undefined;
+        }
+
+        const matched = router.currentRoute.matched || [];
+        const record = name
+            ? matched.find(record => record.name === name)
+            : matched[depth] || matched[matched.length - 1];
+
+        return record ? router.getLoaderData(record) : undefined;
+    });
+}
+
+// Depth of the RouterView whose route component is rendering, so the
+// RouterViews that component renders show the next matched route
+let routerViewDepth = 0;
+
+/**
+ * Create a Router View component that renders the matched route component
+ * @param {Object} props - Component props, the others are passed to the route component
+ * @param {string} props.name - Named view to render, 'default' by default
+ * @param {number} props.depth - Index of the matched route to render, one more than the parent RouterView by default
+ * @returns {Object} Virtual DOM node
+ */
 export function RouterView(props = {}) {
+    const { name: viewName = 'default', depth = routerViewDepth, ...viewProps } = props;
+
     // Get the current router instance and route
     const { router, route } = useRouter();
 
@@ -2403,10 +2454,20 @@ export function RouterView(props = {}) {
         };
     }
 
-    const matchedRoute = route.value.matched[0];
+    const matchedRoute = route.value.matched[depth];
     console.log('Matched route for RouterView:', matchedRoute);
 
-    if (!matchedRoute.component) {
+    // Nothing to show below the deepest matched route or for a view it doesn't name
+    const components = matchedRoute && (matchedRoute.components || { default: matchedRoute.component });
+    if (!matchedRoute || (viewName !== 'default' && !components[viewName])) {
+        return {
+            tag: 'div',
+            props: { class: 'kal-router-view' },
+            children: []
+        };
+    }
+
+    if (!components[viewName]) {
         console.error('RouterView: Matched route has no component defined');
         return {
             tag: 'div',
@@ -2416,9 +2477,30 @@ export function RouterView(props = {}) {
     }
 
     // Render the matched component as a vnode
-    const Component = matchedRoute.component;
+    const Component = components[viewName];
     console.log('Rendering component:', Component);
 
+    const componentProps = { ...viewProps, ...resolveRouteProps(matchedRoute, route.value, viewName) };
+
+    // RouterViews rendered by the component show the next matched route
+    const parentDepth = routerViewDepth;
+    routerViewDepth = depth + 1;
+    try {
+        return renderRouteComponent(Component, componentProps, route.value);
+    } finally {
+        routerViewDepth = parentDepth;
+    }
+}
+
+/**
+ * Render a route component into a vnode
+ * @param {Object|Function} Component - Route component
+ * @param {Object} props - Props of the component
+ * @param {Object} route - Current route
+ * @returns {Object} Virtual DOM node
+ * @private
+ */
+function renderRouteComponent(Component, props, route) {
     // Handle component definition object (with setup function)
     if (Component && typeof Component === 'object' && typeof Component.setup === 'function') {
         console.log('Component has setup function, calling it');
@@ -2525,7 +2607,7 @@ export function RouterView(props = {}) {
                 props: {
                     class: 'kal-router-view-container',
                     'data-router-view': 'true',
-                    'data-route-path': route.value.path,
+                    'data-route-path': route.path,
                     ...props
                 },
                 children: [],
@@ -2634,9 +2716,6 @@ export function RouterLink(props = {}) {
     // Extract just the path from the resolved href (remove origin)
     const href = resolved.href.replace(window.location.origin, '');
 
-    // Normalize the target route location
-    const targetLocation = typeof to === 'string' ? { path: to } : to;
-
     // Handle navigation
     const navigate = (e) => {
         // Don't handle if:
@@ -2656,7 +2735,10 @@ export function RouterLink(props = {}) {
         if (router) {
             const navigationMethod = replace ? 'replace' : 'push';
             router[navigationMethod](to).catch(err => {
-                console.error('Navigation error:', err);
+                // Links to the current route and cancelled navigations aren't errors
+                if (!isNavigationFailure(err)) {
+                    console.error('Navigation error:', err);
+                }
             });
         } else {
             console.warn('RouterLink: No active router found');
@@ -2670,7 +2752,7 @@ export function RouterLink(props = {}) {
         const currentPath = route.value ? route.value.path : '/';
 
         // Compute active states by directly checking against current path
-        const targetPath = targetLocation.path;
+        const targetPath = resolved.route.path;
         const isRouteExactActive = targetPath === currentPath;
         const isRouteActive = currentPath.startsWith(targetPath);
 
@@ -0,0 +1,186 @@
+// packages/router/src/loaders.js
+/**
+ * Route loaders
+ * Runs the `loader` of every matched route in parallel before a navigation
+ * commits, caches the results per route and params, and hands them from the
+ * server over to the client
+ *
+ * @module @kalxjs/router/loaders
+ */
+
+/**
+ * @typedef {Object} LoaderContext
+ * @property {Object} params - Params of the target route
+ * @property {Object} query - Query of the target route
+ * @property {Object} route - Target route
+ * @property {AbortSignal} signal - Aborted when a newer navigation starts
+ */
+
+/**
+ * @typedef {Object} LoaderCachePolicy
+ * @property {number} [maxAge=0] - Milliseconds the data stays fresh, a navigation within them doesn't load again
+ * @property {boolean} [staleWhileRevalidate=false] - Render stale data right away and load fresh data in the background
+ * @property {Function} [key] - Returns the cache key of the data from the route, params and query by default
+ */
+
+/**
+ * Creates the loader runner of a router
+ * @param {Object} [options] - Runner options
+ * @param {Function} [options.onUpdate] - Called when data loaded in the background replaced stale data
+ * @returns {Object} Loader runner
+ */
+export function createRouteLoaders(options = {}) {
+    const { onUpdate = () => { } } = options;
+
+    // Loaded data by cache key
+    const cache = new Map();
+
+    // Controller of the pending load, aborted by the next one
+    let pending = null;
+
+    /**
+     * Runs the loaders of the matched routes in parallel
+     * @param {Object} route - Target route
+     * @returns {Promise<Object>} Resolves with the route once every loader has
+     *   resolved, rejects with an AbortError when a newer load started
+     */
+    function load(route) {
+        if (pending) {
+            pending.abort();
+        }
+        const controller = pending = new AbortController();
+
+        const records = route.matched.filter(record => typeof record.loader === 'function');
+        return Promise.all(records.map(record => loadRecord(record, route, controller.signal)))
+            .finally(() => {
+                if (pending === controller) {
+                    pending = null;
+                }
+            })
+            .then(() => {
+                if (controller.signal.aborted) {
+                    throw createAbortError(route);
+                }
+
+                prune(records.map(record => getKey(record, route)));
+                return route;
+            });
+    }
+
+    /**
+     * @private
+     */
+    function loadRecord(record, route, signal) {
+        const policy = record.cache || {};
+        const key = getKey(record, route);
+        const entry = cache.get(key);
+
+        // Data from the server is fresh for the first navigation
+        const isFresh = entry && (entry.hydrated || Date.now() - entry.loadedAt < entry.maxAge);
+        if (entry) {
+            entry.hydrated = false;
+        }
+        if (isFresh) {
+            return Promise.resolve(entry.data);
+        }
+
+        const run = () => Promise.resolve(record.loader({ params: route.params, query: route.query, route, signal }))
+            .then(data => {
+                cache.set(key, { data, loadedAt: Date.now(), maxAge: policy.maxAge || 0 });
+                return data;
+            });
+
+        if (entry && policy.staleWhileRevalidate) {
+            run().then(onUpdate, error => {
+                if (error.name !== 'AbortError') {
+                    console.error(`Error revalidating the loader of ${record.path}:`, error);
+                }
+            });
+            return Promise.resolve(entry.data);
+        }
+
+        return run();
+    }
+
+    /**
+     * Drops stale data other than the one of the current route
+     * @private
+     */
+    function prune(keepKeys) {
+        const now = Date.now();
+        cache.forEach((entry, key) => {
+            if (!keepKeys.includes(key) && !entry.hydrated && now - entry.loadedAt >= entry.maxAge) {
+                cache.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Returns the data the loader of a matched route returned
+     * @param {Object} record - Matched route record
+     * @param {Object} route - Route it was matched for
+     * @returns {*} Loader data, undefined until it's loaded
+     */
+    function getData(record, route) {
+        const entry = cache.get(getKey(record, route));
+        return entry ? entry.data : undefined;
+    }
+
+    /**
+     * Returns the loaded data in a serializable form, to hand over to the client
+     * @returns {Object} Entries by cache key
+     */
+    function getState() {
+        const state = {};
+        cache.forEach(({ data, loadedAt, maxAge }, key) => {
+            state[key] = { data, loadedAt, maxAge };
+        });
+        return state;
+    }
+
+    /**
+     * Restores data loaded on the server, so the first navigation doesn't load it again
+     * @param {Object} state - Entries by cache key, from getState()
+     */
+    function hydrate(state = {}) {
+        Object.entries(state).forEach(([key, entry]) => {
+            cache.set(key, { ...entry, hydrated: true });
+        });
+    }
+
+    /**
+     * Drops all loaded data, so the next navigation loads it again
+     */
+    function invalidate() {
+        cache.clear();
+    }
+
+    return {
+        load,
+        getData,
+        getState,
+        hydrate,
+        invalidate
+    };
+}
+
+/**
+ * @private
+ */
+function getKey(record, route) {
+    const policy = record.cache || {};
+    const path = (record.aliasOf || record).path;
+    const key = typeof policy.key === 'function'
+        ? policy.key(route)
+        : `${JSON.stringify(route.params)}:${JSON.stringify(route.query)}`;
+    return `${path}:${key}`;
+}
+
+/**
+ * @private
+ */
+function createAbortError(route) {
+    const error = new Error(`Loading ${route.path} was aborted by a newer navigation`);
+    error.name = 'AbortError';
+    return error;
+}
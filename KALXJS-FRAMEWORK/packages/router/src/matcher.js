@@ -0,0 +1,516 @@
+// packages/router/src/matcher.js
+/**
+ * Route matcher
+ * Compiles a nested route table into records with a full path, a parent and
+ * a specificity score, and resolves paths to the chain of matched records
+ *
+ * @module @kalxjs/router/matcher
+ */
+
+/**
+ * @typedef {Object} RouteRecordRaw
+ * @property {string} path - Path of the route, relative to its parent unless it starts with /
+ * @property {string} [name] - Unique name of the route
+ * @property {Object|Function} [component] - Component of the default view
+ * @property {Object<string, Object|Function>} [components] - Components of the named views
+ * @property {string|Array<string>} [alias] - Other paths matching the same route
+ * @property {string|Object|Function} [redirect] - Location to go to instead, or a function returning it from the target route
+ * @property {boolean|Object|Function} [props] - Props passed to the components, per view when `components` is set
+ * @property {Object} [meta] - Custom data, merged from the parents into the route
+ * @property {Function|Array<Function>} [beforeEnter] - Guards of the route
+ * @property {Array<RouteRecordRaw>} [children] - Nested routes, rendered by nested RouterViews
+ */
+
+/**
+ * @typedef {Object} RouteRecord
+ * @property {string} path - Full path of the route
+ * @property {string|null} name - Name of the route, which its aliases share
+ * @property {Object<string, Object|Function>} components - Components by view name
+ * @property {Object|Function} [component] - Component of the default view
+ * @property {Object<string, boolean|Object|Function>} props - Props option by view name
+ * @property {string|Object|Function} [redirect] - Redirect option
+ * @property {Object} meta - Custom data of the route
+ * @property {RouteRecord|null} parent - Record of the parent route
+ * @property {RouteRecord|null} aliasOf - Record this alias was created from
+ */
+
+// Scores of path tokens: static segments beat params, params beat wildcards
+const STATIC_SCORE = 80;
+const PARAM_SCORE = 40;
+const WILDCARD_SCORE = 20;
+const REGEXP_BONUS = 10;
+const REPEATABLE_PENALTY = -10;
+const OPTIONAL_PENALTY = -50;
+
+const DEFAULT_PARAM_REGEXP = '[^/]+?';
+
+// :name, then an optional (regexp), then an optional ?, + or * modifier
+const PARAM_PATTERN = /:(\w+)(?:\(((?:\\.|[^\\()])+)\))?([?+*])?/g;
+
+/**
+ * Creates a matcher for a nested route table
+ * @param {Array<RouteRecordRaw>} routes - Route table
+ * @param {Object} [options] - Matcher options
+ * @param {boolean} [options.caseSensitive=false] - Whether static segments are case sensitive
+ * @returns {Object} Matcher
+ */
+export function createRouterMatcher(routes = [], options = {}) {
+    // Compiled records, most specific first
+    const matchers = [];
+
+    // Matchers of named records
+    const namedMatchers = new Map();
+
+    // Child records of each record, which the children under its aliases are aliases of
+    const childRecords = new WeakMap();
+
+    /**
+     * Adds a route, its aliases and its children
+     * @param {RouteRecordRaw} route - Route definition
+     * @param {RouteRecord} [parent] - Record of the parent route
+     * @returns {Function} Removes the route, its aliases and its children
+     */
+    function addRoute(route, parent = null) {
+        const record = addRecord(route, parent, null);
+        return () => removeMatcher(getMatcher(record));
+    }
+
+    /**
+     * @private
+     */
+    function addRecord(route, parent, original) {
+        // A route replaces the one with the same name
+        if (!original && route.name && namedMatchers.has(route.name)) {
+            removeRoute(route.name);
+        }
+
+        const record = normalizeRouteRecord(route, parent, original);
+        const aliases = [].concat(route.alias || []).map(alias =>
+            normalizeRouteRecord({ ...route, path: alias }, parent, original || record)
+        );
+
+        [record, ...aliases].forEach(current => {
+            // Children come first so they win over a parent with the same path
+            const originals = current.aliasOf && childRecords.get(current.aliasOf);
+            childRecords.set(current, (route.children || []).map((child, index) =>
+                addRecord(child, current, originals ? originals[index] : null)
+            ));
+
+            const matcher = compileRecord(current, options);
+            insertMatcher(matcher);
+            if (current.name && !current.aliasOf) {
+                namedMatchers.set(current.name, matcher);
+            }
+        });
+
+        return record;
+    }
+
+    /**
+     * Removes a matcher with the ones of the aliases and children of its record
+     * @private
+     */
+    function removeMatcher(matcher) {
+        const index = matchers.indexOf(matcher);
+        if (index === -1) {
+            return;
+        }
+
+        matchers.splice(index, 1);
+        if (namedMatchers.get(matcher.record.name) === matcher) {
+            namedMatchers.delete(matcher.record.name);
+        }
+
+        matchers
+            .filter(other => other.record.parent === matcher.record || other.record.aliasOf === matcher.record)
+            .forEach(removeMatcher);
+    }
+
+    /**
+     * @private
+     */
+    function getMatcher(record) {
+        return matchers.find(matcher => matcher.record === record);
+    }
+
+    /**
+     * Removes a named route, its aliases and its children, even those added later
+     * @param {string} name - Name of the route
+     * @returns {boolean} Whether there was such a route
+     */
+    function removeRoute(name) {
+        const matcher = namedMatchers.get(name);
+        if (matcher) {
+            removeMatcher(matcher);
+        }
+        return Boolean(matcher);
+    }
+
+    /**
+     * Builds the path of a named route
+     * @param {string} name - Name of the route
+     * @param {Object} [params] - Params of the route
+     * @returns {string} Path
+     * @throws {Error} When there's no such route or a required param is missing
+     */
+    function buildPath(name, params = {}) {
+        const matcher = namedMatchers.get(name);
+        if (!matcher) {
+            throw new Error(`No route named "${name}"`);
+        }
+        return matcher.stringify(params);
+    }
+
+    /**
+     * Inserts a matcher after the ones at least as specific
+     * @private
+     */
+    function insertMatcher(matcher) {
+        let index = 0;
+        while (index < matchers.length && comparePathScores(matchers[index].score, matcher.score) <= 0) {
+            index++;
+        }
+        matchers.splice(index, 0, matcher);
+    }
+
+    /**
+     * Resolves a path, without query or hash, to the most specific route
+     * @param {string} path - Path to match
+     * @returns {Object|null} Name, params, meta and matched records from the root, or null
+     */
+    function resolve(path) {
+        for (const matcher of matchers) {
+            const params = matcher.match(path);
+            if (!params) {
+                continue;
+            }
+
+            const matched = [];
+            for (let record = matcher.record; record; record = record.parent) {
+                matched.unshift(record);
+            }
+
+            return {
+                name: matcher.record.name,
+                params,
+                matched,
+                meta: matched.reduce((meta, record) => ({ ...meta, ...record.meta }), {})
+            };
+        }
+
+        return null;
+    }
+
+    routes.forEach(route => addRoute(route));
+
+    return {
+        addRoute,
+        removeRoute,
+        resolve,
+        buildPath,
+        getRecord: name => namedMatchers.get(name)?.record || null,
+        getRecords: () => matchers.map(matcher => matcher.record)
+    };
+}
+
+/**
+ * Returns the props a route passes to the component of one of its views
+ * @param {RouteRecord} record - Matched record rendering the view
+ * @param {Object} route - Current route
+ * @param {string} [viewName='default'] - Name of the view
+ * @returns {Object} Props
+ */
+export function resolveRouteProps(record, route, viewName = 'default') {
+    const props = record.props && record.props[viewName];
+
+    if (props === true) {
+        return { ...route.params };
+    }
+    if (typeof props === 'function') {
+        return props(route) || {};
+    }
+    return props && typeof props === 'object' ? props : {};
+}
+
+/**
+ * Compares the scores of two paths
+ * @param {Array<Array<number>>} a - Score of a path, one array per segment
+ * @param {Array<Array<number>>} b - Score of another path
+ * @returns {number} Negative when `a` is more specific, positive when `b` is
+ */
+export function comparePathScores(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const diff = compareSegmentScores(a[i], b[i]);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+
+    if (a.length === b.length) {
+        return 0;
+    }
+
+    // A longer path is more specific, unless what it adds may be empty
+    const longer = a.length > b.length ? a : b;
+    const extraIsOptional = longer[Math.min(a.length, b.length)][0] < 0;
+    return (a.length > b.length) === extraIsOptional ? 1 : -1;
+}
+
+/**
+ * @private
+ */
+function compareSegmentScores(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+            return b[i] - a[i];
+        }
+    }
+    return b.length - a.length;
+}
+
+/**
+ * Normalizes a route definition into a record
+ * @private
+ */
+function normalizeRouteRecord(route, parent, aliasOf) {
+    const components = route.components || (route.component ? { default: route.component } : {});
+
+    // With named views, an object of props is one option per view
+    const props = {};
+    Object.keys(components).forEach(name => {
+        props[name] = route.components && isPlainObject(route.props) ? route.props[name] : route.props;
+    });
+
+    return {
+        ...route,
+        path: joinPaths(parent ? parent.path : '', route.path),
+        name: route.name || null,
+        components,
+        component: components.default,
+        props,
+        meta: route.meta || {},
+        parent,
+        aliasOf
+    };
+}
+
+/**
+ * Compiles the regexp, param names and score of a record
+ * @private
+ */
+function compileRecord(record, options) {
+    // Routes may bring their own regexp and param names
+    if (record.pathRegex) {
+        return {
+            record,
+            score: [[PARAM_SCORE]],
+            match: path => extractParams(record.pathRegex.exec(path), record.paramNames || []),
+            stringify: () => record.path
+        };
+    }
+
+    const segments = tokenizePath(record.path);
+    const keys = [];
+    const score = [];
+    let pattern = '^';
+
+    segments.forEach(segment => {
+        const segmentScore = [];
+
+        if (segment.length === 1 && segment[0].type === 'param') {
+            // A lone param takes its slash with it, so an optional one may be left out
+            const token = segment[0];
+            const group = `/(${getParamPattern(token)})`;
+            pattern += token.optional ? `(?:${group})?` : group;
+            keys.push(token.name);
+            segmentScore.push(getTokenScore(token));
+        } else {
+            pattern += '/';
+            segment.forEach(token => {
+                if (token.type === 'static') {
+                    pattern += escapeRegExp(token.value);
+                    segmentScore.push(STATIC_SCORE);
+                } else {
+                    pattern += `(${getParamPattern(token)})${token.optional ? '?' : ''}`;
+                    keys.push(token.name);
+                    segmentScore.push(getTokenScore(token));
+                }
+            });
+        }
+
+        score.push(segmentScore);
+    });
+
+    // The root path is a static segment of its own
+    if (!score.length) {
+        score.push([STATIC_SCORE]);
+    }
+    pattern += '/?$';
+
+    const regexp = new RegExp(pattern, options.caseSensitive ? '' : 'i');
+
+    return {
+        record,
+        score,
+        match: path => extractParams(regexp.exec(path), keys),
+        stringify: params => stringifyPath(segments, params, record.path)
+    };
+}
+
+/**
+ * Fills the params of a tokenized path
+ * @private
+ */
+function stringifyPath(segments, params, path) {
+    const result = segments.map(segment => segment.map(token => {
+        if (token.type === 'static') {
+            return token.value;
+        }
+
+        const value = params[token.name];
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+            if (!token.optional) {
+                throw new Error(`Missing required param "${token.name}" for ${path}`);
+            }
+            return '';
+        }
+        return encodeParam(value, token);
+    }).join('')).filter(Boolean);
+
+    return '/' + result.join('/');
+}
+
+/**
+ * Encodes a param value for the path, a repeatable param segment by segment
+ * @private
+ */
+function encodeParam(value, token) {
+    if (!token.repeatable) {
+        return encodeURIComponent(String(value));
+    }
+    const parts = Array.isArray(value) ? value : String(value).split('/');
+    return parts.map(part => encodeURIComponent(String(part))).join('/');
+}
+
+/**
+ * Splits a path into segments of static and param tokens
+ * @private
+ */
+function tokenizePath(path) {
+    return path.split('/').filter(Boolean).map(segment => {
+        // Legacy catch-all
+        if (segment === '*') {
+            return [{ type: 'param', name: 'pathMatch', regexp: '.*', optional: true, repeatable: true }];
+        }
+
+        const tokens = [];
+        let lastIndex = 0;
+        let match;
+
+        PARAM_PATTERN.lastIndex = 0;
+        while ((match = PARAM_PATTERN.exec(segment))) {
+            if (match.index > lastIndex) {
+                tokens.push({ type: 'static', value: segment.slice(lastIndex, match.index) });
+            }
+
+            const [, name, regexp, modifier] = match;
+            tokens.push({
+                type: 'param',
+                name,
+                regexp: regexp || DEFAULT_PARAM_REGEXP,
+                optional: modifier === '?' || modifier === '*',
+                repeatable: modifier === '+' || modifier === '*'
+            });
+            lastIndex = PARAM_PATTERN.lastIndex;
+        }
+
+        if (lastIndex < segment.length) {
+            tokens.push({ type: 'static', value: segment.slice(lastIndex) });
+        }
+
+        return tokens;
+    });
+}
+
+/**
+ * @private
+ */
+function getParamPattern(token) {
+    // .* already spans several segments
+    return token.repeatable && token.regexp !== '.*'
+        ? `(?:${token.regexp})(?:/(?:${token.regexp}))*`
+        : `(?:${token.regexp})`;
+}
+
+/**
+ * @private
+ */
+function getTokenScore(token) {
+    let score = token.regexp === '.*' ? WILDCARD_SCORE : PARAM_SCORE;
+
+    if (token.regexp !== DEFAULT_PARAM_REGEXP && token.regexp !== '.*') {
+        score += REGEXP_BONUS;
+    }
+    if (token.repeatable) {
+        score += REPEATABLE_PENALTY;
+    }
+    if (token.optional) {
+        score += OPTIONAL_PENALTY;
+    }
+
+    return score;
+}
+
+/**
+ * @private
+ */
+function extractParams(match, keys) {
+    if (!match) {
+        return null;
+    }
+
+    const params = {};
+    keys.forEach((key, index) => {
+        // Optional params left out aren't set
+        if (match[index + 1] !== undefined) {
+            params[key] = decodeParam(match[index + 1]);
+        }
+    });
+    return params;
+}
+
+/**
+ * Decodes a param read from the path, leaving malformed escapes as they are
+ * @private
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * @private
+ */
+function joinPaths(parentPath, path) {
+    if (path.startsWith('/')) {
+        return path;
+    }
+    return `${parentPath.replace(/\/$/, '')}/${path}`.replace(/\/$/, '') || '/';
+}
+
+/**
+ * @private
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.+*?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
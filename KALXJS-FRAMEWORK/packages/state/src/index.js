@@ -1,5 +1,7 @@
 // packages/state/src/index.js
-import { reactive, effect } from '../../core/src/reactivity/reactive';
+import { reactive } from '../../core/src/reactivity/reactive';
+import { effectScope } from '../../core/src/reactivity/effect-scope';
+import { watch } from '../../core/src/composition/watch';
 
 /**
  * Create a new store for state management
@@ -7,6 +9,9 @@ import { reactive, effect } from '../../core/src/reactivity/reactive';
  * @returns {Object} Store instance
  */
 export function createStore(options) {
+    // Owns every watcher so $dispose() can stop them together
+    const scope = effectScope(true);
+
     const store = {
         state: reactive(options.state || {}),
 
@@ -30,12 +35,20 @@ export function createStore(options) {
             return action.apply(this, [this, ...args]);
         },
 
-        // Watch state changes
-        watch(getter, callback) {
-            effect(() => {
-                const value = getter(this.state);
-                callback(value);
-            });
+        // Watch state changes, returns a function that stops watching.
+        // The callback runs right away with the current value, then after
+        // each change. Accepts the same options as watch() from core.
+        watch(getter, callback, options = {}) {
+            return scope.run(() => watch(
+                () => getter(this.state),
+                callback,
+                { immediate: true, ...options }
+            ));
+        },
+
+        // Stop all watchers created through this store
+        $dispose() {
+            scope.stop();
         },
 
         install(app) {
@@ -12,7 +12,7 @@
  * @module @kalxjs/store/pinia
  */
 
-import { reactive, computed, ref, effectScope } from '@kalxjs/core';
+import { reactive, computed, ref, effectScope, watch } from '@kalxjs/core';
 
 /**
  * Store registry
@@ -1,8 +1,10 @@
 // kalxjs/tests/unit/component.test.js
 
 // Import the component system
-import { createComponent, defineComponent } from '@kalxjs/core/component';
-import { h } from '@kalxjs/core/vdom';
+import { createComponent, defineComponent, createApp } from '@kalxjs/core/component';
+import { h } from '@kalxjs/core/vdom/vdom';
+import { ref } from '@kalxjs/core/reactivity';
+import { nextTick } from '@kalxjs/core/scheduler/queue';
 
 describe('Component System', () => {
     describe('createComponent', () => {
@@ -135,6 +137,86 @@ describe('Component System', () => {
         });
     });
 
+    describe('createApp', () => {
+        test('should patch updates and move keyed nodes instead of re-creating them', async () => {
+            const items = ref(['a', 'b', 'c']);
+            const container = document.createElement('div');
+
+            createApp({
+                name: 'List',
+                render: () => h('ul', {}, items.value.map(item => h('li', { key: item }, [item])))
+            }).mount(container);
+
+            const ul = container.firstChild;
+            const [a, b, c] = ul.childNodes;
+
+            items.value = ['c', 'a', 'b'];
+            await nextTick();
+
+            expect(container.firstChild).toBe(ul);
+            expect(Array.from(ul.childNodes)).toEqual([c, a, b]);
+            expect(ul.textContent).toBe('cab');
+        });
+
+        test('should keep the instances and nodes of keyed child components across updates', async () => {
+            const data = jest.fn(() => ({ clicks: 0 }));
+            const Item = defineComponent({
+                name: 'Item',
+                data,
+                render() {
+                    return h('span', {}, [`${this.label} ${this.clicks}`]);
+                }
+            });
+            const items = ref(['a', 'b', 'c']);
+            const title = ref('Items');
+            const container = document.createElement('div');
+
+            createApp({
+                name: 'List',
+                render: () => h('div', {}, [
+                    h('h1', {}, [title.value]),
+                    h('ul', {}, items.value.map(item => h(Item, { key: item, label: item })))
+                ])
+            }).mount(container);
+
+            const ul = container.querySelector('ul');
+            const [a, b, c] = ul.childNodes;
+
+            title.value = 'All items';
+            await nextTick();
+
+            expect(data).toHaveBeenCalledTimes(3);
+            expect(Array.from(ul.childNodes)).toEqual([a, b, c]);
+
+            items.value = ['c', 'a', 'b'];
+            await nextTick();
+
+            expect(data).toHaveBeenCalledTimes(3);
+            expect(Array.from(ul.childNodes)).toEqual([c, a, b]);
+            expect(ul.textContent).toBe('c 0a 0b 0');
+        });
+
+        test('should mark slot content for the :slotted() styles of the child', () => {
+            const Card = defineComponent({
+                name: 'Card',
+                __scopeId: 'data-v-card',
+                setup(props, { slots }) {
+                    return () => h('div', { class: 'card' }, slots.default());
+                }
+            });
+            const container = document.createElement('div');
+
+            createApp({
+                name: 'Page',
+                render: () => h('main', {}, [h(Card, {}, { default: () => [h('p', {}, ['Hello'])] })])
+            }).mount(container);
+
+            const p = container.querySelector('.card p');
+            expect(p.hasAttribute('data-v-card-s')).toBe(true);
+            expect(p.textContent).toBe('Hello');
+        });
+    });
+
     describe('Component Mounting', () => {
         beforeEach(() => {
             // Mock the DOM
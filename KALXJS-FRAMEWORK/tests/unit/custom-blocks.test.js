@@ -0,0 +1,149 @@
+// kalxjs/tests/unit/custom-blocks.test.js
+
+// useI18n only needs reactivity and injection from core, whose index can't load under Jest's CommonJS transform
+jest.mock('@kalxjs/core', () => ({
+    ...jest.requireActual('@kalxjs/core/reactivity/reactive'),
+    inject: jest.fn(),
+    getCurrentInstance: jest.fn()
+}));
+
+import { inject, getCurrentInstance } from '@kalxjs/core';
+import { parse } from '../../packages/compiler/src/parser';
+import { compile } from '../../packages/compiler/src/compiler';
+import { generateCode } from '../../packages/compiler/src/codegen';
+import {
+    registerBlockTransformer,
+    unregisterBlockTransformer,
+    transformCustomBlocks
+} from '../../packages/compiler/src/custom-blocks';
+import { i18nBlockTransformer } from '../../packages/i18n/src/sfc';
+import { setupI18n, useI18n } from '../../packages/i18n/src/index';
+import { createRenderer } from '@kalxjs/core/renderer/index';
+import { h } from '@kalxjs/core/vdom/vdom';
+
+const source = [
+    '<template><p :class="$style.title">Hi</p></template>',
+    '<script>export default { name: \'Card\' };</script>',
+    '<style scoped>.card { color: red; }</style>',
+    '<style module>.title { font-weight: bold; }</style>',
+    '<style module="theme">.dark { color: black; }</style>',
+    '<i18n locale="en">{ "hello": "Hello" }</i18n>',
+    '<docs lang="md"># Card</docs>'
+].join('\n');
+
+// Runs the code of a transformed block and returns its default export
+const evaluate = ({ code, name }) => new Function(`${code}\nreturn ${name};`)();
+
+describe('SFC blocks', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        unregisterBlockTransformer('docs');
+    });
+
+    test('should keep every style and custom block with its attributes', () => {
+        const descriptor = parse(source, { filename: '/src/Card.klx' });
+
+        expect(descriptor.styles.map(style => [style.scoped, style.module])).toEqual([
+            [true, false],
+            [false, true],
+            [false, 'theme']
+        ]);
+        expect(descriptor.customBlocks.map(block => [block.type, block.attrs])).toEqual([
+            ['i18n', { locale: 'en' }],
+            ['docs', { lang: 'md' }]
+        ]);
+    });
+
+    test('should compile every style block and expose CSS modules by name', () => {
+        const compiled = compile(parse(source, { filename: '/src/Card.klx' }), { filename: '/src/Card.klx' });
+        const { code } = generateCode(compiled, { filename: '/src/Card.klx' });
+
+        expect(compiled.style.code).toMatch(/\.card\[data-v-\w+\]/);
+        expect(compiled.style.code).toMatch(/\.title_\w+/);
+        expect(compiled.style.code).toMatch(/\.dark_\w+/);
+        expect(Object.keys(compiled.style.modules)).toEqual(['$style', 'theme']);
+        expect(code).toContain(`__cssModules: ${JSON.stringify(compiled.style.modules)}`);
+    });
+
+    test('should give templates the class names of CSS modules', () => {
+        const nodeOps = {
+            createElement: (tag) => ({ tag, props: {}, children: [] }),
+            createText: (text) => ({ text }),
+            insert: (child, parent) => parent.children.push(child),
+            remove: () => {},
+            setText: () => {},
+            patchProp: (el, key, prev, next) => {
+                el.props[key] = next;
+            },
+            parentNode: () => null,
+            nextSibling: () => null
+        };
+        const Card = {
+            __cssModules: { $style: { title: 'title_1a2b' } },
+            render() {
+                return h('p', { class: this.$style.title }, []);
+            }
+        };
+
+        const root = nodeOps.createElement('root');
+        createRenderer(nodeOps).createApp(Card).mount(root);
+
+        expect(root.children[0].props.class).toBe('title_1a2b');
+    });
+
+    test('should run registered and given transformers on custom blocks', async () => {
+        registerBlockTransformer('docs', (block) => `export default function (component) { component.__docs = ${JSON.stringify(block.content)}; }`);
+        const descriptor = parse(source, { filename: '/src/Card.klx' });
+
+        const registered = await transformCustomBlocks(descriptor);
+        const given = await transformCustomBlocks(descriptor, {
+            customBlocks: { i18n: i18nBlockTransformer, docs: () => null }
+        });
+
+        expect(registered.map(result => result.block.type)).toEqual(['docs']);
+        expect(registered[0].name).toBe('__block0');
+        expect(registered[0].code).toContain('const __block0 = function (component)');
+
+        const options = {};
+        evaluate(registered[0])(options);
+        expect(options.__docs).toBe('# Card');
+
+        // A given transformer wins, and null drops the block
+        expect(given.map(result => result.block.type)).toEqual(['i18n']);
+        evaluate(given[0])(options);
+        expect(options.__i18n).toEqual([{ en: { hello: 'Hello' } }]);
+    });
+
+    test('should name the block and file when a transformer fails', async () => {
+        const descriptor = parse('<i18n>{ broken</i18n>', { filename: '/src/Broken.klx' });
+
+        await expect(transformCustomBlocks(descriptor, { customBlocks: { i18n: i18nBlockTransformer } }))
+            .rejects.toThrow('Failed to transform the <i18n> block of /src/Broken.klx: [i18n] Invalid JSON');
+        expect(() => registerBlockTransformer('docs', 'nope')).toThrow('must be a function');
+    });
+
+    test('should look up the messages of <i18n> blocks for their component only', () => {
+        const i18n = setupI18n({ messages: { en: { hello: 'Hi', bye: 'Bye' } } });
+        const options = { __i18n: [{ en: { hello: 'Hello' } }] };
+        inject.mockReturnValue(i18n);
+
+        getCurrentInstance.mockReturnValue({ $options: options });
+        const card = useI18n();
+        const other = useI18n();
+
+        getCurrentInstance.mockReturnValue({ $options: {} });
+        const page = useI18n();
+
+        expect(card.t('hello')).toBe('Hello');
+        expect(card.t('bye')).toBe('Bye');
+        expect(other.te('hello')).toBe(true);
+        expect(page.t('hello')).toBe('Hi');
+        expect(i18n.t('hello')).toBe('Hi');
+    });
+});
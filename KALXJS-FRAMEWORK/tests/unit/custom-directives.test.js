@@ -0,0 +1,184 @@
+// kalxjs/tests/unit/custom-directives.test.js
+
+import { compileTemplate } from '../../packages/compiler/src/compiler';
+import { BindingTypes } from '../../packages/compiler/src/bindings';
+import { createRenderer } from '@kalxjs/core/renderer/index';
+import { createApp } from '@kalxjs/core/component';
+import { domNodeOps } from '@kalxjs/core/renderer/node-ops';
+import { h, openBlock, createBlock, withDirectives } from '@kalxjs/core/vdom/vdom';
+import { resolveDirective, vShow } from '@kalxjs/core/vdom/directives';
+import { toDisplayString } from '@kalxjs/core/vdom/render-helpers';
+import { ref, unref } from '@kalxjs/core/reactivity/reactive';
+import { nextTick } from '@kalxjs/core/scheduler/queue';
+import { createTestNodeOps } from './node-ops';
+
+const { nodeOps } = createTestNodeOps();
+
+// Compiles a template against setup refs into a render function
+const compile = (template, refs = []) => {
+    const bindingMetadata = Object.fromEntries(refs.map(name => [name, BindingTypes.SETUP_REF]));
+    const { code, hoisted } = compileTemplate(template, { bindingMetadata });
+    const helpers = { h, openBlock, createBlock, withDirectives, resolveDirective, vShow, toDisplayString, unref };
+    return new Function(...Object.keys(helpers), `${hoisted.join('\n')}\nreturn ${code}`)(...Object.values(helpers));
+};
+
+// Directive recording every hook call with the element's parent at that time
+const createLoggingDirective = (log) => Object.fromEntries(
+    ['created', 'beforeMount', 'mounted', 'beforeUpdate', 'updated', 'beforeUnmount', 'unmounted'].map(hook => [
+        hook,
+        (el, { value, oldValue, arg, modifiers }) => log.push({ hook, value, oldValue, arg, modifiers, attached: Boolean(el.parent) })
+    ])
+);
+
+describe('Custom directives', () => {
+    let logSpy;
+    let warnSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    test('should compile v-name:arg.modifier to withDirectives()', () => {
+        const { code, helpers } = compileTemplate('<div><input v-tooltip:top.lazy="msg" v-focus><p v-my-dir:[side]="1" v-show="ok">x</p></div>');
+
+        expect(code).toContain('const _directive_tooltip = resolveDirective("tooltip");');
+        expect(code).toContain('const _directive_my_dir = resolveDirective("my-dir");');
+        expect(code).toContain('withDirectives(h(\'input\', { }, []), [[_directive_tooltip, this.msg, "top", { lazy: true }], [_directive_focus]])');
+        expect(code).toContain('[[_directive_my_dir, 1, this.side], [vShow, this.ok]]');
+        expect(helpers).toEqual(expect.arrayContaining(['withDirectives', 'resolveDirective', 'vShow']));
+        expect(warnSpy).not.toHaveBeenCalled();
+
+        // <script setup> directives are variables named vName
+        const setup = compileTemplate('<p v-focus>x</p>', { bindingMetadata: { vFocus: BindingTypes.SETUP_CONST } });
+        expect(setup.code).toContain('withDirectives(createBlock(\'p\', { }, ["x"]), [[$setup.vFocus]])');
+        expect(setup.code).not.toContain('resolveDirective');
+    });
+
+    test('should call the hooks with their bindings through mount, update and unmount', async () => {
+        const log = [];
+        const value = ref(1);
+        const show = ref(true);
+        const App = {
+            setup: () => ({ value, show }),
+            render: compile('<div><p v-if="show" v-log:top.lazy="value">{{ value }}</p></div>', ['value', 'show'])
+        };
+
+        const root = nodeOps.createElement('root');
+        const app = createRenderer(nodeOps).createApp(App);
+        app.directive('log', createLoggingDirective(log));
+        app.mount(root);
+
+        expect(log.map(call => call.hook)).toEqual(['created', 'beforeMount', 'mounted']);
+        expect(log[0]).toEqual({ hook: 'created', value: 1, oldValue: undefined, arg: 'top', modifiers: { lazy: true }, attached: false });
+        expect(log[2].attached).toBe(true);
+
+        log.length = 0;
+        value.value = 2;
+        await nextTick();
+        expect(log).toEqual([
+            expect.objectContaining({ hook: 'beforeUpdate', value: 2, oldValue: 1 }),
+            expect.objectContaining({ hook: 'updated', value: 2, oldValue: 1 })
+        ]);
+
+        log.length = 0;
+        show.value = false;
+        await nextTick();
+        expect(log).toEqual([
+            expect.objectContaining({ hook: 'beforeUnmount', attached: true }),
+            expect.objectContaining({ hook: 'unmounted', attached: false })
+        ]);
+    });
+
+    test('should call the update and unmount hooks under the default createApp renderer', async () => {
+        const log = [];
+        const value = ref(1);
+        const show = ref(true);
+        const container = document.createElement('div');
+
+        const app = createApp({
+            name: 'Demo',
+            setup: () => ({ value, show }),
+            render: compile('<div><p v-if="show" v-demo="value">{{ value }}</p></div>', ['value', 'show'])
+        });
+        app.directive('demo', createLoggingDirective(log));
+        app.mount(container);
+
+        expect(log.map(call => call.hook)).toEqual(['created', 'beforeMount', 'mounted']);
+
+        log.length = 0;
+        value.value = 2;
+        await nextTick();
+        expect(log).toEqual([
+            expect.objectContaining({ hook: 'beforeUpdate', value: 2, oldValue: 1 }),
+            expect.objectContaining({ hook: 'updated', value: 2, oldValue: 1 })
+        ]);
+        expect(container.querySelector('p').textContent).toBe('2');
+
+        log.length = 0;
+        show.value = false;
+        await nextTick();
+        expect(log.map(call => call.hook)).toEqual(['beforeUnmount', 'unmounted']);
+        expect(container.querySelector('p')).toBe(null);
+    });
+
+    test('should patch directives on otherwise static elements of a block', async () => {
+        const calls = [];
+        const value = ref('a');
+        const App = {
+            setup: () => ({ value }),
+            directives: {
+                // Function shorthand for mounted and updated
+                track: (el, binding) => calls.push([binding.value, binding.oldValue])
+            },
+            render: compile('<div><span>static</span><i v-track="value"></i></div>', ['value'])
+        };
+
+        createRenderer(nodeOps).createApp(App).mount(nodeOps.createElement('root'));
+        value.value = 'b';
+        await nextTick();
+
+        expect(calls).toEqual([['a', undefined], ['b', 'a']]);
+    });
+
+    test('should apply directives on a component to its root element', () => {
+        const els = [];
+        const Child = { render: () => h('section', {}, ['child']) };
+
+        // The compiled render function reads Child from its scope
+        const render = new Function('Child', 'h', 'openBlock', 'createBlock', 'withDirectives', 'resolveDirective',
+            `return ${compileTemplate('<div><Child v-mark="1" /></div>').code}`
+        )(Child, h, openBlock, createBlock, withDirectives, resolveDirective);
+
+        const root = nodeOps.createElement('root');
+        const app = createRenderer(nodeOps).createApp({ render });
+        app.directive('mark', { mounted: el => els.push(el.tag) });
+        app.mount(root);
+
+        expect(els).toEqual(['section']);
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    test('should toggle display with v-show and warn about unknown directives', async () => {
+        const ok = ref(false);
+        const App = {
+            setup: () => ({ ok }),
+            render: compile('<div><p v-show="ok" style="display: flex">x</p><b v-nope>y</b></div>', ['ok'])
+        };
+
+        const container = document.createElement('div');
+        createRenderer(domNodeOps).createApp(App).mount(container);
+        const p = container.querySelector('p');
+        expect(p.style.display).toBe('none');
+        expect(warnSpy).toHaveBeenCalledWith('Failed to resolve directive: nope');
+
+        ok.value = true;
+        await nextTick();
+        expect(p.style.display).toBe('flex');
+    });
+});
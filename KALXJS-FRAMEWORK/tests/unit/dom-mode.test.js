@@ -0,0 +1,152 @@
+// kalxjs/tests/unit/dom-mode.test.js
+
+import { compile as compileKLXAst, compileTemplate } from '../../packages/compiler/src/compiler';
+import { parse } from '../../packages/compiler/src/parser';
+import { BindingTypes } from '../../packages/compiler/src/bindings';
+import { createRenderer } from '@kalxjs/core/renderer/index';
+import { createApp } from '@kalxjs/core/component';
+import { domNodeOps } from '@kalxjs/core/renderer/node-ops';
+import * as directDOM from '@kalxjs/core/renderer/direct-dom';
+import { h } from '@kalxjs/core/vdom/vdom';
+import { toDisplayString } from '@kalxjs/core/vdom/render-helpers';
+import { ref, reactive, isRef, unref } from '@kalxjs/core/reactivity/reactive';
+import { signal } from '@kalxjs/core/reactivity/signals/signal';
+
+// Compiles a DOM mode template against setup bindings into a render function
+const compile = (template, bindings = {}, components = {}) => {
+    const bindingMetadata = Object.fromEntries(Object.entries(bindings).map(([name, value]) =>
+        [name, isRef(value) ? BindingTypes.SETUP_REF : BindingTypes.SETUP_CONST]
+    ));
+    const { code, hoisted } = compileTemplate(template, { bindingMetadata, mode: 'dom' });
+    const scope = { ...directDOM, h, toDisplayString, unref, ...components };
+    return new Function(...Object.keys(scope), `${hoisted.join('\n')}\nreturn ${code}`)(...Object.values(scope));
+};
+
+// Mounts a component with the render function of a template into a new container
+const mount = (template, bindings, components) => {
+    const render = jest.fn(compile(template, bindings, components));
+    const container = document.createElement('div');
+    const app = createRenderer(domNodeOps).createApp({ setup: () => bindings, render });
+    app.mount(container);
+    return { container, render, app };
+};
+
+describe('DOM mode templates', () => {
+    let logSpy;
+    let warnSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    test('should clone the static HTML and bind effects to the dynamic nodes', () => {
+        const { code, hoisted, helpers } = compileTemplate('<div class="card"><h1>Hi {{ name }}!</h1><p :title="tip">a &lt; b</p></div>', { mode: 'dom' });
+
+        expect(hoisted).toEqual(['const _template_1 = createDOMTemplate("<div class=\\"card\\"><h1> </h1><p>a &lt; b</p></div>");']);
+        expect(code).toContain('return renderDOM(() => {');
+        expect(code).toContain('const _n1 = _template_1();');
+        expect(code).toContain('renderEffect(() => setDOMText(_n3, "Hi " + toDisplayString(this.name) + "!"));');
+        expect(code).toContain('renderEffect(() => setDOMProp(_n4, "title", this.tip));');
+        expect(code).not.toContain('h(');
+        expect(helpers).toEqual(expect.arrayContaining(['renderDOM', 'createDOMTemplate', 'renderEffect', 'setDOMText', 'setDOMProp']));
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    test('should update text and attributes in place without rendering again', () => {
+        const count = ref(1);
+        const label = signal('a');
+        const { container, render, app } = mount(
+            '<div><p :data-label="label()">Count: {{ count }}</p><button @click="count++">+</button></div>',
+            { count, label }
+        );
+
+        const p = container.querySelector('p');
+        const text = p.firstChild;
+        expect(p.textContent).toBe('Count: 1');
+        expect(p.getAttribute('data-label')).toBe('a');
+
+        container.querySelector('button').click();
+        label.set('b');
+        expect(p.firstChild).toBe(text);
+        expect(text.data).toBe('Count: 2');
+        expect(p.getAttribute('data-label')).toBe('b');
+        expect(render).toHaveBeenCalledTimes(1);
+
+        // Unmounting stops the effects
+        app.unmount();
+        count.value = 3;
+        expect(text.data).toBe('Count: 2');
+    });
+
+    test('should render once when mounted by the default createApp', () => {
+        const count = ref(1);
+        const render = jest.fn(compile('<div><p>Count: {{ count }}</p><button @click="count++">+</button></div>', { count }));
+        const container = document.createElement('div');
+
+        createApp({ name: 'Counter', setup: () => ({ count }), render }).mount(container);
+        expect(render).toHaveBeenCalledTimes(1);
+
+        const text = container.querySelector('p').firstChild;
+        container.querySelector('button').click();
+        expect(text.data).toBe('Count: 2');
+        expect(container.querySelector('p').firstChild).toBe(text);
+        expect(render).toHaveBeenCalledTimes(1);
+    });
+
+    test('should switch v-if branches and move keyed v-for items', () => {
+        const ok = ref(true);
+        const items = reactive([{ id: 1, label: 'one' }, { id: 2, label: 'two' }, { id: 3, label: 'three' }]);
+        const { container } = mount(
+            '<div><b v-if="ok">yes</b><i v-else>no</i><ul><li v-for="item in items" :key="item.id">{{ item.label }}</li></ul></div>',
+            { ok, items }
+        );
+
+        expect(container.querySelector('div').firstChild.outerHTML).toBe('<b>yes</b>');
+        ok.value = false;
+        expect(container.querySelector('b')).toBeNull();
+        expect(container.querySelector('i').textContent).toBe('no');
+
+        const [one, two, three] = container.querySelectorAll('li');
+        items.reverse();
+        expect(Array.from(container.querySelectorAll('li'))).toEqual([three, two, one]);
+
+        items[0].label = 'THREE';
+        items.splice(1, 1);
+        expect(Array.from(container.querySelectorAll('li'), li => li.textContent)).toEqual(['THREE', 'one']);
+        expect(container.querySelector('li')).toBe(three);
+    });
+
+    test('should mount components and patch their props', () => {
+        const Child = { props: ['value'], render() { return h('span', {}, [`value ${this.value}`]); } };
+        const value = ref(1);
+        const { container } = mount('<div><Child :value="value" /><p>after</p></div>', { value }, { Child });
+
+        expect(container.innerHTML).toBe('<div><span>value 1</span><!----><p>after</p></div>');
+        value.value = 2;
+        expect(container.querySelector('span').textContent).toBe('value 2');
+    });
+
+    test('should fall back to the virtual DOM for what it does not support', () => {
+        const { code } = compileTemplate('<div><p v-focus>x</p></div>', { mode: 'dom', filename: 'App.klx' });
+
+        expect(warnSpy).toHaveBeenCalledWith(
+            '[compiler] DOM mode doesn\'t support custom directives (v-focus), compiling App.klx to the virtual DOM instead'
+        );
+        expect(code).toContain('withDirectives(');
+        expect(code).not.toContain('renderDOM');
+    });
+
+    test('should be enabled by <template mode="dom">', () => {
+        const ast = parse('<template mode="dom"><p>{{ msg }}</p></template>\n<script>export default {}</script>');
+        const { template } = compileKLXAst(ast, { filename: 'App.klx' });
+
+        expect(template.code).toContain('renderDOM(');
+        expect(template.hoisted).toEqual(['const _template_1 = createDOMTemplate("<p> </p>");']);
+    });
+});
@@ -0,0 +1,109 @@
+// kalxjs/tests/unit/file-routes.test.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scanPages, createPageRoutes, generatePagesModule, isPageFile } from '../../packages/compiler-plugin/src/pages';
+
+// Paths and names of routes, with their children
+const outline = (routes) => routes.map(({ path, name, file, children }) =>
+    children ? { path, file, children: outline(children) } : { path, name, file }
+);
+
+describe('File-system routes', () => {
+    test('should turn index, param and catch-all pages into routes', () => {
+        const routes = createPageRoutes(['[...slug].klx', 'about.klx', 'blog/[slug].klx', 'blog/index.klx', 'index.klx']);
+
+        expect(outline(routes)).toEqual([
+            { path: '/:slug(.*)*', name: 'slug', file: '[...slug].klx' },
+            { path: '/about', name: 'about', file: 'about.klx' },
+            { path: '/', name: 'index', file: 'index.klx' },
+            { path: '/blog/:slug', name: 'blog-slug', file: 'blog/[slug].klx' },
+            { path: '/blog', name: 'blog', file: 'blog/index.klx' }
+        ]);
+    });
+
+    test('should render the pages of a directory with a layout as its children', () => {
+        const routes = createPageRoutes([
+            'users/[id].klx',
+            'users/[id]/posts.klx',
+            'users/_layout.klx',
+            'users/index.klx'
+        ]);
+
+        expect(outline(routes)).toEqual([{
+            path: '/users',
+            file: 'users/_layout.klx',
+            children: [
+                { path: ':id', name: 'users-id', file: 'users/[id].klx' },
+                { path: '', name: 'users', file: 'users/index.klx' },
+                { path: ':id/posts', name: 'users-id-posts', file: 'users/[id]/posts.klx' }
+            ]
+        }]);
+    });
+
+    test('should warn about a page named after a directory with an index page', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const routes = createPageRoutes(['users.klx', 'users/[id].klx', 'users/index.klx']);
+
+        expect(outline(routes)).toEqual([
+            { path: '/users/:id', name: 'users-id', file: 'users/[id].klx' },
+            { path: '/users', name: 'users', file: 'users/index.klx' }
+        ]);
+        expect(warnSpy).toHaveBeenCalledWith('[pages] users.klx and users/index.klx are both the page of the same path, users.klx is left out');
+        warnSpy.mockRestore();
+    });
+
+    test('should group pages under a layout without adding to the path', () => {
+        const routes = createPageRoutes(['(auth)/_layout.klx', '(auth)/login.klx', '(marketing)/pricing.klx']);
+
+        expect(outline(routes)).toEqual([
+            { path: '/', file: '(auth)/_layout.klx', children: [{ path: 'login', name: 'login', file: '(auth)/login.klx' }] },
+            { path: '/pricing', name: 'pricing', file: '(marketing)/pricing.klx' }
+        ]);
+    });
+
+    test('should generate a module exporting the routes with their page components', () => {
+        const routes = createPageRoutes(['_layout.klx', 'index.klx']);
+        const code = generatePagesModule(routes, '/app/src/pages');
+
+        expect(code).toBe([
+            'import Page0 from "/app/src/pages/_layout.klx";',
+            'import Page1 from "/app/src/pages/index.klx";',
+            '',
+            'export default [',
+            '    {',
+            '        path: "/",',
+            '        component: Page0,',
+            '        children: [',
+            '            {',
+            '                path: "",',
+            '                name: "index",',
+            '                component: Page1',
+            '            }',
+            '        ]',
+            '    }',
+            '];',
+            ''
+        ].join('\n'));
+    });
+
+    test('should scan the pages directory and tell its pages apart', () => {
+        const pagesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalxjs-pages-'));
+        const files = ['index.klx', 'users/[id].klx', 'users/_layout.klx', 'users/_UserCard.klx', 'users/utils.js'];
+        for (const file of files) {
+            fs.mkdirSync(path.dirname(path.join(pagesDir, file)), { recursive: true });
+            fs.writeFileSync(path.join(pagesDir, file), '');
+        }
+
+        try {
+            expect(scanPages(pagesDir)).toEqual(['index.klx', 'users/[id].klx', 'users/_layout.klx']);
+            expect(scanPages(path.join(pagesDir, 'missing'))).toEqual([]);
+            expect(isPageFile(path.join(pagesDir, 'users/new.klx'), pagesDir)).toBe(true);
+            expect(isPageFile(path.join(pagesDir, '../App.klx'), pagesDir)).toBe(false);
+            expect(isPageFile(path.join(pagesDir, 'users/utils.js'), pagesDir)).toBe(false);
+        } finally {
+            fs.rmSync(pagesDir, { recursive: true, force: true });
+        }
+    });
+});
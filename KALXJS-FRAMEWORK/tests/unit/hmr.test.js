@@ -0,0 +1,106 @@
+// kalxjs/tests/unit/hmr.test.js
+
+import { createRenderer } from '@kalxjs/core/renderer/index';
+import { h, openBlock, createBlock } from '@kalxjs/core/vdom/vdom';
+import { ref, computed } from '@kalxjs/core/reactivity/reactive';
+import { hmrRuntime } from '@kalxjs/core/hmr/index.js';
+import { PatchFlags } from '@kalxjs/core/vdom/patch-flags';
+import { createTestNodeOps, serialize } from './node-ops';
+
+const { nodeOps } = createTestNodeOps();
+
+describe('Hot module replacement', () => {
+    let renderer;
+    let root;
+    let warnSpy;
+
+    beforeEach(() => {
+        renderer = createRenderer(nodeOps);
+        root = nodeOps.createElement('root');
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warnSpy.mockRestore();
+    });
+
+    test('should re-render live instances with a new template, keeping their state', () => {
+        const Counter = {
+            __hmrId: 'counter-rerender',
+            setup() {
+                return { count: ref(1) };
+            },
+            render() {
+                return h('p', {}, [`count: ${this.count.value}`]);
+            }
+        };
+        hmrRuntime.createRecord(Counter.__hmrId, Counter);
+
+        const instance = renderer.createApp(Counter).mount(root);
+        instance.count.value = 5;
+
+        hmrRuntime.rerender('counter-rerender', function () {
+            return h('p', {}, [`total: ${this.count.value}`]);
+        });
+
+        expect(serialize(root)).toBe('<root><p>total: 5</p></root>');
+    });
+
+    test('should patch static parts of a re-rendered template', () => {
+        const hoisted = h('b', {}, ['old']);
+        const Static = {
+            __hmrId: 'static-rerender',
+            render: () => (openBlock(), createBlock('div', {}, [hoisted, h('i', {}, ['x'])], PatchFlags.NEED_PATCH))
+        };
+        hmrRuntime.createRecord(Static.__hmrId, Static);
+        renderer.createApp(Static).mount(root);
+
+        const updated = h('b', {}, ['new']);
+        hmrRuntime.rerender('static-rerender', () =>
+            (openBlock(), createBlock('div', {}, [updated, h('i', {}, ['x'])], PatchFlags.NEED_PATCH)));
+
+        expect(serialize(root)).toBe('<root><div><b>new</b><i>x</i></div></root>');
+    });
+
+    test('should reload a changed script, keeping state of the same shape', () => {
+        const mounted = jest.fn();
+        const Form = {
+            __hmrId: 'form-reload',
+            setup() {
+                const name = ref('');
+                const tags = ref([]);
+                return { name, tags, upper: computed(() => name.value.toUpperCase()) };
+            },
+            render() {
+                return h('p', {}, [`${this.upper.value} ${this.tags.value.length}`]);
+            }
+        };
+        hmrRuntime.createRecord(Form.__hmrId, Form);
+
+        const Page = { render: () => h('main', {}, [h(Form)]) };
+        const page = renderer.createApp(Page).mount(root);
+
+        // Change the state through the first version
+        const form = page._subTree.children[0]._instance;
+        form.name.value = 'kal';
+        form.tags.value = ['a', 'b'];
+
+        hmrRuntime.reload('form-reload', {
+            __hmrId: 'form-reload',
+            setup() {
+                const name = ref('');
+                // Now a count instead of a list: not carried over
+                const tags = ref(0);
+                mounted();
+                return { name, tags, upper: computed(() => `${name.value}!`) };
+            },
+            render() {
+                return h('p', {}, [`${this.upper.value} ${this.tags.value}`]);
+            }
+        });
+
+        expect(mounted).toHaveBeenCalledTimes(1);
+        expect(serialize(root)).toBe('<root><main><p>kal! 0</p></main></root>');
+        expect(page._subTree.children[0]._instance).not.toBe(form);
+    });
+});
@@ -0,0 +1,58 @@
+// kalxjs/tests/unit/node-ops.js
+
+/**
+ * Minimal in-memory host for createRenderer(), the kind of tree a canvas or
+ * native renderer would build
+ * @returns {{ nodeOps: Object, ops: string[] }} Node operations, and the inserts and removes they did
+ */
+export const createTestNodeOps = () => {
+    const ops = [];
+
+    const nodeOps = {
+        createElement: (tag) => ({ tag, props: {}, children: [], parent: null }),
+        createText: (text) => ({ text, parent: null }),
+        insert: (child, parent, anchor = null) => {
+            if (child.parent) {
+                child.parent.children.splice(child.parent.children.indexOf(child), 1);
+            }
+            const index = anchor ? parent.children.indexOf(anchor) : parent.children.length;
+            parent.children.splice(index, 0, child);
+            child.parent = parent;
+            ops.push('insert');
+        },
+        remove: (child) => {
+            if (child.parent) {
+                child.parent.children.splice(child.parent.children.indexOf(child), 1);
+                child.parent = null;
+            }
+            ops.push('remove');
+        },
+        setText: (node, text) => {
+            node.text = text;
+        },
+        patchProp: (el, key, prev, next) => {
+            if (next == null) {
+                delete el.props[key];
+            } else {
+                el.props[key] = next;
+            }
+        },
+        parentNode: (node) => node.parent,
+        nextSibling: (node) => {
+            if (!node.parent) return null;
+            const siblings = node.parent.children;
+            return siblings[siblings.indexOf(node) + 1] || null;
+        }
+    };
+
+    return { nodeOps, ops };
+};
+
+/**
+ * Prints a tree of the in-memory host as markup, a textContent prop standing for the children
+ * @param {Object} node - Element or text node
+ * @returns {string} Markup of the node
+ */
+export const serialize = (node) => node.tag
+    ? `<${node.tag}>${node.props.textContent || node.children.map(serialize).join('')}</${node.tag}>`
+    : node.text;
@@ -0,0 +1,134 @@
+// kalxjs/tests/unit/parser.test.js
+
+import { parse, parseTemplate } from '../../packages/compiler/src/parser';
+import { ErrorCodes, generateCodeFrame } from '../../packages/compiler/src/errors';
+
+describe('Template parser', () => {
+    const root = (template, options) => parseTemplate(template, options).children[0];
+
+    test('should parse nested elements, attributes and interpolations', () => {
+        const div = root('<div class="a" :id="id" disabled><p>Hi {{ name }}</p></div>');
+
+        expect(div.tag).toBe('div');
+        expect(div.attrs).toEqual({ class: 'a', ':id': 'id', disabled: true });
+        expect(div.children[0].children).toEqual([
+            expect.objectContaining({ type: 'Text', content: 'Hi ' }),
+            expect.objectContaining({ type: 'Expression', content: 'name' })
+        ]);
+    });
+
+    test('should record start and end positions on every node', () => {
+        const div = root('<div>\n  <span>{{ a }}</span>\n</div>');
+        const span = div.children[0];
+
+        expect(div.loc.start).toEqual({ offset: 0, line: 1, column: 1 });
+        expect(div.loc.end).toEqual({ offset: 35, line: 3, column: 7 });
+        expect(span.loc.start).toEqual({ offset: 8, line: 2, column: 3 });
+        expect(span.children[0].loc.source).toBe('{{ a }}');
+        expect(span.attrsList).toEqual([]);
+    });
+
+    test('should handle void, raw text and RCDATA elements', () => {
+        const div = root('<div><input value="a"><br/><script>if (a < b) {}</script><textarea>&lt;{{ v }}</textarea></div>');
+        const [input, br, script, textarea] = div.children;
+
+        expect(input.children).toEqual([]);
+        expect(br.selfClosing).toBe(true);
+        expect(script.children[0].content).toBe('if (a < b) {}');
+        expect(textarea.children.map(child => child.content)).toEqual(['<', 'v']);
+    });
+
+    test('should decode character references and condense whitespace', () => {
+        const div = root('<div title="a &amp; b">\n  x &lt; &#65;&#x42;  y\n  <pre>\n  keep  this</pre>\n</div>');
+
+        expect(div.attrs.title).toBe('a & b');
+        expect(div.children[0].content).toBe(' x < AB y ');
+        expect(div.children[1].children[0].content).toBe('  keep  this');
+    });
+
+    test('should drop comments and keep CDATA only in foreign content', () => {
+        const { children, errors } = parseTemplate('<div><!-- note --><svg><![CDATA[a<b]]></svg><![CDATA[x]]></div>');
+
+        expect(children[0].children.map(child => child.tag)).toEqual(['svg']);
+        expect(children[0].children[0].children[0].content).toBe('a<b');
+        expect(errors.map(error => error.code)).toEqual([ErrorCodes.CDATA_IN_HTML_CONTENT]);
+        expect(root('<div><!-- note --></div>', { comments: true }).children[0].type).toBe('Comment');
+    });
+
+    test('should close elements with optional end tags', () => {
+        const { children, errors } = parseTemplate('<ul><li>a<li>b</ul>');
+
+        expect(children[0].children.map(li => li.children[0].content)).toEqual(['a', 'b']);
+        expect(errors).toEqual([]);
+    });
+
+    test('should report unclosed and stray tags as diagnostics with code frames', () => {
+        const { children, errors } = parseTemplate('<div>\n  <span>{{ a\n</p></div>');
+
+        expect(children[0].tag).toBe('div');
+        expect(errors.map(error => error.code)).toEqual([
+            ErrorCodes.X_MISSING_INTERPOLATION_END,
+            ErrorCodes.X_MISSING_END_TAG,
+            ErrorCodes.X_MISSING_END_TAG
+        ]);
+        expect(errors[1].loc.start).toEqual({ offset: 8, line: 2, column: 3 });
+        expect(errors[1].frame).toBe([
+            '1  |  <div>',
+            '2  |    <span>{{ a',
+            '   |    ^^^^^^',
+            '3  |  </p></div>'
+        ].join('\n'));
+
+        const invalid = parseTemplate('<div></span></div>').errors;
+        expect(invalid.map(error => error.code)).toEqual([ErrorCodes.X_INVALID_END_TAG]);
+        expect(String(invalid[0])).toContain('1:6 Invalid end tag.');
+    });
+
+    test('generateCodeFrame should underline multi-line ranges', () => {
+        expect(generateCodeFrame('a\nbcd\ne', 2, 6)).toBe([
+            '1  |  a',
+            '2  |  bcd',
+            '   |  ^^^',
+            '3  |  e'
+        ].join('\n'));
+    });
+});
+
+describe('SFC parser', () => {
+    const source = [
+        '<template>',
+        '  <div>{{ msg }}</div>',
+        '</template>',
+        '<script setup>',
+        'const html = \'<div>\' + (1 < 2)',
+        '</script>',
+        '<style scoped lang="scss">.a {}</style>',
+        '<docs>Some <b>markdown</b></docs>'
+    ].join('\n');
+
+    test('should split blocks with their attributes and locations', () => {
+        const descriptor = parse(source, { filename: 'App.klx' });
+
+        expect(descriptor.template.content).toBe('\n  <div>{{ msg }}</div>\n');
+        expect(descriptor.scriptSetup.content).toBe('\nconst html = \'<div>\' + (1 < 2)\n');
+        expect(descriptor.script).toBeNull();
+        expect(descriptor.style).toEqual(expect.objectContaining({ content: '.a {}', scoped: true, lang: 'scss' }));
+        expect(descriptor.customBlocks[0]).toEqual(expect.objectContaining({ type: 'docs', content: 'Some <b>markdown</b>' }));
+        expect(descriptor.errors).toEqual([]);
+    });
+
+    test('should parse the template block with file positions', () => {
+        const { template } = parse(source);
+        const div = template.ast.children[0];
+
+        expect(div.tag).toBe('div');
+        expect(div.loc.start).toEqual({ offset: 13, line: 2, column: 3 });
+    });
+
+    test('should report duplicate blocks', () => {
+        const { errors } = parse('<template><a></a></template><template><b></b></template>', { filename: 'A.klx' });
+
+        expect(errors.map(error => error.code)).toEqual([ErrorCodes.X_DUPLICATE_BLOCK]);
+        expect(errors[0].filename).toBe('A.klx');
+    });
+});
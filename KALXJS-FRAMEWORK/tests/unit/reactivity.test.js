@@ -1,7 +1,32 @@
 // kalxjs/tests/unit/reactivity.test.js
 
 // Import the reactivity system
-import { reactive, ref, computed, effect } from '@kalxjs/core/reactivity';
+import {
+    reactive,
+    ref,
+    computed,
+    effect,
+    shallowReactive,
+    readonly,
+    shallowRef,
+    triggerRef,
+    isRef,
+    unref,
+    toRefs,
+    toRaw,
+    markRaw,
+    isReactive,
+    isReadonly,
+    isProxy,
+    stop,
+    effectScope,
+    onScopeDispose,
+    signal,
+    batch,
+    untrack,
+    toSignal,
+    fromSignal
+} from '@kalxjs/core/reactivity';
 
 describe('Reactivity System', () => {
     describe('reactive', () => {
@@ -54,6 +79,86 @@ describe('Reactivity System', () => {
             delete observed.count;
             expect(dummy).toBeUndefined();
         });
+        test('should return the same proxy for the same raw object', () => {
+            const original = { nested: { count: 0 } };
+            const observed = reactive(original);
+
+            expect(reactive(original)).toBe(observed);
+            expect(reactive(observed)).toBe(observed);
+            expect(observed.nested).toBe(observed.nested);
+        });
+
+        test('should track key additions through `in` and Object.keys', () => {
+            const observed = reactive({ a: 1 });
+
+            let hasB, keys;
+            effect(() => {
+                hasB = 'b' in observed;
+            });
+            effect(() => {
+                keys = Object.keys(observed);
+            });
+
+            expect(hasB).toBe(false);
+            observed.b = 2;
+            expect(hasB).toBe(true);
+            expect(keys).toEqual(['a', 'b']);
+        });
+
+        test('should track array index and length changes', () => {
+            const list = reactive([1, 2, 3]);
+
+            let length, last;
+            effect(() => {
+                length = list.length;
+            });
+            effect(() => {
+                last = list[2];
+            });
+
+            list.push(4);
+            expect(length).toBe(4);
+
+            list.length = 2;
+            expect(length).toBe(2);
+            expect(last).toBeUndefined();
+        });
+
+        test('should find raw and reactive items in arrays', () => {
+            const item = { id: 1 };
+            const list = reactive([item]);
+
+            expect(list.includes(item)).toBe(true);
+            expect(list.indexOf(list[0])).toBe(0);
+        });
+
+        test('should track Map and Set mutations', () => {
+            const map = reactive(new Map());
+            const set = reactive(new Set());
+
+            let size, values;
+            effect(() => {
+                size = map.size;
+            });
+            effect(() => {
+                values = [...set];
+            });
+
+            map.set('a', { count: 0 });
+            expect(size).toBe(1);
+
+            set.add(1);
+            set.add(2);
+            set.delete(1);
+            expect(values).toEqual([2]);
+
+            let count;
+            effect(() => {
+                count = map.get('a').count;
+            });
+            map.get('a').count = 1;
+            expect(count).toBe(1);
+        });
     });
 
     describe('ref', () => {
@@ -90,6 +195,93 @@ describe('Reactivity System', () => {
         });
     });
 
+    describe('utilities', () => {
+        test('shallowRef should only track replacement of value', () => {
+            const state = shallowRef({ count: 0 });
+
+            let dummy;
+            effect(() => {
+                dummy = state.value.count;
+            });
+
+            state.value.count = 1;
+            expect(dummy).toBe(0);
+
+            triggerRef(state);
+            expect(dummy).toBe(1);
+
+            state.value = { count: 2 };
+            expect(dummy).toBe(2);
+        });
+
+        test('shallowReactive should not wrap nested objects', () => {
+            const state = shallowReactive({ nested: { count: 0 } });
+
+            expect(isReactive(state)).toBe(true);
+            expect(isReactive(state.nested)).toBe(false);
+        });
+
+        test('toRaw and markRaw should escape proxying', () => {
+            const original = { count: 0 };
+            const observed = reactive(original);
+            expect(toRaw(observed)).toBe(original);
+
+            const chart = markRaw({ draw() { } });
+            const state = reactive({ chart });
+            expect(state.chart).toBe(chart);
+            expect(isProxy(reactive(chart))).toBe(false);
+        });
+
+        test('readonly should reject writes but keep tracking', () => {
+            const state = reactive({ count: 0 });
+            const view = readonly(state);
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => { });
+
+            let dummy;
+            effect(() => {
+                dummy = view.count;
+            });
+
+            view.count = 5;
+            expect(view.count).toBe(0);
+            expect(warn).toHaveBeenCalled();
+
+            state.count = 1;
+            expect(dummy).toBe(1);
+            expect(isReadonly(view)).toBe(true);
+            expect(isReactive(view)).toBe(true);
+            expect(toRaw(view)).toBe(toRaw(state));
+
+            warn.mockRestore();
+        });
+
+        test('isRef and unref should recognise refs', () => {
+            const count = ref(1);
+
+            expect(isRef(count)).toBe(true);
+            expect(isRef(computed(() => 1))).toBe(true);
+            expect(isRef({ value: 1 })).toBe(false);
+            expect(unref(count)).toBe(1);
+            expect(unref(2)).toBe(2);
+        });
+
+        test('toRefs should keep destructured properties reactive', () => {
+            const state = reactive({ foo: 1, bar: 2 });
+            const { foo } = toRefs(state);
+
+            let dummy;
+            effect(() => {
+                dummy = foo.value;
+            });
+
+            state.foo = 3;
+            expect(dummy).toBe(3);
+
+            foo.value = 4;
+            expect(state.foo).toBe(4);
+        });
+    });
+
     describe('computed', () => {
         test('should compute derived values', () => {
             const count = ref(1);
@@ -175,4 +367,186 @@ describe('Reactivity System', () => {
             expect(dummy2).toBe(4);
         });
     });
-});
\ No newline at end of file
+
+    describe('effectScope', () => {
+        test('stop should unsubscribe an effect', () => {
+            const state = reactive({ count: 0 });
+            const onStop = jest.fn();
+
+            let dummy;
+            const runner = effect(() => {
+                dummy = state.count;
+            }, { onStop });
+
+            stop(runner);
+            state.count = 1;
+
+            expect(dummy).toBe(0);
+            expect(onStop).toHaveBeenCalledTimes(1);
+            expect(runner.deps.length).toBe(0);
+        });
+
+        test('should drop dependencies that are no longer read', () => {
+            const state = reactive({ useA: true, a: 1, b: 2 });
+            const fnSpy = jest.fn(() => (state.useA ? state.a : state.b));
+            effect(fnSpy);
+
+            state.useA = false;
+            expect(fnSpy).toHaveBeenCalledTimes(2);
+
+            // `a` was only read on the first run, so it's no longer a dependency
+            state.a = 10;
+            expect(fnSpy).toHaveBeenCalledTimes(2);
+        });
+
+        test('should stop every effect created while running', () => {
+            const state = reactive({ count: 0 });
+            const scope = effectScope();
+            const dispose = jest.fn();
+
+            let dummy, doubled;
+            scope.run(() => {
+                effect(() => {
+                    dummy = state.count;
+                });
+                const double = computed(() => state.count * 2);
+                effect(() => {
+                    doubled = double.value;
+                });
+                onScopeDispose(dispose);
+            });
+
+            state.count = 1;
+            expect(dummy).toBe(1);
+            expect(doubled).toBe(2);
+
+            scope.stop();
+            state.count = 2;
+
+            expect(dummy).toBe(1);
+            expect(doubled).toBe(2);
+            expect(dispose).toHaveBeenCalledTimes(1);
+            expect(scope.active).toBe(false);
+        });
+
+        test('should stop nested scopes unless detached', () => {
+            const state = reactive({ count: 0 });
+            const parent = effectScope();
+
+            let nested, detached;
+            parent.run(() => {
+                effectScope().run(() => {
+                    effect(() => {
+                        nested = state.count;
+                    });
+                });
+                effectScope(true).run(() => {
+                    effect(() => {
+                        detached = state.count;
+                    });
+                });
+            });
+
+            parent.stop();
+            state.count = 1;
+
+            expect(nested).toBe(0);
+            expect(detached).toBe(1);
+        });
+    });
+
+    describe('signals interop', () => {
+        test('effect() should track signals and reactive state together', () => {
+            const count = signal(1);
+            const state = reactive({ factor: 2 });
+            let dummy;
+
+            effect(() => {
+                dummy = count() * state.factor;
+            });
+            expect(dummy).toBe(2);
+
+            count.set(2);
+            expect(dummy).toBe(4);
+
+            state.factor = 3;
+            expect(dummy).toBe(6);
+        });
+
+        test('computed() should derive from signals', () => {
+            const count = signal(1);
+            const doubled = computed(() => count() * 2);
+
+            expect(doubled.value).toBe(2);
+            count.set(5);
+            expect(doubled.value).toBe(10);
+        });
+
+        test('batch() should defer signal and reactive triggers', () => {
+            const count = signal(0);
+            const state = reactive({ count: 0 });
+            const fn = jest.fn(() => count() + state.count);
+
+            effect(fn);
+            expect(fn).toHaveBeenCalledTimes(1);
+
+            batch(() => {
+                count.set(1);
+                state.count = 1;
+                expect(fn).toHaveBeenCalledTimes(1);
+            });
+            expect(fn).toHaveBeenCalledTimes(2);
+            expect(fn).toHaveLastReturnedWith(2);
+        });
+
+        test('batch() should not defer computed values read inside it', () => {
+            const count = ref(1);
+            const doubled = computed(() => count.value * 2);
+            const fn = jest.fn(() => doubled.value);
+
+            effect(fn);
+            const result = batch(() => {
+                count.value = 5;
+                return doubled.value;
+            });
+
+            expect(result).toBe(10);
+            expect(fn).toHaveBeenCalledTimes(2);
+            expect(fn).toHaveLastReturnedWith(10);
+        });
+
+        test('untrack() should read without subscribing', () => {
+            const count = signal(0);
+            const state = reactive({ count: 0 });
+            const fn = jest.fn(() => untrack(() => count() + state.count));
+
+            effect(fn);
+            count.set(1);
+            state.count = 1;
+            expect(fn).toHaveBeenCalledTimes(1);
+        });
+
+        test('toSignal() and fromSignal() should share the same state', () => {
+            const r = ref(1);
+            const fromRef = toSignal(r);
+            let dummy;
+
+            effect(() => {
+                dummy = fromRef();
+            });
+            r.value = 2;
+            expect(dummy).toBe(2);
+            fromRef.set(3);
+            expect(r.value).toBe(3);
+            expect(dummy).toBe(3);
+
+            const count = signal(1);
+            const asRef = fromSignal(count);
+            expect(isRef(asRef)).toBe(true);
+            expect(unref(asRef)).toBe(1);
+
+            asRef.value = 4;
+            expect(count()).toBe(4);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+// kalxjs/tests/unit/renderer.test.js
+
+import { createRenderer, domNodeOps } from '@kalxjs/core/renderer/index';
+import { h } from '@kalxjs/core/vdom/vdom';
+import { ref } from '@kalxjs/core/reactivity/reactive';
+import { nextTick } from '@kalxjs/core/scheduler/queue';
+import { onMounted, onUnmounted } from '@kalxjs/core/composition/lifecycle';
+import { createTestNodeOps, serialize } from './node-ops';
+
+describe('createRenderer', () => {
+    let renderer;
+    let root;
+    let ops;
+
+    beforeEach(() => {
+        const host = createTestNodeOps();
+        renderer = createRenderer(host.nodeOps);
+        ops = host.ops;
+        root = host.nodeOps.createElement('root');
+    });
+
+    test('should mount and patch elements through the node operations', () => {
+        renderer.render(h('div', { id: 'a' }, ['hello']), root);
+        const div = root.children[0];
+
+        expect(serialize(root)).toBe('<root><div>hello</div></root>');
+        expect(div.props.id).toBe('a');
+
+        renderer.render(h('div', { title: 't' }, ['world']), root);
+
+        expect(root.children[0]).toBe(div);
+        expect(div.props).toEqual({ title: 't' });
+        expect(serialize(root)).toBe('<root><div>world</div></root>');
+    });
+
+    test('should move keyed children instead of recreating them', () => {
+        const list = (keys) => h('ul', {}, keys.map(key => h('li', { key }, [key])));
+
+        renderer.render(list(['a', 'b', 'c']), root);
+        const [a, b, c] = root.children[0].children;
+        ops.length = 0;
+
+        renderer.render(list(['c', 'a', 'b']), root);
+
+        expect(root.children[0].children).toEqual([c, a, b]);
+        expect(ops).toEqual(['insert']);
+    });
+
+    test('should re-render components when their state changes', async () => {
+        const count = ref(0);
+        const Counter = {
+            setup() {
+                return () => h('span', {}, [`count: ${count.value}`]);
+            }
+        };
+
+        renderer.createApp(Counter).mount(root);
+        const span = root.children[0];
+        expect(serialize(root)).toBe('<root><span>count: 0</span></root>');
+
+        count.value++;
+        await nextTick();
+
+        expect(root.children[0]).toBe(span);
+        expect(serialize(root)).toBe('<root><span>count: 1</span></root>');
+    });
+
+    test('should pass props to child components and update them', () => {
+        const Child = {
+            props: { label: { type: String, default: 'none' } },
+            render() {
+                return h('b', {}, [this.label]);
+            }
+        };
+
+        renderer.render(h('div', {}, [h(Child, { label: 'one' })]), root);
+        expect(serialize(root)).toBe('<root><div><b>one</b></div></root>');
+
+        renderer.render(h('div', {}, [h(Child, { label: 'two' })]), root);
+        expect(serialize(root)).toBe('<root><div><b>two</b></div></root>');
+
+        renderer.render(h('div', {}, [h(Child)]), root);
+        expect(serialize(root)).toBe('<root><div><b>none</b></div></root>');
+    });
+
+    test('should pass slot functions to child components', () => {
+        const List = {
+            render() {
+                return h('ul', {}, ['a', 'b'].map(item => this.slots.item({ item })));
+            }
+        };
+
+        renderer.render(h(List, {}, { item: ({ item }) => h('li', {}, [item]) }), root);
+        expect(serialize(root)).toBe('<root><ul><li>a</li><li>b</li></ul></root>');
+
+        renderer.render(h(List, {}, { item: ({ item }) => h('li', {}, [item.toUpperCase()]) }), root);
+        expect(serialize(root)).toBe('<root><ul><li>A</li><li>B</li></ul></root>');
+    });
+
+    test('should stop effects and call hooks on unmount', async () => {
+        const count = ref(0);
+        const calls = [];
+        const renders = jest.fn();
+        const Comp = {
+            setup() {
+                onMounted(() => calls.push('mounted'));
+                onUnmounted(() => calls.push('unmounted'));
+                return () => {
+                    renders();
+                    return h('p', {}, [String(count.value)]);
+                };
+            }
+        };
+
+        const app = renderer.createApp(Comp);
+        app.mount(root);
+        app.unmount();
+
+        count.value++;
+        await nextTick();
+
+        expect(calls).toEqual(['mounted', 'unmounted']);
+        expect(renders).toHaveBeenCalledTimes(1);
+        expect(root.children).toEqual([]);
+    });
+
+    test('should render to the DOM with domNodeOps', () => {
+        delete document.createElement;
+        delete document.createTextNode;
+
+        const onClick = jest.fn();
+        const container = document.createElement('div');
+        const dom = createRenderer(domNodeOps);
+
+        dom.render(h('button', { class: 'btn', onClick }, ['Go']), container);
+        container.firstChild.click();
+
+        expect(container.innerHTML).toBe('<button class="btn">Go</button>');
+        expect(onClick).toHaveBeenCalledTimes(1);
+    });
+});
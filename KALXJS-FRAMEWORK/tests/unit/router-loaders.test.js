@@ -0,0 +1,105 @@
+// kalxjs/tests/unit/router-loaders.test.js
+
+import { createRouterMatcher } from '@kalxjs/router/matcher';
+import { createRouteLoaders } from '@kalxjs/router/loaders';
+
+// Resolves a path into a route the loaders can run for
+const routeOf = (matcher, path, query = {}) => ({ path, query, ...matcher.resolve(path) });
+
+describe('Route loaders', () => {
+    test('should run the loaders of all matched routes in parallel', async () => {
+        const calls = [];
+        const matcher = createRouterMatcher([{
+            path: '/users',
+            loader: () => new Promise(resolve => setTimeout(() => resolve(calls.push('users') && ['ada']), 20)),
+            children: [{
+                path: ':id',
+                loader: ({ params, query }) => {
+                    calls.push('user');
+                    return { id: params.id, tab: query.tab };
+                }
+            }]
+        }]);
+        const loaders = createRouteLoaders();
+        const route = routeOf(matcher, '/users/7', { tab: 'posts' });
+
+        await expect(loaders.load(route)).resolves.toBe(route);
+        expect(calls).toEqual(['user', 'users']);
+        expect(loaders.getData(route.matched[0], route)).toEqual(['ada']);
+        expect(loaders.getData(route.matched[1], route)).toEqual({ id: '7', tab: 'posts' });
+    });
+
+    test('should abort a load superseded by a newer one', async () => {
+        let signal;
+        const matcher = createRouterMatcher([
+            { path: '/slow', loader: context => new Promise(resolve => { signal = context.signal; setTimeout(resolve, 20); }) },
+            { path: '/fast', loader: () => 'fast' }
+        ]);
+        const loaders = createRouteLoaders();
+
+        const slow = loaders.load(routeOf(matcher, '/slow'));
+        const fast = loaders.load(routeOf(matcher, '/fast'));
+
+        expect(signal.aborted).toBe(true);
+        await expect(slow).rejects.toMatchObject({ name: 'AbortError' });
+        await expect(fast).resolves.toMatchObject({ path: '/fast' });
+    });
+
+    test('should reuse data within its max age and load it again after', async () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        const loader = jest.fn(({ params }) => `post ${params.id}`);
+        const matcher = createRouterMatcher([{ path: '/posts/:id', loader, cache: { maxAge: 100 } }]);
+        const loaders = createRouteLoaders();
+
+        await loaders.load(routeOf(matcher, '/posts/1'));
+        await loaders.load(routeOf(matcher, '/posts/1'));
+        await loaders.load(routeOf(matcher, '/posts/2'));
+        expect(loader).toHaveBeenCalledTimes(2);
+
+        now.mockReturnValue(1100);
+        await loaders.load(routeOf(matcher, '/posts/1'));
+        expect(loader).toHaveBeenCalledTimes(3);
+        now.mockRestore();
+    });
+
+    test('should render stale data while it revalidates in the background', async () => {
+        let version = 0;
+        const onUpdate = jest.fn();
+        const matcher = createRouterMatcher([{
+            path: '/feed',
+            loader: () => new Promise(resolve => setTimeout(() => resolve(++version), 10)),
+            cache: { staleWhileRevalidate: true }
+        }]);
+        const loaders = createRouteLoaders({ onUpdate });
+        const route = routeOf(matcher, '/feed');
+
+        await loaders.load(route);
+        await loaders.load(route);
+        expect(loaders.getData(route.matched[0], route)).toBe(1);
+
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(onUpdate).toHaveBeenCalledWith(2);
+        expect(loaders.getData(route.matched[0], route)).toBe(2);
+    });
+
+    test('should hand the loaded data over without loading it again', async () => {
+        const routes = [{ path: '/products/:id', loader: jest.fn(({ params }) => ({ id: params.id })) }];
+        const server = createRouteLoaders();
+        await server.load(routeOf(createRouterMatcher(routes), '/products/3'));
+
+        // The state goes through the HTML as JSON
+        const state = JSON.parse(JSON.stringify(server.getState()));
+        const client = createRouteLoaders();
+        client.hydrate(state);
+
+        const matcher = createRouterMatcher(routes);
+        const route = routeOf(matcher, '/products/3');
+        await client.load(route);
+        expect(routes[0].loader).toHaveBeenCalledTimes(1);
+        expect(client.getData(route.matched[0], route)).toEqual({ id: '3' });
+
+        // Hydrated data is only fresh for the initial navigation
+        await client.load(route);
+        expect(routes[0].loader).toHaveBeenCalledTimes(2);
+    });
+});
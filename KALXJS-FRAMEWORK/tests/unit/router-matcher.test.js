@@ -0,0 +1,183 @@
+// kalxjs/tests/unit/router-matcher.test.js
+
+import { createRouterMatcher, resolveRouteProps } from '@kalxjs/router/matcher';
+
+// Paths of the matched records of a path
+const matchedPaths = (matcher, path) => matcher.resolve(path).matched.map(record => record.path);
+
+describe('Router matcher', () => {
+    test('should rank static segments over params and params over wildcards', () => {
+        const matcher = createRouterMatcher([
+            { path: '/:pathMatch(.*)*', name: 'not-found' },
+            { path: '/users/:id', name: 'user' },
+            { path: '/users/:id(\\d+)', name: 'user-by-id' },
+            { path: '/users/new', name: 'new-user' },
+            { path: '/users/:id?', name: 'users' },
+            { path: '/', name: 'home' },
+            { path: '*', name: 'legacy-not-found' }
+        ]);
+
+        expect(matcher.resolve('/users/new')).toMatchObject({ name: 'new-user', params: {} });
+        expect(matcher.resolve('/users/42')).toMatchObject({ name: 'user-by-id', params: { id: '42' } });
+        expect(matcher.resolve('/users/ada')).toMatchObject({ name: 'user', params: { id: 'ada' } });
+        expect(matcher.resolve('/users')).toMatchObject({ name: 'users', params: {} });
+        expect(matcher.resolve('/')).toMatchObject({ name: 'home' });
+        expect(matcher.resolve('/a/b/c')).toMatchObject({ name: 'not-found', params: { pathMatch: 'a/b/c' } });
+        expect(matcher.getRecords().map(record => record.name)).toEqual([
+            'new-user', 'user-by-id', 'user', 'home', 'users', 'not-found', 'legacy-not-found'
+        ]);
+    });
+
+    test('should match nested routes into the chain of matched records', () => {
+        const Layout = { name: 'Layout' };
+        const matcher = createRouterMatcher([
+            {
+                path: '/settings',
+                component: Layout,
+                meta: { requiresAuth: true, title: 'Settings' },
+                children: [
+                    { path: '', name: 'settings', component: { name: 'Overview' } },
+                    { path: 'profile/:tab?', name: 'profile', component: { name: 'Profile' }, meta: { title: 'Profile' } },
+                    { path: '/account', name: 'account', component: { name: 'Account' } }
+                ]
+            }
+        ]);
+
+        const profile = matcher.resolve('/settings/profile/avatar');
+        expect(profile.matched.map(record => record.path)).toEqual(['/settings', '/settings/profile/:tab?']);
+        expect(profile.matched[0].component).toBe(Layout);
+        expect(profile.matched[1].parent).toBe(profile.matched[0]);
+        expect(profile.params).toEqual({ tab: 'avatar' });
+        expect(profile.meta).toEqual({ requiresAuth: true, title: 'Profile' });
+
+        // An empty child path renders inside its parent at the parent's path
+        expect(matcher.resolve('/settings')).toMatchObject({ name: 'settings' });
+        expect(matchedPaths(matcher, '/settings/')).toEqual(['/settings', '/settings']);
+
+        // An absolute child path still nests
+        expect(matchedPaths(matcher, '/account')).toEqual(['/settings', '/account']);
+        expect(matcher.resolve('/settings/account')).toBeNull();
+    });
+
+    test('should match aliases and the children under them', () => {
+        const matcher = createRouterMatcher([
+            {
+                path: '/users',
+                alias: ['/people', 'members'],
+                name: 'users',
+                component: { name: 'Users' },
+                children: [{ path: ':id', name: 'user', component: { name: 'User' } }]
+            }
+        ]);
+
+        const alias = matcher.resolve('/people/7');
+        expect(alias.matched.map(record => record.path)).toEqual(['/people', '/people/:id']);
+        expect(alias.matched[0].aliasOf).toBe(matcher.resolve('/users').matched[0]);
+        expect(alias).toMatchObject({ name: 'user', params: { id: '7' } });
+        expect(alias.matched[1].aliasOf).toBe(matcher.resolve('/users/7').matched[1]);
+
+        // Aliases share the name, which still finds the original record
+        expect(matcher.resolve('/members')).toMatchObject({ name: 'users' });
+        expect(matcher.resolve('/members').matched[0].component.name).toBe('Users');
+        expect(matcher.getRecord('users').path).toBe('/users');
+    });
+
+    test('should pass params, objects or function results as props to each view', () => {
+        const Main = { name: 'Main' };
+        const Sidebar = { name: 'Sidebar' };
+        const matcher = createRouterMatcher([
+            { path: '/posts/:id', component: Main, props: true },
+            { path: '/static', component: Main, props: { title: 'Static' } },
+            { path: '/search', component: Main, props: route => ({ q: route.query.q }) },
+            {
+                path: '/dashboard/:section',
+                components: { default: Main, sidebar: Sidebar },
+                props: { default: true, sidebar: { collapsed: true } }
+            }
+        ]);
+
+        const propsOf = (path, query = {}, view) => {
+            const match = matcher.resolve(path);
+            const record = match.matched[match.matched.length - 1];
+            return resolveRouteProps(record, { ...match, query }, view);
+        };
+
+        expect(propsOf('/posts/3')).toEqual({ id: '3' });
+        expect(propsOf('/static')).toEqual({ title: 'Static' });
+        expect(propsOf('/search', { q: 'kal' })).toEqual({ q: 'kal' });
+
+        const dashboard = matcher.resolve('/dashboard/stats').matched[0];
+        expect(dashboard.components).toEqual({ default: Main, sidebar: Sidebar });
+        expect(dashboard.component).toBe(Main);
+        expect(propsOf('/dashboard/stats')).toEqual({ section: 'stats' });
+        expect(propsOf('/dashboard/stats', {}, 'sidebar')).toEqual({ collapsed: true });
+    });
+
+    test('should honor case sensitivity and allow a trailing slash', () => {
+        const routes = [{ path: '/About', name: 'about' }];
+
+        expect(createRouterMatcher(routes).resolve('/about/')).toMatchObject({ name: 'about' });
+        expect(createRouterMatcher(routes, { caseSensitive: true }).resolve('/about')).toBeNull();
+        expect(createRouterMatcher(routes, { caseSensitive: true }).resolve('/About')).toMatchObject({ name: 'about' });
+    });
+
+    test('should remove a route with its aliases and children', () => {
+        const matcher = createRouterMatcher([{ path: '/', name: 'home' }]);
+        const remove = matcher.addRoute({
+            path: '/docs',
+            alias: '/guide',
+            children: [{ path: ':page', name: 'page' }]
+        });
+
+        expect(matcher.resolve('/guide/intro')).toMatchObject({ name: 'page' });
+        remove();
+        expect(matcher.resolve('/guide/intro')).toBeNull();
+        expect(matcher.getRecords().map(record => record.path)).toEqual(['/']);
+    });
+
+    test('should remove named routes and replace a route with the same name', () => {
+        const matcher = createRouterMatcher([
+            { path: '/shell', name: 'shell', children: [{ path: 'billing', name: 'billing' }] }
+        ]);
+
+        matcher.addRoute({ path: 'reports', name: 'reports' }, matcher.getRecord('shell'));
+        expect(matchedPaths(matcher, '/shell/reports')).toEqual(['/shell', '/shell/reports']);
+
+        matcher.addRoute({ path: '/invoices', name: 'billing' });
+        expect(matcher.resolve('/shell/billing')).toBeNull();
+        expect(matcher.getRecord('billing').path).toBe('/invoices');
+
+        expect(matcher.removeRoute('shell')).toBe(true);
+        expect(matcher.removeRoute('shell')).toBe(false);
+        expect(matcher.getRecord('reports')).toBeNull();
+        expect(matcher.getRecords().map(record => record.name)).toEqual(['billing']);
+    });
+
+    test('should build the path of a named route from its params', () => {
+        const matcher = createRouterMatcher([
+            { path: '/users/:id(\\d+)/:tab?', name: 'user' },
+            { path: '/docs/:path+', name: 'docs' },
+            { path: '/', name: 'home' }
+        ]);
+
+        expect(matcher.buildPath('user', { id: 7 })).toBe('/users/7');
+        expect(matcher.buildPath('user', { id: 7, tab: 'posts' })).toBe('/users/7/posts');
+        expect(matcher.buildPath('docs', { path: ['guide', 'intro'] })).toBe('/docs/guide/intro');
+        expect(matcher.buildPath('home')).toBe('/');
+        expect(() => matcher.buildPath('user')).toThrow('Missing required param "id" for /users/:id(\\d+)/:tab?');
+        expect(() => matcher.buildPath('nope')).toThrow('No route named "nope"');
+    });
+
+    test('should encode params into the path and decode them when matching', () => {
+        const matcher = createRouterMatcher([
+            { path: '/users/:name', name: 'user' },
+            { path: '/files/:path(.*)*', name: 'files' }
+        ]);
+
+        expect(matcher.buildPath('user', { name: 'Jörg' })).toBe('/users/J%C3%B6rg');
+        expect(matcher.buildPath('user', { name: 'a/b c' })).toBe('/users/a%2Fb%20c');
+        expect(matcher.buildPath('files', { path: ['my docs', 'ü.txt'] })).toBe('/files/my%20docs/%C3%BC.txt');
+        expect(matcher.resolve('/users/J%C3%B6rg')).toMatchObject({ name: 'user', params: { name: 'Jörg' } });
+        expect(matcher.resolve('/users/100%')).toMatchObject({ params: { name: '100%' } });
+    });
+});
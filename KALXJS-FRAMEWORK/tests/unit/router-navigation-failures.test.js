@@ -0,0 +1,37 @@
+// kalxjs/tests/unit/router-navigation-failures.test.js
+
+import { NavigationFailureType, createNavigationFailure, isNavigationFailure } from '@kalxjs/router/errors';
+
+describe('Navigation failures', () => {
+    const from = { path: '/home', fullPath: '/home' };
+    const to = { path: '/admin', fullPath: '/admin?tab=users' };
+
+    test('should create failures that tell the type of the navigation failure', () => {
+        const failure = createNavigationFailure(NavigationFailureType.aborted, from, to);
+
+        expect(failure).toBeInstanceOf(Error);
+        expect(failure).toMatchObject({ name: 'NavigationFailure', type: NavigationFailureType.aborted, from, to });
+        expect(failure.message).toBe('Navigation aborted by guard when going from "/home" to "/admin?tab=users"');
+        expect(createNavigationFailure(NavigationFailureType.cancelled, from, to).message)
+            .toBe('Navigation cancelled from "/home" to "/admin?tab=users" with a new navigation');
+        expect(createNavigationFailure(NavigationFailureType.duplicated, from, from).message)
+            .toBe('Avoided redundant navigation to current location: "/home"');
+        expect(createNavigationFailure(NavigationFailureType.redirected, from, to, '/login'))
+            .toMatchObject({ type: NavigationFailureType.redirected, redirect: '/login' });
+    });
+
+    test('should check for one or several failure types', () => {
+        const cancelled = createNavigationFailure(NavigationFailureType.cancelled, from, to);
+
+        expect(isNavigationFailure(cancelled)).toBe(true);
+        expect(isNavigationFailure(cancelled, NavigationFailureType.cancelled)).toBe(true);
+        expect(isNavigationFailure(cancelled, NavigationFailureType.aborted)).toBe(false);
+        expect(isNavigationFailure(cancelled, NavigationFailureType.aborted | NavigationFailureType.cancelled)).toBe(true);
+    });
+
+    test('should not take other errors for navigation failures', () => {
+        expect(isNavigationFailure(new Error('No route matched for path: /nope'))).toBe(false);
+        expect(isNavigationFailure({ name: 'NavigationFailure', type: NavigationFailureType.aborted })).toBe(false);
+        expect(isNavigationFailure(undefined)).toBe(false);
+    });
+});
@@ -0,0 +1,139 @@
+// kalxjs/tests/unit/router-navigation.test.js
+
+// The router only needs refs from core, whose index can't load under Jest's CommonJS transform
+jest.mock('@kalxjs/core', () => ({ ...jest.requireActual('@kalxjs/core/reactivity/reactive'), createElement: jest.fn() }));
+
+import { createRouter } from '@kalxjs/router';
+import { NavigationFailureType, isNavigationFailure } from '@kalxjs/router/errors';
+
+const Layout = { name: 'Layout' };
+const Profile = { name: 'Profile' };
+const Sidebar = { name: 'Sidebar' };
+
+const createTestRouter = () => createRouter({
+    mode: 'hash',
+    routes: [
+        { path: '/', name: 'home', component: { name: 'Home' } },
+        { path: '/admin', name: 'admin', component: { name: 'Admin' } },
+        { path: '/slow', name: 'slow', component: { name: 'Slow' } },
+        {
+            path: '/users/:name',
+            component: Layout,
+            children: [
+                { path: '', name: 'user', components: { default: Profile, sidebar: Sidebar } },
+                { path: 'posts', redirect: route => ({ name: 'user', params: route.params, query: { tab: 'posts' } }) }
+            ]
+        }
+    ]
+});
+
+describe('createRouter', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        window.location.hash = '';
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('should resolve nested routes with their named views', () => {
+        const route = createTestRouter().resolve({ name: 'user', params: { name: 'Jörg' } });
+
+        expect(route.href).toBe('#/users/J%C3%B6rg');
+        expect(route.params).toEqual({ name: 'Jörg' });
+        expect(route.matched.map(record => record.path)).toEqual(['/users/:name', '/users/:name']);
+        expect(route.matched[0].components).toEqual({ default: Layout });
+        expect(route.matched[1].components).toEqual({ default: Profile, sidebar: Sidebar });
+    });
+
+    test('should follow function redirects with the params of the route', async () => {
+        const router = createTestRouter();
+
+        expect(router.resolve('/users/ada/posts')).toMatchObject({
+            name: 'user',
+            fullPath: '/users/ada?tab=posts',
+            query: { tab: 'posts' },
+            redirectedFrom: expect.objectContaining({ path: '/users/ada/posts' })
+        });
+
+        await router.push('/users/J%C3%B6rg/posts');
+        expect(router.currentRoute).toMatchObject({ name: 'user', params: { name: 'Jörg' }, fullPath: '/users/J%C3%B6rg?tab=posts' });
+        expect(window.location.hash).toBe('#/users/J%C3%B6rg?tab=posts');
+    });
+
+    test('should reject with typed failures and pass them to afterEach', async () => {
+        const router = createTestRouter();
+        const afterEach = jest.fn();
+        router.afterEach(afterEach);
+        router.beforeEach(to => {
+            if (to.path === '/admin') return false;
+            if (to.path === '/slow') return new Promise(resolve => setTimeout(() => resolve(true), 20));
+            return true;
+        });
+        await router.push('/');
+
+        const aborted = await router.push('/admin').catch(error => error);
+        expect(isNavigationFailure(aborted, NavigationFailureType.aborted)).toBe(true);
+        expect(afterEach).toHaveBeenLastCalledWith(expect.objectContaining({ path: '/admin' }), expect.objectContaining({ path: '/' }), aborted);
+
+        const duplicated = await router.push('/').catch(error => error);
+        expect(isNavigationFailure(duplicated, NavigationFailureType.duplicated)).toBe(true);
+        expect(afterEach).toHaveBeenLastCalledWith(expect.objectContaining({ path: '/' }), expect.objectContaining({ path: '/' }), duplicated);
+
+        const slow = router.push('/slow').catch(error => error);
+        await router.push('/users/ada');
+        const cancelled = await slow;
+        expect(isNavigationFailure(cancelled, NavigationFailureType.cancelled)).toBe(true);
+        expect(router.currentRoute.path).toBe('/users/ada');
+    });
+
+    test('should pass errors thrown by guards to onError', async () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const router = createTestRouter();
+        const onError = jest.fn();
+        const error = new Error('Guard failed');
+        router.onError(onError);
+        router.beforeEach(to => {
+            if (to.path === '/admin') throw error;
+            return true;
+        });
+
+        await expect(router.push('/admin')).rejects.toBe(error);
+        expect(onError).toHaveBeenCalledWith(error, expect.objectContaining({ path: '/admin' }), expect.anything());
+
+        // The route change forced after the push settles without unhandled rejections
+        await new Promise(resolve => setTimeout(resolve, 60));
+        errorSpy.mockRestore();
+    });
+
+    test('should settle the route change forced after a push when a newer navigation cancels it', async () => {
+        jest.useFakeTimers();
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const router = createTestRouter();
+        const afterEach = jest.fn();
+        router.afterEach(afterEach);
+        router.beforeEach(to => to.path === '/slow' ? new Promise(resolve => setTimeout(() => resolve(true), 20)) : true);
+
+        const slow = router.push('/slow');
+        await jest.advanceTimersByTimeAsync(20);
+        await slow;
+
+        // The route change forced 50ms after the push is still running the slow guard
+        await jest.advanceTimersByTimeAsync(35);
+        await router.push('/');
+        await jest.advanceTimersByTimeAsync(100);
+
+        expect(router.currentRoute.path).toBe('/');
+        expect(afterEach).toHaveBeenCalledWith(
+            expect.objectContaining({ path: '/slow' }),
+            expect.anything(),
+            expect.objectContaining({ type: NavigationFailureType.cancelled })
+        );
+        expect(errorSpy).not.toHaveBeenCalledWith(expect.stringContaining('route change'), expect.anything());
+        errorSpy.mockRestore();
+    });
+});
@@ -0,0 +1,115 @@
+// kalxjs/tests/unit/scoped-css.test.js
+
+import { createRenderer } from '@kalxjs/core/renderer/index';
+import { h } from '@kalxjs/core/vdom/vdom';
+import { ref } from '@kalxjs/core/reactivity/reactive';
+import { nextTick } from '@kalxjs/core/scheduler/queue';
+import { compileStyle, scopeSelector } from '../../packages/compiler/src/css/scoped';
+import { compileTemplate } from '../../packages/compiler/src/compiler';
+import { createTestNodeOps } from './node-ops';
+
+const scoped = (css) => compileStyle(css, { id: 'abc', scoped: true });
+
+const { nodeOps } = createTestNodeOps();
+
+describe('Scoped CSS', () => {
+    test('should scope the last compound of every selector, before pseudo-elements', () => {
+        expect(scopeSelector('.a .b, ul > li:hover', 'data-v-abc'))
+            .toBe('.a .b[data-v-abc], ul > li:hover[data-v-abc]');
+        expect(scopeSelector('p::first-line', 'data-v-abc')).toBe('p[data-v-abc]::first-line');
+        expect(scopeSelector('.icon:before', 'data-v-abc')).toBe('.icon[data-v-abc]:before');
+        expect(scopeSelector(':is(.a, .b) span', 'data-v-abc')).toBe(':is(.a, .b) span[data-v-abc]');
+    });
+
+    test('should handle :deep(), :slotted() and :global()', () => {
+        expect(scopeSelector('.a :deep(.b)', 'data-v-abc')).toBe('.a[data-v-abc] .b');
+        expect(scopeSelector('.a:deep(.b)', 'data-v-abc')).toBe('.a[data-v-abc] .b');
+        expect(scopeSelector(':deep(.b)', 'data-v-abc')).toBe('[data-v-abc] .b');
+        expect(scopeSelector(':slotted(p.x)', 'data-v-abc')).toBe('p.x[data-v-abc-s]');
+        expect(scopeSelector(':global(.dark) .a', 'data-v-abc')).toBe('.dark .a');
+    });
+
+    test('should scope rules inside conditional at-rules only', () => {
+        const { code } = scoped(
+            '@media (max-width: 600px) { .a { color: red; } }\n' +
+            '@font-face { font-family: X; }\n' +
+            '@keyframes fade { from { opacity: 0; } to { opacity: 1; } }'
+        );
+
+        expect(code).toBe(
+            '@media (max-width: 600px) { .a[data-v-abc] { color: red; } }\n' +
+            '@font-face { font-family: X; }\n' +
+            '@keyframes fade-abc { from { opacity: 0; } to { opacity: 1; } }'
+        );
+    });
+
+    test('should rename scoped keyframes where animations use them', () => {
+        const { code } = scoped('.a { animation: spin 1s linear; animation-name: spin; }\n@keyframes spin { to { top: 0; } }');
+
+        expect(code).toContain('animation: spin-abc 1s linear;');
+        expect(code).toContain('animation-name: spin-abc;');
+        expect(compileStyle('@keyframes spin {}', { id: 'abc' }).code).toBe('@keyframes spin {}');
+    });
+
+    test('should leave comments, strings and line numbers alone', () => {
+        const css = '/* .a { } */\n.a::after {\n  content: "} .b {";\n}\n';
+        const { code, errors } = scoped(css);
+
+        expect(errors).toEqual([]);
+        expect(code).toBe('/* .a { } */\n.a[data-v-abc]::after {\n  content: "} .b {";\n}\n');
+    });
+
+    test('should report unclosed blocks', () => {
+        const { errors } = scoped('.a {\n  color: red;\n');
+
+        expect(errors).toHaveLength(1);
+        expect(errors[0].loc.start.line).toBe(1);
+    });
+
+    test('should turn v-bind() into custom properties', () => {
+        const { code, cssVars } = compileStyle('.a { color: v-bind(color); width: v-bind("size.w + \'px\'"); }', { id: 'abc' });
+
+        expect(code).toBe('.a { color: var(--abc-color); width: var(--abc-size_w____px_); }');
+        expect(cssVars).toEqual([
+            { name: '--abc-color', expression: 'color' },
+            { name: '--abc-size_w____px_', expression: 'size.w + \'px\'' }
+        ]);
+    });
+
+    test('should add the scope attribute to template elements', () => {
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const { code, hoisted } = compileTemplate('<div :id="id"><p>a</p><Child /></div>', { scopeId: 'data-v-abc' });
+        logSpy.mockRestore();
+
+        // Elements only, static ones included: components get their own scope
+        expect(code.match(/'data-v-abc': ''/g)).toHaveLength(1);
+        expect(hoisted.join('\n').match(/'data-v-abc': ''/g)).toHaveLength(1);
+        expect(code).not.toMatch(/Child[^\n]*data-v-abc/);
+    });
+
+    test('should set v-bind() custom properties on the root element and mark slot content', async () => {
+        const color = ref('red');
+        const Card = {
+            __scopeId: 'data-v-abc',
+            __cssVars() {
+                return { '--abc-color': color.value };
+            },
+            render() {
+                return h('section', { style: { margin: '0' } }, this.slots.default());
+            }
+        };
+        const root = nodeOps.createElement('root');
+        createRenderer(nodeOps).createApp({
+            render: () => h(Card, {}, [h('p', {}, [h('b', {}, ['x'])])])
+        }).mount(root);
+
+        const section = root.children[0];
+        expect(section.props.style).toEqual({ margin: '0', '--abc-color': 'red' });
+        expect(section.children[0].props).toHaveProperty('data-v-abc-s', '');
+        expect(section.children[0].children[0].props).toHaveProperty('data-v-abc-s', '');
+
+        color.value = 'blue';
+        await nextTick();
+        expect(section.props.style).toEqual({ margin: '0', '--abc-color': 'blue' });
+    });
+});
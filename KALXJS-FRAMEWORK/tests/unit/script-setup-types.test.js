@@ -0,0 +1,113 @@
+// kalxjs/tests/unit/script-setup-types.test.js
+
+import { processScriptSetup, compileMacros } from '../../packages/compiler/src/script-setup';
+
+// In-memory files for type imports
+const createFs = (files) => ({
+    fileExists: (file) => file in files,
+    readFile: (file) => files[file]
+});
+
+const compile = (code, options) => compileMacros(processScriptSetup(code, { filename: '/src/Comp.klx', ...options }));
+
+describe('Script setup type declarations', () => {
+    let logSpy;
+    let warnSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    test('should turn member types into runtime prop types', () => {
+        const code = compile([
+            'enum Mode { On = \'on\', Off = \'off\' }',
+            'type Size = \'sm\' | \'lg\';',
+            'interface Props {',
+            '  label: string;',
+            '  count?: number | string;',
+            '  size?: Size;',
+            '  mode: Mode;',
+            '  title: string | null;',
+            '  items: string[];',
+            '  onPick(id: number): void;',
+            '  meta?: Record<string, number>;',
+            '  since: Date;',
+            '  data: unknown;',
+            '}',
+            'const props = defineProps<Props>();'
+        ].join('\n'));
+
+        expect(code).toContain('label: { type: String, required: true }');
+        expect(code).toContain('count: { type: [Number, String], required: false }');
+        expect(code).toContain('size: { type: String, required: false }');
+        expect(code).toContain('mode: { type: String, required: true }');
+        expect(code).toContain('title: { type: String, required: true }');
+        expect(code).toContain('items: { type: Array, required: true }');
+        expect(code).toContain('onPick: { type: Function, required: true }');
+        expect(code).toContain('meta: { type: Object, required: false }');
+        expect(code).toContain('since: { type: Date, required: true }');
+        expect(code).toContain('data: { type: null, required: true }');
+    });
+
+    test('should follow extends, intersections, unions and utility types', () => {
+        const code = compile([
+            'interface Base { id: string; tags?: string[] }',
+            'interface Named extends Base { name: string }',
+            'type Shape = { kind: \'circle\'; radius: number } | { kind: \'square\'; side: number };',
+            'defineProps<Partial<Pick<Named, \'name\' | \'id\'>> & Shape & { extra: boolean }>();'
+        ].join('\n'));
+
+        expect(code).toContain('id: { type: String, required: false }');
+        expect(code).toContain('name: { type: String, required: false }');
+        expect(code).not.toContain('tags:');
+        expect(code).toContain('kind: { type: String, required: true }');
+        expect(code).toContain('radius: { type: Number, required: false }');
+        expect(code).toContain('side: { type: Number, required: false }');
+        expect(code).toContain('extra: { type: Boolean, required: true }');
+    });
+
+    test('should resolve types imported from other files', () => {
+        const fs = createFs({
+            '/src/types/index.ts': 'export * from \'./props\';\nexport type { Size as ButtonSize } from \'./size\';',
+            '/src/types/props.ts': 'import { Size } from \'./size\';\nexport interface ButtonProps { size: Size; disabled?: boolean }',
+            '/src/types/size.ts': 'export type Size = \'sm\' | \'lg\' | number;'
+        });
+        const code = compile([
+            'import type { ButtonProps, ButtonSize } from \'./types\';',
+            'defineProps<ButtonProps & { fallback: ButtonSize }>();'
+        ].join('\n'), { fs });
+
+        expect(code).toContain('size: { type: [String, Number], required: true }');
+        expect(code).toContain('disabled: { type: Boolean, required: false }');
+        expect(code).toContain('fallback: { type: [String, Number], required: true }');
+        expect(code).not.toContain('./types');
+    });
+
+    test('should warn when a props type can\'t be resolved', () => {
+        const code = compile('import type { Props } from \'./types\';\ndefineProps<Props>();');
+
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('without file system access'));
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Can\'t resolve the props type Props'));
+        expect(code).toContain('props: {},');
+    });
+
+    test('should list the events of call signatures and named tuples', () => {
+        const signatures = processScriptSetup([
+            'type Removal = \'remove\' | \'clear\';',
+            'const emit = defineEmits<{ (e: \'change\', id: number): void; (e: Removal): void }>();'
+        ].join('\n'));
+        const tuples = processScriptSetup('defineEmits<{ change: [id: number]; close: [] }>();');
+        const fn = processScriptSetup('defineEmits<(e: \'open\' | \'close\') => void>();');
+
+        expect(signatures.emits.names).toEqual(['change', 'remove', 'clear']);
+        expect(tuples.emits.names).toEqual(['change', 'close']);
+        expect(fn.emits.names).toEqual(['open', 'close']);
+        expect(compileMacros(signatures)).toContain('emits: [\'change\', \'remove\', \'clear\']');
+    });
+});
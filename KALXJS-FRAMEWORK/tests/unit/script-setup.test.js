@@ -0,0 +1,179 @@
+// kalxjs/tests/unit/script-setup.test.js
+
+import { processScriptSetup, compileMacros } from '../../packages/compiler/src/script-setup';
+import { compileTemplate } from '../../packages/compiler/src/compiler';
+import { BindingTypes } from '../../packages/compiler/src/bindings';
+import { createRenderer } from '@kalxjs/core/renderer/index';
+import { h, openBlock, createBlock } from '@kalxjs/core/vdom/vdom';
+import { toDisplayString } from '@kalxjs/core/vdom/render-helpers';
+import { ref, unref } from '@kalxjs/core/reactivity/reactive';
+import { useModel } from '@kalxjs/core/composition/model';
+import { nextTick } from '@kalxjs/core/scheduler/queue';
+import { createTestNodeOps, serialize } from './node-ops';
+
+const { nodeOps } = createTestNodeOps();
+
+describe('Script setup', () => {
+    let logSpy;
+    let warnSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    test('should compile the macros to component options and setup code', () => {
+        const result = processScriptSetup([
+            'import { ref } from \'@kalxjs/core\';',
+            'defineOptions({ name: \'Editor\', inheritAttrs: false });',
+            'const props = defineProps({ label: String });',
+            'const emit = defineEmits([\'save\']);',
+            'const text = defineModel({ required: true });',
+            'const [title, titleModifiers] = defineModel(\'title\', { set: (v, m) => m.trim ? v.trim() : v });',
+            'const slots = defineSlots();',
+            'const count = ref(0);',
+            'defineExpose({ count });'
+        ].join('\n'));
+        const code = compileMacros(result);
+
+        expect(code).toContain('import { defineComponent, useModel } from \'@kalxjs/core\';');
+        expect(code).toContain('import { ref } from \'@kalxjs/core\';');
+        expect(code).toMatch(/name: 'Editor',\n\s+inheritAttrs: false,/);
+        expect(code).toMatch(/props: \{\n\s+label: String,\n\s+modelValue: \{ required: true \},\n\s+modelModifiers: null,\n\s+title: null,\n\s+titleModifiers: null\n\s+\}/);
+        expect(code).toContain('emits: [\'save\', \'update:modelValue\', \'update:title\']');
+        expect(code).toContain('const props = __props;');
+        expect(code).toContain('const emit = __emit;');
+        expect(code).toContain('const text = useModel(__props, "modelValue");');
+        expect(code).toContain('const [title, titleModifiers] = useModel(__props, "title", { set: (v, m) => m.trim ? v.trim() : v });');
+        expect(code).toContain('const slots = __slots;');
+        expect(code).toContain('__expose({ count });');
+        expect(code).not.toMatch(/define(Props|Emits|Model|Slots|Options|Expose)\(/);
+
+        // Imports are hoisted out of setup()
+        expect(code.indexOf('import { ref }')).toBeLessThan(code.indexOf('export default'));
+        expect(code.slice(code.indexOf('setup('))).not.toContain('import ');
+    });
+
+    test('should describe the bindings to the template compiler', () => {
+        const { bindings } = processScriptSetup([
+            'import { ref, computed, reactive } from \'@kalxjs/core\';',
+            'import Child from \'./Child.klx\';',
+            'import { useMouse } from \'./mouse\';',
+            'const { size } = defineProps([\'size\', \'label\']);',
+            'const count = ref(0);',
+            'const double = computed(() => count.value * 2);',
+            'const state = reactive({});',
+            'const mouse = useMouse();',
+            'const max = 10;',
+            'let step = 1;',
+            'function inc() {}'
+        ].join('\n'));
+
+        expect(bindings).toEqual({
+            ref: BindingTypes.SETUP_CONST,
+            computed: BindingTypes.SETUP_CONST,
+            reactive: BindingTypes.SETUP_CONST,
+            Child: BindingTypes.SETUP_CONST,
+            useMouse: BindingTypes.SETUP_MAYBE_REF,
+            size: BindingTypes.PROPS,
+            label: BindingTypes.PROPS,
+            count: BindingTypes.SETUP_REF,
+            double: BindingTypes.SETUP_REF,
+            state: BindingTypes.SETUP_REACTIVE_CONST,
+            mouse: BindingTypes.SETUP_MAYBE_REF,
+            max: BindingTypes.SETUP_CONST,
+            step: BindingTypes.SETUP_LET,
+            inc: BindingTypes.SETUP_CONST
+        });
+    });
+
+    test('should apply withDefaults() to type-declared props', () => {
+        const result = processScriptSetup(
+            'const props = withDefaults(defineProps<{ size?: number; items?: string[]; id: string }>(), { size: 3, items: () => [] });'
+        );
+        const code = compileMacros(result);
+
+        expect(code).toContain('size: { type: Number, required: false, default: 3 }');
+        expect(code).toContain('items: { type: Array, required: false, default: () => [] }');
+        expect(code).toContain('id: { type: String, required: true }');
+        expect(code).toContain('const props = __props;');
+    });
+
+    test('should read setup bindings directly in the template', () => {
+        const { code, helpers } = compileTemplate('<p :title="label" @click="count++; step = 2">{{ count }} {{ mouse }} {{ state.x }} {{ other }}</p>', {
+            bindingMetadata: {
+                label: BindingTypes.PROPS,
+                count: BindingTypes.SETUP_REF,
+                mouse: BindingTypes.SETUP_MAYBE_REF,
+                step: BindingTypes.SETUP_LET,
+                state: BindingTypes.SETUP_REACTIVE_CONST
+            }
+        });
+
+        expect(code).toContain('function render($props, $setup)');
+        expect(code).toContain('title: $props.label');
+        expect(code).toContain('$setup.count.value++; $setup.step = 2');
+        expect(code).toContain('toDisplayString($setup.count.value)');
+        expect(code).toContain('toDisplayString(unref($setup.mouse))');
+        expect(code).toContain('toDisplayString($setup.state.x)');
+        expect(code).toContain('toDisplayString(this.other)');
+        expect(helpers).toContain('unref');
+    });
+
+    test('should bind named models with modifiers on components', () => {
+        const { code } = compileTemplate('<div><Editor v-model="text" v-model:title.trim="title" /></div>');
+
+        expect(code).toContain('modelValue: this.text, \'onUpdate:modelValue\': _cache[0] || (_cache[0] = ($event) => { this.text = $event })');
+        expect(code).toContain('title: this.title, \'onUpdate:title\': _cache[1] || (_cache[1] = ($event) => { this.title = $event }), titleModifiers: { trim: true }');
+    });
+
+    test('should keep the parent and a defineModel() ref in sync', async () => {
+        const compile = (template, bindingMetadata, components = {}) => {
+            const { code, hoisted } = compileTemplate(template, { bindingMetadata });
+            const helpers = { h, openBlock, createBlock, toDisplayString, unref, ...components };
+            return new Function(...Object.keys(helpers), `${hoisted.join('\n')}\nreturn ${code}`)(...Object.values(helpers));
+        };
+
+        const Field = {
+            props: { modelValue: null, modelModifiers: null },
+            setup(props) {
+                const [value, modifiers] = useModel(props, 'modelValue', {
+                    set: (v, m) => m.trim ? v.trim() : v
+                });
+                return { value, modifiers, input: (text) => { value.value = text; } };
+            },
+            render: compile('<i>{{ value }}</i>', { value: BindingTypes.SETUP_REF })
+        };
+        const Form = {
+            setup() {
+                return { name: ref('a') };
+            },
+            render: compile('<form><Field v-model.trim="name" /><b>{{ name }}</b></form>', { name: BindingTypes.SETUP_REF }, { Field })
+        };
+
+        const root = nodeOps.createElement('root');
+        const form = createRenderer(nodeOps).createApp(Form).mount(root);
+        const field = form._subTree.children[0]._instance;
+
+        expect(field.modifiers).toEqual({ trim: true });
+        field.input('  kal  ');
+        await nextTick();
+
+        expect(form.name.value).toBe('kal');
+        expect(serialize(root)).toBe('<root><form><i>kal</i><b>kal</b></form></root>');
+    });
+
+    test('should keep a local value when the parent binds no model', () => {
+        const props = {};
+        const model = useModel(props, 'open');
+
+        model.value = true;
+
+        expect(model.value).toBe(true);
+    });
+});
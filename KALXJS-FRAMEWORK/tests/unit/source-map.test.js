@@ -0,0 +1,82 @@
+// kalxjs/tests/unit/source-map.test.js
+
+import { TraceMap, originalPositionFor } from '@jridgewell/trace-mapping';
+import { compileTemplate } from '../../packages/compiler/src/compiler';
+import {
+    SourceMapBuilder,
+    createBlockMap,
+    chainSourceMaps
+} from '../../packages/compiler/src/source-map';
+
+// Finds the 1-based line and 0-based column of a needle in generated code
+const locate = (code, needle) => {
+    const index = code.indexOf(needle);
+    const before = code.slice(0, index).split('\n');
+    return { line: before.length, column: before[before.length - 1].length };
+};
+
+const originalOf = (result, needle) =>
+    originalPositionFor(new TraceMap(result.map), locate(result.code, needle));
+
+describe('Source maps', () => {
+    let logSpy;
+    let warnSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    test('should map template expressions to their lines and columns', () => {
+        const template = '<div>\n  <p v-if="ok">{{ message }}</p>\n  <span :title="label">x</span>\n</div>';
+        const result = compileTemplate(template, { filename: 'App.klx', sourceMap: true });
+
+        expect(result.code).not.toContain('\u0000');
+        expect(result.map.sources).toEqual(['App.klx']);
+
+        expect(originalOf(result, 'this.ok')).toMatchObject({ source: 'App.klx', line: 2 });
+        expect(originalOf(result, 'toDisplayString(this.message)')).toMatchObject({ line: 2, column: 15 });
+        expect(originalOf(result, 'title:')).toMatchObject({ line: 3, column: 16 });
+    });
+
+    test('should not produce a map unless asked to', () => {
+        const result = compileTemplate('<div>{{ a }}</div>');
+
+        expect(result.map).toBeNull();
+        expect(result.code).not.toContain('\u0000');
+    });
+
+    test('should offset blocks by their position in the file', () => {
+        const source = '<template><div/></template>\n<script>\nconst a = 1;\n</script>';
+        const content = '\nconst a = 1;\n';
+        const builder = new SourceMapBuilder('App.js');
+
+        builder.append('// header\n');
+        builder.append(content, createBlockMap(content, { filename: 'App.klx', source, start: { line: 2, column: 9 } }));
+
+        const map = builder.toJSON();
+        const position = originalPositionFor(new TraceMap(map), locate(builder.code, 'a = 1'));
+
+        expect(position).toMatchObject({ source: 'App.klx', line: 3, column: 6 });
+        expect(map.sourcesContent).toEqual([source]);
+    });
+
+    test('should chain the maps of successive transforms', () => {
+        // The first transform moves line 5 of the file to line 2, the second moves it to line 1
+        const first = createBlockMap('\nlet x;', { filename: 'App.klx', start: { line: 4, column: 1 } });
+        const second = createBlockMap('let x;', { filename: 'step1.js', start: { line: 2, column: 1 } });
+
+        expect(chainSourceMaps(null)).toBeNull();
+        expect(chainSourceMaps(first)).toBe(first);
+
+        const chained = chainSourceMaps(second, first);
+        const position = originalPositionFor(new TraceMap(chained), { line: 1, column: 4 });
+
+        expect(position).toMatchObject({ line: 5, column: 4 });
+    });
+});
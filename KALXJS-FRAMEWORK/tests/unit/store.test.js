@@ -116,4 +116,22 @@ describe('State Management', () => {
             expect(store.getters.plusOne).toBe(3);
         });
     });
-});
\ No newline at end of file
+
+    describe('Watchers', () => {
+        test('should call the watcher right away and after each change', async () => {
+            const store = createStore({ state: { count: 1 } });
+            const callback = jest.fn();
+
+            store.watch(state => state.count, callback);
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(callback.mock.calls[0][0]).toBe(1);
+
+            store.state.count = 2;
+            await Promise.resolve();
+            expect(callback).toHaveBeenCalledTimes(2);
+            expect(callback.mock.calls[1]).toEqual([2, 1, expect.any(Function)]);
+
+            store.$dispose();
+        });
+    });
+});
@@ -0,0 +1,136 @@
+// kalxjs/tests/unit/template-directives.test.js
+
+import { compileTemplate } from '../../packages/compiler/src/compiler';
+import { parseTemplate } from '../../packages/compiler/src/parser';
+import { BindingTypes } from '../../packages/compiler/src/bindings';
+import { compileDirective } from '../../packages/compiler/src/directives/index';
+import { createRenderer } from '@kalxjs/core/renderer/index';
+import { domNodeOps } from '@kalxjs/core/renderer/node-ops';
+import { h, openBlock, createBlock, renderOnce, withMemo } from '@kalxjs/core/vdom/vdom';
+import { toDisplayString, renderList } from '@kalxjs/core/vdom/render-helpers';
+import { ref, unref } from '@kalxjs/core/reactivity/reactive';
+import { nextTick } from '@kalxjs/core/scheduler/queue';
+import { createTestNodeOps, serialize } from './node-ops';
+
+const { nodeOps } = createTestNodeOps();
+
+// Compiles a template against setup refs into a render function
+const compile = (template, refs) => {
+    const bindingMetadata = Object.fromEntries(refs.map(name => [name, BindingTypes.SETUP_REF]));
+    const { code, hoisted } = compileTemplate(template, { bindingMetadata });
+    const helpers = { h, openBlock, createBlock, renderOnce, withMemo, toDisplayString, renderList, unref };
+    return new Function(...Object.keys(helpers), `${hoisted.join('\n')}\nreturn ${code}`)(...Object.values(helpers));
+};
+
+describe('Template directives', () => {
+    let logSpy;
+    let warnSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    test('should render v-once and v-memo subtrees through the render cache', () => {
+        const { code, helpers } = compileTemplate('<div><p v-once>{{ a }}</p><span v-memo="[b]" :title="c">{{ b }}</span></div>');
+
+        expect(code).toContain('const _cache = this._renderCache || (this._renderCache = []);');
+        expect(code).toContain('renderOnce(() => h(\'p\', { }, [toDisplayString(this.a)], 1), _cache, 0)');
+        expect(code).toContain('withMemo([this.b], () => (openBlock(), createBlock(\'span\', { title: this.c, }, [toDisplayString(this.b)], 9, ["title"])), _cache, 1)');
+        expect(helpers).toEqual(expect.arrayContaining(['renderOnce', 'withMemo']));
+
+        const list = compileTemplate('<ul><li v-for="item in items" :key="item.id" v-memo="[item.id === sel]">{{ item.name }}</li></ul>');
+        expect(list.code).toContain('withMemo([item.id === this.sel], () => (openBlock(), createBlock(\'li\'');
+        expect(list.code).toContain('_cache[0] || (_cache[0] = new Map()), item.id)');
+    });
+
+    test('should compile v-html, v-text, v-pre and v-cloak', () => {
+        const { code, hoisted, errors } = compileTemplate(
+            '<div v-cloak><i v-html="raw"></i><b v-text="msg">old</b><pre v-pre :x="y">{{ z }}</pre></div>'
+        );
+
+        expect(code).toContain('h(\'i\', { innerHTML: this.raw, }, [], 8, ["innerHTML"])');
+        expect(code).toContain('h(\'b\', { textContent: toDisplayString(this.msg), }, [], 8, ["textContent"])');
+        expect(code).not.toContain('v-cloak');
+        expect(hoisted).toEqual(['const _hoisted_1 = h(\'pre\', { \':x\': "y", }, ["{{ z }}"], -1);']);
+        expect(errors.map(error => error.code)).toEqual(['v-text-with-children']);
+
+        expect(compileTemplate('<p v-html></p>').errors.map(error => error.code)).toEqual(['v-html-no-expression']);
+        expect(compileTemplate('<p v-memo></p>').errors.map(error => error.code)).toEqual(['v-memo-no-expression']);
+        expect(parseTemplate('<p v-pre>{{ a }} <b>{{ b }}</b></p>').children[0].children)
+            .toEqual([expect.objectContaining({ type: 'Text', content: '{{ a }} ' }), expect.objectContaining({ tag: 'b' })]);
+        expect(compileDirective('v-memo', {}, '[a]')).toEqual({ type: 'memo', dependencies: '[a]', node: {} });
+    });
+
+    test('should only re-render v-once and v-memo subtrees when allowed to', async () => {
+        const a = ref(1);
+        const b = ref(1);
+        const App = {
+            setup: () => ({ a, b }),
+            render: compile('<div><p v-once>{{ a }}</p><i v-memo="[a]">{{ a }}-{{ b }}</i><b>{{ b }}</b></div>', ['a', 'b'])
+        };
+
+        const root = nodeOps.createElement('root');
+        createRenderer(nodeOps).createApp(App).mount(root);
+        expect(serialize(root)).toBe('<root><div><p>1</p><i>1-1</i><b>1</b></div></root>');
+
+        b.value = 2;
+        await nextTick();
+        expect(serialize(root)).toBe('<root><div><p>1</p><i>1-1</i><b>2</b></div></root>');
+
+        a.value = 2;
+        await nextTick();
+        expect(serialize(root)).toBe('<root><div><p>1</p><i>2-2</i><b>2</b></div></root>');
+    });
+
+    test('should re-render only the v-for items whose memo changed', async () => {
+        const items = ref([{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }]);
+        const selected = ref(1);
+        const App = {
+            setup: () => ({ items, selected }),
+            render: compile(
+                '<ul><li v-for="item in items" :key="item.id" v-memo="[item.id === selected]">{{ item.name }}{{ item.id === selected ? \'*\' : \'\' }}</li></ul>',
+                ['items', 'selected']
+            )
+        };
+
+        const root = nodeOps.createElement('root');
+        createRenderer(nodeOps).createApp(App).mount(root);
+        expect(serialize(root)).toBe('<root><ul><li>a*</li><li>b</li><li>c</li></ul></root>');
+
+        // The third item's memo didn't change, so its new name isn't rendered
+        items.value[2].name = 'z';
+        selected.value = 2;
+        await nextTick();
+        expect(serialize(root)).toBe('<root><ul><li>a</li><li>b*</li><li>c</li></ul></root>');
+
+        items.value = [{ id: 4, name: 'd' }, ...items.value];
+        await nextTick();
+        expect(serialize(root)).toBe('<root><ul><li>d</li><li>a</li><li>b*</li><li>c</li></ul></root>');
+    });
+
+    test('should set the content of v-html and v-text elements in the DOM', async () => {
+        const html = ref('<em>hi</em>');
+        const App = {
+            setup: () => ({ html }),
+            render: compile('<div><p v-html="html"></p><span v-text="html"></span></div>', ['html'])
+        };
+
+        const container = document.createElement('div');
+        container.setAttribute('v-cloak', '');
+        createRenderer(domNodeOps).createApp(App).mount(container);
+
+        expect(container.hasAttribute('v-cloak')).toBe(false);
+        expect(container.innerHTML).toBe('<div><p><em>hi</em></p><span>&lt;em&gt;hi&lt;/em&gt;</span></div>');
+
+        html.value = '<b>bye</b>';
+        await nextTick();
+        expect(container.querySelector('p').innerHTML).toBe('<b>bye</b>');
+        expect(container.querySelector('span').textContent).toBe('<b>bye</b>');
+    });
+});
@@ -0,0 +1,151 @@
+// kalxjs/tests/unit/template-expressions.test.js
+
+import { parse } from '../../packages/compiler/src/parser';
+import { compile } from '../../packages/compiler/src/compiler';
+import {
+    createExpressionContext,
+    addIdentifiers,
+    processExpression,
+    processHandler
+} from '../../packages/compiler/src/expression';
+import { ErrorCodes } from '../../packages/compiler/src/errors';
+import { h, openBlock, createBlock, toDisplayString, renderList, toHandlerKey, PatchFlags } from '@kalxjs/core/vdom/index.js';
+
+describe('Template expressions', () => {
+    let logSpy;
+    let warnSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    const compileTemplate = template => {
+        const result = compile(parse(`<template>${template}</template><script>export default {}</script>`));
+        return { ...result.template, errors: result.errors };
+    };
+
+    // Runs a compiled render function against a plain object standing in for the component
+    const render = (template, ctx, components = {}) => {
+        const { code, hoisted } = compileTemplate(template);
+        const helpers = { h, openBlock, createBlock, toDisplayString, renderList, ...components };
+        const factory = new Function(...Object.keys(helpers), `${hoisted.join('\n')}\nreturn ${code}`);
+        return factory(...Object.values(helpers)).call(ctx);
+    };
+
+    test('should prefix only free identifiers', () => {
+        const context = createExpressionContext();
+        addIdentifiers(context, ['item']);
+
+        expect(processExpression('items.length > 0 ? x : y', context)).toBe('this.items.length > 0 ? this.x : this.y');
+        expect(processExpression('user?.name ?? `#${item.id}`', context)).toBe('this.user?.name ?? `#${item.id}`');
+        expect(processExpression('{ a, b: c }', context)).toBe('{ a: this.a, b: this.c }');
+        expect(processExpression('list.map(x => Math.max(x, min))', context)).toBe('this.list.map(x => Math.max(x, this.min))');
+    });
+
+    test('should read from the component through _ctx inside functions and classes', () => {
+        const context = createExpressionContext();
+
+        expect(processExpression('list.filter(function (x) { return x > min })', context))
+            .toBe('this.list.filter(function (x) { return x > _ctx.min })');
+        expect(processExpression('class Item extends Base { size = max; static of() { return new Item() } }', context))
+            .toBe('class Item extends this.Base { size = _ctx.max; static of() { return new Item() } }');
+        expect(context.usesContext).toBe(true);
+
+        const { code } = compileTemplate('<p>{{ items.map(function (item) { return item + suffix }).join() }}</p>');
+        expect(code).toContain('const _ctx = this;');
+        expect(render('<p>{{ items.map(function (item) { return item + suffix }).join() }}</p>', { items: ['a', 'b'], suffix: '!' }).children)
+            .toEqual(['a!,b!']);
+    });
+
+    test('should compile event handlers', () => {
+        const context = createExpressionContext();
+
+        expect(processHandler('increment', context)).toBe('this.increment');
+        expect(processHandler('(e) => save(e.target)', context)).toBe('(e) => this.save(e.target)');
+        expect(processHandler('count++; log($event)', context)).toBe('($event) => { this.count++; this.log($event) }');
+    });
+
+    test('should cache inline handlers unless they may read v-for variables', () => {
+        const template = '<div><button @click="count++">+</button><i v-for="item in items" @click="pick(item)">{{ item }}</i></div>';
+        const ctx = { count: 0, items: ['a'], pick: jest.fn() };
+
+        const first = render(template, ctx);
+        const second = render(template, ctx);
+        const [button] = first.children;
+
+        expect(second.children[0].props.onClick).toBe(button.props.onClick);
+        expect(second.children[1].props.onClick).not.toBe(first.children[1].props.onClick);
+        expect(button.dynamicProps).toBeUndefined();
+
+        button.props.onClick();
+        first.children[1].props.onClick();
+        expect(ctx.count).toBe(1);
+        expect(ctx.pick).toHaveBeenCalledWith('a');
+    });
+
+    test('should bind props and events named by expressions', () => {
+        const go = jest.fn();
+        const vnode = render(
+            '<div><a :[attr]="url" @[event]="go">x</a></div>',
+            { attr: 'href', url: '/docs', event: 'click', go },
+            { toHandlerKey }
+        );
+        const link = vnode.children[0];
+
+        expect(link.props).toMatchObject({ href: '/docs', onClick: go });
+        expect(link.patchFlag & PatchFlags.FULL_PROPS).toBeTruthy();
+        expect(link.dynamicProps).toBeUndefined();
+    });
+
+    test('should render mixed text with several interpolations', () => {
+        const vnode = render('<p>{{ a + b }} of {{ total }}{{ missing }}</p>', { a: 1, b: 2, total: 10 });
+
+        expect(vnode.children).toEqual(['3 of 10']);
+    });
+
+    test('should render v-for with its aliases in scope', () => {
+        const vnode = render(
+            '<ul><li v-for="(item, i) in items" :key="item.id">{{ i }}: {{ item.label }}{{ suffix }}</li></ul>',
+            { items: [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }], suffix: '!' }
+        );
+
+        expect(vnode.children.map(li => li.props.key)).toEqual(['a', 'b']);
+        expect(vnode.children.map(li => li.children[0])).toEqual(['0: A!', '1: B!']);
+    });
+
+    test('should render v-if chains', () => {
+        const template = '<div><b v-if="n > 1">many</b><i v-else-if="n === 1">one</i><span v-else>none</span></div>';
+
+        expect(render(template, { n: 2 }).children[0].tag).toBe('b');
+        expect(render(template, { n: 1 }).children[0].tag).toBe('i');
+        expect(render(template, { n: 0 }).children[0].tag).toBe('span');
+        expect(compileTemplate(template).code).not.toContain('createBlock(');
+    });
+
+    test('should pass scoped slots as functions', () => {
+        const List = () => null;
+        const vnode = render(
+            '<div><List><template #row="{ row }">{{ row.name }} ({{ unit }})</template></List></div>',
+            { unit: 'kg' },
+            { List }
+        );
+        const list = vnode.children[0];
+
+        expect(list.component).toBe(List);
+        expect(list.slots.row({ row: { name: 'Box' } })).toEqual(['Box (kg)']);
+    });
+
+    test('should report invalid expressions with their location', () => {
+        const { errors, code } = compileTemplate('<div>\n  <p :title="a +">x</p>\n</div>');
+
+        expect(errors.map(error => error.code)).toEqual([ErrorCodes.X_INVALID_EXPRESSION]);
+        expect(errors[0].loc.start.line).toBe(2);
+        expect(code).toContain('title: undefined');
+    });
+});
@@ -0,0 +1,165 @@
+// kalxjs/tests/unit/typecheck.test.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateVirtualCode, toSourceOffset } from '../../packages/compiler/src/typescript/virtual-code';
+import { checkKlxFiles } from '../../packages/compiler/src/typescript/checker';
+
+const component = [
+    '<template>',
+    '  <div :title="label" @click="count++">',
+    '    {{ count.toFixed(2) }}',
+    '    <p v-if="user.age > 1">{{ user.name }}</p>',
+    '    <p v-else>{{ missing }}</p>',
+    '    <li v-for="(item, i) in items" :key="item.id">{{ item.name + i }}</li>',
+    '    <Child #row="{ row }" @pick="onPick"><b>{{ row.x }}</b></Child>',
+    '  </div>',
+    '</template>',
+    '<script setup lang="ts">',
+    'import { ref } from \'@kalxjs/core\';',
+    'import Child from \'./Child.klx\';',
+    'defineProps<{ label: string }>();',
+    'const emit = defineEmits<{ (e: \'change\', id: number): void }>();',
+    'const title = defineModel<string>(\'title\');',
+    'const count = ref(0);',
+    'const user = { name: \'a\', age: 1 };',
+    'const items = ref([{ id: 1, name: \'x\' }]);',
+    'function onPick(n: number) { emit(\'change\', n); }',
+    '</script>',
+    '<style module="classes">.a {}</style>'
+].join('\n');
+
+// Offset in the .klx source of a position in the virtual code
+const sourceAt = ({ code, mappings }, text, delta = 0) => toSourceOffset(mappings, code.indexOf(text) + delta);
+
+describe('Type checking virtual code', () => {
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    test('should type the template context from the setup bindings', () => {
+        const { code, errors } = generateVirtualCode(component, { filename: '/src/Comp.klx' });
+
+        expect(errors).toEqual([]);
+        expect(code).not.toContain('@ts-nocheck');
+        expect(code).toContain('const __props = defineProps<{ label: string }>();');
+        expect(code).toContain('type __Props = typeof __props & { "title"?: __Unref<typeof __model0> };');
+        expect(code).toContain('type __Emit = typeof __emit & ((event: "update:title", value: __Unref<typeof __model0>) => void);');
+        expect(code).toContain('count: __Unref<typeof count>;');
+        expect(code).toContain('onPick: typeof onPick;');
+        expect(code).toContain('declare const __ctx: Omit<__Props, keyof __Setup> & __Setup');
+        expect(code).toContain('    classes: Record<string, string>;');
+        expect(code).toContain('export default {} as unknown as __DefineComponent<__Props, __Emit, typeof __slots>;');
+    });
+
+    test('should turn the template into a checkable render function', () => {
+        const { code } = generateVirtualCode(component, { filename: '/src/Comp.klx' });
+
+        expect(code).toContain('__ctx.label;');
+        expect(code).toContain('($event: any) => { __ctx.count++ };');
+        expect(code).toContain('__ctx.count.toFixed(2);');
+        expect(code).toMatch(/if \(__ctx\.user\.age > 1\) \{\s+__ctx\.user\.name;\s+\}\s+else \{\s+__ctx\.missing;\s+\}/);
+        expect(code).toMatch(/__forEach\(__ctx\.items, \(item, i\) => \{\s+item\.id;\s+item\.name \+ i;\s+\}\);/);
+        expect(code).toMatch(/\(\(\{ row \}: any\) => \{\s+row\.x;\s+\}\);/);
+        expect(code).toContain('__ctx.onPick;');
+    });
+
+    test('should map template and script positions back to the .klx file', () => {
+        const virtual = generateVirtualCode(component, { filename: '/src/Comp.klx' });
+
+        expect(sourceAt(virtual, '__ctx.missing', '__ctx.'.length)).toBe(component.indexOf('missing'));
+        expect(sourceAt(virtual, '__ctx.missing')).toBe(component.indexOf('missing'));
+        expect(sourceAt(virtual, 'toFixed')).toBe(component.indexOf('toFixed'));
+        expect(sourceAt(virtual, 'row.x')).toBe(component.indexOf('row.x'));
+        expect(sourceAt(virtual, 'function onPick')).toBe(component.indexOf('function onPick'));
+        expect(sourceAt(virtual, 'type __Setup')).toBe(null);
+    });
+
+    test('should report template expressions that don\'t parse', () => {
+        const source = '<template><p>{{ a + }}</p></template>\n<script setup lang="ts">\nconst a = 1;\n</script>';
+        const { errors } = generateVirtualCode(source, { filename: '/src/Broken.klx' });
+
+        expect(errors).toHaveLength(1);
+        expect(errors[0].offset).toBe(source.indexOf('a + '));
+    });
+
+    test('should only give types to JavaScript and options components', () => {
+        const js = generateVirtualCode('<template><p>{{ n }}</p></template>\n<script setup>\nconst n = 1;\n</script>');
+        const options = generateVirtualCode('<template><p>{{ n }}</p></template>\n<script>\nexport default { data: () => ({ n: 1 }) };\n</script>');
+
+        expect(js.code.startsWith('// @ts-nocheck')).toBe(true);
+        expect(js.code).toContain('n: typeof n;');
+        expect(options.code).toContain('export default { data: () => ({ n: 1 }) };');
+        expect(options.code).toContain('declare const __ctx: any;');
+    });
+});
+
+describe('Type checking .klx files', () => {
+    let logSpy;
+    let dir;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kalxjs-typecheck-'));
+        fs.writeFileSync(path.join(dir, 'Counter.klx'), [
+            '<template>',
+            '  <p>{{ count.toFixed(2) }}</p>',
+            '  <p>{{ label.toFixed(2) }}</p>',
+            '</template>',
+            '<script setup lang="ts">',
+            'const count = 1;',
+            'const label = \'a\';',
+            '</script>'
+        ].join('\n'));
+        fs.writeFileSync(path.join(dir, 'main.ts'), 'import Counter from \'./Counter.klx\';\nconst n: number = Counter;\n');
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // The project resolves @kalxjs/core to the types of this repository
+    const compilerOptions = () => ({
+        strict: true,
+        skipLibCheck: true,
+        baseUrl: dir,
+        paths: { '@kalxjs/core': [path.resolve('packages/core/types/index.d.ts')] },
+        outDir: path.join(dir, 'types')
+    });
+
+    test('should report template errors at their place in the .klx file', () => {
+        const { diagnostics } = checkKlxFiles([path.join(dir, 'Counter.klx')], { compilerOptions: compilerOptions() });
+
+        expect(diagnostics).toEqual([{
+            file: path.join(dir, 'Counter.klx'),
+            line: 3,
+            column: 15,
+            code: 2551,
+            category: 'error',
+            message: expect.stringContaining('Property \'toFixed\' does not exist on type \'"a"\'')
+        }]);
+    }, 30000);
+
+    test('should type .klx imports and emit their declarations', () => {
+        const { diagnostics, declarations } = checkKlxFiles(
+            [path.join(dir, 'Counter.klx'), path.join(dir, 'main.ts')],
+            { compilerOptions: compilerOptions(), declaration: true }
+        );
+
+        expect(diagnostics.filter(diagnostic => diagnostic.file.endsWith('main.ts'))).toEqual([
+            expect.objectContaining({ line: 2, column: 7, message: expect.stringContaining('is not assignable to type \'number\'') })
+        ]);
+        expect(declarations).toHaveLength(1);
+        expect(declarations[0].fileName).toBe(path.join(dir, 'types', 'Counter.klx.d.ts'));
+        expect(declarations[0].text).toContain('import type { DefineComponent as __DefineComponent } from \'@kalxjs/core\';');
+        expect(declarations[0].text).toContain('export default _default;');
+    }, 30000);
+});
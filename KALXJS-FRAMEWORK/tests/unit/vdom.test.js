@@ -1,7 +1,17 @@
 // kalxjs/tests/unit/vdom.test.js
 
 // Import the Virtual DOM functionality
-import { createElement, h, createDOMElement, updateElement } from '@kalxjs/core/vdom/vdom';
+import {
+    createElement,
+    h,
+    createDOMElement,
+    updateElement,
+    updateChildren,
+    openBlock,
+    createBlock
+} from '@kalxjs/core/vdom/vdom';
+import { PatchFlags } from '@kalxjs/core/vdom/patch-flags';
+import { getSequence } from '@kalxjs/core/vdom/diff';
 
 describe('Virtual DOM', () => {
     describe('createElement', () => {
@@ -205,4 +215,138 @@ describe('Virtual DOM', () => {
             expect(parent.removeChild).toHaveBeenCalledWith('mockChild');
         });
     });
-});
\ No newline at end of file
+
+    describe('updateChildren', () => {
+        beforeEach(() => {
+            // Earlier suites replace these with mocks, restore the jsdom implementations
+            delete document.createElement;
+            delete document.createTextNode;
+        });
+
+        const list = (keys) => keys.map(key => h('li', { key }, [String(key)]));
+
+        const mount = (children) => {
+            const parent = document.createElement('ul');
+            children.forEach(child => parent.appendChild(createElement(child)));
+            return parent;
+        };
+
+        const texts = (parent) => Array.from(parent.childNodes).map(node => node.textContent);
+
+        test('should reuse DOM nodes when reordering keyed children', () => {
+            const oldChildren = list(['a', 'b', 'c', 'd', 'e']);
+            const parent = mount(oldChildren);
+            const nodes = Array.from(parent.childNodes);
+            const insertBefore = jest.spyOn(parent, 'insertBefore');
+
+            const newChildren = list(['a', 'c', 'd', 'b', 'e']);
+            updateChildren(parent, oldChildren, newChildren);
+
+            expect(texts(parent)).toEqual(['a', 'c', 'd', 'b', 'e']);
+            expect(parent.childNodes[1]).toBe(nodes[2]);
+            expect(parent.childNodes[3]).toBe(nodes[1]);
+            // c and d stay in place, only b moves
+            expect(insertBefore).toHaveBeenCalledTimes(1);
+            expect(newChildren[3].el).toBe(nodes[1]);
+        });
+
+        test('should mount and remove keyed children', () => {
+            const oldChildren = list(['a', 'b', 'c']);
+            const parent = mount(oldChildren);
+            const a = parent.childNodes[0];
+            const c = parent.childNodes[2];
+
+            updateChildren(parent, oldChildren, list(['c', 'x', 'a']));
+
+            expect(texts(parent)).toEqual(['c', 'x', 'a']);
+            expect(parent.childNodes[0]).toBe(c);
+            expect(parent.childNodes[2]).toBe(a);
+        });
+
+        test('should keep input state of moved children', () => {
+            const oldChildren = ['a', 'b'].map(key => h('input', { key }));
+            const parent = mount(oldChildren);
+            parent.childNodes[1].value = 'typed';
+
+            updateChildren(parent, oldChildren, ['b', 'a'].map(key => h('input', { key })));
+
+            expect(parent.childNodes[0].value).toBe('typed');
+        });
+
+        test('should patch unkeyed children by index', () => {
+            const oldChildren = [h('p', {}, ['1']), h('p', {}, ['2'])];
+            const parent = mount(oldChildren);
+            const first = parent.childNodes[0];
+
+            updateChildren(parent, oldChildren, [h('p', {}, ['2'])]);
+
+            expect(texts(parent)).toEqual(['2']);
+            expect(parent.childNodes[0]).toBe(first);
+        });
+
+        test('getSequence should return the longest increasing subsequence', () => {
+            expect(getSequence([3, 1, 2, 0, 5, 4])).toEqual([1, 2, 5]);
+            expect(getSequence([0, 0])).toEqual([]);
+        });
+    });
+
+    describe('patch flags', () => {
+        beforeEach(() => {
+            delete document.createElement;
+            delete document.createTextNode;
+        });
+
+        // Mirrors what the compiler emits for:
+        // <div class="app"><h1>Title</h1><p :class="cls">{{ msg }}</p><a :href="url" title="static">x</a></div>
+        const hoisted = h('h1', {}, ['Title'], PatchFlags.HOISTED);
+        const render = ({ cls, msg, url, title = 'static' }) => {
+            openBlock();
+            return createBlock('div', { class: 'app' }, [
+                hoisted,
+                h('p', { class: cls }, [msg], PatchFlags.CLASS | PatchFlags.TEXT),
+                h('a', { href: url, title }, ['x'], PatchFlags.PROPS, ['href'])
+            ]);
+        };
+
+        const mount = (vnode) => {
+            const container = document.createElement('div');
+            container.appendChild(createElement(vnode));
+            return container.firstChild;
+        };
+
+        test('should collect flagged vnodes into the block', () => {
+            const vnode = render({ cls: 'a', msg: 'hi', url: '/a' });
+
+            expect(vnode.dynamicChildren.map(child => child.tag)).toEqual(['p', 'a']);
+        });
+
+        test('should patch only the flagged parts', () => {
+            const oldVNode = render({ cls: 'a', msg: 'hi', url: '/a' });
+            const el = mount(oldVNode);
+            const [h1, p, a] = el.childNodes;
+
+            updateElement(el, oldVNode, render({ cls: 'b', msg: 'bye', url: '/b', title: 'ignored' }));
+
+            expect(el.childNodes[0]).toBe(h1);
+            expect(p.className).toBe('b');
+            expect(p.textContent).toBe('bye');
+            expect(a.getAttribute('href')).toBe('/b');
+            // Not marked dynamic, so the compiler's promise that it never changes is trusted
+            expect(a.getAttribute('title')).toBe('static');
+        });
+
+        test('should fall back to a full diff when the block structure changes', () => {
+            const oldVNode = render({ cls: 'a', msg: 'hi', url: '/a' });
+            const el = mount(oldVNode);
+
+            openBlock();
+            const newVNode = createBlock('div', { class: 'app' }, [
+                h('p', { class: 'c' }, ['only'], PatchFlags.CLASS | PatchFlags.TEXT)
+            ]);
+            updateElement(el, oldVNode, newVNode);
+
+            expect(el.childNodes.length).toBe(1);
+            expect(el.textContent).toBe('only');
+        });
+    });
+});
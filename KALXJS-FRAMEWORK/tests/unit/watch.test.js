@@ -0,0 +1,171 @@
+// kalxjs/tests/unit/watch.test.js
+
+import { reactive, ref } from '@kalxjs/core/reactivity';
+import {
+    watch,
+    watchEffect,
+    watchPostEffect,
+    watchSyncEffect
+} from '@kalxjs/core/composition/watch';
+import { nextTick, queueJob } from '@kalxjs/core/scheduler/queue';
+
+describe('watch', () => {
+    test('should call the callback with new and old values after the flush', async () => {
+        const count = ref(0);
+        const callback = jest.fn();
+
+        watch(count, callback);
+
+        count.value = 1;
+        count.value = 2;
+        expect(callback).not.toHaveBeenCalled();
+
+        await nextTick();
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback.mock.calls[0][0]).toBe(2);
+        expect(callback.mock.calls[0][1]).toBe(0);
+    });
+
+    test('should run immediately with `immediate`', () => {
+        const count = ref(1);
+        const callback = jest.fn();
+
+        watch(count, callback, { immediate: true });
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback.mock.calls[0][0]).toBe(1);
+        expect(callback.mock.calls[0][1]).toBeUndefined();
+    });
+
+    test('should watch nested changes with `deep` and reactive sources', async () => {
+        const state = reactive({ nested: { count: 0 } });
+        const deepCallback = jest.fn();
+        const shallowCallback = jest.fn();
+        const reactiveCallback = jest.fn();
+
+        watch(() => state.nested, deepCallback, { deep: true });
+        watch(() => state.nested, shallowCallback);
+        watch(state, reactiveCallback);
+
+        state.nested.count++;
+        await nextTick();
+
+        expect(deepCallback).toHaveBeenCalledTimes(1);
+        expect(shallowCallback).not.toHaveBeenCalled();
+        expect(reactiveCallback).toHaveBeenCalledTimes(1);
+    });
+
+    test('should watch multiple sources', async () => {
+        const a = ref(1);
+        const b = reactive({ value: 2 });
+        const callback = jest.fn();
+
+        watch([a, () => b.value], callback, { flush: 'sync' });
+
+        a.value = 3;
+        expect(callback).toHaveBeenCalledWith([3, 2], [1, 2], expect.any(Function));
+    });
+
+    test('should run onCleanup before the next callback and on stop', () => {
+        const count = ref(0);
+        const cleanup = jest.fn();
+
+        const stop = watch(count, (value, oldValue, onCleanup) => {
+            onCleanup(cleanup);
+        }, { flush: 'sync' });
+
+        count.value = 1;
+        expect(cleanup).not.toHaveBeenCalled();
+
+        count.value = 2;
+        expect(cleanup).toHaveBeenCalledTimes(1);
+
+        stop();
+        expect(cleanup).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop watching with the returned handle', async () => {
+        const count = ref(0);
+        const callback = jest.fn();
+
+        const stop = watch(count, callback);
+        stop();
+
+        count.value = 1;
+        await nextTick();
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('should order pre, component and post flushes', async () => {
+        const count = ref(0);
+        const calls = [];
+
+        watch(count, () => calls.push('pre'));
+        watch(count, () => calls.push('post'), { flush: 'post' });
+        watch(count, () => calls.push('sync'), { flush: 'sync' });
+
+        count.value = 1;
+        queueJob(() => calls.push('update'));
+
+        await nextTick();
+        expect(calls).toEqual(['sync', 'pre', 'update', 'post']);
+    });
+
+    test('should stop a watcher that keeps triggering itself', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const count = ref(0);
+        const callback = jest.fn(() => count.value++);
+
+        watch(count, callback);
+        count.value++;
+
+        await nextTick();
+        expect(callback).toHaveBeenCalledTimes(100);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Maximum recursive updates exceeded'));
+        warn.mockRestore();
+    });
+});
+
+describe('watchEffect', () => {
+    test('should run immediately and on changes', async () => {
+        const count = ref(0);
+        let dummy;
+
+        const stop = watchEffect(() => {
+            dummy = count.value;
+        });
+        expect(dummy).toBe(0);
+
+        count.value = 1;
+        await nextTick();
+        expect(dummy).toBe(1);
+
+        stop();
+        count.value = 2;
+        await nextTick();
+        expect(dummy).toBe(1);
+    });
+
+    test('watchSyncEffect should run synchronously', () => {
+        const count = ref(0);
+        let dummy;
+
+        watchSyncEffect(() => {
+            dummy = count.value;
+        });
+
+        count.value = 1;
+        expect(dummy).toBe(1);
+    });
+
+    test('watchPostEffect should run after the flush', async () => {
+        const count = ref(0);
+        const fn = jest.fn(() => count.value);
+
+        watchPostEffect(fn);
+        expect(fn).not.toHaveBeenCalled();
+
+        await nextTick();
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+});